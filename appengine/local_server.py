@@ -0,0 +1,280 @@
+"""Blockly Demo: Local Storage Server
+
+Copyright 2013 Google Inc.
+https://blockly.googlecode.com/
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+"""
+
+"""Stand-in for the App Engine server, for running Blockly locally.
+
+Serves the Blockly files under /static, storage.js, the form-based /storage
+API of storage.py, and the REST API of BlocklyStorage.RestProvider under
+/projects.  Projects are kept in a JSON file, appengine/projects.json unless
+another is given with --data.  Runs on Python 2 or 3:
+
+  python appengine/local_server.py [--port 8080] [--data FILE]
+
+Then open http://localhost:8080/static/apps/index.html
+"""
+
+import json
+import mimetypes
+import os
+import random
+import sys
+import threading
+import time
+
+try:
+  from http.server import BaseHTTPRequestHandler, HTTPServer
+  from urllib.parse import parse_qs, urlparse
+except ImportError:
+  from BaseHTTPServer import BaseHTTPRequestHandler, HTTPServer
+  from urlparse import parse_qs, urlparse
+
+APPENGINE_DIR = os.path.dirname(os.path.abspath(__file__))
+STATIC_DIR = os.path.dirname(APPENGINE_DIR)
+MAX_VERSIONS = 100
+
+
+def keyGen():
+  # Generate a random string of length KEY_LEN.
+  KEY_LEN = 6
+  CHARS = "abcdefghijkmnopqrstuvwxyz23456789" # Exclude l, 0, 1.
+  return "".join([random.choice(CHARS) for x in range(KEY_LEN)])
+
+
+class Projects(object):
+  """Projects and their versions, saved to a JSON file after each change.
+
+  The file holds {key: [{"version", "time", "xml"}, ...]}.  Named versions
+  also have a "name".
+  """
+
+  def __init__(self, path):
+    self.path = path
+    self.lock = threading.Lock()
+    self.projects = {}
+    if os.path.exists(path):
+      with open(path) as f:
+        self.projects = json.load(f)
+
+  def flush(self):
+    tmp = self.path + ".tmp"
+    with open(tmp, "w") as f:
+      json.dump(self.projects, f)
+    os.rename(tmp, self.path)
+
+  def save(self, key, xml, name=None):
+    """Add a version to a project, creating it if key is None."""
+    with self.lock:
+      if key is None:
+        key = keyGen()
+        while key in self.projects:
+          key = keyGen()
+      versions = self.projects.setdefault(key, [])
+      version = versions[-1]["version"] + 1 if versions else 1
+      versions.append({"version": version,
+                       "time": int(time.time() * 1000),
+                       "xml": xml})
+      if name:
+        versions[-1]["name"] = name
+      del versions[:-MAX_VERSIONS]
+      self.flush()
+      return key, version
+
+  def find_xml(self, xml):
+    """Return the key of the latest project holding this xml, or None."""
+    with self.lock:
+      for key, versions in self.projects.items():
+        if versions and versions[-1]["xml"] == xml:
+          return key
+      return None
+
+  def load(self, key, version=None):
+    with self.lock:
+      for entry in reversed(self.projects.get(key, [])):
+        if version is None or entry["version"] == version:
+          return entry["xml"]
+      return None
+
+  def list(self):
+    with self.lock:
+      return [{"key": key,
+               "time": versions[-1]["time"] if versions else 0,
+               "versions": len(versions)}
+              for key, versions in sorted(self.projects.items())]
+
+  def versions(self, key):
+    with self.lock:
+      return [dict((field, entry[field])
+                   for field in ("version", "time", "name") if field in entry)
+              for entry in self.projects.get(key, [])]
+
+  def remove(self, key):
+    with self.lock:
+      found = self.projects.pop(key, None) is not None
+      if found:
+        self.flush()
+      return found
+
+
+class Handler(BaseHTTPRequestHandler):
+  projects = None
+
+  def send(self, status, body, content_type="text/plain; charset=utf-8"):
+    if not isinstance(body, bytes):
+      body = body.encode("utf-8")
+    self.send_response(status)
+    self.send_header("Content-Type", content_type)
+    self.send_header("Content-Length", str(len(body)))
+    self.end_headers()
+    if self.command != "HEAD":
+      self.wfile.write(body)
+
+  def send_json(self, data):
+    self.send(200, json.dumps(data), "application/json")
+
+  def read_body(self):
+    length = int(self.headers.get("Content-Length") or 0)
+    return self.rfile.read(length).decode("utf-8")
+
+  def route(self):
+    """Split the request path into (collection, key, rest, query).
+
+    Paths outside /static with more segments than these have no collection,
+    so that no handler accepts them.
+    """
+    url = urlparse(self.path)
+    parts = url.path.split("/")[1:]
+    if len(parts) > 3 and parts[0] != "static":
+      return None, None, None, parse_qs(url.query)
+    parts += [None, None]
+    return parts[0], parts[1] or None, parts[2] or None, parse_qs(url.query)
+
+  def do_GET(self):
+    collection, key, rest, query = self.route()
+    if collection == "projects":
+      if key is None:
+        self.send_json(self.projects.list())
+      elif rest == "versions":
+        if key in self.projects.projects:
+          self.send_json(self.projects.versions(key))
+        else:
+          self.send(404, "No such project.")
+      elif rest is not None:
+        self.send(404, "Not found.")
+      else:
+        try:
+          version = int(query["version"][0]) if "version" in query else None
+        except ValueError:
+          self.send(400, "Bad version.")
+          return
+        xml = self.projects.load(key, version)
+        if xml is None:
+          self.send(404, "No such project.")
+        else:
+          self.send(200, xml, "text/xml; charset=utf-8")
+    elif collection == "storage.js":
+      self.send_file(os.path.join(APPENGINE_DIR, "storage.js"))
+    elif collection == "static":
+      path = urlparse(self.path).path[len("/static/"):]
+      self.send_file(os.path.join(STATIC_DIR, *path.split("/")))
+    elif collection == "":
+      self.send_response(302)
+      self.send_header("Location", "/static/apps/index.html")
+      self.end_headers()
+    else:
+      self.send(404, "Not found.")
+
+  do_HEAD = do_GET
+
+  def do_POST(self):
+    collection, key, rest, query = self.route()
+    if collection == "storage":
+      # Form-based API of storage.py.
+      form = parse_qs(self.read_body())
+      if "xml" in form:
+        xml = form["xml"][0]
+        key = self.projects.find_xml(xml) or self.projects.save(None, xml)[0]
+        self.send(200, key)
+      elif "key" in form:
+        self.send(200, self.projects.load(form["key"][0]) or "")
+      else:
+        self.send(400, "Missing xml or key.")
+    elif collection == "projects" and key is None:
+      name = query.get("name", [None])[0]
+      key, version = self.projects.save(None, self.read_body(), name)
+      self.send_json({"key": key, "version": version})
+    else:
+      self.send(404, "Not found.")
+
+  def do_PUT(self):
+    collection, key, rest, query = self.route()
+    if collection == "projects" and key and rest is None:
+      name = query.get("name", [None])[0]
+      key, version = self.projects.save(key, self.read_body(), name)
+      self.send_json({"key": key, "version": version})
+    else:
+      self.send(404, "Not found.")
+
+  def do_DELETE(self):
+    collection, key, rest, query = self.route()
+    if collection == "projects" and key and rest is None:
+      if self.projects.remove(key):
+        self.send(200, "")
+      else:
+        self.send(404, "No such project.")
+    else:
+      self.send(404, "Not found.")
+
+  def send_file(self, path):
+    path = os.path.realpath(path)
+    if os.path.isdir(path):
+      path = os.path.join(path, "index.html")
+    if (not path.startswith(STATIC_DIR + os.sep) or
+        not os.path.isfile(path)):
+      self.send(404, "Not found.")
+      return
+    with open(path, "rb") as f:
+      content = f.read()
+    content_type = mimetypes.guess_type(path)[0] or "application/octet-stream"
+    self.send(200, content, content_type)
+
+
+def main(argv):
+  port = 8080
+  data = os.path.join(APPENGINE_DIR, "projects.json")
+  args = list(argv)
+  while args:
+    arg = args.pop(0)
+    if arg == "--port" and args:
+      port = int(args.pop(0))
+    elif arg == "--data" and args:
+      data = args.pop(0)
+    else:
+      sys.stderr.write("Usage: local_server.py [--port N] [--data FILE]\n")
+      return 2
+  Handler.projects = Projects(data)
+  server = HTTPServer(("localhost", port), Handler)
+  print("Serving Blockly on http://localhost:%d/" % port)
+  try:
+    server.serve_forever()
+  except KeyboardInterrupt:
+    pass
+  return 0
+
+
+if __name__ == "__main__":
+  sys.exit(main(sys.argv[1:]))
@@ -20,6 +20,9 @@
 
 /**
  * @fileoverview Loading and saving blocks with localStorage and cloud storage.
+ * Storage is pluggable: any object implementing BlocklyStorage.Provider may
+ * be assigned to BlocklyStorage.provider (used for links) or
+ * BlocklyStorage.backupProvider (used for backups on unload).
  * @author q.neutron@gmail.com (Quynh Neutron)
  */
 'use strict';
@@ -28,34 +31,666 @@
 var BlocklyStorage = {};
 
 /**
- * Backup code blocks to localStorage.
+ * Interface for a place to store projects.  Each project is stored under a
+ * key, and every version saved is kept.  Each method reports its result by
+ * calling its callback with an error (null on success) and then the result.
+ * Providers backed by synchronous storage may call back before returning.
+ * @interface
+ */
+BlocklyStorage.Provider = function() {};
+
+/**
+ * Save a new version of a project.
+ * @param {?string} key Key of the project, or null to create a new project.
+ * @param {string} xml Text representation of the project's XML.
+ * @param {function(Error, string=)} callback Called with the project's key.
+ * @param {string=} opt_name Name of the version (e.g. 'Before loops').
+ */
+BlocklyStorage.Provider.prototype.save =
+    function(key, xml, callback, opt_name) {};
+
+/**
+ * Load a version of a project.
+ * @param {string} key Key of the project.
+ * @param {function(Error, ?string=)} callback Called with the text of the
+ *     project's XML, or null if there is no such project or version.
+ * @param {number=} opt_version Version to load.  Defaults to the latest.
+ */
+BlocklyStorage.Provider.prototype.load = function(key, callback, opt_version) {
+};
+
+/**
+ * List the stored projects.
+ * @param {function(Error, Array.<!Object>=)} callback Called with a list of
+ *     projects, each with its 'key', the 'time' it was last saved (in
+ *     milliseconds since 1970) and its number of 'versions'.
+ */
+BlocklyStorage.Provider.prototype.list = function(callback) {};
+
+/**
+ * Delete a project and all its versions.
+ * @param {string} key Key of the project.
+ * @param {function(Error)} callback Called once the project is deleted.
+ */
+BlocklyStorage.Provider.prototype.remove = function(key, callback) {};
+
+/**
+ * List the saved versions of a project.
+ * @param {string} key Key of the project.
+ * @param {function(Error, Array.<!Object>=)} callback Called with a list of
+ *     versions, oldest first, each with its 'version' number, the 'time'
+ *     it was saved and its 'name' if it was given one.  The list is empty if
+ *     there is no such project.
+ */
+BlocklyStorage.Provider.prototype.versions = function(key, callback) {};
+
+/**
+ * Generate a random key for a new project.
+ * @return {string} Key of six letters and digits.
  * @private
  */
-BlocklyStorage.backupBlocks_ = function() {
-  if ('localStorage' in window) {
-    var xml = Blockly.Xml.workspaceToDom(Blockly.getMainWorkspace());
-    // Gets the current URL, not including the hash.
-    var url = window.location.href.split('#')[0];
-    window.localStorage.setItem(url, Blockly.Xml.domToText(xml));
+BlocklyStorage.generateKey_ = function() {
+  var KEY_LEN = 6;
+  var CHARS = 'abcdefghijkmnopqrstuvwxyz23456789';  // Exclude l, 0, 1.
+  var key = '';
+  for (var i = 0; i < KEY_LEN; i++) {
+    key += CHARS.charAt(Math.floor(Math.random() * CHARS.length));
+  }
+  return key;
+};
+
+/**
+ * Add a version to the record of a project kept by a local provider.  Each
+ * record is {'key': key, 'versions': [{'version', 'time', 'xml'}, ...]}.
+ * Named versions also have a 'name'.
+ * @param {!Object} record Record of the project.
+ * @param {string} xml Text representation of the project's XML.
+ * @param {number} maxVersions Most versions to keep, dropping the oldest.
+ * @param {string=} opt_name Name of the version.
+ * @private
+ */
+BlocklyStorage.addVersion_ = function(record, xml, maxVersions, opt_name) {
+  var versions = record['versions'];
+  var last = versions[versions.length - 1];
+  versions.push({
+    'version': last ? last['version'] + 1 : 1,
+    'time': Date.now(),
+    'xml': xml
+  });
+  if (opt_name) {
+    versions[versions.length - 1]['name'] = opt_name;
+  }
+  if (versions.length > maxVersions) {
+    versions.splice(0, versions.length - maxVersions);
   }
 };
 
 /**
- * Bind the localStorage backup function to the unload event.
+ * Find a version in the record of a project kept by a local provider.
+ * @param {Object} record Record of the project, or null.
+ * @param {number=} opt_version Version to find.  Defaults to the latest.
+ * @return {?string} Text of the version's XML, or null if not found.
+ * @private
+ */
+BlocklyStorage.findVersion_ = function(record, opt_version) {
+  var versions = record ? record['versions'] : [];
+  for (var i = versions.length - 1; i >= 0; i--) {
+    if (opt_version === undefined || versions[i]['version'] == opt_version) {
+      return versions[i]['xml'];
+    }
+  }
+  return null;
+};
+
+/**
+ * Summarize the record of a project kept by a local provider.
+ * @param {!Object} record Record of the project.
+ * @return {!Object} Summary with 'key', 'time' and 'versions'.
+ * @private
+ */
+BlocklyStorage.summarize_ = function(record) {
+  var versions = record['versions'];
+  return {
+    'key': record['key'],
+    'time': versions.length ? versions[versions.length - 1]['time'] : 0,
+    'versions': versions.length
+  };
+};
+
+/**
+ * List the versions in the record of a project kept by a local provider.
+ * @param {Object} record Record of the project, or null.
+ * @return {!Array.<!Object>} List of versions, each with 'version', 'time'
+ *     and maybe 'name'.
+ * @private
+ */
+BlocklyStorage.listVersions_ = function(record) {
+  var versions = record ? record['versions'] : [];
+  var list = [];
+  for (var i = 0; i < versions.length; i++) {
+    var version = {'version': versions[i]['version'],
+                   'time': versions[i]['time']};
+    if (versions[i]['name']) {
+      version['name'] = versions[i]['name'];
+    }
+    list.push(version);
+  }
+  return list;
+};
+
+/**
+ * Store projects in the browser's localStorage.  Callbacks are called before
+ * each method returns, so this provider may be used while the page unloads.
+ * @param {string=} opt_prefix Prefix of the localStorage items used.
+ * @param {number=} opt_maxVersions Most versions of each project to keep.
+ * @constructor
+ * @implements {BlocklyStorage.Provider}
+ */
+BlocklyStorage.LocalStorageProvider = function(opt_prefix, opt_maxVersions) {
+  this.prefix_ = opt_prefix || 'BlocklyStorage:';
+  this.maxVersions_ = opt_maxVersions ||
+      BlocklyStorage.LocalStorageProvider.MAX_VERSIONS;
+};
+
+/**
+ * Default number of versions of each project to keep.
+ */
+BlocklyStorage.LocalStorageProvider.MAX_VERSIONS = 10;
+
+/**
+ * Read the record of a project.
+ * @param {string} key Key of the project.
+ * @return {Object} Record of the project, or null if there is none.
+ * @private
+ */
+BlocklyStorage.LocalStorageProvider.prototype.read_ = function(key) {
+  var text = window.localStorage.getItem(this.prefix_ + key);
+  return text ? JSON.parse(text) : null;
+};
+
+/** @override */
+BlocklyStorage.LocalStorageProvider.prototype.save =
+    function(key, xml, callback, opt_name) {
+  try {
+    if (!key) {
+      do {
+        key = BlocklyStorage.generateKey_();
+      } while (this.read_(key));
+    }
+    var record = this.read_(key) || {'key': key, 'versions': []};
+    BlocklyStorage.addVersion_(record, xml, this.maxVersions_, opt_name);
+    window.localStorage.setItem(this.prefix_ + key, JSON.stringify(record));
+  } catch (e) {
+    // Storage is full, disabled, or holds a corrupt record.
+    callback(e);
+    return;
+  }
+  callback(null, key);
+};
+
+/** @override */
+BlocklyStorage.LocalStorageProvider.prototype.load =
+    function(key, callback, opt_version) {
+  try {
+    var xml = BlocklyStorage.findVersion_(this.read_(key), opt_version);
+  } catch (e) {
+    callback(e);
+    return;
+  }
+  callback(null, xml);
+};
+
+/** @override */
+BlocklyStorage.LocalStorageProvider.prototype.list = function(callback) {
+  var list = [];
+  try {
+    for (var i = 0; i < window.localStorage.length; i++) {
+      var name = window.localStorage.key(i);
+      if (name.substring(0, this.prefix_.length) == this.prefix_) {
+        var record = this.read_(name.substring(this.prefix_.length));
+        list.push(BlocklyStorage.summarize_(record));
+      }
+    }
+  } catch (e) {
+    callback(e);
+    return;
+  }
+  callback(null, list);
+};
+
+/** @override */
+BlocklyStorage.LocalStorageProvider.prototype.remove = function(key, callback) {
+  window.localStorage.removeItem(this.prefix_ + key);
+  callback(null);
+};
+
+/** @override */
+BlocklyStorage.LocalStorageProvider.prototype.versions =
+    function(key, callback) {
+  try {
+    var list = BlocklyStorage.listVersions_(this.read_(key));
+  } catch (e) {
+    callback(e);
+    return;
+  }
+  callback(null, list);
+};
+
+/**
+ * Store projects in the browser's IndexedDB.  Unlike localStorage, space is
+ * not limited to a few megabytes, but every callback is asynchronous.
+ * @param {string=} opt_name Name of the database.
+ * @constructor
+ * @implements {BlocklyStorage.Provider}
+ */
+BlocklyStorage.IndexedDbProvider = function(opt_name) {
+  this.name_ = opt_name || 'BlocklyStorage';
+  this.db_ = null;
+};
+
+/**
+ * Name of the object store holding the records of projects.
+ */
+BlocklyStorage.IndexedDbProvider.STORE = 'projects';
+
+/**
+ * Most versions of each project to keep.
+ */
+BlocklyStorage.IndexedDbProvider.MAX_VERSIONS = 100;
+
+/**
+ * Start a transaction on the store of projects, opening the database first
+ * if needed.
+ * @param {string} mode 'readonly' or 'readwrite'.
+ * @param {function(Error, IDBObjectStore=)} callback Called with the store.
+ * @private
+ */
+BlocklyStorage.IndexedDbProvider.prototype.getStore_ =
+    function(mode, callback) {
+  var STORE = BlocklyStorage.IndexedDbProvider.STORE;
+  if (this.db_) {
+    callback(null, this.db_.transaction(STORE, mode).objectStore(STORE));
+    return;
+  }
+  if (!window.indexedDB) {
+    callback(Error('IndexedDB is not available.'));
+    return;
+  }
+  var thisProvider = this;
+  var request = window.indexedDB.open(this.name_, 1);
+  request.onupgradeneeded = function() {
+    request.result.createObjectStore(STORE, {keyPath: 'key'});
+  };
+  request.onsuccess = function() {
+    thisProvider.db_ = request.result;
+    thisProvider.getStore_(mode, callback);
+  };
+  request.onerror = function() {
+    callback(request.error);
+  };
+};
+
+/**
+ * Read the record of a project.
+ * @param {!IDBObjectStore} store Store of projects.
+ * @param {string} key Key of the project.
+ * @param {function(Error, Object=)} callback Called with the record, or null
+ *     if there is none.
+ * @private
+ */
+BlocklyStorage.IndexedDbProvider.read_ = function(store, key, callback) {
+  var request = store.get(key);
+  request.onsuccess = function() {
+    callback(null, request.result || null);
+  };
+  request.onerror = function() {
+    callback(request.error);
+  };
+};
+
+/** @override */
+BlocklyStorage.IndexedDbProvider.prototype.save =
+    function(key, xml, callback, opt_name) {
+  var newKey = key || BlocklyStorage.generateKey_();
+  this.getStore_('readwrite', function(error, store) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    BlocklyStorage.IndexedDbProvider.read_(store, newKey,
+        function(error, record) {
+      if (error) {
+        callback(error);
+        return;
+      }
+      if (record && !key) {
+        // A new key that is already in use; try another.
+        this.save(null, xml, callback, opt_name);
+        return;
+      }
+      record = record || {'key': newKey, 'versions': []};
+      BlocklyStorage.addVersion_(record, xml,
+          BlocklyStorage.IndexedDbProvider.MAX_VERSIONS, opt_name);
+      var request = store.put(record);
+      request.onsuccess = function() {
+        callback(null, newKey);
+      };
+      request.onerror = function() {
+        callback(request.error);
+      };
+    }.bind(this));
+  }.bind(this));
+};
+
+/** @override */
+BlocklyStorage.IndexedDbProvider.prototype.load =
+    function(key, callback, opt_version) {
+  this.getStore_('readonly', function(error, store) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    BlocklyStorage.IndexedDbProvider.read_(store, key,
+        function(error, record) {
+      callback(error, error ? undefined :
+          BlocklyStorage.findVersion_(record, opt_version));
+    });
+  });
+};
+
+/** @override */
+BlocklyStorage.IndexedDbProvider.prototype.list = function(callback) {
+  this.getStore_('readonly', function(error, store) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    var list = [];
+    var request = store.openCursor();
+    request.onsuccess = function() {
+      var cursor = request.result;
+      if (cursor) {
+        list.push(BlocklyStorage.summarize_(cursor.value));
+        cursor['continue']();
+      } else {
+        callback(null, list);
+      }
+    };
+    request.onerror = function() {
+      callback(request.error);
+    };
+  });
+};
+
+/** @override */
+BlocklyStorage.IndexedDbProvider.prototype.remove = function(key, callback) {
+  this.getStore_('readwrite', function(error, store) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    var request = store['delete'](key);
+    request.onsuccess = function() {
+      callback(null);
+    };
+    request.onerror = function() {
+      callback(request.error);
+    };
+  });
+};
+
+/** @override */
+BlocklyStorage.IndexedDbProvider.prototype.versions =
+    function(key, callback) {
+  this.getStore_('readonly', function(error, store) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    BlocklyStorage.IndexedDbProvider.read_(store, key,
+        function(error, record) {
+      callback(error, error ? undefined :
+          BlocklyStorage.listVersions_(record));
+    });
+  });
+};
+
+/**
+ * Store projects on a server with a REST interface:
+ *   POST url[?name=s] (XML body): create a project.  Returns {"key",
+ *       "version"}.
+ *   PUT url/key[?name=s] (XML body): save a new version.  Returns {"key",
+ *       "version"}.
+ *   GET url/key[?version=n]: the project's XML, or 404 if not found.
+ *   GET url: a JSON list of projects, each with "key", "time", "versions".
+ *   DELETE url/key: delete the project.
+ *   GET url/key/versions: a JSON list of versions, each with "version",
+ *       "time" and maybe "name".
+ * The reference server in local_server.py implements this interface.
+ * @param {string} url Address of the collection of projects.
+ * @constructor
+ * @implements {BlocklyStorage.Provider}
+ */
+BlocklyStorage.RestProvider = function(url) {
+  this.url_ = url.replace(/\/$/, '');
+};
+
+/**
+ * Send a request to the server.
+ * @param {string} method HTTP method.
+ * @param {string} path Path after the collection's URL (e.g. '/abc123').
+ * @param {?string} body XML to send, or null.
+ * @param {function(Error, ?string=)} callback Called with the response text,
+ *     or null if the server found no such project.
+ * @private
+ */
+BlocklyStorage.RestProvider.prototype.request_ =
+    function(method, path, body, callback) {
+  var httpRequest = new XMLHttpRequest();
+  httpRequest.onreadystatechange = function() {
+    if (httpRequest.readyState != 4) {
+      return;
+    }
+    if (httpRequest.status == 404) {
+      callback(null, null);
+    } else if (httpRequest.status < 200 || httpRequest.status >= 300) {
+      callback(Error('httpRequest.status: ' + httpRequest.status));
+    } else {
+      callback(null, httpRequest.responseText);
+    }
+  };
+  httpRequest.open(method, this.url_ + path);
+  if (body !== null) {
+    httpRequest.setRequestHeader('Content-Type', 'text/xml; charset=utf-8');
+  }
+  httpRequest.send(body);
+};
+
+/**
+ * Send a request to the server, and parse the JSON response.
+ * @param {string} method HTTP method.
+ * @param {string} path Path after the collection's URL.
+ * @param {?string} body XML to send, or null.
+ * @param {!Function} callback Called with the parsed response, or an empty
+ *     list if the server found no such project.
+ * @private
+ */
+BlocklyStorage.RestProvider.prototype.requestJson_ =
+    function(method, path, body, callback) {
+  this.request_(method, path, body, function(error, text) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    try {
+      var data = (text === null) ? [] : JSON.parse(text);
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, data);
+  });
+};
+
+/** @override */
+BlocklyStorage.RestProvider.prototype.save =
+    function(key, xml, callback, opt_name) {
+  var path = key ? '/' + encodeURIComponent(key) : '';
+  if (opt_name) {
+    path += '?name=' + encodeURIComponent(opt_name);
+  }
+  this.requestJson_(key ? 'PUT' : 'POST', path, xml,
+      function(error, data) {
+        callback(error, error ? undefined : data['key']);
+      });
+};
+
+/** @override */
+BlocklyStorage.RestProvider.prototype.load =
+    function(key, callback, opt_version) {
+  var path = '/' + encodeURIComponent(key);
+  if (opt_version !== undefined) {
+    path += '?version=' + opt_version;
+  }
+  this.request_('GET', path, null, callback);
+};
+
+/** @override */
+BlocklyStorage.RestProvider.prototype.list = function(callback) {
+  this.requestJson_('GET', '', null, callback);
+};
+
+/** @override */
+BlocklyStorage.RestProvider.prototype.remove = function(key, callback) {
+  this.request_('DELETE', '/' + encodeURIComponent(key), null,
+      function(error) {
+        callback(error);
+      });
+};
+
+/** @override */
+BlocklyStorage.RestProvider.prototype.versions = function(key, callback) {
+  this.requestJson_('GET', '/' + encodeURIComponent(key) + '/versions', null,
+      callback);
+};
+
+/**
+ * Store projects with App Engine's storage.py.  It shares XML by content:
+ * saving returns a new key unless identical XML was saved before, and
+ * projects cannot be listed, deleted or versioned.
+ * @param {string} url Address of storage.py.
+ * @constructor
+ * @implements {BlocklyStorage.Provider}
+ */
+BlocklyStorage.AppEngineProvider = function(url) {
+  this.url_ = url;
+};
+
+/**
+ * Post one form parameter to storage.py.
+ * @param {string} name Name of parameter.
+ * @param {string} content Content of parameter.
+ * @param {function(Error, string=)} callback Called with the response text.
+ * @private
+ */
+BlocklyStorage.AppEngineProvider.prototype.request_ =
+    function(name, content, callback) {
+  var httpRequest = new XMLHttpRequest();
+  httpRequest.onreadystatechange = function() {
+    if (httpRequest.readyState == 4) {
+      if (httpRequest.status != 200) {
+        callback(Error('httpRequest.status: ' + httpRequest.status));
+      } else {
+        callback(null, httpRequest.responseText.trim());
+      }
+    }
+  };
+  httpRequest.open('POST', this.url_);
+  httpRequest.setRequestHeader('Content-Type',
+      'application/x-www-form-urlencoded');
+  httpRequest.send(name + '=' + encodeURIComponent(content));
+};
+
+/** @override */
+BlocklyStorage.AppEngineProvider.prototype.save =
+    function(key, xml, callback, opt_name) {
+  this.request_('xml', xml, callback);
+};
+
+/** @override */
+BlocklyStorage.AppEngineProvider.prototype.load =
+    function(key, callback, opt_version) {
+  this.request_('key', key, function(error, xml) {
+    callback(error, error ? undefined : (xml || null));
+  });
+};
+
+/** @override */
+BlocklyStorage.AppEngineProvider.prototype.list = function(callback) {
+  callback(Error('Listing is not supported by App Engine storage.'));
+};
+
+/** @override */
+BlocklyStorage.AppEngineProvider.prototype.remove = function(key, callback) {
+  callback(Error('Deleting is not supported by App Engine storage.'));
+};
+
+/** @override */
+BlocklyStorage.AppEngineProvider.prototype.versions =
+    function(key, callback) {
+  callback(Error('Versions are not supported by App Engine storage.'));
+};
+
+/**
+ * Provider for the projects shared by link.
+ * @type {!BlocklyStorage.Provider}
+ */
+BlocklyStorage.provider = new BlocklyStorage.AppEngineProvider('/storage');
+
+/**
+ * Provider for the backups made when the page is closed.  Must call back
+ * before returning, since the page is unloading.  Only the latest backup of
+ * each page is kept, so that backups don't fill localStorage.
+ * @type {!BlocklyStorage.Provider}
+ */
+BlocklyStorage.backupProvider =
+    new BlocklyStorage.LocalStorageProvider(null, 1);
+
+/**
+ * Backup code blocks to the backup provider.
+ * @private
+ */
+BlocklyStorage.backupBlocks_ = function() {
+  var xml = Blockly.Xml.workspaceToDom(Blockly.getMainWorkspace());
+  // Gets the current URL, not including the hash.
+  var url = window.location.href.split('#')[0];
+  BlocklyStorage.backupProvider.save(url, Blockly.Xml.domToText(xml),
+      function(error) {});
+};
+
+/**
+ * Bind the backup function to the unload event.
  */
 BlocklyStorage.backupOnUnload = function() {
   window.addEventListener('unload', BlocklyStorage.backupBlocks_, false);
 };
 
 /**
- * Restore code blocks from localStorage.
+ * Restore code blocks from the backup provider.
  */
 BlocklyStorage.restoreBlocks = function() {
   var url = window.location.href.split('#')[0];
-  if ('localStorage' in window && window.localStorage[url]) {
-    var xml = Blockly.Xml.textToDom(window.localStorage[url]);
-    Blockly.Xml.domToWorkspace(Blockly.getMainWorkspace(), xml);
-  }
+  BlocklyStorage.backupProvider.load(url, function(error, text) {
+    if (!text && 'localStorage' in window) {
+      // Backups made before storage providers were keyed by the bare URL.
+      text = window.localStorage[url];
+    }
+    if (text) {
+      var xml = Blockly.Xml.textToDom(text);
+      Blockly.Xml.domToWorkspace(Blockly.getMainWorkspace(), xml);
+      Blockly.getMainWorkspace().clearUndo();
+    }
+  });
 };
 
 /**
@@ -64,7 +699,17 @@ BlocklyStorage.restoreBlocks = function() {
 BlocklyStorage.link = function() {
   var xml = Blockly.Xml.workspaceToDom(Blockly.getMainWorkspace());
   var data = Blockly.Xml.domToText(xml);
-  BlocklyStorage.makeRequest_('/storage', 'xml', data);
+  BlocklyStorage.provider.save(null, data, function(error, key) {
+    if (error) {
+      BlocklyStorage.alert(BlocklyStorage.HTTPREQUEST_ERROR + '\n' +
+          error.message);
+      return;
+    }
+    window.location.hash = key;
+    BlocklyStorage.alert(BlocklyStorage.LINK_ALERT.replace('%1',
+        window.location.href));
+    BlocklyStorage.monitorChanges_();
+  });
 };
 
 /**
@@ -72,66 +717,318 @@ BlocklyStorage.link = function() {
  * @param {string} key Key to XML, obtained from href.
  */
 BlocklyStorage.retrieveXml = function(key) {
-  var xml = Blockly.Xml.workspaceToDom(Blockly.getMainWorkspace());
-  BlocklyStorage.makeRequest_('/storage', 'key', key);
+  BlocklyStorage.provider.load(key, function(error, xml) {
+    if (error) {
+      BlocklyStorage.alert(BlocklyStorage.HTTPREQUEST_ERROR + '\n' +
+          error.message);
+      return;
+    }
+    if (!xml) {
+      BlocklyStorage.alert(BlocklyStorage.HASH_ERROR.replace('%1',
+          window.location.hash));
+    } else {
+      BlocklyStorage.loadXml_(xml);
+    }
+    BlocklyStorage.monitorChanges_();
+  });
 };
 
 /**
- * Global reference to current AJAX request.
- * @type XMLHttpRequest
+ * Provider for the history of versions of the workspace, keyed by URL.
+ * @type {!BlocklyStorage.Provider}
+ */
+BlocklyStorage.historyProvider =
+    new BlocklyStorage.LocalStorageProvider('BlocklyHistory:', 50);
+
+/**
+ * Milliseconds between autosaves.
+ */
+BlocklyStorage.AUTOSAVE_INTERVAL = 60 * 1000;
+
+/**
+ * Process ID of the autosave timer, or 0 if not autosaving.
  * @private
  */
-BlocklyStorage.httpRequest_ = null;
+BlocklyStorage.autosavePid_ = 0;
 
 /**
- * Fire a new AJAX request.
- * @param {string} url URL to fetch.
- * @param {string} name Name of parameter.
- * @param {string} content Content of parameter.
+ * Text of the XML last saved to the history, to skip saving it again.
+ * @type {?string}
  * @private
  */
-BlocklyStorage.makeRequest_ = function(url, name, content) {
-  if (BlocklyStorage.httpRequest_) {
-    // AJAX call is in-flight.
-    BlocklyStorage.httpRequest_.abort();
-  }
-  BlocklyStorage.httpRequest_ = new XMLHttpRequest();
-  BlocklyStorage.httpRequest_.name = name;
-  BlocklyStorage.httpRequest_.onreadystatechange =
-      BlocklyStorage.handleRequest_;
-  BlocklyStorage.httpRequest_.open('POST', url);
-  BlocklyStorage.httpRequest_.setRequestHeader('Content-Type',
-      'application/x-www-form-urlencoded');
-  BlocklyStorage.httpRequest_.send(name + '=' + encodeURIComponent(content));
+BlocklyStorage.lastHistoryXml_ = null;
+
+/**
+ * Key of this page's history in the history provider.
+ * @return {string} Current URL, not including the hash.
+ * @private
+ */
+BlocklyStorage.historyKey_ = function() {
+  return window.location.href.split('#')[0];
 };
 
 /**
- * Callback function for AJAX call.
+ * Get the text of the main workspace's XML.
+ * @return {string} Text representation of XML.
  * @private
  */
-BlocklyStorage.handleRequest_ = function() {
-  if (BlocklyStorage.httpRequest_.readyState == 4) {
-    if (BlocklyStorage.httpRequest_.status != 200) {
-      BlocklyStorage.alert(BlocklyStorage.HTTPREQUEST_ERROR + '\n' +
-          'httpRequest_.status: ' + BlocklyStorage.httpRequest_.status);
-    } else {
-      var data = BlocklyStorage.httpRequest_.responseText.trim();
-      if (BlocklyStorage.httpRequest_.name == 'xml') {
-        window.location.hash = data;
-        BlocklyStorage.alert(BlocklyStorage.LINK_ALERT.replace('%1',
-            window.location.href));
-      } else if (BlocklyStorage.httpRequest_.name == 'key') {
-        if (!data.length) {
-          BlocklyStorage.alert(BlocklyStorage.HASH_ERROR.replace('%1',
-              window.location.hash));
-        } else {
-          BlocklyStorage.loadXml_(data);
+BlocklyStorage.workspaceXml_ = function() {
+  var xml = Blockly.Xml.workspaceToDom(Blockly.getMainWorkspace());
+  return Blockly.Xml.domToText(xml);
+};
+
+/**
+ * Save the workspace as a new version in the history.  Unnamed versions are
+ * skipped if the workspace has not changed since the last version saved.
+ * @param {string=} opt_name Name of the version.
+ * @param {function(Error)=} opt_callback Called once saved (or skipped).
+ */
+BlocklyStorage.saveVersion = function(opt_name, opt_callback) {
+  var callback = opt_callback || function(error) {};
+  var xml = BlocklyStorage.workspaceXml_();
+  if (!opt_name && xml == BlocklyStorage.lastHistoryXml_) {
+    callback(null);
+    return;
+  }
+  BlocklyStorage.historyProvider.save(BlocklyStorage.historyKey_(), xml,
+      function(error) {
+        if (!error) {
+          BlocklyStorage.lastHistoryXml_ = xml;
         }
+        callback(error);
+      }, opt_name);
+};
+
+/**
+ * Start saving the workspace to the history periodically.
+ * @param {number=} opt_interval Milliseconds between autosaves.
+ */
+BlocklyStorage.startAutosave = function(opt_interval) {
+  BlocklyStorage.stopAutosave();
+  // Don't repeat the latest version saved by an earlier visit.
+  BlocklyStorage.historyProvider.load(BlocklyStorage.historyKey_(),
+      function(error, xml) {
+        BlocklyStorage.lastHistoryXml_ = xml || null;
+      });
+  BlocklyStorage.autosavePid_ = window.setInterval(function() {
+        BlocklyStorage.saveVersion();
+      }, opt_interval || BlocklyStorage.AUTOSAVE_INTERVAL);
+};
+
+/**
+ * Stop saving the workspace to the history periodically.
+ */
+BlocklyStorage.stopAutosave = function() {
+  window.clearInterval(BlocklyStorage.autosavePid_);
+  BlocklyStorage.autosavePid_ = 0;
+};
+
+/**
+ * Replace the workspace with a version from the history.  The workspace is
+ * saved to the history first, so that the restore may be undone.
+ * @param {number} version Version to restore.
+ * @param {function(Error)=} opt_callback Called once restored.
+ */
+BlocklyStorage.restoreVersion = function(version, opt_callback) {
+  var callback = opt_callback || function(error) {};
+  BlocklyStorage.saveVersion(undefined, function(error) {
+    if (error) {
+      callback(error);
+      return;
+    }
+    BlocklyStorage.historyProvider.load(BlocklyStorage.historyKey_(),
+        function(error, xml) {
+          if (!error && !xml) {
+            error = Error('No such version: ' + version);
+          }
+          if (!error) {
+            BlocklyStorage.loadXml_(xml);
+            BlocklyStorage.lastHistoryXml_ = BlocklyStorage.workspaceXml_();
+          }
+          callback(error);
+        }, version);
+  });
+};
+
+/**
+ * Describe each block in some XML, by ID.  A block's description covers its
+ * type, fields, mutation and what is connected to it, but not the blocks
+ * connected to it nor its position.
+ * @param {string} text Text representation of XML.
+ * @return {!Object.<string, !Object>} Map of block IDs to objects with the
+ *     block's 'type' and 'description'.
+ * @private
+ */
+BlocklyStorage.describeBlocks_ = function(text) {
+  var blocks = {};
+  var elements = Blockly.Xml.textToDom(text).getElementsByTagName('block');
+  for (var i = 0; i < elements.length; i++) {
+    var element = elements[i];
+    var parts = [];
+    for (var j = 0; j < element.attributes.length; j++) {
+      var name = element.attributes[j].name;
+      if (name != 'id' && name != 'x' && name != 'y') {
+        parts.push(name + '=' + element.attributes[j].value);
       }
-      BlocklyStorage.monitorChanges_();
     }
-    BlocklyStorage.httpRequest_ = null;
+    parts.sort();
+    for (var j = 0, child; child = element.childNodes[j]; j++) {
+      var tag = child.nodeName.toLowerCase();
+      if (tag == 'value' || tag == 'statement' || tag == 'next') {
+        var connected = child.getElementsByTagName('block')[0];
+        parts.push(tag + ' ' + (child.getAttribute('name') || '') + ':' +
+            (connected ? connected.getAttribute('id') : ''));
+      } else if (child.nodeType == 1) {
+        parts.push(Blockly.Xml.domToText(child));
+      }
+    }
+    blocks[element.getAttribute('id')] = {
+      'type': element.getAttribute('type'),
+      'description': parts.join('\n')
+    };
+  }
+  return blocks;
+};
+
+/**
+ * Compare two versions of a workspace, matching blocks by ID.
+ * @param {string} oldXml Text representation of the older XML.
+ * @param {string} newXml Text representation of the newer XML.
+ * @return {!Object} Lists of the blocks 'added', 'removed' and 'changed'.
+ *     Each block is given as an object with its 'id' and 'type'.
+ */
+BlocklyStorage.diffXml = function(oldXml, newXml) {
+  var oldBlocks = BlocklyStorage.describeBlocks_(oldXml);
+  var newBlocks = BlocklyStorage.describeBlocks_(newXml);
+  var diff = {'added': [], 'removed': [], 'changed': []};
+  for (var id in newBlocks) {
+    var block = {'id': id, 'type': newBlocks[id]['type']};
+    if (!oldBlocks.hasOwnProperty(id)) {
+      diff['added'].push(block);
+    } else if (oldBlocks[id]['description'] !=
+               newBlocks[id]['description']) {
+      diff['changed'].push(block);
+    }
+  }
+  for (var id in oldBlocks) {
+    if (!newBlocks.hasOwnProperty(id)) {
+      diff['removed'].push({'id': id, 'type': oldBlocks[id]['type']});
+    }
   }
+  return diff;
+};
+
+/**
+ * Text of the history panel.  Designed to be overridden by translations.
+ */
+BlocklyStorage.HISTORY_SAVE = 'Save version';
+BlocklyStorage.HISTORY_NAME = 'Version name';
+BlocklyStorage.HISTORY_RESTORE = 'Restore';
+BlocklyStorage.HISTORY_COMPARE = 'Compare';
+BlocklyStorage.HISTORY_CURRENT = 'Current workspace';
+BlocklyStorage.HISTORY_EMPTY = 'No versions have been saved.';
+BlocklyStorage.HISTORY_DIFF = '%1 added, %2 removed, %3 changed';
+
+/**
+ * Show the history of this page's workspace in a panel: a list of versions
+ * to restore, a form to save a named version, and a comparison of any two
+ * versions.
+ * @param {!Element} container Element to hold the panel.  Emptied first.
+ */
+BlocklyStorage.showHistory = function(container) {
+  function element(tag, opt_text, opt_parent) {
+    var node = document.createElement(tag);
+    if (opt_text) {
+      node.appendChild(document.createTextNode(opt_text));
+    }
+    (opt_parent || container).appendChild(node);
+    return node;
+  }
+  function label(version) {
+    var text = new Date(version['time']).toLocaleString();
+    return version['name'] ? version['name'] + ' (' + text + ')' : text;
+  }
+  function refresh(error) {
+    if (error) {
+      BlocklyStorage.alert(error.message);
+    }
+    BlocklyStorage.showHistory(container);
+  }
+  container.innerHTML = '';
+  container.className = 'blocklyHistory';
+
+  var form = element('p');
+  var nameInput = element('input', null, form);
+  nameInput.type = 'text';
+  nameInput.placeholder = BlocklyStorage.HISTORY_NAME;
+  element('button', BlocklyStorage.HISTORY_SAVE, form).onclick = function() {
+    BlocklyStorage.saveVersion(nameInput.value || undefined, refresh);
+  };
+
+  var key = BlocklyStorage.historyKey_();
+  BlocklyStorage.historyProvider.versions(key, function(error, versions) {
+    if (error) {
+      element('p', error.message);
+      return;
+    }
+    if (!versions.length) {
+      element('p', BlocklyStorage.HISTORY_EMPTY);
+      return;
+    }
+    var list = element('ul');
+    var compare = element('p');
+    var fromMenu = element('select', null, compare);
+    var toMenu = element('select', null, compare);
+    var diffDiv = element('div');
+    diffDiv.className = 'blocklyHistoryDiff';
+    element('option', BlocklyStorage.HISTORY_CURRENT, toMenu).value = '';
+    for (var i = versions.length - 1; i >= 0; i--) {
+      var version = versions[i];
+      var item = element('li', label(version) + ' ', list);
+      var restore = element('button', BlocklyStorage.HISTORY_RESTORE, item);
+      restore.onclick = BlocklyStorage.restoreVersion.bind(null,
+          version['version'], refresh);
+      element('option', label(version), fromMenu).value = version['version'];
+      element('option', label(version), toMenu).value = version['version'];
+    }
+    element('button', BlocklyStorage.HISTORY_COMPARE, compare).onclick =
+        function() {
+          BlocklyStorage.historyProvider.load(key, function(error, fromXml) {
+            if (error || !toMenu.value) {
+              showDiff(error, fromXml, BlocklyStorage.workspaceXml_());
+              return;
+            }
+            BlocklyStorage.historyProvider.load(key, function(error, toXml) {
+              showDiff(error, fromXml, toXml);
+            }, Number(toMenu.value));
+          }, Number(fromMenu.value));
+        };
+    function showDiff(error, fromXml, toXml) {
+      diffDiv.innerHTML = '';
+      if (error) {
+        element('p', error.message, diffDiv);
+        return;
+      }
+      var diff = BlocklyStorage.diffXml(fromXml || '<xml></xml>',
+          toXml || '<xml></xml>');
+      element('p', BlocklyStorage.HISTORY_DIFF
+          .replace('%1', diff['added'].length)
+          .replace('%2', diff['removed'].length)
+          .replace('%3', diff['changed'].length), diffDiv);
+      var changes = element('ul', null, diffDiv);
+      var kinds = [['added', '+ ', 'blocklyHistoryAdded'],
+                   ['removed', '- ', 'blocklyHistoryRemoved'],
+                   ['changed', '~ ', 'blocklyHistoryChanged']];
+      for (var i = 0; i < kinds.length; i++) {
+        var blocks = diff[kinds[i][0]];
+        for (var j = 0; j < blocks.length; j++) {
+          var change = element('li', kinds[i][1] + blocks[j]['type'] + ' #' +
+              blocks[j]['id'], changes);
+          change.className = kinds[i][2];
+        }
+      }
+    }
+  });
 };
 
 /**
@@ -169,6 +1066,7 @@ BlocklyStorage.loadXml_ = function(xml) {
   // Clear the workspace to avoid merge.
   Blockly.getMainWorkspace().clear();
   Blockly.Xml.domToWorkspace(Blockly.getMainWorkspace(), xml);
+  Blockly.getMainWorkspace().clearUndo();
 };
 
 /**
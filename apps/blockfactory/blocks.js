@@ -33,6 +33,9 @@ Blockly.Blocks['factory_base'] = {
     this.appendStatementInput('INPUTS')
         .setCheck('Input')
         .appendField('inputs');
+    this.appendValueInput('MUTATOR')
+        .setCheck('Mutator')
+        .appendField('mutator');
     var dropdown = new Blockly.FieldDropdown([
         ['external inputs', 'EXT'],
         ['inline inputs', 'INT']]);
@@ -45,40 +48,7 @@ Blockly.Blocks['factory_base'] = {
         ['top connection', 'TOP'],
         ['bottom connection', 'BOTTOM']],
         function(option) {
-          var block = this.sourceBlock_;
-          var outputExists = block.getInput('OUTPUTTYPE');
-          var topExists = block.getInput('TOPTYPE');
-          var bottomExists = block.getInput('BOTTOMTYPE');
-          if (option == 'LEFT') {
-            if (!outputExists) {
-              block.appendValueInput('OUTPUTTYPE')
-                  .setCheck('Type')
-                  .appendField('output type');
-              block.moveInputBefore('OUTPUTTYPE', 'COLOUR');
-            }
-          } else if (outputExists) {
-            block.removeInput('OUTPUTTYPE');
-          }
-          if (option == 'TOP' || option == 'BOTH') {
-            if (!topExists) {
-              block.appendValueInput('TOPTYPE')
-                  .setCheck('Type')
-                  .appendField('top type');
-              block.moveInputBefore('TOPTYPE', 'COLOUR');
-            }
-          } else if (topExists) {
-            block.removeInput('TOPTYPE');
-          }
-          if (option == 'BOTTOM' || option == 'BOTH') {
-            if (!bottomExists) {
-              block.appendValueInput('BOTTOMTYPE')
-                  .setCheck('Type')
-                  .appendField('bottom type');
-              block.moveInputBefore('BOTTOMTYPE', 'COLOUR');
-            }
-          } else if (bottomExists) {
-            block.removeInput('BOTTOMTYPE');
-          }
+          this.sourceBlock_.updateShape_(option);
         });
     this.appendDummyInput()
         .appendField(dropdown, 'CONNECTIONS');
@@ -95,6 +65,51 @@ Blockly.Blocks['factory_base'] = {
     */
     this.setTooltip('Build a custom block by plugging\n' +
                     'fields, inputs and other blocks here.');
+  },
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('connections',
+        this.getFieldValue('CONNECTIONS'));
+    return container;
+  },
+  domToMutation: function(container) {
+    // Add the type inputs before their blocks are connected.
+    this.updateShape_(container.getAttribute('connections'));
+  },
+  updateShape_: function(option) {
+    var outputExists = this.getInput('OUTPUTTYPE');
+    var topExists = this.getInput('TOPTYPE');
+    var bottomExists = this.getInput('BOTTOMTYPE');
+    if (option == 'LEFT') {
+      if (!outputExists) {
+        this.appendValueInput('OUTPUTTYPE')
+            .setCheck('Type')
+            .appendField('output type');
+        this.moveInputBefore('OUTPUTTYPE', 'COLOUR');
+      }
+    } else if (outputExists) {
+      this.removeInput('OUTPUTTYPE');
+    }
+    if (option == 'TOP' || option == 'BOTH') {
+      if (!topExists) {
+        this.appendValueInput('TOPTYPE')
+            .setCheck('Type')
+            .appendField('top type');
+        this.moveInputBefore('TOPTYPE', 'COLOUR');
+      }
+    } else if (topExists) {
+      this.removeInput('TOPTYPE');
+    }
+    if (option == 'BOTTOM' || option == 'BOTH') {
+      if (!bottomExists) {
+        this.appendValueInput('BOTTOMTYPE')
+            .setCheck('Type')
+            .appendField('bottom type');
+        this.moveInputBefore('BOTTOMTYPE', 'COLOUR');
+      }
+    } else if (bottomExists) {
+      this.removeInput('BOTTOMTYPE');
+    }
   }
 };
 
@@ -276,12 +291,13 @@ Blockly.Blocks['field_dropdown'] = {
     }
   },
   decompose: function(workspace) {
-    var containerBlock = new Blockly.Block(workspace,
-                                           'field_dropdown_container');
+    var containerBlock = Blockly.Block.obtain(workspace,
+                                              'field_dropdown_container');
     containerBlock.initSvg();
     var connection = containerBlock.getInput('STACK').connection;
     for (var x = 0; x < this.optionCount_; x++) {
-      var optionBlock = new Blockly.Block(workspace, 'field_dropdown_option');
+      var optionBlock = Blockly.Block.obtain(workspace,
+                                             'field_dropdown_option');
       optionBlock.initSvg();
       connection.connect(optionBlock.previousConnection);
       connection = optionBlock.nextConnection;
@@ -450,6 +466,79 @@ Blockly.Blocks['field_image'] = {
   }
 };
 
+Blockly.Blocks['field_dropdown_dynamic'] = {
+  // Dropdown menu with options supplied by the host application.
+  init: function() {
+    this.setColour(160);
+    this.appendDummyInput()
+        .appendField('dynamic dropdown')
+        .appendField(new Blockly.FieldTextInput('menu'), 'MENU')
+        .appendField(',')
+        .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip('Dropdown menu whose options the host\n' +
+                    'application supplies for this menu name.');
+  },
+  onchange: function() {
+    if (!this.workspace) {
+      // Block has been deleted.
+      return;
+    }
+    fieldNameCheck(this);
+  }
+};
+
+Blockly.Blocks['field_icon'] = {
+  // Round icon.
+  init: function() {
+    this.setColour(160);
+    var src = 'http://www.gstatic.com/codesite/ph/images/star_on.gif';
+    this.appendDummyInput()
+        .appendField('icon')
+        .appendField(new Blockly.FieldTextInput(src), 'SRC');
+    this.appendDummyInput()
+        .appendField('alt text')
+        .appendField(new Blockly.FieldTextInput('*'), 'ALT');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip('Static image in a round badge.\n' +
+                    'Alt text is for when collapsed.');
+  }
+};
+
+Blockly.Blocks['mutator_repeat'] = {
+  // Mutator which adds and removes a repeated input.
+  init: function() {
+    this.setColour(290);
+    this.appendDummyInput()
+        .appendField('repeat')
+        .appendField(new Blockly.FieldDropdown([
+            ['value input', 'VALUE'],
+            ['statement input', 'STATEMENT']]), 'INPUTTYPE')
+        .appendField(new Blockly.FieldTextInput('ITEM'), 'INPUTNAME');
+    this.appendDummyInput()
+        .appendField('starting with')
+        .appendField(new Blockly.FieldTextInput('2',
+            Blockly.FieldTextInput.nonnegativeIntegerValidator), 'COUNT')
+        .appendField('inputs');
+    this.appendDummyInput()
+        .appendField('container label')
+        .appendField(new Blockly.FieldTextInput('items'), 'CONTAINER');
+    this.appendDummyInput()
+        .appendField('item label')
+        .appendField(new Blockly.FieldTextInput('item'), 'ITEM');
+    this.appendValueInput('TYPE')
+        .setCheck('Type')
+        .setAlign(Blockly.ALIGN_RIGHT)
+        .appendField('type');
+    this.setOutput(true, 'Mutator');
+    this.setTooltip('Let the user add and remove copies of an input\n' +
+                    'by dragging item blocks in a mutator.\n' +
+                    'The inputs are named ITEM0, ITEM1, ...');
+  }
+};
+
 Blockly.Blocks['type_group'] = {
   // Group of types.
   init: function() {
@@ -483,12 +572,12 @@ Blockly.Blocks['type_group'] = {
     }
   },
   decompose: function(workspace) {
-    var containerBlock = new Blockly.Block(workspace,
-                                           'type_group_container');
+    var containerBlock = Blockly.Block.obtain(workspace,
+                                              'type_group_container');
     containerBlock.initSvg();
     var connection = containerBlock.getInput('STACK').connection;
     for (var x = 0; x < this.typeCount_; x++) {
-      var typeBlock = new Blockly.Block(workspace, 'type_group_item');
+      var typeBlock = Blockly.Block.obtain(workspace, 'type_group_item');
       typeBlock.initSvg();
       connection.connect(typeBlock.previousConnection);
       connection = typeBlock.nextConnection;
@@ -640,7 +729,10 @@ Blockly.Blocks['colour_hue'] = {
   },
   validator: function(text) {
     // Update the current block's colour to match.
-    this.sourceBlock_.setColour(text);
+    // Blocks on a headless workspace don't attach their fields.
+    if (this.sourceBlock_) {
+      this.sourceBlock_.setColour(text);
+    }
   }
 };
 
@@ -47,29 +47,48 @@ function initPreview(updateFunc) {
  * When the workspace changes, update the three other displays.
  */
 function onchange() {
-  var name = rootBlock.getFieldValue('NAME');
-  blockType = name.replace(/\W/g, '_').replace(/^(\d)/, '_\\1').toLowerCase();
-  if (!blockType) {
-    blockType = 'unnamed';
-  }
+  blockType = getBlockType(rootBlock);
   updateLanguage();
   updateGenerator();
+  updateValidation();
   updatePreview();
 }
 
+/**
+ * Get the type of the block built on a root block, from its name.
+ * @param {!Blockly.Block} root Root block of a factory workspace.
+ * @return {string} Block type.
+ */
+function getBlockType(root) {
+  var name = root.getFieldValue('NAME');
+  var type = name.replace(/\W/g, '_').replace(/^(\d)/, '_\\1').toLowerCase();
+  return type || 'unnamed';
+}
+
 /**
  * Update the language code.
  */
 function updateLanguage() {
+  injectCode(getLanguageCode(rootBlock), 'languagePre');
+}
+
+/**
+ * Generate the language code for the block built on a root block.
+ * @param {!Blockly.Block} root Root block of a factory workspace.
+ * @return {!Array.<string>} Lines of JavaScript code.
+ */
+function getLanguageCode(root) {
+  var blockType = getBlockType(root);
   // Generate name.
   var code = [];
   code.push("Blockly.Blocks['" + blockType + "'] = {");
   code.push("  init: function() {");
   code.push("    this.setHelpUrl('http://www.example.com/');");
   // Generate colour.
-  var colourBlock = rootBlock.getInputTargetBlock('COLOUR');
+  var colourBlock = root.getInputTargetBlock('COLOUR');
+  var hue = NaN;
   if (colourBlock) {
-    var hue = parseInt(colourBlock.getFieldValue('HUE'), 10);
+    hue = parseInt(colourBlock.getFieldValue('HUE'), 10);
     code.push('    this.setColour(' + hue + ');');
   }
   // Generate inputs.
@@ -77,7 +96,7 @@ function updateLanguage() {
                'input_statement': 'appendStatementInput',
                'input_dummy': 'appendDummyInput'};
   var inputVarDefined = false;
-  var contentsBlock = rootBlock.getInputTargetBlock('INPUTS');
+  var contentsBlock = root.getInputTargetBlock('INPUTS');
   while (contentsBlock) {
     var align = contentsBlock.getFieldValue('ALIGN');
     var fields = getFields(contentsBlock.getInputTargetBlock('FIELDS'));
@@ -104,41 +123,173 @@ function updateLanguage() {
         contentsBlock.nextConnection.targetBlock();
   }
   // Generate inline/external switch.
-  if (rootBlock.getFieldValue('INLINE') == 'INT') {
+  if (root.getFieldValue('INLINE') == 'INT') {
     code.push('    this.setInputsInline(true);');
   }
   // Generate output, or next/previous connections.
-  switch (rootBlock.getFieldValue('CONNECTIONS')) {
+  switch (root.getFieldValue('CONNECTIONS')) {
     case 'LEFT':
-      code.push(connectionLine_('setOutput', 'OUTPUTTYPE'));
+      code.push(connectionLine_(root, 'setOutput', 'OUTPUTTYPE'));
       break;
     case 'BOTH':
-      code.push(connectionLine_('setPreviousStatement', 'TOPTYPE'));
-      code.push(connectionLine_('setNextStatement', 'BOTTOMTYPE'));
+      code.push(connectionLine_(root, 'setPreviousStatement', 'TOPTYPE'));
+      code.push(connectionLine_(root, 'setNextStatement', 'BOTTOMTYPE'));
       break;
     case 'TOP':
-      code.push(connectionLine_('setPreviousStatement', 'TOPTYPE'));
+      code.push(connectionLine_(root, 'setPreviousStatement', 'TOPTYPE'));
       break;
     case 'BOTTOM':
-      code.push(connectionLine_('setNextStatement', 'BOTTOMTYPE'));
+      code.push(connectionLine_(root, 'setNextStatement', 'BOTTOMTYPE'));
       break;
   }
+  // Generate the mutator's repeated inputs.
+  var mutatorBlock = root.getInputTargetBlock('MUTATOR');
+  if (mutatorBlock) {
+    var count = parseInt(mutatorBlock.getFieldValue('COUNT'), 10) || 0;
+    code.push('    this.itemCount_ = ' + count + ';');
+    code.push('    this.updateShape_();');
+    code.push("    this.setMutator(new Blockly.Mutator([" +
+        escapeString(blockType + '_item') + "]));");
+  }
   code.push("    this.setTooltip('');");
+  if (mutatorBlock) {
+    code.push("  },");
+    code = code.concat(getMutatorCode_(mutatorBlock, blockType, hue));
+  } else {
+    code.push("  }");
+    code.push("};");
+  }
+  return code;
+}
+
+/**
+ * Generate the methods of a block with a mutator, and the blocks shown in
+ * its mutator.
+ * @param {!Blockly.Block} mutatorBlock Block describing the mutator.
+ * @param {string} blockType Type of the block with the mutator.
+ * @param {number} hue Colour of the block, or NaN if it has none.
+ * @return {!Array.<string>} Lines of JavaScript code, continuing the
+ *     block's definition after its init function.
+ * @private
+ */
+function getMutatorCode_(mutatorBlock, blockType, hue) {
+  var name = mutatorBlock.getFieldValue('INPUTNAME');
+  var isValue = mutatorBlock.getFieldValue('INPUTTYPE') == 'VALUE';
+  var check = getOptTypesFrom(mutatorBlock, 'TYPE');
+  var containerType = escapeString(blockType + '_container');
+  var itemType = escapeString(blockType + '_item');
+  var code = [];
+  code.push("  mutationToDom: function() {");
+  code.push("    var container = document.createElement('mutation');");
+  code.push("    container.setAttribute('items', this.itemCount_);");
+  code.push("    return container;");
+  code.push("  },");
+  code.push("  domToMutation: function(xmlElement) {");
+  code.push("    this.itemCount_ = " +
+      "parseInt(xmlElement.getAttribute('items'), 10);");
+  code.push("    this.updateShape_();");
+  code.push("  },");
+  code.push("  decompose: function(workspace) {");
+  code.push("    var containerBlock = Blockly.Block.obtain(workspace, " +
+      containerType + ");");
+  code.push("    containerBlock.initSvg();");
+  code.push("    var connection = containerBlock.getInput('STACK')" +
+      ".connection;");
+  code.push("    for (var i = 0; i < this.itemCount_; i++) {");
+  code.push("      var itemBlock = Blockly.Block.obtain(workspace, " +
+      itemType + ");");
+  code.push("      itemBlock.initSvg();");
+  code.push("      connection.connect(itemBlock.previousConnection);");
+  code.push("      connection = itemBlock.nextConnection;");
+  code.push("    }");
+  code.push("    return containerBlock;");
+  code.push("  },");
+  code.push("  compose: function(containerBlock) {");
+  code.push("    // Count the items, and reconnect any child blocks.");
+  code.push("    var itemBlock = containerBlock.getInputTargetBlock('STACK');");
+  code.push("    var connections = [];");
+  code.push("    while (itemBlock) {");
+  code.push("      connections.push(itemBlock.valueConnection_);");
+  code.push("      itemBlock = itemBlock.nextConnection &&");
+  code.push("          itemBlock.nextConnection.targetBlock();");
+  code.push("    }");
+  code.push("    this.itemCount_ = connections.length;");
+  code.push("    this.updateShape_();");
+  code.push("    for (var i = 0; i < this.itemCount_; i++) {");
+  code.push("      if (connections[i]) {");
+  code.push("        this.getInput(" + escapeString(name) +
+      " + i).connection.connect(connections[i]);");
+  code.push("      }");
+  code.push("    }");
+  code.push("  },");
+  code.push("  saveConnections: function(containerBlock) {");
+  code.push("    // Remember the child block of each item's input.");
+  code.push("    var itemBlock = containerBlock.getInputTargetBlock('STACK');");
+  code.push("    var i = 0;");
+  code.push("    while (itemBlock) {");
+  code.push("      var input = this.getInput(" + escapeString(name) + " + i);");
+  code.push("      itemBlock.valueConnection_ =");
+  code.push("          input && input.connection.targetConnection;");
+  code.push("      i++;");
+  code.push("      itemBlock = itemBlock.nextConnection &&");
+  code.push("          itemBlock.nextConnection.targetBlock();");
+  code.push("    }");
+  code.push("  },");
+  code.push("  updateShape_: function() {");
+  code.push("    // Remove all the repeated inputs, then add one per item.");
+  code.push("    for (var i = 0; this.getInput(" + escapeString(name) +
+      " + i); i++) {");
+  code.push("      this.removeInput(" + escapeString(name) + " + i);");
+  code.push("    }");
+  code.push("    for (var i = 0; i < this.itemCount_; i++) {");
+  code.push("      this." + (isValue ? 'appendValueInput' :
+      'appendStatementInput') + "(" + escapeString(name) + " + i)" +
+      (check && check != 'null' ? '.setCheck(' + check + ')' : '') + ";");
+  code.push("    }");
   code.push("  }");
   code.push("};");
-
-  injectCode(code, 'languagePre');
+  code.push("");
+  code.push("Blockly.Blocks['" + blockType + "_container'] = {");
+  code.push("  init: function() {");
+  if (!isNaN(hue)) {
+    code.push('    this.setColour(' + hue + ');');
+  }
+  code.push("    this.appendDummyInput()");
+  code.push("        .appendField(" +
+      escapeString(mutatorBlock.getFieldValue('CONTAINER')) + ");");
+  code.push("    this.appendStatementInput('STACK');");
+  code.push("    this.setTooltip('');");
+  code.push("    this.contextMenu = false;");
+  code.push("  }");
+  code.push("};");
+  code.push("");
+  code.push("Blockly.Blocks['" + blockType + "_item'] = {");
+  code.push("  init: function() {");
+  if (!isNaN(hue)) {
+    code.push('    this.setColour(' + hue + ');');
+  }
+  code.push("    this.appendDummyInput()");
+  code.push("        .appendField(" +
+      escapeString(mutatorBlock.getFieldValue('ITEM')) + ");");
+  code.push("    this.setPreviousStatement(true);");
+  code.push("    this.setNextStatement(true);");
+  code.push("    this.setTooltip('');");
+  code.push("    this.contextMenu = false;");
+  code.push("  }");
+  code.push("};");
+  return code;
 }
 
 /**
  * Create JS code required to create a top, bottom, or value connection.
+ * @param {!Blockly.Block} root Root block of a factory workspace.
  * @param {string} functionName JavaScript function name.
  * @param {string} typeName Name of type input.
  * @return {string} Line of JavaScript code to create connection.
  * @private
  */
-function connectionLine_(functionName, typeName) {
-  var type = getOptTypesFrom(rootBlock, typeName);
+function connectionLine_(root, functionName, typeName) {
+  var type = getOptTypesFrom(root, typeName);
   if (type) {
     type = ', ' + type;
   }
@@ -204,6 +355,18 @@ function getFields(block) {
               escapeString(block.getFieldValue('FIELDNAME')));
         }
         break;
+      case 'field_dropdown_dynamic':
+        // Result: new Blockly.FieldDropdownDynamic('spritesWithMouse'), 'OBJ'
+        fields.push('new Blockly.FieldDropdownDynamic(' +
+            escapeString(block.getFieldValue('MENU')) + '), ' +
+            escapeString(block.getFieldValue('FIELDNAME')));
+        break;
+      case 'field_icon':
+        // Result: new Blockly.FieldIcon('http://...', '*')
+        fields.push('new Blockly.FieldIcon(' +
+            escapeString(block.getFieldValue('SRC')) + ', ' +
+            escapeString(block.getFieldValue('ALT')) + ')');
+        break;
       case 'field_image':
         // Result: new Blockly.FieldImage('http://...', 80, 60)
         var src = escapeString(block.getFieldValue('SRC'));
@@ -289,15 +452,26 @@ function getTypesFrom_(block, name) {
  * Update the generator code.
  */
 function updateGenerator() {
+  var language = document.getElementById('language').value;
+  injectCode(getGeneratorStub(rootBlock, language), 'generatorPre');
+}
+
+/**
+ * Generate a generator stub for the block built on a root block.
+ * @param {!Blockly.Block} root Root block of a factory workspace.
+ * @param {string} language Name of the generator (e.g. 'JavaScript').
+ * @return {!Array.<string>} Lines of JavaScript code.
+ */
+function getGeneratorStub(root, language) {
   function makeVar(root, name) {
     name = name.toLowerCase().replace(/\W/g, '_');
     return '  var ' + root + '_' + name;
   }
-  var language = document.getElementById('language').value;
   var code = [];
-  code.push("Blockly." + language + "['" + blockType + "'] = function(block) {");
+  code.push("Blockly." + language + "['" + getBlockType(root) +
+      "'] = function(block) {");
   // Loop through every block, and generate getters for any fields or inputs.
-  var blocks = rootBlock.getDescendants();
+  var blocks = root.getDescendants();
   for (var x = 0, block; block = blocks[x]; x++) {
     switch (block.type) {
       case 'field_input':
@@ -311,6 +485,7 @@ function updateGenerator() {
                   " = block.getFieldValue('" + name + "');");
         break;
       case 'field_dropdown':
+      case 'field_dropdown_dynamic':
         var name = block.getFieldValue('FIELDNAME');
         code.push(makeVar('dropdown', name) +
                   " = block.getFieldValue('" + name + "');");
@@ -341,22 +516,227 @@ function updateGenerator() {
       case 'input_statement':
         var name = block.getFieldValue('INPUTNAME');
         code.push(makeVar('statements', name) +
-                  " = Blockly.' + language + '.statementToCode(block, '" +
+                  " = Blockly." + language + ".statementToCode(block, '" +
                   name + "');");
         break;
+      case 'mutator_repeat':
+        var name = block.getFieldValue('INPUTNAME');
+        var isValue = block.getFieldValue('INPUTTYPE') == 'VALUE';
+        var variable = makeVar(isValue ? 'values' : 'statements', name);
+        code.push(variable + ' = [];');
+        code.push('  for (var i = 0; i < block.itemCount_; i++) {');
+        code.push('  ' + variable.replace('var ', '') + '.push(' +
+            (isValue ? "Blockly." + language + ".valueToCode(block, '" +
+                name + "' + i, Blockly." + language + ".ORDER_NONE)" :
+             "Blockly." + language + ".statementToCode(block, '" +
+                name + "' + i)") + ');');
+        code.push('  }');
+        break;
     }
   }
   code.push("  // TODO: Assemble " + language + " into code variable.");
   code.push("  var code = \'...\';");
-  if (rootBlock.getFieldValue('CONNECTIONS') == 'LEFT') {
+  if (root.getFieldValue('CONNECTIONS') == 'LEFT') {
     code.push("  // TODO: Change ORDER_NONE to the correct strength.");
     code.push("  return [code, Blockly." + language + ".ORDER_NONE];");
   } else {
     code.push("  return code;");
   }
   code.push("};");
+  return code;
+}
+
+/**
+ * Names of the generators that the factory writes stubs for.
+ */
+var GENERATOR_LANGUAGES = ['JavaScript', 'Python', 'Dart'];
+
+/**
+ * Run every generator stub for the block built on a root block.
+ * @param {!Blockly.Block} root Root block of a factory workspace.
+ * @return {!Array.<string>} Problems found, one sentence each.
+ */
+function checkStubs(root) {
+  var type = getBlockType(root);
+  var definition = getLanguageCode(root).join('\n');
+  var problems = [];
+  for (var x = 0; x < GENERATOR_LANGUAGES.length; x++) {
+    var language = GENERATOR_LANGUAGES[x];
+    var stub = getGeneratorStub(root, language).join('\n');
+    problems = problems.concat(
+        checkGenerator(definition, type, language, stub));
+  }
+  return problems;
+}
+
+/**
+ * Run a generator against a block with sample blocks in all its inputs, and
+ * check that it reads every field and input, uses valid operator orders and
+ * returns the right kind of code.
+ * @param {string} definition JavaScript code defining the block.
+ * @param {string} type Type of the block.
+ * @param {string} language Name of the generator (e.g. 'JavaScript').
+ * @param {string} code JavaScript code defining the block's generator.
+ * @return {!Array.<string>} Problems found, one sentence each.
+ */
+function checkGenerator(definition, type, language, code) {
+  var problems = [];
+  function report(message) {
+    problems.push(language + ': ' + message);
+  }
+  var generator = Blockly[language];
+  if (!generator) {
+    report('Generator is not loaded.');
+    return problems;
+  }
+  var orders = [];
+  for (var name in generator) {
+    if (name.substring(0, 6) == 'ORDER_') {
+      orders.push(generator[name]);
+    }
+  }
+  var oldBlocks = Blockly.Blocks;
+  var oldFuncs = {};
+  var FUNC_NAMES = [type, 'factory_sample_value', 'factory_sample_statement'];
+  for (var x = 0; x < FUNC_NAMES.length; x++) {
+    oldFuncs[FUNC_NAMES[x]] = generator[FUNC_NAMES[x]];
+  }
+  var workspace = Blockly.Workspace.createHeadless();
+  // Define the block apart from the factory's own blocks.
+  Blockly.Blocks = Object.create(null);
+  try {
+    eval(definition);
+    eval(code);
+    Blockly.Blocks['factory_sample_value'] = {
+      init: function() {
+        this.setOutput(true);
+      }
+    };
+    Blockly.Blocks['factory_sample_statement'] = {
+      init: function() {
+        this.setPreviousStatement(true);
+      }
+    };
+    generator['factory_sample_value'] = function(block) {
+      return ['sample', generator.ORDER_ATOMIC];
+    };
+    generator['factory_sample_statement'] = function(block) {
+      return 'sample;\n';
+    };
+    var block = Blockly.Block.obtain(workspace, type);
+    // Plug a sample block into every input.
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+      if (input.type == Blockly.INPUT_VALUE) {
+        var sample = Blockly.Block.obtain(workspace, 'factory_sample_value');
+        var check = input.connection.check_;
+        sample.setOutput(true, check ? check[0] : null);
+        input.connection.connect(sample.outputConnection);
+      } else if (input.type == Blockly.NEXT_STATEMENT) {
+        var sample = Blockly.Block.obtain(workspace,
+                                          'factory_sample_statement');
+        input.connection.connect(sample.previousConnection);
+      }
+    }
+    // Record which fields and inputs the generator reads.
+    var fieldsRead = {};
+    var inputsRead = {};
+    block.getFieldValue = function(name) {
+      fieldsRead[name] = true;
+      return Blockly.Block.prototype.getFieldValue.call(this, name);
+    };
+    generator.valueToCode = function(target, name, order) {
+      if (target == block) {
+        inputsRead[name] = Blockly.INPUT_VALUE;
+        if (orders.indexOf(order) == -1) {
+          report('valueToCode for input "' + name + '" is given an order ' +
+              'that is not one of Blockly.' + language + '.ORDER_*.');
+          order = generator.ORDER_NONE;
+        }
+      }
+      return Blockly.Generator.prototype.valueToCode.call(this, target, name,
+                                                          order);
+    };
+    generator.statementToCode = function(target, name) {
+      if (target == block) {
+        inputsRead[name] = Blockly.NEXT_STATEMENT;
+      }
+      return Blockly.Generator.prototype.statementToCode.call(this, target,
+                                                              name);
+    };
+    generator.init(workspace);
+    var result = generator[type].call(block, block);
+
+    if (block.outputConnection) {
+      if (!(result instanceof Array)) {
+        report('The block has an output, so the generator must return ' +
+            '[code, order].');
+      } else if (orders.indexOf(result[1]) == -1) {
+        report('The generator returns an order that is not one of ' +
+            'Blockly.' + language + '.ORDER_*.');
+      }
+    } else if (typeof result != 'string') {
+      report('The block has no output, so the generator must return ' +
+          'a string of code.');
+    }
+    for (var x = 0, input; input = block.inputList[x]; x++) {
+      if (input.type == Blockly.INPUT_VALUE &&
+          inputsRead[input.name] != Blockly.INPUT_VALUE) {
+        report('Input "' + input.name + '" is never read with valueToCode.');
+      } else if (input.type == Blockly.NEXT_STATEMENT &&
+          inputsRead[input.name] != Blockly.NEXT_STATEMENT) {
+        report('Input "' + input.name +
+            '" is never read with statementToCode.');
+      }
+      delete inputsRead[input.name];
+      for (var y = 0, field; field = input.fieldRow[y]; y++) {
+        if (field.name && field.EDITABLE && !fieldsRead[field.name]) {
+          report('Field "' + field.name + '" is never read.');
+        }
+      }
+    }
+    for (var name in inputsRead) {
+      report('The generator reads input "' + name +
+          '", which the block does not have.');
+    }
+  } catch (e) {
+    report('The generator failed: ' + e);
+  } finally {
+    Blockly.Blocks = oldBlocks;
+    // Uncover the generator's own methods.
+    delete generator.valueToCode;
+    delete generator.statementToCode;
+    for (var name in oldFuncs) {
+      if (oldFuncs[name]) {
+        generator[name] = oldFuncs[name];
+      } else {
+        delete generator[name];
+      }
+    }
+    workspace.dispose();
+  }
+  return problems;
+}
 
-  injectCode(code, 'generatorPre');
+/**
+ * Check the generator stubs of the block being edited, and list any
+ * problems below the stub.
+ */
+function updateValidation() {
+  var problems = checkStubs(rootBlock);
+  var div = document.getElementById('validation');
+  div.innerHTML = '';
+  if (!problems.length) {
+    div.className = 'valid';
+    div.textContent = 'Generator stubs pass for ' +
+        GENERATOR_LANGUAGES.join(', ') + '.';
+    return;
+  }
+  div.className = 'invalid';
+  for (var x = 0; x < problems.length; x++) {
+    var line = document.createElement('div');
+    line.textContent = problems[x];
+    div.appendChild(line);
+  }
 }
 
 var oldDir = 'ltr';
@@ -389,6 +769,388 @@ function injectCode(code, id) {
   pre.innerHTML = code;
 }
 
+/**
+ * Name of the localStorage item holding the block library.
+ */
+var LIBRARY_KEY = 'blockFactoryLibrary';
+
+/**
+ * Load the block library.
+ * @return {!Object.<string, string>} Map of block types to the XML text of
+ *     the factory workspaces that build them.
+ */
+function loadLibrary() {
+  try {
+    var text = window.localStorage.getItem(LIBRARY_KEY);
+    return text ? JSON.parse(text) : {};
+  } catch (e) {
+    // localStorage may be disabled, or hold a corrupt library.
+    return {};
+  }
+}
+
+/**
+ * Save the block library and update the controls listing it.
+ * @param {!Object.<string, string>} library Map of block types to XML text.
+ */
+function saveLibrary(library) {
+  try {
+    window.localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+  } catch (e) {
+    alert('Unable to save the library:\n' + e);
+  }
+  updateLibrary();
+}
+
+/**
+ * Save the block being edited to the library, replacing any block of the
+ * same type.
+ */
+function saveToLibrary() {
+  var library = loadLibrary();
+  var xml = Blockly.Xml.workspaceToDom(Blockly.mainWorkspace);
+  library[blockType] = Blockly.Xml.domToText(xml);
+  saveLibrary(library);
+}
+
+/**
+ * Delete the block selected in the library menu from the library.
+ */
+function removeFromLibrary() {
+  var type = document.getElementById('libraryMenu').value;
+  var library = loadLibrary();
+  if (type && confirm('Delete "' + type + '" from the library?')) {
+    delete library[type];
+    saveLibrary(library);
+  }
+}
+
+/**
+ * Open the block selected in the library menu for editing.
+ */
+function openFromLibrary() {
+  var type = document.getElementById('libraryMenu').value;
+  var xml = loadLibrary()[type];
+  if (xml) {
+    loadFactory(Blockly.Xml.textToDom(xml));
+  }
+}
+
+/**
+ * Replace the factory workspace with new blocks.
+ * @param {Element} xml XML of a factory workspace, or null for a new block.
+ */
+function loadFactory(xml) {
+  Blockly.mainWorkspace.clear();
+  rootBlock = null;
+  if (xml) {
+    Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+    rootBlock = findRootBlock(Blockly.mainWorkspace);
+  }
+  if (rootBlock) {
+    rootBlock.setMovable(false);
+    rootBlock.setDeletable(false);
+  } else {
+    createRootBlock();
+  }
+  Blockly.mainWorkspace.clearUndo();
+  onchange();
+}
+
+/**
+ * Create the uneditable container block that everything else attaches to.
+ */
+function createRootBlock() {
+  rootBlock = Blockly.Block.obtain(Blockly.mainWorkspace, 'factory_base');
+  rootBlock.initSvg();
+  rootBlock.render();
+  rootBlock.setMovable(false);
+  rootBlock.setDeletable(false);
+}
+
+/**
+ * Find the root block of a factory workspace.
+ * @param {!Blockly.Workspace} workspace Factory workspace.
+ * @return {Blockly.Block} Root block, or null if there is none.
+ */
+function findRootBlock(workspace) {
+  var blocks = workspace.getTopBlocks(false);
+  for (var x = 0, block; block = blocks[x]; x++) {
+    if (block.type == 'factory_base') {
+      return block;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate a JavaScript file with the definitions of every block in the
+ * library, each followed by generator stubs for every language.
+ * @param {!Object.<string, string>} library Map of block types to XML text.
+ * @return {string} JavaScript code.
+ */
+function getLibraryCode(library) {
+  var code = [];
+  var types = Object.keys(library).sort();
+  for (var x = 0; x < types.length; x++) {
+    var workspace = Blockly.Workspace.createHeadless();
+    Blockly.Xml.domToWorkspace(workspace,
+        Blockly.Xml.textToDom(library[types[x]]));
+    var root = findRootBlock(workspace);
+    if (root) {
+      code.push(getLanguageCode(root).join('\n'));
+      for (var y = 0; y < GENERATOR_LANGUAGES.length; y++) {
+        code.push(getGeneratorStub(root, GENERATOR_LANGUAGES[y]).join('\n'));
+      }
+    }
+    workspace.dispose();
+  }
+  return code.join('\n\n') + '\n';
+}
+
+/**
+ * List the library's blocks in the library menu, and point the export link
+ * at the library's code.
+ */
+function updateLibrary() {
+  var library = loadLibrary();
+  var menu = document.getElementById('libraryMenu');
+  menu.innerHTML = '';
+  var types = Object.keys(library).sort();
+  for (var x = 0; x < types.length; x++) {
+    var option = document.createElement('option');
+    option.value = types[x];
+    option.textContent = types[x];
+    menu.appendChild(option);
+  }
+  menu.value = library[blockType] ? blockType : '';
+  document.getElementById('exportLink').href =
+      'data:application/javascript;charset=utf-8,' +
+      encodeURIComponent(getLibraryCode(library));
+}
+
+/**
+ * Import block definitions (code assigning to Blockly.Blocks) into the
+ * library, as factory blocks that build each block.  Open the first one.
+ * @param {string} code JavaScript code defining blocks.
+ */
+function importDefinitions(code) {
+  var oldBlocks = Blockly.Blocks;
+  var workspace = Blockly.Workspace.createHeadless();
+  var json = [];
+  // Define the blocks apart from the factory's own blocks, which may share
+  // their names.
+  Blockly.Blocks = Object.create(null);
+  try {
+    eval(code);
+    for (var type in Blockly.Blocks) {
+      var block = Blockly.Block.obtain(workspace, type);
+      json.push(blockToFactoryJson(block));
+    }
+  } catch (e) {
+    alert('Unable to import blocks:\n' + e);
+    return;
+  } finally {
+    Blockly.Blocks = oldBlocks;
+    workspace.dispose();
+  }
+  var library = loadLibrary();
+  for (var x = 0; x < json.length; x++) {
+    var xml = Blockly.Json.jsonToDom({'blocks': [json[x]]});
+    library[json[x]['fields']['NAME']] = Blockly.Xml.domToText(xml);
+    if (x == 0) {
+      loadFactory(xml);
+    }
+  }
+  saveLibrary(library);
+}
+
+/**
+ * Import block definitions from the file chosen in the import control.
+ */
+function importFile() {
+  var file = document.getElementById('importFile').files[0];
+  if (file) {
+    var reader = new FileReader();
+    reader.onload = function() {
+      importDefinitions(reader.result);
+    };
+    reader.readAsText(file);
+  }
+  // Allow the same file to be chosen again.
+  document.getElementById('importFile').value = '';
+}
+
+/**
+ * Describe a block as the factory blocks that would build it.
+ * @param {!Blockly.Block} block Block to describe.
+ * @return {!Object} JSON of a factory_base block, for Blockly.Json.
+ */
+function blockToFactoryJson(block) {
+  var connections = 'NONE';
+  var values = {};
+  if (block.outputConnection) {
+    connections = 'LEFT';
+    values['OUTPUTTYPE'] = typesToFactoryJson(block.outputConnection.check_);
+  } else {
+    if (block.previousConnection) {
+      connections = 'TOP';
+      values['TOPTYPE'] = typesToFactoryJson(block.previousConnection.check_);
+    }
+    if (block.nextConnection) {
+      connections = (connections == 'TOP') ? 'BOTH' : 'BOTTOM';
+      values['BOTTOMTYPE'] = typesToFactoryJson(block.nextConnection.check_);
+    }
+  }
+  if (block.getColour() !== undefined) {
+    values['COLOUR'] = {'type': 'colour_hue',
+                        'fields': {'HUE': String(block.getColour())}};
+  }
+  for (var name in values) {
+    if (!values[name]) {
+      delete values[name];
+    }
+  }
+  var ALIGN = {};
+  ALIGN[Blockly.ALIGN_LEFT] = 'LEFT';
+  ALIGN[Blockly.ALIGN_RIGHT] = 'RIGHT';
+  ALIGN[Blockly.ALIGN_CENTRE] = 'CENTRE';
+  var inputs = [];
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    var inputJson = {'fields': {'ALIGN': ALIGN[input.align]}, 'values': {}};
+    if (input.type == Blockly.DUMMY_INPUT) {
+      inputJson['type'] = 'input_dummy';
+    } else {
+      inputJson['type'] = (input.type == Blockly.INPUT_VALUE) ?
+          'input_value' : 'input_statement';
+      inputJson['fields']['INPUTNAME'] = input.name;
+      var types = typesToFactoryJson(input.connection.check_);
+      if (types) {
+        inputJson['values']['TYPE'] = types;
+      }
+    }
+    var fields = [];
+    for (var y = 0, field; field = input.fieldRow[y]; y++) {
+      var fieldJson = fieldToFactoryJson(field);
+      if (fieldJson) {
+        fields.push(fieldJson);
+      }
+    }
+    if (fields.length) {
+      inputJson['statements'] = {'FIELDS': chainFactoryJson(fields)};
+    }
+    inputs.push(inputJson);
+  }
+  var json = {
+    'type': 'factory_base',
+    'mutation': {'connections': connections},
+    'fields': {
+      'NAME': block.type,
+      'INLINE': block.inputsInline ? 'INT' : 'EXT',
+      'CONNECTIONS': connections
+    },
+    'values': values,
+    'movable': false,
+    'deletable': false,
+    'x': 10,
+    'y': 10
+  };
+  if (inputs.length) {
+    json['statements'] = {'INPUTS': chainFactoryJson(inputs)};
+  }
+  return json;
+}
+
+/**
+ * Link a list of factory blocks into a stack.
+ * @param {!Array.<!Object>} blocks JSON of each block, in order.
+ * @return {!Object} JSON of the first block.
+ */
+function chainFactoryJson(blocks) {
+  for (var x = 1; x < blocks.length; x++) {
+    blocks[x - 1]['next'] = blocks[x];
+  }
+  return blocks[0];
+}
+
+/**
+ * Describe a connection's type check as factory type blocks.
+ * @param {Array.<string>} check Types allowed, or null for any type.
+ * @return {Object} JSON of a type block, or null if any type is allowed.
+ */
+function typesToFactoryJson(check) {
+  var TYPES = {'Boolean': 'type_boolean', 'Number': 'type_number',
+               'String': 'type_string', 'Array': 'type_list'};
+  if (!check || !check.length) {
+    return null;
+  }
+  var blocks = [];
+  for (var x = 0; x < check.length; x++) {
+    blocks.push(TYPES[check[x]] ? {'type': TYPES[check[x]]} :
+        {'type': 'type_other', 'fields': {'TYPE': check[x]}});
+  }
+  if (blocks.length == 1) {
+    return blocks[0];
+  }
+  var group = {'type': 'type_group', 'mutation': {'types': blocks.length},
+               'values': {}};
+  for (var x = 0; x < blocks.length; x++) {
+    group['values']['TYPE' + x] = blocks[x];
+  }
+  return group;
+}
+
+/**
+ * Describe a field as a factory field block.
+ * @param {!Blockly.Field} field Field to describe.
+ * @return {Object} JSON of a field block, or null if the field is not one
+ *     the factory can build.
+ */
+function fieldToFactoryJson(field) {
+  var name = field.name;
+  // Check subclasses before their superclasses.
+  if (field instanceof Blockly.FieldVariable) {
+    return {'type': 'field_variable',
+            'fields': {'TEXT': field.getValue(), 'FIELDNAME': name}};
+  } else if (field instanceof Blockly.FieldAngle) {
+    return {'type': 'field_angle',
+            'fields': {'ANGLE': field.getValue(), 'FIELDNAME': name}};
+  } else if (field instanceof Blockly.FieldDropdown) {
+    var options = field.getOptions_();
+    var json = {'type': 'field_dropdown',
+                'mutation': {'options': options.length},
+                'fields': {'FIELDNAME': name}};
+    for (var x = 0; x < options.length; x++) {
+      json['fields']['USER' + x] = options[x][0];
+      json['fields']['CPU' + x] = options[x][1];
+    }
+    return json;
+  } else if (field instanceof Blockly.FieldTextInput) {
+    return {'type': 'field_input',
+            'fields': {'TEXT': field.getValue(), 'FIELDNAME': name}};
+  } else if (field instanceof Blockly.FieldCheckbox) {
+    return {'type': 'field_checkbox',
+            'fields': {'CHECKED': field.getValue(), 'FIELDNAME': name}};
+  } else if (field instanceof Blockly.FieldColour) {
+    return {'type': 'field_colour',
+            'fields': {'COLOUR': field.getValue(), 'FIELDNAME': name}};
+  } else if (field instanceof Blockly.FieldImage) {
+    return {'type': 'field_image',
+            'fields': {'SRC': field.getValue(), 'WIDTH': String(field.width_),
+                       'HEIGHT': String(field.height_),
+                       'ALT': field.getText()}};
+  } else if (field instanceof Blockly.FieldDropdownDynamic) {
+    return {'type': 'field_dropdown_dynamic',
+            'fields': {'MENU': field.menuName_, 'FIELDNAME': name}};
+  } else if (field instanceof Blockly.FieldIcon) {
+    return {'type': 'field_icon',
+            'fields': {'SRC': field.getValue(), 'ALT': field.getText()}};
+  } else if (field instanceof Blockly.FieldLabel) {
+    return {'type': 'field_static', 'fields': {'TEXT': field.getText()}};
+  }
+  return null;
+}
+
 /**
  * Initialize Blockly and layout.  Called on page load.
  */
@@ -412,17 +1174,26 @@ function init() {
   Blockly.inject(document.getElementById('blockly'),
                  {path: '../../', toolbox: toolbox});
 
-  // Create the root block.
-  rootBlock = new Blockly.Block(Blockly.mainWorkspace, 'factory_base');
-  rootBlock.initSvg();
-  rootBlock.render();
-  rootBlock.setMovable(false);
-  rootBlock.setDeletable(false);
+  createRootBlock();
+  Blockly.mainWorkspace.clearUndo();
+  // Set the block type before the library menu selects it.
+  blockType = getBlockType(rootBlock);
+  updateLibrary();
 
   Blockly.addChangeListener(onchange);
   document.getElementById('direction')
       .addEventListener('change', updatePreview);
   document.getElementById('language')
       .addEventListener('change', updateGenerator);
+  document.getElementById('newButton')
+      .addEventListener('click', function() {loadFactory(null);});
+  document.getElementById('saveButton')
+      .addEventListener('click', saveToLibrary);
+  document.getElementById('deleteButton')
+      .addEventListener('click', removeFromLibrary);
+  document.getElementById('libraryMenu')
+      .addEventListener('change', openFromLibrary);
+  document.getElementById('importFile')
+      .addEventListener('change', importFile);
 }
 window.addEventListener('load', init);
@@ -41,19 +41,34 @@ function updateFunc(type, code) {
   }
   eval(code);
   // Create the preview block.
-  previewBlock = new Blockly.Block(Blockly.mainWorkspace, type);
+  previewBlock = Blockly.Block.obtain(Blockly.mainWorkspace, type);
   previewBlock.initSvg();
   previewBlock.render();
   previewBlock.setMovable(false);
   previewBlock.setDeletable(false);
 }
 
+/**
+ * Stand-in for the application hosting the previewed block.
+ */
+var previewHost = {
+  /**
+   * Supply sample options for any dynamic dropdown menu.
+   * @param {string} menuName Name of the menu.
+   * @return {!Array.<!Array.<string>>} Options.
+   */
+  'getDropdownList': function(menuName) {
+    return [[menuName + ' 1', '1'], [menuName + ' 2', '2']];
+  }
+};
+
 /**
  * Initialize Blockly.  Called on page load.
  */
 function init() {
   var rtl = (document.location.search == '?rtl');
-  Blockly.inject(document.body, {path: '../../', rtl: rtl});
+  Blockly.inject(document.body,
+                 {path: '../../', rtl: rtl, host: previewHost});
 
   if (window.parent.initPreview) {
     // Let the top-level application know that Blockly is ready.
@@ -138,11 +138,12 @@ Code.init = function() {
   Blockly.inject(document.getElementById('content_blocks'),
       {path: '../../',
        rtl: rtl,
-       toolbox: toolbox});
+       toolbox: toolbox,
+       zoom: {}});
 
   // Add to reserved word list: Local variables in execution evironment (runJS)
-  // and the infinite loop detection function.
-  Blockly.JavaScript.addReservedWords('code,timeouts,checkTimeout');
+  // and the interpreter's block highlighting function.
+  Blockly.JavaScript.addReservedWords('code,highlightBlock');
 
   var container = document.getElementById('content_area');
   var onresize = function(e) {
@@ -198,24 +199,47 @@ if (window.location.pathname.match(/readonly.html$/)) {
 }
 
 /**
- * Execute the user's code.
- * Just a quick and dirty eval.  Catch infinite loops.
+ * Interpreter running the user's code.
+ * @type {BlocklyApps.Interpreter}
+ */
+Code.interpreter = null;
+
+/**
+ * Execute the user's code in an interpreter, stopping any earlier run.
+ * Catch infinite loops.
  */
 Code.runJS = function() {
-  Blockly.JavaScript.INFINITE_LOOP_TRAP = '  checkTimeout();\n';
-  var timeouts = 0;
-  var checkTimeout = function() {
-    if (timeouts++ > 1000000) {
-      throw BlocklyApps.getMsg('Code_timeout');
-    }
-  };
+  if (Code.interpreter) {
+    Code.interpreter.stop();
+    Code.interpreter = null;
+  }
   var code = Blockly.JavaScript.workspaceToCode();
-  Blockly.JavaScript.INFINITE_LOOP_TRAP = null;
+  var reportError = function(e) {
+    alert(BlocklyApps.getMsg('Code_badCode').replace('%1', e));
+  };
   try {
-    eval(code);
+    var interpreter = new BlocklyApps.Interpreter(code);
   } catch (e) {
-    alert(BlocklyApps.getMsg('Code_badCode').replace('%1', e));
+    reportError(e);
+    return;
   }
+  interpreter.addFunction('window.alert', function(text) {
+    window.alert(text);
+  });
+  interpreter.addFunction('window.prompt', function(text) {
+    return window.prompt(text);
+  });
+  Code.interpreter = interpreter;
+  interpreter.run(function(error) {
+    if (Code.interpreter == interpreter) {
+      Code.interpreter = null;
+    }
+    if (error === BlocklyApps.Interpreter.TIMEOUT) {
+      reportError(BlocklyApps.getMsg('Code_timeout'));
+    } else if (error !== null) {
+      reportError(error);
+    }
+  });
 };
 
 /**
@@ -369,6 +369,8 @@ BlocklyApps.loadBlocks = function(defaultXml) {
     // initialization is not affected from a failed load.
     window.setTimeout(BlocklyStorage.restoreBlocks, 0);
   }
+  // Loading is not an edit, don't let undo remove the program.
+  Blockly.mainWorkspace.clearUndo();
 };
 
 /**
@@ -406,7 +408,7 @@ BlocklyApps.changeLanguage = function() {
  */
 BlocklyApps.highlight = function(id) {
   if (id) {
-    var m = id.match(/^block_id_(\d+)$/);
+    var m = id.match(/^block_id_([\w-]+)$/);
     if (m) {
       id = m[1];
     }
@@ -414,21 +416,6 @@ BlocklyApps.highlight = function(id) {
   Blockly.mainWorkspace.highlightBlock(id);
 };
 
-/**
- * If the user has executed too many actions, we're probably in an infinite
- * loop.  Sadly I wasn't able to solve the Halting Problem.
- * @param {?string} opt_id ID of loop block to highlight.
- * @throws {Infinity} Throws an error to terminate the user's program.
- */
-BlocklyApps.checkTimeout = function(opt_id) {
-  if (opt_id) {
-    BlocklyApps.log.push([null, opt_id]);
-  }
-  if (BlocklyApps.ticks-- < 0) {
-    throw Infinity;
-  }
-};
-
 /**
  * Is the dialog currently onscreen?
  * @private
@@ -720,15 +707,18 @@ BlocklyApps.storageAlert = function(message) {
 /**
  * Convert the user's code to raw JavaScript.
  * @param {string} code Generated code.
- * @return {string} The code without serial numbers and timeout checks.
+ * @return {string} The code without serial numbers and loop highlighting.
  */
 BlocklyApps.stripCode = function(code) {
   // Strip out serial numbers.
-  code = code.replace(/(,\s*)?'block_id_\d+'\)/g, ')');
-  // Remove timeouts.
-  var regex = new RegExp(Blockly.JavaScript.INFINITE_LOOP_TRAP
-      .replace('(%1)', '\\((\'\\d+\')?\\)'), 'g');
-  return code.replace(regex, '');
+  code = code.replace(/(,\s*)?'block_id_[\w-]+'\)/g, ')');
+  // Remove loop highlighting.
+  if (Blockly.JavaScript.INFINITE_LOOP_TRAP) {
+    var regex = new RegExp(Blockly.JavaScript.INFINITE_LOOP_TRAP
+        .replace('(%1)', '\\((\'[\\w-]+\')?\\)'), 'g');
+    code = code.replace(regex, '');
+  }
+  return code;
 };
 
 /**
@@ -41,7 +41,7 @@ graphpage.messages = function(opt_data, opt_ignored, opt_ijData) {
 
 
 graphpage.start = function(opt_data, opt_ignored, opt_ijData) {
-  return graphpage.messages(null, null, opt_ijData) + '<table width="100%"><tr><td><h1><span id="title"><a href="../index.html?lang=' + soy.$$escapeHtml(opt_ijData.lang) + '">بلوكلي</a> : آلة حساب الرسوميات</span></h1></td><td class="farSide"><select id="languageMenu"></select>&nbsp; &nbsp;<button id="linkButton" class="notext" title="احفظ ووصلة إلى البلوكات."><img src=\'link.png\' height=21 width=21></button></div></td></tr></table><div id="visualization"></div><div id="funcText"><img id="y1" src="../../media/1x1.gif">...</div><script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript" src="../../blocks_compressed.js"><\/script><script type="text/javascript" src="../../javascript_compressed.js"><\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script>' + graphpage.toolbox(null, null, opt_ijData) + '<div id="blockly"></div>' + apps.dialog(null, null, opt_ijData) + apps.storageDialog(null, null, opt_ijData);
+  return graphpage.messages(null, null, opt_ijData) + '<table width="100%"><tr><td><h1><span id="title"><a href="../index.html?lang=' + soy.$$escapeHtml(opt_ijData.lang) + '">بلوكلي</a> : آلة حساب الرسوميات</span></h1></td><td class="farSide"><select id="languageMenu"></select>&nbsp; &nbsp;<button id="linkButton" class="notext" title="احفظ ووصلة إلى البلوكات."><img src=\'link.png\' height=21 width=21></button></div></td></tr></table><div id="visualization"></div><div id="graphControls"><div id="graphZoom"><button id="zoomInButton">+</button><button id="zoomOutButton">&minus;</button><button id="zoomFitButton">&#x21BA;</button></div><input id="xMin" type="number" step="any"> &le; x &le; <input id="xMax" type="number" step="any"><br><input id="yMin" type="number" step="any"> &le; y &le; <input id="yMax" type="number" step="any"></div><div id="funcText"></div><table id="valueTable"></table><script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript" src="../../blocks_compressed.js"><\/script><script type="text/javascript" src="../../javascript_compressed.js"><\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script>' + graphpage.toolbox(null, null, opt_ijData) + '<div id="blockly"></div>' + apps.dialog(null, null, opt_ijData) + apps.storageDialog(null, null, opt_ijData);
 };
 
 
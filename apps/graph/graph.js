@@ -23,14 +23,6 @@
  */
 'use strict';
 
-// Load the Google Chart Tools Visualization API and the chart package.
-if (typeof google == 'object') {
-  google.load('visualization', '1', {packages: ['corechart']});
-} else {
-  alert('Unable to load Google\'s chart API.\n' +
-        'Are you connected to the Internet?');
-}
-
 // Supported languages.
 BlocklyApps.LANGUAGES = [
   'ar', 'az', 'ca', 'da', 'de', 'el', 'en', 'es', 'fa', 'fr', 'hu', 'is', 'it',
@@ -46,12 +38,46 @@ document.write('<script type="text/javascript" src="generated/' +
  */
 var Graph = {};
 
+/**
+ * Colours of the curves, in the order of their 'y =' blocks.
+ */
+Graph.COLOURS = ['#36c', '#dc3912', '#f90', '#109618', '#909', '#0099c6'];
+
+/**
+ * The plot of the curves.
+ * @type {Graph.Plotter}
+ */
+Graph.plotter = null;
+
+/**
+ * Curves currently plotted.
+ * @type {!Array.<{evaluate: function(number): number, colour: string}>}
+ */
+Graph.curves = [];
+
 /**
  * Initialize Blockly and the graph.  Called on page load.
  */
 Graph.init = function() {
   BlocklyApps.init();
 
+  Graph.plotter = new Graph.Plotter(document.getElementById('visualization'),
+                                    Graph.updateRange);
+  BlocklyApps.bindClick('zoomInButton', function() {
+    Graph.plotter.zoom(1 / Graph.Plotter.ZOOM_FACTOR);
+  });
+  BlocklyApps.bindClick('zoomOutButton', function() {
+    Graph.plotter.zoom(Graph.Plotter.ZOOM_FACTOR);
+  });
+  BlocklyApps.bindClick('zoomFitButton', function() {
+    Graph.plotter.fit();
+  });
+  var inputs = ['xMin', 'xMax', 'yMin', 'yMax'];
+  for (var i = 0; i < inputs.length; i++) {
+    document.getElementById(inputs[i])
+        .addEventListener('change', Graph.changeRange, false);
+  }
+
   var rtl = BlocklyApps.isRtl();
   var toolbox = document.getElementById('toolbox');
   Blockly.inject(document.getElementById('blockly'),
@@ -86,105 +112,157 @@ Graph.init = function() {
   BlocklyApps.loadBlocks(defaultXml);
 
   Blockly.mainWorkspace.getCanvas().addEventListener('blocklyWorkspaceChange',
-      window.parent.Graph.drawVisualization, false);
+      Graph.drawVisualization, false);
+  Graph.drawVisualization();
 };
 
 window.addEventListener('load', Graph.init);
 
 /**
- * Cached copy of the function string.
- * @type !string
+ * Cached copy of the function strings.
+ * @type {?string}
  * @private
  */
 Graph.oldFormula_ = null;
 
 /**
- * Visualize the graph of y = f(x) using Google Chart Tools.
- * For more documentation on Google Chart Tools, see this linechart example:
- * google-developers.appspot.com/chart/interactive/docs/gallery/linechart
+ * Plot the graphs of each y = f(x) and list their formulas.
  */
 Graph.drawVisualization = function() {
-  var tuple = Graph.getFunction();
-  var defs = tuple[0];
-  var formula = tuple[1];
-  if (formula === Graph.oldFormula_) {
-    // No change in the formula, don't recompute.
+  var functions = Graph.getFunctions();
+  var key = JSON.stringify(functions);
+  if (key === Graph.oldFormula_) {
+    // No change in the formulas, don't recompute.
     return;
   }
-  Graph.oldFormula_ = formula;
-
-  // Create and populate the data table.
-  var data = google.visualization.arrayToDataTable(Graph.plot(defs + formula));
+  Graph.oldFormula_ = key;
 
-  var options = { //curveType: "function",
-                  width: 400, height: 400,
-                  chartArea: {left: '10%', width: '85%', height: '85%'}
-                };
-
-  // Create and draw the visualization, passing in the data and options.
-  new google.visualization.LineChart(document.getElementById('visualization')).
-      draw(data, options);
   var funcText = document.getElementById('funcText');
-  if (funcText.lastChild) {
-    funcText.removeChild(funcText.lastChild);
+  funcText.innerHTML = '';
+  Graph.curves = [];
+  for (var i = 0; i < functions.length; i++) {
+    var defs = functions[i][0];
+    var formula = functions[i][1];
+    var colour = Graph.COLOURS[i % Graph.COLOURS.length];
+    Graph.curves.push({evaluate: Graph.makeFunction(defs + formula),
+                       colour: colour});
+    var div = document.createElement('div');
+    var img = document.createElement('img');
+    img.src = '../../media/1x1.gif';
+    img.style.backgroundColor = colour;
+    div.appendChild(img);
+    // Remove the ";" generally ending the JavaScript statement y = {code};.
+    formula = formula.replace(/;$/, '');
+    div.appendChild(document.createTextNode('y = ' + formula));
+    funcText.appendChild(div);
   }
-  // Remove the ";" generally ending the JavaScript statement y = {code};.
-  formula = formula.replace(/;$/, '');
-  funcText.appendChild(document.createTextNode('y = ' + formula));
+  Graph.plotter.setCurves(Graph.curves);
 };
 
 /**
- * Plot points on the function y = f(x).
+ * Make a function computing y = f(x).
  * @param {string} code JavaScript code.
- * @return {!Array.<!Array>} 2D Array of points on the graph.
+ * @return {function(number): number} The function.  It returns NaN where the
+ *     code throws an error or does not produce a number.
  */
-Graph.plot = function(code) {
-  // Initialize a table with two column headings.
-  var table = [];
-  var y;
-  // TODO: Improve range and scale of graph.
-  for (var x = -10; x <= 10; x = Math.round((x + 0.1) * 10) / 10) {
+Graph.makeFunction = function(code) {
+  return function(x) {
     try {
-      y = eval(code);
+      return Number(eval(code));
     } catch (e) {
-      y = NaN;
+      return NaN;
     }
-    if (!isNaN(y)) {
+  };
+};
+
+/**
+ * Show the plot's range in the range inputs, and refresh the table of values.
+ */
+Graph.updateRange = function() {
+  var plotter = Graph.plotter;
+  var round = function(n) {
+    return Number(n.toPrecision(4));
+  };
+  document.getElementById('xMin').value = round(plotter.xMin);
+  document.getElementById('xMax').value = round(plotter.xMax);
+  document.getElementById('yMin').value = round(plotter.yMin);
+  document.getElementById('yMax').value = round(plotter.yMax);
+  Graph.updateTable();
+};
+
+/**
+ * Show the range typed into the range inputs.
+ */
+Graph.changeRange = function() {
+  var value = function(id) {
+    return parseFloat(document.getElementById(id).value);
+  };
+  var xMin = value('xMin');
+  var xMax = value('xMax');
+  var yMin = value('yMin');
+  var yMax = value('yMax');
+  if (xMin < xMax && yMin < yMax) {
+    Graph.plotter.setRange(xMin, xMax, yMin, yMax);
+  } else {
+    // Put back the range in use.
+    Graph.updateRange();
+  }
+};
+
+/**
+ * Fill the table with the value of each curve at round values of x across
+ * the plot.
+ */
+Graph.updateTable = function() {
+  var table = document.getElementById('valueTable');
+  table.innerHTML = '';
+  if (!Graph.curves.length) {
+    return;
+  }
+  var row = table.insertRow(-1);
+  var th = document.createElement('th');
+  th.appendChild(document.createTextNode('x'));
+  row.appendChild(th);
+  for (var i = 0; i < Graph.curves.length; i++) {
+    th = document.createElement('th');
+    th.style.color = Graph.curves[i].colour;
+    th.appendChild(document.createTextNode('y'));
+    row.appendChild(th);
+  }
+  var plotter = Graph.plotter;
+  var step = Graph.Plotter.tickStep(plotter.xMax - plotter.xMin);
+  for (var n = Math.ceil(plotter.xMin / step); n * step <= plotter.xMax;
+       n++) {
+    var x = n * step;
+    row = table.insertRow(-1);
+    row.insertCell(-1).appendChild(document.createTextNode(
+        Graph.Plotter.formatNumber(x, step)));
+    for (var i = 0; i < Graph.curves.length; i++) {
+      var y = Graph.curves[i].evaluate(x);
       // Prevent y from being displayed inconsistently, some in decimals, some
       // in scientific notation, often when y has accumulated rounding errors.
-      y = Math.round(y * Math.pow(10, 14)) / Math.pow(10, 14);
-      table.push([x, y]);
+      var text = isFinite(y) ? String(Number(y.toPrecision(10))) : '';
+      row.insertCell(-1).appendChild(document.createTextNode(text));
     }
   }
-  // Add column heading to table.
-  if (table.length) {
-    table.unshift(['x', 'y']);
-  } else {
-    // If the table is empty, add a [0, 0] row to prevent graph error.
-    table.unshift(['x', 'y'], [0, 0]);
-  }
-  return table;
 };
 
 /**
- * Get from blocks the right hand side content of the function y = f(x).
- * @return {!Array.<string>} Tuple of any function definitions and the formula
- *     in JavaScipt for f(x).
+ * Get from blocks the right hand side content of each function y = f(x).
+ * @return {!Array.<!Array.<string>>} List of tuples of any function
+ *     definitions and the formula in JavaScript for f(x), in the order of the
+ *     'y =' blocks down the workspace.
  */
-Graph.getFunction = function() {
-  var topBlocks = Blockly.mainWorkspace.getTopBlocks(false);
-  var yBlock;
-  // Set yBlock to only the code plugged into 'graph_set_y'.
+Graph.getFunctions = function() {
+  var topBlocks = Blockly.mainWorkspace.getTopBlocks(true);
+  var functions = [];
   for (var j = 0; j < topBlocks.length; j++) {
     if (topBlocks[j].type == 'graph_set_y') {
-      yBlock = topBlocks[j];
+      Blockly.JavaScript.init(Blockly.mainWorkspace);
+      var code = Blockly.JavaScript.blockToCode(topBlocks[j]);
+      var defs = Blockly.JavaScript.finish('');
+      functions.push([defs, code]);
     }
   }
-  if (!yBlock) {
-    return NaN;
-  }
-  Blockly.JavaScript.init();
-  var code = Blockly.JavaScript.blockToCode(yBlock);
-  var defs = Blockly.JavaScript.finish('');
-  return [defs, code];
+  return functions;
 };
@@ -0,0 +1,394 @@
+/**
+ * Blockly Apps: Graphing Calculator Plotter
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Self-contained SVG plotter for the Graphing Calculator.
+ * Draws any number of curves y = f(x) on a grid that can be panned by
+ * dragging and zoomed with the mouse wheel.
+ */
+'use strict';
+
+/**
+ * Class for a plot of curves.
+ * @param {!Element} container Element in which to draw the plot.
+ * @param {function()=} opt_onChange Function called whenever the visible
+ *     range changes.
+ * @constructor
+ */
+Graph.Plotter = function(container, opt_onChange) {
+  this.onChange_ = opt_onChange || null;
+  this.curves_ = [];
+  this.xMin = Graph.Plotter.DEFAULT_MIN;
+  this.xMax = Graph.Plotter.DEFAULT_MAX;
+  this.yMin = Graph.Plotter.DEFAULT_MIN;
+  this.yMax = Graph.Plotter.DEFAULT_MAX;
+  // While true, the y range follows the curves.
+  this.autoFit_ = true;
+
+  var svg = Blockly.createSvgElement('svg', {'class': 'graphPlot',
+      'width': Graph.Plotter.WIDTH, 'height': Graph.Plotter.HEIGHT},
+      container);
+  this.gridGroup_ = Blockly.createSvgElement('g', {}, svg);
+  this.curveGroup_ = Blockly.createSvgElement('g', {}, svg);
+  this.svg_ = svg;
+
+  Blockly.bindEvent_(svg, 'mousedown', this, this.onMouseDown_);
+  Blockly.bindEvent_(svg, 'mousewheel', this, this.onMouseWheel_);
+  Blockly.bindEvent_(svg, 'DOMMouseScroll', this, this.onMouseWheel_);
+};
+
+/**
+ * Size of the plot in pixels.
+ */
+Graph.Plotter.WIDTH = 400;
+Graph.Plotter.HEIGHT = 400;
+
+/**
+ * The range shown on the x axis when the plot is fitted, and on the y axis
+ * when there is nothing to fit.
+ */
+Graph.Plotter.DEFAULT_MIN = -10;
+Graph.Plotter.DEFAULT_MAX = 10;
+
+/**
+ * Number of points computed on each curve.  One per pixel across.
+ */
+Graph.Plotter.SAMPLES = Graph.Plotter.WIDTH;
+
+/**
+ * Factor by which each zoom step scales the visible range.
+ */
+Graph.Plotter.ZOOM_FACTOR = 1.25;
+
+/**
+ * Set the curves to draw.
+ * @param {!Array.<{evaluate: function(number): number, colour: string}>}
+ *     curves List of functions with the colour of each.  A function returns
+ *     NaN where it has no value.
+ */
+Graph.Plotter.prototype.setCurves = function(curves) {
+  this.curves_ = curves;
+  if (this.autoFit_) {
+    this.fitY_();
+  }
+  this.render();
+};
+
+/**
+ * Show a given range.
+ * @param {number} xMin Left edge.
+ * @param {number} xMax Right edge.
+ * @param {number=} opt_yMin Bottom edge.  If the y range is omitted, it is
+ *     fitted to the curves, now and whenever the curves change.
+ * @param {number=} opt_yMax Top edge.
+ */
+Graph.Plotter.prototype.setRange = function(xMin, xMax, opt_yMin, opt_yMax) {
+  if (!(xMin < xMax)) {
+    return;
+  }
+  this.xMin = xMin;
+  this.xMax = xMax;
+  if (opt_yMin === undefined || opt_yMax === undefined) {
+    this.autoFit_ = true;
+    this.fitY_();
+  } else if (opt_yMin < opt_yMax) {
+    this.autoFit_ = false;
+    this.yMin = opt_yMin;
+    this.yMax = opt_yMax;
+  }
+  this.render();
+};
+
+/**
+ * Return to the default x range, with the y range fitted to the curves.
+ */
+Graph.Plotter.prototype.fit = function() {
+  this.setRange(Graph.Plotter.DEFAULT_MIN, Graph.Plotter.DEFAULT_MAX);
+};
+
+/**
+ * Zoom in or out around a point.
+ * @param {number} factor Amount to scale the visible range by.  Less than 1
+ *     zooms in.
+ * @param {number=} opt_x Point to zoom around.  Defaults to the centre.
+ * @param {number=} opt_y Point to zoom around.  Defaults to the centre.
+ */
+Graph.Plotter.prototype.zoom = function(factor, opt_x, opt_y) {
+  var x = opt_x === undefined ? (this.xMin + this.xMax) / 2 : opt_x;
+  var y = opt_y === undefined ? (this.yMin + this.yMax) / 2 : opt_y;
+  this.setRange(x - (x - this.xMin) * factor, x + (this.xMax - x) * factor,
+                y - (y - this.yMin) * factor, y + (this.yMax - y) * factor);
+};
+
+/**
+ * Fit the y range to the values of the curves across the x range.  Huge
+ * values near an asymptote would squash the rest of the curve flat, so the
+ * range stops a little way beyond where most of the values lie.
+ * @private
+ */
+Graph.Plotter.prototype.fitY_ = function() {
+  var values = [];
+  for (var i = 0; i < this.curves_.length; i++) {
+    var points = this.sample_(this.curves_[i]);
+    for (var j = 0; j < points.length; j++) {
+      if (isFinite(points[j][1])) {
+        values.push(points[j][1]);
+      }
+    }
+  }
+  if (!values.length) {
+    this.yMin = Graph.Plotter.DEFAULT_MIN;
+    this.yMax = Graph.Plotter.DEFAULT_MAX;
+    return;
+  }
+  values.sort(function(a, b) {return a - b;});
+  var low = values[Math.floor(values.length * 0.05)];
+  var high = values[Math.ceil(values.length * 0.95) - 1];
+  var spread = high - low;
+  var min = Math.max(values[0], low - spread);
+  var max = Math.min(values[values.length - 1], high + spread);
+  if (max - min < 1e-9) {
+    // A flat line.  Centre it.
+    min -= 1;
+    max += 1;
+  }
+  var margin = (max - min) * 0.05;
+  this.yMin = min - margin;
+  this.yMax = max + margin;
+};
+
+/**
+ * Compute points across the visible x range.
+ * @param {!Object} curve Curve with an evaluate function.
+ * @return {!Array.<!Array.<number>>} List of [x, y] pairs.
+ * @private
+ */
+Graph.Plotter.prototype.sample_ = function(curve) {
+  var points = [];
+  var step = (this.xMax - this.xMin) / (Graph.Plotter.SAMPLES - 1);
+  for (var i = 0; i < Graph.Plotter.SAMPLES; i++) {
+    var x = this.xMin + i * step;
+    points.push([x, curve.evaluate(x)]);
+  }
+  return points;
+};
+
+/**
+ * Convert an x value to a horizontal pixel position.
+ * @param {number} x Value.
+ * @return {number} Pixels from the left edge.
+ * @private
+ */
+Graph.Plotter.prototype.toSvgX_ = function(x) {
+  return (x - this.xMin) / (this.xMax - this.xMin) * Graph.Plotter.WIDTH;
+};
+
+/**
+ * Convert a y value to a vertical pixel position.
+ * @param {number} y Value.
+ * @return {number} Pixels from the top edge.
+ * @private
+ */
+Graph.Plotter.prototype.toSvgY_ = function(y) {
+  var pixels = (this.yMax - y) / (this.yMax - this.yMin) *
+      Graph.Plotter.HEIGHT;
+  // Keep far off-plot points to sizes that SVG renders reliably.
+  return Math.max(-10 * Graph.Plotter.HEIGHT,
+                  Math.min(11 * Graph.Plotter.HEIGHT, pixels));
+};
+
+/**
+ * Redraw the grid, axes and curves.
+ */
+Graph.Plotter.prototype.render = function() {
+  var g = this.gridGroup_;
+  while (g.firstChild) {
+    g.removeChild(g.firstChild);
+  }
+  var width = Graph.Plotter.WIDTH;
+  var height = Graph.Plotter.HEIGHT;
+  Blockly.createSvgElement('rect',
+      {'class': 'graphBackground', 'width': width, 'height': height}, g);
+
+  // Grid lines and labels.  Labels sit on the axes, or on the edge of the
+  // plot if an axis is out of sight.
+  var xStep = Graph.Plotter.tickStep(this.xMax - this.xMin);
+  var yStep = Graph.Plotter.tickStep(this.yMax - this.yMin);
+  var axisX = Math.max(0, Math.min(width - 30, this.toSvgX_(0)));
+  var axisY = Math.max(14, Math.min(height - 4, this.toSvgY_(0)));
+  for (var n = Math.ceil(this.xMin / xStep); n * xStep <= this.xMax; n++) {
+    var x = n * xStep;
+    var px = Math.round(this.toSvgX_(x)) + 0.5;
+    Blockly.createSvgElement('line', {'class': 'graphGrid',
+        'x1': px, 'y1': 0, 'x2': px, 'y2': height}, g);
+    if (Math.abs(x) > xStep / 2) {
+      var label = Blockly.createSvgElement('text',
+          {'class': 'graphLabel', 'x': px + 2, 'y': axisY - 2}, g);
+      label.appendChild(document.createTextNode(
+          Graph.Plotter.formatNumber(x, xStep)));
+    }
+  }
+  for (var n = Math.ceil(this.yMin / yStep); n * yStep <= this.yMax; n++) {
+    var y = n * yStep;
+    var py = Math.round(this.toSvgY_(y)) + 0.5;
+    Blockly.createSvgElement('line', {'class': 'graphGrid',
+        'x1': 0, 'y1': py, 'x2': width, 'y2': py}, g);
+    if (Math.abs(y) > yStep / 2) {
+      var label = Blockly.createSvgElement('text',
+          {'class': 'graphLabel', 'x': axisX + 2, 'y': py - 2}, g);
+      label.appendChild(document.createTextNode(
+          Graph.Plotter.formatNumber(y, yStep)));
+    }
+  }
+  if (this.xMin <= 0 && this.xMax >= 0) {
+    var px = Math.round(this.toSvgX_(0)) + 0.5;
+    Blockly.createSvgElement('line', {'class': 'graphAxis',
+        'x1': px, 'y1': 0, 'x2': px, 'y2': height}, g);
+  }
+  if (this.yMin <= 0 && this.yMax >= 0) {
+    var py = Math.round(this.toSvgY_(0)) + 0.5;
+    Blockly.createSvgElement('line', {'class': 'graphAxis',
+        'x1': 0, 'y1': py, 'x2': width, 'y2': py}, g);
+  }
+
+  g = this.curveGroup_;
+  while (g.firstChild) {
+    g.removeChild(g.firstChild);
+  }
+  for (var i = 0; i < this.curves_.length; i++) {
+    var path = this.curveToPath_(this.curves_[i]);
+    if (path) {
+      Blockly.createSvgElement('path', {'class': 'graphCurve',
+          'd': path, 'stroke': this.curves_[i].colour}, g);
+    }
+  }
+  if (this.onChange_) {
+    this.onChange_();
+  }
+};
+
+/**
+ * Build the SVG path of a curve.  The line is broken where the function has
+ * no value, and across discontinuities such as the asymptotes of 1/x or
+ * tan(x), which would otherwise be drawn as near-vertical lines.
+ * @param {!Object} curve Curve with an evaluate function.
+ * @return {string} SVG path data, or '' if nothing is visible.
+ * @private
+ */
+Graph.Plotter.prototype.curveToPath_ = function(curve) {
+  var points = this.sample_(curve);
+  var range = this.yMax - this.yMin;
+  var path = [];
+  var previous = null;
+  for (var i = 0; i < points.length; i++) {
+    var x = points[i][0];
+    var y = points[i][1];
+    if (!isFinite(y)) {
+      previous = null;
+      continue;
+    }
+    var command = 'L';
+    if (!previous) {
+      command = 'M';
+    } else if (Math.abs(y - previous[1]) > range / 2) {
+      // A big jump.  If the value half way is not between the two ends,
+      // the function shoots off to infinity in between.
+      var middle = curve.evaluate((x + previous[0]) / 2);
+      if (!(middle >= Math.min(y, previous[1]) &&
+            middle <= Math.max(y, previous[1]))) {
+        command = 'M';
+      }
+    }
+    path.push(command, this.toSvgX_(x).toFixed(2),
+              this.toSvgY_(y).toFixed(2));
+    previous = points[i];
+  }
+  return path.join(' ');
+};
+
+/**
+ * Start panning the plot.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Graph.Plotter.prototype.onMouseDown_ = function(e) {
+  e.preventDefault();
+  var startX = e.clientX;
+  var startY = e.clientY;
+  var range = [this.xMin, this.xMax, this.yMin, this.yMax];
+  var thisPlotter = this;
+  var onMove = Blockly.bindEvent_(document, 'mousemove', null, function(e) {
+    var dx = (e.clientX - startX) / Graph.Plotter.WIDTH *
+        (range[1] - range[0]);
+    var dy = (e.clientY - startY) / Graph.Plotter.HEIGHT *
+        (range[3] - range[2]);
+    thisPlotter.setRange(range[0] - dx, range[1] - dx,
+                         range[2] + dy, range[3] + dy);
+  });
+  var onUp = Blockly.bindEvent_(document, 'mouseup', null, function() {
+    Blockly.unbindEvent_(onMove);
+    Blockly.unbindEvent_(onUp);
+  });
+};
+
+/**
+ * Zoom around the mouse pointer.
+ * @param {!Event} e Mouse wheel event.
+ * @private
+ */
+Graph.Plotter.prototype.onMouseWheel_ = function(e) {
+  e.preventDefault();
+  var delta = e.wheelDelta || -e.detail;
+  var rect = this.svg_.getBoundingClientRect();
+  var x = this.xMin + (e.clientX - rect.left) / Graph.Plotter.WIDTH *
+      (this.xMax - this.xMin);
+  var y = this.yMax - (e.clientY - rect.top) / Graph.Plotter.HEIGHT *
+      (this.yMax - this.yMin);
+  this.zoom(delta > 0 ? 1 / Graph.Plotter.ZOOM_FACTOR :
+            Graph.Plotter.ZOOM_FACTOR, x, y);
+};
+
+/**
+ * Choose a round distance between grid lines, giving about ten lines.
+ * @param {number} range Size of the visible range.
+ * @return {number} 1, 2 or 5 times a power of ten.
+ */
+Graph.Plotter.tickStep = function(range) {
+  var step = Math.pow(10, Math.floor(Math.log(range / 10) / Math.LN10));
+  var ratio = range / 10 / step;
+  if (ratio >= 5) {
+    step *= 5;
+  } else if (ratio >= 2) {
+    step *= 2;
+  }
+  return step;
+};
+
+/**
+ * Format a number with no more decimal places than a step needs.
+ * @param {number} n Number to format.
+ * @param {number} step Distance between neighbouring numbers.
+ * @return {string} Formatted number.
+ */
+Graph.Plotter.formatNumber = function(n, step) {
+  var decimals = Math.max(0, -Math.floor(Math.log(step) / Math.LN10));
+  var text = n.toFixed(Math.min(decimals, 20));
+  // Avoid '-0'.
+  return Number(text) == 0 ? '0' : text;
+};
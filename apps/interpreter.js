@@ -0,0 +1,2021 @@
+/**
+ * Blockly Apps: Interpreter
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Interpreter for the JavaScript generated from the user's
+ * blocks.  Instead of handing the code to eval, the code is parsed and run
+ * one small step at a time.  The program only sees the values and functions
+ * given to it by the app, it can be paused and resumed between any two
+ * steps, and it can call app functions which take time to complete (such as
+ * animating a move) without the app having to record a log of actions first.
+ *
+ * Only the subset of JavaScript produced by the code generators is
+ * supported: var and function declarations, if, for, for-in, while,
+ * do-while, break, continue, return and throw statements, and expressions
+ * without 'new', 'delete' or 'this'.
+ */
+'use strict';
+
+/**
+ * Class for an interpreter of one program.
+ * @param {string} code JavaScript source of the program.
+ * @param {Object=} opt_options Dictionary of options:
+ *     maxSteps: Number of steps after which the program is terminated as
+ *         probably being in an infinite loop.
+ *     delay: Milliseconds to wait after each block is highlighted while
+ *         running.
+ * @throws {SyntaxError} If the code cannot be parsed.
+ * @constructor
+ */
+BlocklyApps.Interpreter = function(code, opt_options) {
+  var options = opt_options || {};
+  this.maxSteps_ = options['maxSteps'] || BlocklyApps.Interpreter.MAX_STEPS;
+  this.delay_ = options['delay'] || 0;
+  this.ast_ = new BlocklyApps.Interpreter.Parser_(code).parseProgram();
+  this.global_ = BlocklyApps.Interpreter.createGlobalScope_();
+  var thisInterpreter = this;
+  this.addFunction('highlightBlock', function(id) {
+    BlocklyApps.highlight(id);
+    thisInterpreter.highlighted_ = true;
+  });
+  this.stack_ = [];
+  this.push_(this.ast_, this.global_);
+};
+
+/**
+ * Default number of steps after which a program is terminated.
+ */
+BlocklyApps.Interpreter.MAX_STEPS = 1000000;
+
+/**
+ * Number of steps run before giving the browser a chance to redraw.
+ */
+BlocklyApps.Interpreter.STEPS_PER_SLICE = 1000;
+
+/**
+ * Error passed to the done callback when a program runs out of steps.
+ */
+BlocklyApps.Interpreter.TIMEOUT = new Error('Program ran too long.');
+
+/**
+ * Code placed before each statement by the code generator, so that blocks are
+ * highlighted as they run.
+ */
+BlocklyApps.Interpreter.STATEMENT_PREFIX = 'highlightBlock(%1);\n';
+
+/**
+ * Names of properties which could be used to escape the sandbox.
+ * @private
+ */
+BlocklyApps.Interpreter.BLOCKED_PROPERTIES_ = {
+  'constructor': true,
+  'prototype': true,
+  '__proto__': true,
+  '__defineGetter__': true,
+  '__defineSetter__': true,
+  '__lookupGetter__': true,
+  '__lookupSetter__': true,
+  'caller': true,
+  'callee': true,
+  'arguments': true
+};
+
+/**
+ * Generate the JavaScript for the blocks in the workspace, with each statement
+ * highlighting its block when it is run.
+ * @return {string} Generated code.
+ */
+BlocklyApps.Interpreter.workspaceToCode = function() {
+  var oldPrefix = Blockly.JavaScript.STATEMENT_PREFIX;
+  Blockly.JavaScript.STATEMENT_PREFIX = BlocklyApps.Interpreter.STATEMENT_PREFIX;
+  try {
+    return Blockly.JavaScript.workspaceToCode();
+  } finally {
+    Blockly.JavaScript.STATEMENT_PREFIX = oldPrefix;
+  }
+};
+
+/**
+ * Number of steps run so far.
+ * @type {number}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.steps_ = 0;
+
+/**
+ * Is the program being run continuously (as opposed to stepped or paused)?
+ * @type {boolean}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.running_ = false;
+
+/**
+ * Is the program waiting for an asynchronous function to call back?
+ * @type {boolean}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.waiting_ = false;
+
+/**
+ * Has the program ended, or been stopped?
+ * @type {boolean}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.done_ = false;
+
+/**
+ * Has a block been highlighted since the last check?
+ * @type {boolean}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.highlighted_ = false;
+
+/**
+ * Is a callback being run synchronously for a native function?
+ * @type {boolean}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.inSyncCall_ = false;
+
+/**
+ * Serial number of the current call to an asynchronous function.  Callbacks
+ * from earlier calls are ignored.
+ * @type {number}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.asyncCallId_ = 0;
+
+/**
+ * PID of the next scheduled slice of a continuous run.
+ * @type {?number}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.runPid_ = null;
+
+/**
+ * Function to call when the program ends.
+ * @type {Function}
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.onDone_ = null;
+
+/**
+ * Make a function available to the program.
+ * @param {string} name Name of the function, optionally on an object
+ *     (e.g. 'Turtle.penUp' or 'window.alert').
+ * @param {!Function} func Function to call.  Its return value is returned to
+ *     the program, anything it throws terminates the program.
+ */
+BlocklyApps.Interpreter.prototype.addFunction = function(name, func) {
+  this.setGlobal_(name, func);
+};
+
+/**
+ * Make a function available to the program, which completes at a later time.
+ * The program waits until the function calls its callback.
+ * @param {string} name Name of the function, optionally on an object
+ *     (e.g. 'Maze.moveForward').
+ * @param {!Function} func Function to call.  It is passed the program's
+ *     arguments followed by a callback, to be called with the value to return
+ *     to the program.  Anything it throws terminates the program.
+ */
+BlocklyApps.Interpreter.prototype.addAsyncFunction = function(name, func) {
+  this.setGlobal_(name, new BlocklyApps.Interpreter.AsyncFunction_(func));
+};
+
+/**
+ * Make a number, string or boolean available to the program.
+ * @param {string} name Name of the variable, optionally on an object
+ *     (e.g. 'Plane.rows1st').
+ * @param {number|string|boolean} value Value of the variable.
+ */
+BlocklyApps.Interpreter.prototype.addValue = function(name, value) {
+  this.setGlobal_(name, value);
+};
+
+/**
+ * Make a value available to the program as a global variable, or as a
+ * property of a global object.
+ * @param {string} name Dotted name (e.g. 'Maze.moveForward').
+ * @param {*} value Value of the variable.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.setGlobal_ = function(name, value) {
+  var parts = name.split('.');
+  var last = parts.pop();
+  var vars = this.global_.vars;
+  var obj = null;
+  for (var i = 0; i < parts.length; i++) {
+    var container = obj || vars;
+    if (!container[parts[i]] || typeof container[parts[i]] != 'object') {
+      container[parts[i]] = {};
+    }
+    obj = container[parts[i]];
+  }
+  (obj || vars)[last] = value;
+};
+
+/**
+ * Run the program continuously until it ends or is paused.
+ * @param {Function=} opt_onDone Function to call when the program ends.  It
+ *     is passed null if the program ended normally,
+ *     BlocklyApps.Interpreter.TIMEOUT if it ran out of steps, or the value
+ *     that was thrown if the program or one of the app's functions threw.
+ */
+BlocklyApps.Interpreter.prototype.run = function(opt_onDone) {
+  if (opt_onDone) {
+    this.onDone_ = opt_onDone;
+  }
+  if (this.done_) {
+    return;
+  }
+  this.running_ = true;
+  this.runSlice_();
+};
+
+/**
+ * Pause a continuous run.  The program may be resumed or stepped later.
+ */
+BlocklyApps.Interpreter.prototype.pause = function() {
+  this.running_ = false;
+  window.clearTimeout(this.runPid_);
+  this.runPid_ = null;
+};
+
+/**
+ * Resume a paused program.
+ */
+BlocklyApps.Interpreter.prototype.resume = function() {
+  this.run();
+};
+
+/**
+ * Run the program until it reaches the next block, or waits for an
+ * asynchronous function.  Pauses any continuous run.
+ * @return {boolean} True if the program has not ended.
+ */
+BlocklyApps.Interpreter.prototype.step = function() {
+  this.pause();
+  this.highlighted_ = false;
+  while (!this.done_ && !this.waiting_ && !this.highlighted_) {
+    this.tick_();
+  }
+  return !this.done_;
+};
+
+/**
+ * Run the whole program at once, without letting the browser redraw.  Only
+ * for short programs which do not call asynchronous functions.
+ * @return {*} Null if the program ended normally, otherwise the reason for
+ *     ending, as would be passed to the callback of run.
+ */
+BlocklyApps.Interpreter.prototype.runToEnd = function() {
+  var result = null;
+  this.onDone_ = function(error) {
+    result = error;
+  };
+  this.pause();
+  while (!this.done_) {
+    if (this.waiting_) {
+      this.finish_(Error('Asynchronous function called.'));
+      break;
+    }
+    this.tick_();
+  }
+  return result;
+};
+
+/**
+ * Terminate the program without calling the done callback.
+ */
+BlocklyApps.Interpreter.prototype.stop = function() {
+  this.pause();
+  this.done_ = true;
+  this.stack_.length = 0;
+};
+
+/**
+ * Has the program ended, or been stopped?
+ * @return {boolean} True if done.
+ */
+BlocklyApps.Interpreter.prototype.isDone = function() {
+  return this.done_;
+};
+
+/**
+ * Is the program running continuously?
+ * @return {boolean} True if running, false if paused, stepped or done.
+ */
+BlocklyApps.Interpreter.prototype.isRunning = function() {
+  return this.running_;
+};
+
+/**
+ * Run steps until it is time to let the browser redraw, the program has to
+ * wait, or the program ends.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.runSlice_ = function() {
+  window.clearTimeout(this.runPid_);
+  this.runPid_ = null;
+  var count = BlocklyApps.Interpreter.STEPS_PER_SLICE;
+  while (this.running_ && !this.done_ && !this.waiting_) {
+    if (count-- <= 0) {
+      this.scheduleSlice_(0);
+      return;
+    }
+    this.highlighted_ = false;
+    this.tick_();
+    if (this.highlighted_ && this.delay_) {
+      this.scheduleSlice_(this.delay_);
+      return;
+    }
+  }
+};
+
+/**
+ * Continue a continuous run after a delay.
+ * @param {number} delay Milliseconds to wait.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.scheduleSlice_ = function(delay) {
+  var thisInterpreter = this;
+  this.runPid_ = window.setTimeout(function() {
+    thisInterpreter.runSlice_();
+  }, delay);
+};
+
+/**
+ * Run one step, ending the program if it completes or fails.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.tick_ = function() {
+  try {
+    var more = this.stepNode_();
+  } catch (e) {
+    this.finish_(e);
+    return;
+  }
+  if (!more) {
+    this.finish_(null);
+  }
+};
+
+/**
+ * End the program and report how it ended.
+ * @param {*} error Null for a normal end, otherwise the reason for ending.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.finish_ = function(error) {
+  this.stop();
+  if (this.onDone_) {
+    var onDone = this.onDone_;
+    this.onDone_ = null;
+    onDone(error);
+  }
+};
+
+/**
+ * Run one step of the innermost node being evaluated.
+ * @return {boolean} True if there are more steps to run.
+ * @throws {*} BlocklyApps.Interpreter.TIMEOUT if out of steps, or whatever
+ *     the program throws.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.stepNode_ = function() {
+  var stack = this.stack_;
+  if (!stack.length) {
+    return false;
+  }
+  if (++this.steps_ > this.maxSteps_) {
+    throw BlocklyApps.Interpreter.TIMEOUT;
+  }
+  var frame = stack[stack.length - 1];
+  this['step' + frame.node.type + '_'](frame);
+  return stack.length > 0;
+};
+
+/**
+ * Start evaluating a node.
+ * @param {!Object} node Node from the syntax tree.
+ * @param {!Object} scope Scope in which to evaluate the node.
+ * @return {!Object} The new stack frame.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.push_ = function(node, scope) {
+  var frame = {node: node, scope: scope, n: 0, value: undefined};
+  this.stack_.push(frame);
+  return frame;
+};
+
+/**
+ * Finish evaluating the innermost node, passing its value to the node which
+ * started it.
+ * @param {*} value Value of the node.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.pop_ = function(value) {
+  var stack = this.stack_;
+  stack.pop();
+  if (stack.length) {
+    stack[stack.length - 1].value = value;
+  }
+};
+
+// Scopes and values.
+
+/**
+ * Class for a function defined by the program.
+ * @param {!Object} node Function declaration or expression node.
+ * @param {!Object} scope Scope in which the function was defined.
+ * @constructor
+ * @private
+ */
+BlocklyApps.Interpreter.Function_ = function(node, scope) {
+  this.node = node;
+  this.scope = scope;
+};
+
+/**
+ * Class for a function provided by the app which completes at a later time.
+ * @param {!Function} func Function taking the program's arguments and a
+ *     callback.
+ * @constructor
+ * @private
+ */
+BlocklyApps.Interpreter.AsyncFunction_ = function(func) {
+  this.func = func;
+};
+
+/**
+ * Create a scope.
+ * @param {Object} parent Enclosing scope, or null for the global scope.
+ * @return {!Object} Scope with a dictionary of variables.
+ * @private
+ */
+BlocklyApps.Interpreter.createScope_ = function(parent) {
+  return {parent: parent, vars: Object.create(null)};
+};
+
+/**
+ * Create the global scope, containing only safe built-in values.
+ * @return {!Object} Scope.
+ * @private
+ */
+BlocklyApps.Interpreter.createGlobalScope_ = function() {
+  var scope = BlocklyApps.Interpreter.createScope_(null);
+  var vars = scope.vars;
+  vars['undefined'] = undefined;
+  vars['NaN'] = NaN;
+  vars['Infinity'] = Infinity;
+  var functions = ['isNaN', 'isFinite', 'parseInt', 'parseFloat', 'Number',
+                   'String', 'Boolean', 'encodeURIComponent',
+                   'decodeURIComponent'];
+  for (var i = 0; i < functions.length; i++) {
+    vars[functions[i]] = window[functions[i]];
+  }
+  // Give the program its own copy of Math, so it can't change the app's.
+  var math = {};
+  var names = Object.getOwnPropertyNames(Math);
+  for (var i = 0; i < names.length; i++) {
+    math[names[i]] = Math[names[i]];
+  }
+  vars['Math'] = math;
+  return scope;
+};
+
+/**
+ * Declare the variables and functions of a program or function body.
+ * @param {!Object} node Node whose descendants are searched for declarations,
+ *     not including those in nested functions.
+ * @param {!Object} scope Scope to declare them in.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.hoist_ = function(node, scope) {
+  if (!node || typeof node != 'object') {
+    return;
+  }
+  if (node instanceof Array) {
+    for (var i = 0; i < node.length; i++) {
+      this.hoist_(node[i], scope);
+    }
+    return;
+  }
+  switch (node.type) {
+    case 'VariableDeclaration':
+      for (var i = 0; i < node.declarations.length; i++) {
+        var name = node.declarations[i].id;
+        if (!(name in scope.vars)) {
+          scope.vars[name] = undefined;
+        }
+      }
+      return;
+    case 'FunctionDeclaration':
+      scope.vars[node.id] = new BlocklyApps.Interpreter.Function_(node, scope);
+      return;
+    case 'FunctionExpression':
+      return;
+  }
+  for (var key in node) {
+    if (key != 'type' && node[key] && typeof node[key] == 'object') {
+      this.hoist_(node[key], scope);
+    }
+  }
+};
+
+/**
+ * Find the scope defining a variable.
+ * @param {!Object} scope Scope to start searching from.
+ * @param {string} name Name of the variable.
+ * @return {Object} Scope, or null if the variable is not defined.
+ * @private
+ */
+BlocklyApps.Interpreter.findScope_ = function(scope, name) {
+  while (scope) {
+    if (name in scope.vars) {
+      return scope;
+    }
+    scope = scope.parent;
+  }
+  return null;
+};
+
+/**
+ * Get the value of a variable.
+ * @param {!Object} scope Current scope.
+ * @param {string} name Name of the variable.
+ * @return {*} Value.
+ * @throws {ReferenceError} If the variable is not defined.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.getVariable_ = function(scope, name) {
+  var found = BlocklyApps.Interpreter.findScope_(scope, name);
+  if (!found) {
+    throw new ReferenceError(name + ' is not defined');
+  }
+  return found.vars[name];
+};
+
+/**
+ * Set the value of a variable, creating a global variable if it is not
+ * defined.
+ * @param {!Object} scope Current scope.
+ * @param {string} name Name of the variable.
+ * @param {*} value New value.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.setVariable_ = function(scope, name, value) {
+  var found = BlocklyApps.Interpreter.findScope_(scope, name) || this.global_;
+  found.vars[name] = value;
+};
+
+/**
+ * Get a property of a value.
+ * @param {*} obj The value.
+ * @param {*} name Name of the property.
+ * @return {*} Value of the property.
+ * @throws {TypeError} If the property may not be read.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.getProperty_ = function(obj, name) {
+  if (obj === null || obj === undefined) {
+    throw new TypeError('Cannot read property "' + name + '" of ' + obj);
+  }
+  name = String(name);
+  if (BlocklyApps.Interpreter.BLOCKED_PROPERTIES_[name]) {
+    throw new TypeError('Property "' + name + '" is not available.');
+  }
+  if (obj instanceof BlocklyApps.Interpreter.Function_ ||
+      obj instanceof BlocklyApps.Interpreter.AsyncFunction_) {
+    return undefined;
+  }
+  return obj[name];
+};
+
+/**
+ * Set a property of a value.
+ * @param {*} obj The value.
+ * @param {*} name Name of the property.
+ * @param {*} value New value of the property.
+ * @throws {TypeError} If the property may not be written.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.setProperty_ = function(obj, name, value) {
+  if (obj === null || obj === undefined) {
+    throw new TypeError('Cannot set property "' + name + '" of ' + obj);
+  }
+  name = String(name);
+  if (BlocklyApps.Interpreter.BLOCKED_PROPERTIES_[name] ||
+      typeof obj == 'function' ||
+      obj instanceof BlocklyApps.Interpreter.Function_ ||
+      obj instanceof BlocklyApps.Interpreter.AsyncFunction_) {
+    throw new TypeError('Property "' + name + '" can not be set.');
+  }
+  obj[name] = value;
+};
+
+/**
+ * Convert a value from the program into one that native code can use.
+ * Functions defined by the program become native functions which run the
+ * program's function to completion when called.
+ * @param {*} value Value from the program.
+ * @return {*} Native value.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.toNative_ = function(value) {
+  if (value instanceof BlocklyApps.Interpreter.Function_) {
+    var thisInterpreter = this;
+    return function() {
+      return thisInterpreter.callSync_(value,
+          Array.prototype.slice.call(arguments));
+    };
+  }
+  return value;
+};
+
+/**
+ * Call a function defined by the program and run it to completion.  Used
+ * when native code such as Array.prototype.sort calls back into the program.
+ * @param {!BlocklyApps.Interpreter.Function_} func The function.
+ * @param {!Array} args Arguments.
+ * @return {*} The function's return value.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.callSync_ = function(func, args) {
+  var outerStack = this.stack_;
+  var outerInSyncCall = this.inSyncCall_;
+  var result = {type: 'SyncCall', func: func, args: args};
+  this.stack_ = [];
+  this.inSyncCall_ = true;
+  try {
+    this.push_(result, func.scope);
+    while (this.stepNode_()) {}
+  } finally {
+    this.stack_ = outerStack;
+    this.inSyncCall_ = outerInSyncCall;
+  }
+  return result.value;
+};
+
+/**
+ * Start calling a function defined by the program.
+ * @param {!BlocklyApps.Interpreter.Function_} func The function.
+ * @param {!Array} args Arguments.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.pushCall_ = function(func, args) {
+  var node = func.node;
+  var scope = BlocklyApps.Interpreter.createScope_(func.scope);
+  for (var i = 0; i < node.params.length; i++) {
+    scope.vars[node.params[i]] = args[i];
+  }
+  this.hoist_(node.body, scope);
+  var frame = this.push_(node.body, scope);
+  frame.isCall = true;
+};
+
+/**
+ * Call a function provided by the app.
+ * @param {!Object} frame The stack frame of the call expression.
+ * @param {!Function|!BlocklyApps.Interpreter.AsyncFunction_} func Function.
+ * @param {*} thisArg Value of 'this' for the call.
+ * @param {!Array} args Arguments.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.callNative_ = function(frame, func, thisArg,
+                                                         args) {
+  for (var i = 0; i < args.length; i++) {
+    args[i] = this.toNative_(args[i]);
+  }
+  if (!(func instanceof BlocklyApps.Interpreter.AsyncFunction_)) {
+    this.pop_(func.apply(thisArg, args));
+    return;
+  }
+  if (this.inSyncCall_) {
+    throw new Error('Can not wait for a function inside a callback.');
+  }
+  var thisInterpreter = this;
+  var callId = ++this.asyncCallId_;
+  this.waiting_ = true;
+  args.push(function(value) {
+    if (thisInterpreter.done_ || callId != thisInterpreter.asyncCallId_ ||
+        !thisInterpreter.waiting_) {
+      // The program was stopped, or this callback was already called.
+      return;
+    }
+    thisInterpreter.waiting_ = false;
+    thisInterpreter.pop_(value);
+    if (thisInterpreter.running_) {
+      thisInterpreter.scheduleSlice_(0);
+    }
+  });
+  func.func.apply(thisArg, args);
+};
+
+/**
+ * Unwind the stack for a break or continue statement.
+ * @param {boolean} isBreak True for break, false for continue.
+ * @throws {SyntaxError} If not in a loop.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.unwindLoop_ = function(isBreak) {
+  var stack = this.stack_;
+  while (stack.length) {
+    var frame = stack[stack.length - 1];
+    if (frame.isCall || frame.node.type == 'Program') {
+      break;
+    }
+    if (BlocklyApps.Interpreter.LOOPS_[frame.node.type]) {
+      if (isBreak) {
+        this.pop_(undefined);
+      } else {
+        frame.mode = 'continue';
+      }
+      return;
+    }
+    stack.pop();
+  }
+  throw new SyntaxError('Illegal ' + (isBreak ? 'break' : 'continue'));
+};
+
+/**
+ * Types of loop statement nodes.
+ * @private
+ */
+BlocklyApps.Interpreter.LOOPS_ = {
+  'ForStatement': true,
+  'ForInStatement': true,
+  'WhileStatement': true,
+  'DoWhileStatement': true
+};
+
+// Step functions for each type of node.  Each is called repeatedly with the
+// node's stack frame until it pops the frame.  frame.n counts the step, and
+// frame.value holds the value of the last child node evaluated.
+
+BlocklyApps.Interpreter.prototype.stepProgram_ = function(frame) {
+  if (frame.n == 0) {
+    this.hoist_(frame.node.body, frame.scope);
+  }
+  this.stepBlockStatement_(frame);
+};
+
+BlocklyApps.Interpreter.prototype.stepBlockStatement_ = function(frame) {
+  var body = frame.node.body;
+  if (frame.n < body.length) {
+    this.push_(body[frame.n++], frame.scope);
+  } else {
+    // A function body which ran to its end returns undefined.
+    this.pop_(undefined);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepSyncCall_ = function(frame) {
+  if (frame.n++ == 0) {
+    this.pushCall_(frame.node.func, frame.node.args);
+  } else {
+    frame.node.value = frame.value;
+    this.pop_(undefined);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepEmptyStatement_ = function(frame) {
+  this.pop_(undefined);
+};
+
+BlocklyApps.Interpreter.prototype.stepFunctionDeclaration_ = function(frame) {
+  // Already declared when the enclosing scope was created.
+  this.pop_(undefined);
+};
+
+BlocklyApps.Interpreter.prototype.stepExpressionStatement_ = function(frame) {
+  if (frame.n++ == 0) {
+    this.push_(frame.node.expression, frame.scope);
+  } else {
+    this.pop_(undefined);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepVariableDeclaration_ = function(frame) {
+  var declarations = frame.node.declarations;
+  if (frame.pending) {
+    this.setVariable_(frame.scope, frame.pending, frame.value);
+    frame.pending = null;
+  }
+  while (frame.n < declarations.length) {
+    var declaration = declarations[frame.n++];
+    if (declaration.init) {
+      frame.pending = declaration.id;
+      this.push_(declaration.init, frame.scope);
+      return;
+    }
+  }
+  this.pop_(undefined);
+};
+
+BlocklyApps.Interpreter.prototype.stepIfStatement_ = function(frame) {
+  var node = frame.node;
+  if (frame.n == 0) {
+    frame.n = 1;
+    this.push_(node.test, frame.scope);
+  } else if (frame.n == 1) {
+    frame.n = 2;
+    var branch = frame.value ? node.consequent : node.alternate;
+    if (branch) {
+      this.push_(branch, frame.scope);
+    } else {
+      this.pop_(undefined);
+    }
+  } else {
+    this.pop_(frame.value);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepConditionalExpression_ =
+    BlocklyApps.Interpreter.prototype.stepIfStatement_;
+
+BlocklyApps.Interpreter.prototype.stepWhileStatement_ = function(frame) {
+  // Modes: 'test' evaluates the condition, 'body' checks it and runs the body.
+  var node = frame.node;
+  if (!frame.mode || frame.mode == 'continue') {
+    frame.mode = 'test';
+  }
+  if (frame.mode == 'test') {
+    frame.mode = 'body';
+    this.push_(node.test, frame.scope);
+  } else if (frame.value) {
+    frame.mode = 'test';
+    this.push_(node.body, frame.scope);
+  } else {
+    this.pop_(undefined);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepDoWhileStatement_ = function(frame) {
+  var node = frame.node;
+  if (!frame.mode) {
+    frame.mode = 'continue';
+    this.push_(node.body, frame.scope);
+  } else if (frame.mode == 'continue') {
+    frame.mode = 'check';
+    this.push_(node.test, frame.scope);
+  } else if (frame.value) {
+    frame.mode = 'continue';
+    this.push_(node.body, frame.scope);
+  } else {
+    this.pop_(undefined);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepForStatement_ = function(frame) {
+  // Modes: 'init', 'test', 'check' (test result available), 'continue'
+  // (body done, run the update).
+  var node = frame.node;
+  if (!frame.mode) {
+    frame.mode = 'test';
+    if (node.init) {
+      this.push_(node.init, frame.scope);
+      return;
+    }
+  }
+  if (frame.mode == 'continue') {
+    frame.mode = 'test';
+    if (node.update) {
+      this.push_(node.update, frame.scope);
+      return;
+    }
+  }
+  if (frame.mode == 'test') {
+    frame.mode = 'check';
+    if (node.test) {
+      this.push_(node.test, frame.scope);
+      return;
+    }
+    frame.value = true;
+  }
+  if (frame.value) {
+    frame.mode = 'continue';
+    this.push_(node.body, frame.scope);
+  } else {
+    this.pop_(undefined);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepForInStatement_ = function(frame) {
+  var node = frame.node;
+  if (!frame.mode) {
+    frame.mode = 'keys';
+    this.push_(node.right, frame.scope);
+    return;
+  }
+  if (frame.mode == 'keys') {
+    frame.keys = [];
+    var obj = frame.value;
+    if (obj !== null && obj !== undefined &&
+        !(obj instanceof BlocklyApps.Interpreter.Function_)) {
+      for (var key in obj) {
+        frame.keys.push(key);
+      }
+    }
+    frame.mode = 'continue';
+  }
+  if (frame.mode == 'continue') {
+    if (frame.n >= frame.keys.length) {
+      this.pop_(undefined);
+      return;
+    }
+    var key = frame.keys[frame.n++];
+    var left = node.left;
+    if (left.type == 'VariableDeclaration') {
+      left = {type: 'Identifier', name: left.declarations[0].id};
+    }
+    frame.mode = 'assigned';
+    this.push_({type: 'AssignmentExpression', operator: '=', left: left,
+                right: {type: 'Literal', value: key}}, frame.scope);
+  } else {
+    frame.mode = 'continue';
+    this.push_(node.body, frame.scope);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepBreakStatement_ = function(frame) {
+  this.unwindLoop_(true);
+};
+
+BlocklyApps.Interpreter.prototype.stepContinueStatement_ = function(frame) {
+  this.unwindLoop_(false);
+};
+
+BlocklyApps.Interpreter.prototype.stepReturnStatement_ = function(frame) {
+  if (frame.n++ == 0 && frame.node.argument) {
+    this.push_(frame.node.argument, frame.scope);
+    return;
+  }
+  var value = frame.value;
+  var stack = this.stack_;
+  while (stack.length) {
+    var top = stack[stack.length - 1];
+    if (top.isCall) {
+      this.pop_(value);
+      return;
+    }
+    if (top.node.type == 'Program') {
+      break;
+    }
+    stack.pop();
+  }
+  throw new SyntaxError('Illegal return statement');
+};
+
+BlocklyApps.Interpreter.prototype.stepThrowStatement_ = function(frame) {
+  if (frame.n++ == 0) {
+    this.push_(frame.node.argument, frame.scope);
+  } else {
+    throw frame.value;
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepLiteral_ = function(frame) {
+  var node = frame.node;
+  if (node.regex) {
+    this.pop_(new RegExp(node.regex.pattern, node.regex.flags));
+  } else {
+    this.pop_(node.value);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepIdentifier_ = function(frame) {
+  this.pop_(this.getVariable_(frame.scope, frame.node.name));
+};
+
+BlocklyApps.Interpreter.prototype.stepThisExpression_ = function(frame) {
+  this.pop_(undefined);
+};
+
+BlocklyApps.Interpreter.prototype.stepFunctionExpression_ = function(frame) {
+  this.pop_(new BlocklyApps.Interpreter.Function_(frame.node, frame.scope));
+};
+
+BlocklyApps.Interpreter.prototype.stepArrayExpression_ = function(frame) {
+  var elements = frame.node.elements;
+  if (frame.n == 0) {
+    frame.array = [];
+  } else {
+    frame.array.push(frame.value);
+  }
+  if (frame.n < elements.length) {
+    this.push_(elements[frame.n++], frame.scope);
+  } else {
+    this.pop_(frame.array);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepObjectExpression_ = function(frame) {
+  var properties = frame.node.properties;
+  if (frame.n == 0) {
+    frame.object = {};
+  } else {
+    this.setProperty_(frame.object, properties[frame.n - 1].key, frame.value);
+  }
+  if (frame.n < properties.length) {
+    this.push_(properties[frame.n++].value, frame.scope);
+  } else {
+    this.pop_(frame.object);
+  }
+};
+
+BlocklyApps.Interpreter.prototype.stepUnaryExpression_ = function(frame) {
+  var node = frame.node;
+  if (frame.n++ == 0) {
+    if (node.operator == 'typeof' && node.argument.type == 'Identifier' &&
+        !BlocklyApps.Interpreter.findScope_(frame.scope, node.argument.name)) {
+      // typeof of an undefined variable does not throw.
+      this.pop_('undefined');
+    } else {
+      this.push_(node.argument, frame.scope);
+    }
+    return;
+  }
+  var value = frame.value;
+  switch (node.operator) {
+    case '-': value = -value; break;
+    case '+': value = +value; break;
+    case '!': value = !value; break;
+    case '~': value = ~value; break;
+    case 'void': value = undefined; break;
+    case 'typeof':
+      if (value instanceof BlocklyApps.Interpreter.Function_ ||
+          value instanceof BlocklyApps.Interpreter.AsyncFunction_) {
+        value = 'function';
+      } else {
+        value = typeof value;
+      }
+      break;
+  }
+  this.pop_(value);
+};
+
+BlocklyApps.Interpreter.prototype.stepBinaryExpression_ = function(frame) {
+  var node = frame.node;
+  if (frame.n == 0) {
+    frame.n = 1;
+    this.push_(node.left, frame.scope);
+  } else if (frame.n == 1) {
+    frame.n = 2;
+    frame.left = frame.value;
+    this.push_(node.right, frame.scope);
+  } else {
+    this.pop_(BlocklyApps.Interpreter.binaryOp_(node.operator, frame.left,
+                                                frame.value));
+  }
+};
+
+/**
+ * Apply a binary operator.
+ * @param {string} operator Operator, such as '+' or '<='.
+ * @param {*} a Left operand.
+ * @param {*} b Right operand.
+ * @return {*} Result.
+ * @private
+ */
+BlocklyApps.Interpreter.binaryOp_ = function(operator, a, b) {
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    case '%': return a % b;
+    case '==': return a == b;
+    case '!=': return a != b;
+    case '===': return a === b;
+    case '!==': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    case '&': return a & b;
+    case '|': return a | b;
+    case '^': return a ^ b;
+    case '<<': return a << b;
+    case '>>': return a >> b;
+    case '>>>': return a >>> b;
+    case 'in':
+      if (b === null || typeof b != 'object') {
+        throw new TypeError('Cannot use "in" to search in ' + b);
+      }
+      return a in b;
+  }
+  throw new SyntaxError('Unknown operator: ' + operator);
+};
+
+BlocklyApps.Interpreter.prototype.stepLogicalExpression_ = function(frame) {
+  var node = frame.node;
+  if (frame.n == 0) {
+    frame.n = 1;
+    this.push_(node.left, frame.scope);
+  } else if (frame.n == 1 &&
+             (node.operator == '&&' ? frame.value : !frame.value)) {
+    frame.n = 2;
+    this.push_(node.right, frame.scope);
+  } else {
+    this.pop_(frame.value);
+  }
+};
+
+/**
+ * Evaluate the object and property name of a member expression, storing them
+ * in the frame as frame.object and frame.property.
+ * @param {!Object} frame The stack frame.
+ * @param {!Object} member The MemberExpression node.
+ * @return {boolean} True when both are known, false if a child node was
+ *     started.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.evaluateMember_ = function(frame, member) {
+  if (!frame.memberStep) {
+    frame.memberStep = 1;
+    this.push_(member.object, frame.scope);
+    return false;
+  }
+  if (frame.memberStep == 1) {
+    frame.memberStep = 2;
+    frame.object = frame.value;
+    if (member.computed) {
+      this.push_(member.property, frame.scope);
+      return false;
+    }
+    frame.value = member.property.name;
+  }
+  if (frame.memberStep == 2) {
+    frame.memberStep = 3;
+    frame.property = frame.value;
+  }
+  return true;
+};
+
+BlocklyApps.Interpreter.prototype.stepMemberExpression_ = function(frame) {
+  if (this.evaluateMember_(frame, frame.node)) {
+    this.pop_(this.getProperty_(frame.object, frame.property));
+  }
+};
+
+/**
+ * Step function shared by assignment and update expressions, which both
+ * read and then write a variable or property.
+ * @param {!Object} frame The stack frame.
+ * @param {!Object} target The node being written to.
+ * @param {Object} valueNode Node of the value to write, if any.
+ * @param {function(*, *): *} compute Function computing the new value from
+ *     the old value and the value of valueNode.  Returns the new value.
+ * @param {function(*, *): *} result Function computing the value of the
+ *     expression from the old and new values.
+ * @private
+ */
+BlocklyApps.Interpreter.prototype.stepWrite_ = function(frame, target,
+    valueNode, compute, result) {
+  var isMember = target.type == 'MemberExpression';
+  if (isMember && !this.evaluateMember_(frame, target)) {
+    return;
+  }
+  if (valueNode && !frame.valueStarted) {
+    frame.valueStarted = true;
+    this.push_(valueNode, frame.scope);
+    return;
+  }
+  var operand = frame.value;
+  if (frame.node.operator == '=') {
+    var oldValue = undefined;
+  } else if (isMember) {
+    var oldValue = this.getProperty_(frame.object, frame.property);
+  } else {
+    var oldValue = this.getVariable_(frame.scope, target.name);
+  }
+  var newValue = compute(oldValue, operand);
+  if (isMember) {
+    this.setProperty_(frame.object, frame.property, newValue);
+  } else {
+    this.setVariable_(frame.scope, target.name, newValue);
+  }
+  this.pop_(result(oldValue, newValue));
+};
+
+BlocklyApps.Interpreter.prototype.stepAssignmentExpression_ = function(frame) {
+  var operator = frame.node.operator;
+  this.stepWrite_(frame, frame.node.left, frame.node.right,
+      function(oldValue, operand) {
+        if (operator == '=') {
+          return operand;
+        }
+        return BlocklyApps.Interpreter.binaryOp_(operator.slice(0, -1),
+                                                 oldValue, operand);
+      },
+      function(oldValue, newValue) {
+        return newValue;
+      });
+};
+
+BlocklyApps.Interpreter.prototype.stepUpdateExpression_ = function(frame) {
+  var node = frame.node;
+  this.stepWrite_(frame, node.argument, null,
+      function(oldValue) {
+        return node.operator == '++' ? +oldValue + 1 : +oldValue - 1;
+      },
+      function(oldValue, newValue) {
+        return node.prefix ? newValue : +oldValue;
+      });
+};
+
+BlocklyApps.Interpreter.prototype.stepCallExpression_ = function(frame) {
+  var node = frame.node;
+  if (!frame.calleeKnown) {
+    if (node.callee.type == 'MemberExpression') {
+      if (!this.evaluateMember_(frame, node.callee)) {
+        return;
+      }
+      frame.thisArg = frame.object;
+      frame.func = this.getProperty_(frame.object, frame.property);
+    } else if (!frame.calleeStarted) {
+      frame.calleeStarted = true;
+      this.push_(node.callee, frame.scope);
+      return;
+    } else {
+      frame.func = frame.value;
+    }
+    frame.calleeKnown = true;
+    frame.args = [];
+    frame.n = 0;
+  } else if (frame.n <= node.arguments.length && !frame.called) {
+    frame.args.push(frame.value);
+  }
+  if (frame.called) {
+    this.pop_(frame.value);
+    return;
+  }
+  if (frame.n < node.arguments.length) {
+    frame.n++;
+    this.push_(node.arguments[frame.n - 1], frame.scope);
+    return;
+  }
+  frame.called = true;
+  var func = frame.func;
+  if (func instanceof BlocklyApps.Interpreter.Function_) {
+    this.pushCall_(func, frame.args);
+  } else if (typeof func == 'function' ||
+             func instanceof BlocklyApps.Interpreter.AsyncFunction_) {
+    this.callNative_(frame, func, frame.thisArg, frame.args);
+  } else {
+    var name = node.callee.type == 'Identifier' ? node.callee.name :
+        node.callee.type == 'MemberExpression' && !node.callee.computed ?
+        node.callee.property.name : 'expression';
+    throw new TypeError(name + ' is not a function');
+  }
+};
+
+// Parser.
+
+/**
+ * Class for a parser of the JavaScript subset run by the interpreter.
+ * Produces a syntax tree using the node types and property names of the
+ * Mozilla Parser API.
+ * @param {string} code JavaScript source.
+ * @constructor
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_ = function(code) {
+  this.code_ = code;
+  this.pos_ = 0;
+  this.token_ = null;
+  this.noIn_ = false;
+  this.next_();
+};
+
+/**
+ * Punctuators, longest first so that the longest match wins.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.PUNCTUATORS_ = [
+  '>>>=', '===', '!==', '>>>', '<<=', '>>=',
+  '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=',
+  '%=', '&=', '|=', '^=', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.'
+];
+
+/**
+ * Binding strength of binary operators.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.PRECEDENCE_ = {
+  '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, 'in': 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10
+};
+
+/**
+ * Keywords which are not supported.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.UNSUPPORTED_ = {
+  'switch': true, 'try': true, 'with': true, 'new': true, 'delete': true,
+  'instanceof': true, 'class': true, 'const': true, 'let': true
+};
+
+/**
+ * Throw a syntax error at the current token.
+ * @param {string} message Description of the error.
+ * @throws {SyntaxError}
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.fail_ = function(message) {
+  var line = this.code_.substring(0, this.token_.start).split('\n').length;
+  throw new SyntaxError(message + ' (line ' + line + ')');
+};
+
+/**
+ * Read the next token into this.token_.  Tokens have a type ('num', 'str',
+ * 'regex', 'name', 'punc' or 'eof'), a value, a start position, and a flag
+ * recording whether a line break preceded them.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.next_ = function() {
+  var code = this.code_;
+  var previous = this.token_;
+  var newline = false;
+  // Skip whitespace and comments.
+  while (this.pos_ < code.length) {
+    var c = code.charAt(this.pos_);
+    if (c == '\n') {
+      newline = true;
+      this.pos_++;
+    } else if (/\s/.test(c)) {
+      this.pos_++;
+    } else if (code.substr(this.pos_, 2) == '//') {
+      var end = code.indexOf('\n', this.pos_);
+      this.pos_ = end == -1 ? code.length : end;
+    } else if (code.substr(this.pos_, 2) == '/*') {
+      var end = code.indexOf('*/', this.pos_ + 2);
+      if (end == -1) {
+        this.token_ = {start: this.pos_};
+        this.fail_('Unterminated comment');
+      }
+      if (code.substring(this.pos_, end).indexOf('\n') != -1) {
+        newline = true;
+      }
+      this.pos_ = end + 2;
+    } else {
+      break;
+    }
+  }
+  var start = this.pos_;
+  var token = {type: 'eof', value: null, start: start, newline: newline};
+  this.token_ = token;
+  if (start >= code.length) {
+    return;
+  }
+  var c = code.charAt(start);
+  var m;
+  if ((m = code.substr(start).match(
+      /^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/))) {
+    token.type = 'num';
+    token.value = Number(m[0]);
+    this.pos_ += m[0].length;
+  } else if ((m = code.substr(start).match(/^[A-Za-z_$][\w$]*/))) {
+    token.type = 'name';
+    token.value = m[0];
+    this.pos_ += m[0].length;
+  } else if (c == '\'' || c == '"') {
+    token.type = 'str';
+    token.value = this.readString_(c);
+  } else if (c == '/' && this.regexAllowed_(previous)) {
+    token.type = 'regex';
+    token.value = this.readRegex_();
+  } else {
+    var punctuators = BlocklyApps.Interpreter.Parser_.PUNCTUATORS_;
+    for (var i = 0; i < punctuators.length; i++) {
+      if (code.substr(start, punctuators[i].length) == punctuators[i]) {
+        token.type = 'punc';
+        token.value = punctuators[i];
+        this.pos_ += punctuators[i].length;
+        return;
+      }
+    }
+    this.fail_('Unexpected character "' + c + '"');
+  }
+};
+
+/**
+ * Can a slash after the given token start a regular expression (rather than
+ * being a division)?
+ * @param {Object} previous The previous token.
+ * @return {boolean} True if a regular expression may start here.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.regexAllowed_ = function(previous) {
+  if (!previous) {
+    return true;
+  }
+  if (previous.type == 'punc') {
+    return previous.value != ')' && previous.value != ']';
+  }
+  if (previous.type == 'name') {
+    return /^(return|typeof|in|void|throw|case)$/.test(previous.value);
+  }
+  return false;
+};
+
+/**
+ * Read a string literal.
+ * @param {string} quote The opening quote character.
+ * @return {string} Value of the string.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.readString_ = function(quote) {
+  var code = this.code_;
+  var value = '';
+  this.pos_++;
+  while (true) {
+    if (this.pos_ >= code.length) {
+      this.fail_('Unterminated string');
+    }
+    var c = code.charAt(this.pos_++);
+    if (c == quote) {
+      return value;
+    }
+    if (c == '\n') {
+      this.fail_('Unterminated string');
+    }
+    if (c != '\\') {
+      value += c;
+      continue;
+    }
+    c = code.charAt(this.pos_++);
+    switch (c) {
+      case 'n': value += '\n'; break;
+      case 't': value += '\t'; break;
+      case 'r': value += '\r'; break;
+      case 'b': value += '\b'; break;
+      case 'f': value += '\f'; break;
+      case 'v': value += '\v'; break;
+      case '0': value += '\0'; break;
+      case 'x':
+      case 'u':
+        var length = c == 'x' ? 2 : 4;
+        var hex = code.substr(this.pos_, length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length != length) {
+          this.fail_('Bad escape sequence');
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.pos_ += length;
+        break;
+      case '\n':
+        // Line continuation.
+        break;
+      default:
+        value += c;
+    }
+  }
+};
+
+/**
+ * Read a regular expression literal.
+ * @return {!Object} Object with pattern and flags properties.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.readRegex_ = function() {
+  var code = this.code_;
+  var inClass = false;
+  var i = this.pos_ + 1;
+  while (true) {
+    var c = code.charAt(i);
+    if (!c || c == '\n') {
+      this.fail_('Unterminated regular expression');
+    }
+    if (c == '\\') {
+      i++;
+    } else if (c == '[') {
+      inClass = true;
+    } else if (c == ']') {
+      inClass = false;
+    } else if (c == '/' && !inClass) {
+      break;
+    }
+    i++;
+  }
+  var pattern = code.substring(this.pos_ + 1, i);
+  var flags = code.substr(i + 1).match(/^[gimy]*/)[0];
+  this.pos_ = i + 1 + flags.length;
+  // Check the expression is valid now rather than when it is run.
+  try {
+    new RegExp(pattern, flags);
+  } catch (e) {
+    this.fail_('Invalid regular expression');
+  }
+  return {pattern: pattern, flags: flags};
+};
+
+/**
+ * Is the current token the given punctuator or word?
+ * @param {string} value Punctuator or word.
+ * @return {boolean} True if it is.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.is_ = function(value) {
+  var token = this.token_;
+  return (token.type == 'punc' || token.type == 'name') &&
+      token.value == value;
+};
+
+/**
+ * Consume the current token if it is the given punctuator or word.
+ * @param {string} value Punctuator or word.
+ * @return {boolean} True if it was consumed.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.eat_ = function(value) {
+  if (this.is_(value)) {
+    this.next_();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Consume the given punctuator or word, which must be the current token.
+ * @param {string} value Punctuator or word.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.expect_ = function(value) {
+  if (!this.eat_(value)) {
+    this.fail_('Expected "' + value + '"');
+  }
+};
+
+/**
+ * Consume a name, which must be the current token.
+ * @return {string} The name.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.expectName_ = function() {
+  if (this.token_.type != 'name') {
+    this.fail_('Expected a name');
+  }
+  var name = this.token_.value;
+  if (BlocklyApps.Interpreter.Parser_.UNSUPPORTED_[name]) {
+    this.fail_('Unsupported: ' + name);
+  }
+  this.next_();
+  return name;
+};
+
+/**
+ * Consume the end of a statement: a semicolon, or nothing before a line
+ * break, a closing brace or the end of the code.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.endStatement_ = function() {
+  if (this.eat_(';') || this.is_('}') || this.token_.type == 'eof' ||
+      this.token_.newline) {
+    return;
+  }
+  this.fail_('Expected ";"');
+};
+
+/**
+ * Parse the whole program.
+ * @return {!Object} Program node.
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseProgram = function() {
+  var body = [];
+  while (this.token_.type != 'eof') {
+    body.push(this.parseStatement_());
+  }
+  return {type: 'Program', body: body};
+};
+
+/**
+ * Parse a statement.
+ * @return {!Object} Statement node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseStatement_ = function() {
+  var token = this.token_;
+  if (token.type == 'punc') {
+    if (token.value == '{') {
+      return this.parseBlock_();
+    }
+    if (token.value == ';') {
+      this.next_();
+      return {type: 'EmptyStatement'};
+    }
+  } else if (token.type == 'name') {
+    if (BlocklyApps.Interpreter.Parser_.UNSUPPORTED_[token.value]) {
+      this.fail_('Unsupported: ' + token.value);
+    }
+    switch (token.value) {
+      case 'var':
+        var node = this.parseVar_();
+        this.endStatement_();
+        return node;
+      case 'function':
+        this.next_();
+        return this.parseFunction_('FunctionDeclaration', true);
+      case 'if':
+        this.next_();
+        this.expect_('(');
+        var test = this.parseExpression_();
+        this.expect_(')');
+        var consequent = this.parseStatement_();
+        var alternate = this.eat_('else') ? this.parseStatement_() : null;
+        return {type: 'IfStatement', test: test, consequent: consequent,
+                alternate: alternate};
+      case 'for':
+        this.next_();
+        return this.parseFor_();
+      case 'while':
+        this.next_();
+        this.expect_('(');
+        var test = this.parseExpression_();
+        this.expect_(')');
+        return {type: 'WhileStatement', test: test,
+                body: this.parseStatement_()};
+      case 'do':
+        this.next_();
+        var body = this.parseStatement_();
+        this.expect_('while');
+        this.expect_('(');
+        var test = this.parseExpression_();
+        this.expect_(')');
+        this.endStatement_();
+        return {type: 'DoWhileStatement', test: test, body: body};
+      case 'break':
+      case 'continue':
+        this.next_();
+        this.endStatement_();
+        return {type: token.value == 'break' ?
+                'BreakStatement' : 'ContinueStatement'};
+      case 'return':
+        this.next_();
+        var argument = null;
+        if (!this.is_(';') && !this.is_('}') && this.token_.type != 'eof' &&
+            !this.token_.newline) {
+          argument = this.parseExpression_();
+        }
+        this.endStatement_();
+        return {type: 'ReturnStatement', argument: argument};
+      case 'throw':
+        this.next_();
+        var argument = this.parseExpression_();
+        this.endStatement_();
+        return {type: 'ThrowStatement', argument: argument};
+    }
+  }
+  var expression = this.parseExpression_();
+  this.endStatement_();
+  return {type: 'ExpressionStatement', expression: expression};
+};
+
+/**
+ * Parse a block of statements in braces.
+ * @return {!Object} BlockStatement node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseBlock_ = function() {
+  this.expect_('{');
+  var body = [];
+  while (!this.eat_('}')) {
+    if (this.token_.type == 'eof') {
+      this.fail_('Expected "}"');
+    }
+    body.push(this.parseStatement_());
+  }
+  return {type: 'BlockStatement', body: body};
+};
+
+/**
+ * Parse a var declaration, without the end of the statement.
+ * @return {!Object} VariableDeclaration node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseVar_ = function() {
+  this.expect_('var');
+  var declarations = [];
+  do {
+    var id = this.expectName_();
+    var init = this.eat_('=') ? this.parseAssignment_() : null;
+    declarations.push({id: id, init: init});
+  } while (this.eat_(','));
+  return {type: 'VariableDeclaration', declarations: declarations};
+};
+
+/**
+ * Parse a for or for-in statement, after the 'for' keyword.
+ * @return {!Object} ForStatement or ForInStatement node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseFor_ = function() {
+  this.expect_('(');
+  var init = null;
+  // 'in' ends the initialiser of a for-in loop, rather than being an operator.
+  this.noIn_ = true;
+  if (this.is_('var')) {
+    init = this.parseVar_();
+  } else if (!this.is_(';')) {
+    init = this.parseExpression_();
+  }
+  this.noIn_ = false;
+  if (init && this.eat_('in')) {
+    if (init.type == 'VariableDeclaration' ?
+        init.declarations.length != 1 || init.declarations[0].init :
+        init.type != 'Identifier' && init.type != 'MemberExpression') {
+      this.fail_('Invalid left side in for-in loop');
+    }
+    var right = this.parseExpression_();
+    this.expect_(')');
+    return {type: 'ForInStatement', left: init, right: right,
+            body: this.parseStatement_()};
+  }
+  this.expect_(';');
+  var test = this.is_(';') ? null : this.parseExpression_();
+  this.expect_(';');
+  var update = this.is_(')') ? null : this.parseExpression_();
+  this.expect_(')');
+  if (init && init.type != 'VariableDeclaration') {
+    init = {type: 'ExpressionStatement', expression: init};
+  }
+  return {type: 'ForStatement', init: init, test: test,
+          update: update && {type: 'ExpressionStatement', expression: update},
+          body: this.parseStatement_()};
+};
+
+/**
+ * Parse a function, after the 'function' keyword.
+ * @param {string} type 'FunctionDeclaration' or 'FunctionExpression'.
+ * @param {boolean} named True if the function must have a name.
+ * @return {!Object} Function node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseFunction_ = function(type,
+                                                                   named) {
+  var id = null;
+  if (named || this.token_.type == 'name') {
+    id = this.expectName_();
+  }
+  this.expect_('(');
+  var params = [];
+  if (!this.eat_(')')) {
+    do {
+      params.push(this.expectName_());
+    } while (this.eat_(','));
+    this.expect_(')');
+  }
+  return {type: type, id: id, params: params, body: this.parseBlock_()};
+};
+
+/**
+ * Parse an expression.  The comma operator is not supported.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseExpression_ = function() {
+  return this.parseAssignment_();
+};
+
+/**
+ * Parse an assignment, or any expression binding more tightly.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseAssignment_ = function() {
+  var left = this.parseConditional_();
+  var token = this.token_;
+  if (token.type == 'punc' && /^([-+*\/%&|^]|<<|>>>?)?=$/.test(token.value)) {
+    if (left.type != 'Identifier' && left.type != 'MemberExpression') {
+      this.fail_('Invalid assignment');
+    }
+    this.next_();
+    return {type: 'AssignmentExpression', operator: token.value, left: left,
+            right: this.parseAssignment_()};
+  }
+  return left;
+};
+
+/**
+ * Parse a conditional (?:) expression, or any expression binding more
+ * tightly.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseConditional_ = function() {
+  var test = this.parseBinary_(0);
+  if (!this.eat_('?')) {
+    return test;
+  }
+  var consequent = this.parseAssignment_();
+  this.expect_(':');
+  return {type: 'ConditionalExpression', test: test, consequent: consequent,
+          alternate: this.parseAssignment_()};
+};
+
+/**
+ * Parse binary operators binding more tightly than the given precedence.
+ * @param {number} minPrecedence Precedence of the enclosing operator.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseBinary_ = function(
+    minPrecedence) {
+  var left = this.parseUnary_();
+  while (true) {
+    var token = this.token_;
+    if (token.type != 'punc' &&
+        !(token.type == 'name' && token.value == 'in' && !this.noIn_)) {
+      return left;
+    }
+    var precedence = BlocklyApps.Interpreter.Parser_.PRECEDENCE_[token.value];
+    if (!precedence || precedence <= minPrecedence) {
+      return left;
+    }
+    this.next_();
+    var right = this.parseBinary_(precedence);
+    var type = (token.value == '&&' || token.value == '||') ?
+        'LogicalExpression' : 'BinaryExpression';
+    left = {type: type, operator: token.value, left: left, right: right};
+  }
+};
+
+/**
+ * Parse a unary expression, or any expression binding more tightly.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseUnary_ = function() {
+  var token = this.token_;
+  if ((token.type == 'punc' && /^[-+!~]$/.test(token.value)) ||
+      (token.type == 'name' && /^(typeof|void)$/.test(token.value))) {
+    this.next_();
+    return {type: 'UnaryExpression', operator: token.value,
+            argument: this.parseUnary_()};
+  }
+  if (this.is_('++') || this.is_('--')) {
+    this.next_();
+    var argument = this.parseUnary_();
+    this.checkUpdateTarget_(argument);
+    return {type: 'UpdateExpression', operator: token.value, prefix: true,
+            argument: argument};
+  }
+  var expression = this.parseCallOrMember_();
+  if ((this.is_('++') || this.is_('--')) && !this.token_.newline) {
+    this.checkUpdateTarget_(expression);
+    var operator = this.token_.value;
+    this.next_();
+    return {type: 'UpdateExpression', operator: operator, prefix: false,
+            argument: expression};
+  }
+  return expression;
+};
+
+/**
+ * Check that an expression may be incremented or decremented.
+ * @param {!Object} node Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.checkUpdateTarget_ = function(node) {
+  if (node.type != 'Identifier' && node.type != 'MemberExpression') {
+    this.fail_('Invalid increment or decrement');
+  }
+};
+
+/**
+ * Parse a primary expression followed by any property accesses and calls.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parseCallOrMember_ = function() {
+  var expression = this.parsePrimary_();
+  while (true) {
+    if (this.eat_('.')) {
+      if (this.token_.type != 'name') {
+        this.fail_('Expected a property name');
+      }
+      var property = {type: 'Identifier', name: this.token_.value};
+      this.next_();
+      expression = {type: 'MemberExpression', object: expression,
+                    property: property, computed: false};
+    } else if (this.eat_('[')) {
+      var property = this.parseExpression_();
+      this.expect_(']');
+      expression = {type: 'MemberExpression', object: expression,
+                    property: property, computed: true};
+    } else if (this.eat_('(')) {
+      var args = [];
+      if (!this.eat_(')')) {
+        do {
+          args.push(this.parseAssignment_());
+        } while (this.eat_(','));
+        this.expect_(')');
+      }
+      expression = {type: 'CallExpression', callee: expression,
+                    arguments: args};
+    } else {
+      return expression;
+    }
+  }
+};
+
+/**
+ * Parse a literal, name, function, parenthesised expression, array or
+ * object.
+ * @return {!Object} Expression node.
+ * @private
+ */
+BlocklyApps.Interpreter.Parser_.prototype.parsePrimary_ = function() {
+  var token = this.token_;
+  switch (token.type) {
+    case 'num':
+    case 'str':
+      this.next_();
+      return {type: 'Literal', value: token.value};
+    case 'regex':
+      this.next_();
+      return {type: 'Literal', value: null, regex: token.value};
+    case 'name':
+      switch (token.value) {
+        case 'true':
+        case 'false':
+          this.next_();
+          return {type: 'Literal', value: token.value == 'true'};
+        case 'null':
+          this.next_();
+          return {type: 'Literal', value: null};
+        case 'this':
+          this.next_();
+          return {type: 'ThisExpression'};
+        case 'function':
+          this.next_();
+          return this.parseFunction_('FunctionExpression', false);
+      }
+      return {type: 'Identifier', name: this.expectName_()};
+    case 'punc':
+      if (this.eat_('(')) {
+        var expression = this.parseExpression_();
+        this.expect_(')');
+        return expression;
+      }
+      if (this.eat_('[')) {
+        var elements = [];
+        if (!this.eat_(']')) {
+          do {
+            if (this.is_(']')) {
+              // Trailing comma.
+              break;
+            }
+            elements.push(this.parseAssignment_());
+          } while (this.eat_(','));
+          this.expect_(']');
+        }
+        return {type: 'ArrayExpression', elements: elements};
+      }
+      if (this.eat_('{')) {
+        var properties = [];
+        if (!this.eat_('}')) {
+          do {
+            if (this.is_('}')) {
+              // Trailing comma.
+              break;
+            }
+            var key = this.token_;
+            if (key.type != 'name' && key.type != 'str' && key.type != 'num') {
+              this.fail_('Expected a property name');
+            }
+            this.next_();
+            this.expect_(':');
+            properties.push({key: String(key.value),
+                             value: this.parseAssignment_()});
+          } while (this.eat_(','));
+          this.expect_('}');
+        }
+        return {type: 'ObjectExpression', properties: properties};
+      }
+  }
+  this.fail_(token.type == 'eof' ? 'Unexpected end of code' :
+             'Unexpected "' + token.value + '"');
+};
@@ -0,0 +1,415 @@
+/**
+ * Blockly Apps: Maze Level Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview JavaScript for the Maze level editor, where teachers paint
+ * their own mazes and export them as level files.
+ */
+'use strict';
+
+/**
+ * Create a namespace for the editor.
+ */
+Maze.Editor = {};
+
+/**
+ * Smallest and largest number of rows or columns in a maze.
+ */
+Maze.Editor.MIN_SIZE = 2;
+Maze.Editor.MAX_SIZE = 16;
+
+/**
+ * Blocks that may be offered in the toolbox, with their checkbox labels.
+ */
+Maze.Editor.TOOLBOX_CHOICES = [
+  {label: 'move forward', block: {'type': 'maze_moveForward'}},
+  {label: 'turn left',
+   block: {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}}},
+  {label: 'turn right',
+   block: {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}}},
+  {label: 'repeat until', block: {'type': 'maze_forever'}},
+  {label: 'if path ahead', block: {'type': 'maze_if'}},
+  {label: 'if path to the left',
+   block: {'type': 'maze_if', 'fields': {'DIR': 'isPathLeft'}}},
+  {label: 'if-else', block: {'type': 'maze_ifElse'}}
+];
+
+/**
+ * The level being edited.
+ * @type {Object}
+ */
+Maze.Editor.level = null;
+
+/**
+ * Toolbox entries of an imported level that have no checkbox.  They are kept
+ * as they are and added after the checked blocks.
+ * @type {!Array.<!Object>}
+ * @private
+ */
+Maze.Editor.extraToolbox_ = [];
+
+/**
+ * Square type painted by the mouse.
+ * @type {Maze.SquareType}
+ */
+Maze.Editor.paintType = Maze.SquareType.WALL;
+
+/**
+ * True while the mouse button is held down over the maze.
+ * @private
+ */
+Maze.Editor.painting_ = false;
+
+/**
+ * Create an empty level: a path from start to finish across the middle row.
+ * @param {number} rows Number of tiles down.
+ * @param {number} cols Number of tiles across.
+ * @return {!Object} New level.
+ */
+Maze.Editor.blankLevel = function(rows, cols) {
+  var map = [];
+  for (var y = 0; y < rows; y++) {
+    map[y] = [];
+    for (var x = 0; x < cols; x++) {
+      map[y][x] = Maze.SquareType.WALL;
+    }
+  }
+  var middle = Math.floor(rows / 2);
+  for (var x = 0; x < cols; x++) {
+    map[middle][x] = Maze.SquareType.OPEN;
+  }
+  map[middle][0] = Maze.SquareType.START;
+  map[middle][cols - 1] = Maze.SquareType.FINISH;
+  return {
+    'map': map,
+    'startDirection': 'EAST',
+    'maxBlocks': null,
+    'toolbox': [Maze.Editor.TOOLBOX_CHOICES[0].block,
+                Maze.Editor.TOOLBOX_CHOICES[1].block,
+                Maze.Editor.TOOLBOX_CHOICES[2].block],
+    'hints': []
+  };
+};
+
+/**
+ * Initialize the editor.  Called on page load.
+ */
+Maze.Editor.init = function() {
+  var startMenu = document.getElementById('startMenu');
+  for (var i = 1; i <= Maze.MAX_LEVEL; i++) {
+    var option = document.createElement('option');
+    option.value = i;
+    option.textContent = 'Level ' + i;
+    startMenu.appendChild(option);
+  }
+  startMenu.addEventListener('change', function() {
+    if (!startMenu.value) {
+      return;
+    }
+    var n = Number(startMenu.value);
+    // Copy the built-in level so that editing does not change it.
+    Maze.Editor.setLevel(n ? JSON.parse(JSON.stringify(Maze.LEVELS[n])) :
+        Maze.Editor.blankLevel(8, 8));
+    startMenu.value = '';
+  });
+
+  var skinMenu = document.getElementById('skinMenu');
+  for (var i = 0; i < Maze.SKINS.length; i++) {
+    var option = document.createElement('option');
+    option.value = i;
+    option.textContent = Maze.SKINS[i].sprite.replace(/\.png$/, '');
+    skinMenu.appendChild(option);
+  }
+
+  var toolboxDiv = document.getElementById('toolboxChoices');
+  for (var i = 0; i < Maze.Editor.TOOLBOX_CHOICES.length; i++) {
+    var label = document.createElement('label');
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = 'toolbox' + i;
+    checkbox.addEventListener('change', Maze.Editor.readForm);
+    label.appendChild(checkbox);
+    label.appendChild(
+        document.createTextNode(Maze.Editor.TOOLBOX_CHOICES[i].label));
+    toolboxDiv.appendChild(label);
+    toolboxDiv.appendChild(document.createElement('br'));
+  }
+
+  var paintRadios = document.getElementsByName('paint');
+  for (var i = 0; i < paintRadios.length; i++) {
+    paintRadios[i].addEventListener('change', function() {
+      Maze.Editor.paintType = Maze.SquareType[this.value];
+    });
+  }
+  var inputs = ['rows', 'cols', 'startDirection', 'maxBlocks', 'hints',
+                'skinMenu'];
+  for (var i = 0; i < inputs.length; i++) {
+    document.getElementById(inputs[i])
+        .addEventListener('change', Maze.Editor.readForm);
+  }
+
+  var svg = document.getElementById('svgMaze');
+  svg.addEventListener('mousedown', function(e) {
+    Maze.Editor.painting_ = true;
+    Maze.Editor.paint_(e);
+    e.preventDefault();
+  });
+  svg.addEventListener('mousemove', function(e) {
+    if (Maze.Editor.painting_) {
+      Maze.Editor.paint_(e);
+    }
+  });
+  document.addEventListener('mouseup', function() {
+    Maze.Editor.painting_ = false;
+  });
+
+  document.getElementById('importButton')
+      .addEventListener('click', Maze.Editor.importText);
+  document.getElementById('importFile')
+      .addEventListener('change', Maze.Editor.importFile);
+  document.getElementById('playButton')
+      .addEventListener('click', Maze.Editor.play);
+
+  var text = window.localStorage &&
+      window.localStorage[Maze.CUSTOM_LEVEL_KEY];
+  var level = null;
+  if (text) {
+    try {
+      level = Maze.parseLevel(text);
+    } catch (e) {
+      // Ignore a broken saved level and start afresh.
+    }
+  }
+  Maze.Editor.setLevel(level || Maze.Editor.blankLevel(8, 8));
+};
+
+/**
+ * Start editing a level.
+ * @param {!Object} level A valid level (see Maze.checkLevel).
+ */
+Maze.Editor.setLevel = function(level) {
+  Maze.Editor.level = level;
+  var map = level['map'];
+  document.getElementById('rows').value = map.length;
+  document.getElementById('cols').value = map[0].length;
+  document.getElementById('startDirection').value = level['startDirection'];
+  document.getElementById('maxBlocks').value =
+      level['maxBlocks'] == null ? '' : level['maxBlocks'];
+  document.getElementById('hints').value = (level['hints'] || []).join('\n');
+  document.getElementById('skinMenu').value = level['skin'] || 0;
+
+  // Tick the toolbox choices, and keep any other blocks aside.
+  var checked = {};
+  Maze.Editor.extraToolbox_ = [];
+  for (var i = 0; i < level['toolbox'].length; i++) {
+    var json = JSON.stringify(level['toolbox'][i]);
+    var found = false;
+    for (var j = 0; j < Maze.Editor.TOOLBOX_CHOICES.length; j++) {
+      if (JSON.stringify(Maze.Editor.TOOLBOX_CHOICES[j].block) == json) {
+        checked[j] = found = true;
+      }
+    }
+    if (!found) {
+      Maze.Editor.extraToolbox_.push(level['toolbox'][i]);
+    }
+  }
+  for (var j = 0; j < Maze.Editor.TOOLBOX_CHOICES.length; j++) {
+    document.getElementById('toolbox' + j).checked = !!checked[j];
+  }
+  Maze.Editor.update();
+};
+
+/**
+ * Copy the form's settings into the level being edited.
+ */
+Maze.Editor.readForm = function() {
+  var level = Maze.Editor.level;
+  var clamp = function(value) {
+    value = Math.floor(Number(value)) || Maze.Editor.MIN_SIZE;
+    return Math.min(Math.max(Maze.Editor.MIN_SIZE, value),
+                    Maze.Editor.MAX_SIZE);
+  };
+  Maze.Editor.resize_(clamp(document.getElementById('rows').value),
+                      clamp(document.getElementById('cols').value));
+  level['startDirection'] = document.getElementById('startDirection').value;
+  var maxBlocks = Math.floor(document.getElementById('maxBlocks').value);
+  level['maxBlocks'] = maxBlocks >= 1 ? maxBlocks : null;
+  var hints = document.getElementById('hints').value.split('\n');
+  level['hints'] = [];
+  for (var i = 0; i < hints.length; i++) {
+    if (hints[i].trim()) {
+      level['hints'].push(hints[i].trim());
+    }
+  }
+  var skin = Number(document.getElementById('skinMenu').value);
+  if (skin) {
+    level['skin'] = skin;
+  } else {
+    delete level['skin'];
+  }
+  level['toolbox'] = [];
+  for (var i = 0; i < Maze.Editor.TOOLBOX_CHOICES.length; i++) {
+    if (document.getElementById('toolbox' + i).checked) {
+      level['toolbox'].push(Maze.Editor.TOOLBOX_CHOICES[i].block);
+    }
+  }
+  level['toolbox'] = level['toolbox'].concat(Maze.Editor.extraToolbox_);
+  Maze.Editor.setLevel(level);
+};
+
+/**
+ * Change the size of the map, keeping its top-left corner.  New squares are
+ * walls.  If the start or finish is cut off, it is put back in a corner.
+ * @param {number} rows Number of tiles down.
+ * @param {number} cols Number of tiles across.
+ * @private
+ */
+Maze.Editor.resize_ = function(rows, cols) {
+  var oldMap = Maze.Editor.level['map'];
+  var map = [];
+  var hasStart = false;
+  var hasFinish = false;
+  for (var y = 0; y < rows; y++) {
+    map[y] = [];
+    for (var x = 0; x < cols; x++) {
+      var square = (oldMap[y] && oldMap[y][x]) || Maze.SquareType.WALL;
+      hasStart = hasStart || square == Maze.SquareType.START;
+      hasFinish = hasFinish || square == Maze.SquareType.FINISH;
+      map[y][x] = square;
+    }
+  }
+  if (!hasStart) {
+    if (map[0][0] == Maze.SquareType.FINISH) {
+      hasFinish = false;
+    }
+    map[0][0] = Maze.SquareType.START;
+  }
+  if (!hasFinish) {
+    if (map[rows - 1][cols - 1] == Maze.SquareType.START) {
+      map[0][0] = Maze.SquareType.FINISH;
+    } else {
+      map[rows - 1][cols - 1] = Maze.SquareType.FINISH;
+    }
+  }
+  Maze.Editor.level['map'] = map;
+};
+
+/**
+ * Paint the square under the mouse.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Maze.Editor.paint_ = function(e) {
+  var svg = document.getElementById('svgMaze');
+  var rect = svg.getBoundingClientRect();
+  // The map is scaled to fit the square SVG element.
+  var scale = Math.max(Maze.ROWS, Maze.COLS) * Maze.SQUARE_SIZE / rect.width;
+  var x = Math.floor((e.clientX - rect.left) * scale / Maze.SQUARE_SIZE);
+  var y = Math.floor((e.clientY - rect.top) * scale / Maze.SQUARE_SIZE);
+  if (x < 0 || x >= Maze.COLS || y < 0 || y >= Maze.ROWS) {
+    return;
+  }
+  var map = Maze.Editor.level['map'];
+  var square = map[y][x];
+  var type = Maze.Editor.paintType;
+  if (square == type) {
+    return;
+  }
+  if (square == Maze.SquareType.START || square == Maze.SquareType.FINISH) {
+    // The start and finish are moved, not painted over.
+    return;
+  }
+  if (type == Maze.SquareType.START || type == Maze.SquareType.FINISH) {
+    // There is only one of each, so clear the old one.
+    var old = type == Maze.SquareType.START ? Maze.start_ : Maze.finish_;
+    map[old.y][old.x] = Maze.SquareType.OPEN;
+  }
+  map[y][x] = type;
+  Maze.Editor.update();
+};
+
+/**
+ * Redraw the maze and refresh the level file after a change.
+ */
+Maze.Editor.update = function() {
+  var level = Maze.Editor.level;
+  Maze.loadLevel(level);
+  Maze.SKIN = Maze.SKINS[level['skin'] || 0];
+  var svg = document.getElementById('svgMaze');
+  while (svg.firstChild) {
+    svg.removeChild(svg.firstChild);
+  }
+  Maze.drawMap();
+  Maze.displayFinish();
+  Maze.displayPegman(Maze.start_.x, Maze.start_.y, Maze.startDirection * 4);
+
+  var text = JSON.stringify(level, null, 2);
+  document.getElementById('levelText').value = text;
+  var error = '';
+  try {
+    Maze.checkLevel(level);
+  } catch (e) {
+    error = e.message;
+  }
+  document.getElementById('levelError').textContent = error;
+  document.getElementById('playButton').disabled = !!error;
+  document.getElementById('exportLink').href =
+      'data:application/json;charset=utf-8,' + encodeURIComponent(text);
+};
+
+/**
+ * Load the level file pasted into the text area.
+ */
+Maze.Editor.importText = function() {
+  try {
+    var level = Maze.parseLevel(document.getElementById('levelText').value);
+  } catch (e) {
+    document.getElementById('levelError').textContent = e.message;
+    return;
+  }
+  Maze.Editor.setLevel(level);
+};
+
+/**
+ * Load the level file chosen by the user.
+ */
+Maze.Editor.importFile = function() {
+  var file = this.files[0];
+  if (!file) {
+    return;
+  }
+  var reader = new FileReader();
+  reader.onload = function() {
+    document.getElementById('levelText').value = reader.result;
+    Maze.Editor.importText();
+  };
+  reader.readAsText(file);
+  this.value = '';
+};
+
+/**
+ * Save the level and open it in the maze.
+ */
+Maze.Editor.play = function() {
+  window.localStorage[Maze.CUSTOM_LEVEL_KEY] =
+      JSON.stringify(Maze.Editor.level);
+  window.location = 'index.html?lang=' + BlocklyApps.LANG + '&custom=1';
+};
+
+window.addEventListener('load', Maze.Editor.init);
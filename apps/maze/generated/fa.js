@@ -46,16 +46,11 @@ mazepage.start = function(opt_data, opt_ignored, opt_ijData) {
   for (var i163 = 1; i163 < iLimit163; i163++) {
     output += ' ' + ((i163 == opt_ijData.level) ? '<span class="tab" id="selected">' + soy.$$escapeHtml(i163) + '</span>' : (i163 < opt_ijData.level) ? '<a class="tab previous" href="?lang=' + soy.$$escapeHtml(opt_ijData.lang) + '&level=' + soy.$$escapeHtml(i163) + '&skin=' + soy.$$escapeHtml(opt_ijData.skin) + '">' + soy.$$escapeHtml(i163) + '</a>' : '<a class="tab" href="?lang=' + soy.$$escapeHtml(opt_ijData.lang) + '&level=' + soy.$$escapeHtml(i163) + '&skin=' + soy.$$escapeHtml(opt_ijData.skin) + '">' + soy.$$escapeHtml(i163) + '</a>');
   }
-  output += '</h1></td><td class="farSide"><select id="languageMenu"></select> &nbsp; <button id="pegmanButton"><img src="../../media/1x1.gif"><span>&#x25BE;</span></button></td></tr></table><div id="visualization"><svg xmlns="http://www.w3.org/2000/svg" version="1.1" id="svgMaze" width="400px" height="400px"><g id="look"><path d="M 0,-15 a 15 15 0 0 1 15 15" /><path d="M 0,-35 a 35 35 0 0 1 35 35" /><path d="M 0,-55 a 55 55 0 0 1 55 55" /></g></svg><div id="capacityBubble"><div id="capacity"></div></div></div><table width="400"><tr><td style="width: 190px; text-align: center; vertical-align: top;"><button id="codeButton" class="notext" title="دیدن کد جاوااسکریپت ایجادشده."><img src="../../media/1x1.gif" class="code icon21"></button><button id="linkButton" class="notext" title="ذخیره و پیوند به بلوک\u200Cها."><img src="../../media/1x1.gif" class="link icon21"></button></td><td><button id="runButton" class="primary" title="می\u200Cگذارد کاربر آنچه که بلوک\u200Cها می\u200Cگوید را انجام \\nدهد. "><img src="../../media/1x1.gif" class="run icon21"> اجرای برنامه</button><button id="resetButton" class="primary" style="display: none" title="بازیکن را در اول شروع پیچ\u200Cدرپیچ قرار بده."><img src="../../media/1x1.gif" class="stop icon21"> از نو</button></td></tr></table><script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript" src="../../javascript_compressed.js"><\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script>' + mazepage.toolbox(null, null, opt_ijData) + '<div id="blockly"></div><svg version="1.1" height="1px" width="1px"><text id="arrowTest" style="font-family: sans-serif; font-size: 11pt;">⟲⟳</text></svg><div id="pegmanMenu"></div>' + apps.dialog(null, null, opt_ijData) + apps.codeDialog(null, null, opt_ijData) + apps.storageDialog(null, null, opt_ijData) + '<div id="dialogDone" class="dialogHiddenContent"><div id="dialogDoneText" style="font-size: large; margin: 1em;"></div><img src="../../media/1x1.gif" id="pegSpin"><div id="dialogDoneButtons" class="farSide" style="padding: 1ex 3ex 0"></div></div><div id="dialogHelpStack" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>تعدادی از بلوک\u200Cهای «حرکت به جلو» را با هم در پشته قرار بده که به رسیدن من به هدف کمک کند.</td><td valign="top"><img src="help_stack.png" class="mirrorImg" height=63 width=136></td></tr></table></div><div id="dialogHelpOneTopBlock" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>در این مرجله، شما نیازمند قرار دادن همهٔ بلوک\u200Cها در فضای کار سفید هستید.<iframe id="iframeOneTopBlock" src=""></iframe></td></tr></table></div><div id="dialogHelpRun" class="dialogHiddenContent"><table><tr><td>اجرای برنامهٔ شما برای دیدن اینکه چه رخ می\u200Cدهد.</td><td rowspan=2><img src="help.png"></td></tr><tr><td><div><img src="help_run.png" class="mirrorImg" height=27 width=141></div></td></tr></table></div><div id="dialogHelpReset" class="dialogHiddenContent"><table><tr><td>برنامهٔ شما پیچ\u200Cدرپیچ را حل نکرد.  «از نو» را فشار دهید و دوباره تلاش کنید.</td><td rowspan=2><img src="help.png"></td></tr><tr><td><div><img src="help_run.png" class="mirrorImg" height=27 width=141></div></td></tr></table></div><div id="dialogHelpRepeat" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td>رسیدن به انتهای مسیر با فقط دو بلوک. استفاده از «دوباره» برای اجرای یک بلوک بیشتر از یکی.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpCapacity" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>شما همهٔ بلوک\u200Cهای این مرحله را استفاده کرده\u200Cاید. برای ایجاد یک بلوک جدید، شما ابتدا نیازمند حذف یک بلوک موجود هستید.</td></tr></table></div><div id="dialogHelpRepeatMany" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td>شما می\u200Cتوانید بیشتر از بلوک را در بلوک «تکرار» جای دهید.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpSkins" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>انتخاب بازیکن مجبوب شما از این منو.</td><td><img src="help_up.png"></td></tr></table></div><div id="dialogHelpIf" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td>یک بلوک «اگر» کاری انجام می\u200Cدهد اگر شرایط صادق بود.  چرخش به چپ را آزمایش کنید اگر یک مسیر به چپ است.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpMenu" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td id="helpMenuText">بر %1 در بلوک «اگر» کلیک کنید که شرایط را تغییر دهید.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpIfElse" class="dialogHiddenContent"><table><tr><td><img src="help_down.png"></td><td>بلوک\u200Cها اگر-آنگاه یک کار را انجام می\u200Cدهند یا یک کار دیگر.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpWallFollow" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>می\u200Cتوانید یک پیچ\u200Cدرپیچ پیچیده را جل کنید؟  از دیوار دست چپ استفاده کنید. برنامه\u200Cنویسان حرفه\u200Cای فقط!' + apps.ok(null, null, opt_ijData) + '</td></tr></table></div>';
+  output += '</h1></td><td class="farSide"><select id="languageMenu"></select> &nbsp; <button id="pegmanButton"><img src="../../media/1x1.gif"><span>&#x25BE;</span></button></td></tr></table><div id="visualization"><svg xmlns="http://www.w3.org/2000/svg" version="1.1" id="svgMaze" width="400px" height="400px"><g id="look"><path d="M 0,-15 a 15 15 0 0 1 15 15" /><path d="M 0,-35 a 35 35 0 0 1 35 35" /><path d="M 0,-55 a 55 55 0 0 1 55 55" /></g></svg><div id="capacityBubble"><div id="capacity"></div></div></div><table width="400"><tr><td style="width: 190px; text-align: center; vertical-align: top;"><button id="codeButton" class="notext" title="دیدن کد جاوااسکریپت ایجادشده."><img src="../../media/1x1.gif" class="code icon21"></button><button id="linkButton" class="notext" title="ذخیره و پیوند به بلوک\u200Cها."><img src="../../media/1x1.gif" class="link icon21"></button></td><td><button id="runButton" class="primary" title="می\u200Cگذارد کاربر آنچه که بلوک\u200Cها می\u200Cگوید را انجام \\nدهد. "><img src="../../media/1x1.gif" class="run icon21"> اجرای برنامه</button><button id="resetButton" class="primary" style="display: none" title="بازیکن را در اول شروع پیچ\u200Cدرپیچ قرار بده."><img src="../../media/1x1.gif" class="stop icon21"> از نو</button></td></tr></table><script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript" src="../../javascript_compressed.js"><\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script>' + '<div id="blockly"></div><svg version="1.1" height="1px" width="1px"><text id="arrowTest" style="font-family: sans-serif; font-size: 11pt;">⟲⟳</text></svg><div id="pegmanMenu"></div>' + apps.dialog(null, null, opt_ijData) + apps.codeDialog(null, null, opt_ijData) + apps.storageDialog(null, null, opt_ijData) + '<div id="dialogDone" class="dialogHiddenContent"><div id="dialogDoneText" style="font-size: large; margin: 1em;"></div><img src="../../media/1x1.gif" id="pegSpin"><div id="dialogDoneButtons" class="farSide" style="padding: 1ex 3ex 0"></div></div><div id="dialogHelpStack" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>تعدادی از بلوک\u200Cهای «حرکت به جلو» را با هم در پشته قرار بده که به رسیدن من به هدف کمک کند.</td><td valign="top"><img src="help_stack.png" class="mirrorImg" height=63 width=136></td></tr></table></div><div id="dialogHelpOneTopBlock" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>در این مرجله، شما نیازمند قرار دادن همهٔ بلوک\u200Cها در فضای کار سفید هستید.<iframe id="iframeOneTopBlock" src=""></iframe></td></tr></table></div><div id="dialogHelpRun" class="dialogHiddenContent"><table><tr><td>اجرای برنامهٔ شما برای دیدن اینکه چه رخ می\u200Cدهد.</td><td rowspan=2><img src="help.png"></td></tr><tr><td><div><img src="help_run.png" class="mirrorImg" height=27 width=141></div></td></tr></table></div><div id="dialogHelpReset" class="dialogHiddenContent"><table><tr><td>برنامهٔ شما پیچ\u200Cدرپیچ را حل نکرد.  «از نو» را فشار دهید و دوباره تلاش کنید.</td><td rowspan=2><img src="help.png"></td></tr><tr><td><div><img src="help_run.png" class="mirrorImg" height=27 width=141></div></td></tr></table></div><div id="dialogHelpRepeat" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td>رسیدن به انتهای مسیر با فقط دو بلوک. استفاده از «دوباره» برای اجرای یک بلوک بیشتر از یکی.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpCapacity" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>شما همهٔ بلوک\u200Cهای این مرحله را استفاده کرده\u200Cاید. برای ایجاد یک بلوک جدید، شما ابتدا نیازمند حذف یک بلوک موجود هستید.</td></tr></table></div><div id="dialogHelpRepeatMany" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td>شما می\u200Cتوانید بیشتر از بلوک را در بلوک «تکرار» جای دهید.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpSkins" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>انتخاب بازیکن مجبوب شما از این منو.</td><td><img src="help_up.png"></td></tr></table></div><div id="dialogHelpIf" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td>یک بلوک «اگر» کاری انجام می\u200Cدهد اگر شرایط صادق بود.  چرخش به چپ را آزمایش کنید اگر یک مسیر به چپ است.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpMenu" class="dialogHiddenContent"><table><tr><td><img src="help_up.png"></td><td id="helpMenuText">بر %1 در بلوک «اگر» کلیک کنید که شرایط را تغییر دهید.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpIfElse" class="dialogHiddenContent"><table><tr><td><img src="help_down.png"></td><td>بلوک\u200Cها اگر-آنگاه یک کار را انجام می\u200Cدهند یا یک کار دیگر.</td><td><img src="help.png"></td></tr></table></div><div id="dialogHelpWallFollow" class="dialogHiddenContent"><table><tr><td><img src="help.png"></td><td>&nbsp;</td><td>می\u200Cتوانید یک پیچ\u200Cدرپیچ پیچیده را جل کنید؟  از دیوار دست چپ استفاده کنید. برنامه\u200Cنویسان حرفه\u200Cای فقط!' + apps.ok(null, null, opt_ijData) + '</td></tr></table></div>';
   return output;
 };
 
 
-mazepage.toolbox = function(opt_data, opt_ignored, opt_ijData) {
-  return '<xml id="toolbox" style="display: none;"><block type="maze_moveForward"></block><block type="maze_turn"><field name="DIR">turnLeft</field></block><block type="maze_turn"><field name="DIR">turnRight</field></block>' + ((opt_ijData.level > 2) ? '<block type="maze_forever"></block>' + ((opt_ijData.level == 6) ? '<block type="maze_if"><field name="DIR">isPathLeft</field></block>' : (opt_ijData.level > 6) ? '<block type="maze_if"></block>' + ((opt_ijData.level > 8) ? '<block type="maze_ifElse"></block>' : '') : '') : '') + '</xml>';
-};
-
-
 mazepage.readonly = function(opt_data, opt_ignored, opt_ijData) {
   return mazepage.messages(null, null, opt_ijData) + '<script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript">Blockly.JavaScript = {};<\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script><div id="blockly"></div>';
 };
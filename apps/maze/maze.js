@@ -39,11 +39,6 @@ BlocklyApps.LANG = BlocklyApps.getLang();
 document.write('<script type="text/javascript" src="generated/' +
                BlocklyApps.LANG + '.js"></script>\n');
 
-Maze.MAX_LEVEL = 10;
-Maze.LEVEL = BlocklyApps.getNumberParamFromUrl('level', 1, Maze.MAX_LEVEL);
-Maze.MAX_BLOCKS = [undefined, // Level 0.
-    Infinity, Infinity, 2, 5, 5, 5, 5, 10, 7, 10][Maze.LEVEL];
-
 // Crash type constants.
 Maze.CRASH_STOP = 1;
 Maze.CRASH_SPIN = 2;
@@ -95,8 +90,6 @@ Maze.SKINS = [
     crashType: Maze.CRASH_FALL
   }
 ];
-Maze.SKIN_ID = BlocklyApps.getNumberParamFromUrl('skin', 0, Maze.SKINS.length);
-Maze.SKIN = Maze.SKINS[Maze.SKIN_ID];
 
 /**
  * Milliseconds between each animation frame.
@@ -115,136 +108,413 @@ Maze.SquareType = {
   FINISH: 3
 };
 
-// The maze square constants defined above are inlined here
-// for ease of reading and writing the static mazes.
-Maze.map = [
-// Level 0.
- undefined,
-// Level 1.
- [[0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 2, 1, 3, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0]],
-// Level 2.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 1, 3, 0, 0, 0],
-  [0, 0, 2, 1, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 3.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 2, 1, 1, 1, 1, 3, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 4.
 /**
- * Note, the path continues past the start and the goal in both directions.
- * This is intentionally done so users see the maze is about getting from
- * the start to the goal and not necessarily about moving over every part of
- * the maze, 'mowing the lawn' as Neil calls it.
+ * Constants for cardinal directions.  Subsequent code assumes these are
+ * in the range 0..3 and that opposites have an absolute difference of 2.
+ * @enum {number}
+ */
+Maze.DirectionType = {
+  NORTH: 0,
+  EAST: 1,
+  SOUTH: 2,
+  WEST: 3
+};
+
+/**
+ * The built-in levels, in the same format as a level file (see
+ * Maze.checkLevel).  The maze square constants are inlined for ease of
+ * reading and writing the static mazes.
  */
- [[0, 0, 0, 0, 0, 0, 0, 1],
-  [0, 0, 0, 0, 0, 0, 1, 1],
-  [0, 0, 0, 0, 0, 1, 3, 0],
-  [0, 0, 0, 0, 1, 1, 0, 0],
-  [0, 0, 0, 1, 1, 0, 0, 0],
-  [0, 0, 1, 1, 0, 0, 0, 0],
-  [0, 2, 1, 0, 0, 0, 0, 0],
-  [1, 1, 0, 0, 0, 0, 0, 0]],
-// Level 5.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 3, 0, 0],
-  [0, 0, 0, 0, 0, 1, 0, 0],
-  [0, 0, 0, 0, 0, 1, 0, 0],
-  [0, 0, 0, 0, 0, 1, 0, 0],
-  [0, 0, 0, 0, 0, 1, 0, 0],
-  [0, 0, 0, 2, 1, 1, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 6.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 1, 1, 1, 1, 1, 0, 0],
-  [0, 1, 0, 0, 0, 1, 0, 0],
-  [0, 1, 1, 3, 0, 1, 0, 0],
-  [0, 0, 0, 0, 0, 1, 0, 0],
-  [0, 2, 1, 1, 1, 1, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 7.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 1, 1, 0],
-  [0, 2, 1, 1, 1, 1, 0, 0],
-  [0, 0, 0, 0, 0, 1, 1, 0],
-  [0, 1, 1, 3, 0, 1, 0, 0],
-  [0, 1, 0, 1, 0, 1, 0, 0],
-  [0, 1, 1, 1, 1, 1, 1, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 8.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 1, 1, 1, 1, 0, 0, 0],
-  [0, 1, 0, 0, 1, 1, 0, 0],
-  [0, 1, 1, 1, 0, 1, 0, 0],
-  [0, 0, 0, 1, 0, 1, 0, 0],
-  [0, 2, 1, 1, 0, 3, 0, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 9.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 1, 1, 1, 1, 1, 0, 0],
-  [0, 0, 1, 0, 0, 0, 0, 0],
-  [3, 1, 1, 1, 1, 1, 1, 0],
-  [0, 1, 0, 1, 0, 1, 1, 0],
-  [1, 1, 1, 1, 1, 0, 1, 0],
-  [0, 1, 0, 1, 0, 2, 1, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]],
-// Level 10.
- [[0, 0, 0, 0, 0, 0, 0, 0],
-  [0, 1, 1, 0, 3, 0, 1, 0],
-  [0, 1, 1, 0, 1, 1, 1, 0],
-  [0, 1, 0, 1, 0, 1, 0, 0],
-  [0, 1, 1, 1, 1, 1, 1, 0],
-  [0, 0, 0, 1, 0, 0, 1, 0],
-  [0, 2, 1, 1, 1, 0, 1, 0],
-  [0, 0, 0, 0, 0, 0, 0, 0]]
-][Maze.LEVEL];
+Maze.LEVELS = [
+  // Level 0.
+  undefined,
+  // Level 1.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 2, 1, 3, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': null,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}}
+    ],
+    'hints': []
+  },
+  // Level 2.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 1, 3, 0, 0, 0],
+            [0, 0, 2, 1, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': null,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}}
+    ],
+    'hints': []
+  },
+  // Level 3.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 2, 1, 1, 1, 1, 3, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 2,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'}
+    ],
+    'hints': []
+  },
+  // Level 4.
+  /**
+   * Note, the path continues past the start and the goal in both directions.
+   * This is intentionally done so users see the maze is about getting from
+   * the start to the goal and not necessarily about moving over every part of
+   * the maze, 'mowing the lawn' as Neil calls it.
+   */
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 1],
+            [0, 0, 0, 0, 0, 0, 1, 1],
+            [0, 0, 0, 0, 0, 1, 3, 0],
+            [0, 0, 0, 0, 1, 1, 0, 0],
+            [0, 0, 0, 1, 1, 0, 0, 0],
+            [0, 0, 1, 1, 0, 0, 0, 0],
+            [0, 2, 1, 0, 0, 0, 0, 0],
+            [1, 1, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 5,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'}
+    ],
+    'hints': []
+  },
+  // Level 5.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 3, 0, 0],
+            [0, 0, 0, 0, 0, 1, 0, 0],
+            [0, 0, 0, 0, 0, 1, 0, 0],
+            [0, 0, 0, 0, 0, 1, 0, 0],
+            [0, 0, 0, 0, 0, 1, 0, 0],
+            [0, 0, 0, 2, 1, 1, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 5,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'}
+    ],
+    'hints': []
+  },
+  // Level 6.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 1, 1, 1, 1, 1, 0, 0],
+            [0, 1, 0, 0, 0, 1, 0, 0],
+            [0, 1, 1, 3, 0, 1, 0, 0],
+            [0, 0, 0, 0, 0, 1, 0, 0],
+            [0, 2, 1, 1, 1, 1, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 5,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'},
+      {'type': 'maze_if', 'fields': {'DIR': 'isPathLeft'}}
+    ],
+    'hints': []
+  },
+  // Level 7.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 1, 1, 0],
+            [0, 2, 1, 1, 1, 1, 0, 0],
+            [0, 0, 0, 0, 0, 1, 1, 0],
+            [0, 1, 1, 3, 0, 1, 0, 0],
+            [0, 1, 0, 1, 0, 1, 0, 0],
+            [0, 1, 1, 1, 1, 1, 1, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 5,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'},
+      {'type': 'maze_if'}
+    ],
+    'hints': []
+  },
+  // Level 8.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 1, 1, 1, 1, 0, 0, 0],
+            [0, 1, 0, 0, 1, 1, 0, 0],
+            [0, 1, 1, 1, 0, 1, 0, 0],
+            [0, 0, 0, 1, 0, 1, 0, 0],
+            [0, 2, 1, 1, 0, 3, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 10,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'},
+      {'type': 'maze_if'}
+    ],
+    'hints': []
+  },
+  // Level 9.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 1, 1, 1, 1, 1, 0, 0],
+            [0, 0, 1, 0, 0, 0, 0, 0],
+            [3, 1, 1, 1, 1, 1, 1, 0],
+            [0, 1, 0, 1, 0, 1, 1, 0],
+            [1, 1, 1, 1, 1, 0, 1, 0],
+            [0, 1, 0, 1, 0, 2, 1, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 7,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'},
+      {'type': 'maze_if'},
+      {'type': 'maze_ifElse'}
+    ],
+    'hints': []
+  },
+  // Level 10.
+  {
+    'map': [[0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 1, 1, 0, 3, 0, 1, 0],
+            [0, 1, 1, 0, 1, 1, 1, 0],
+            [0, 1, 0, 1, 0, 1, 0, 0],
+            [0, 1, 1, 1, 1, 1, 1, 0],
+            [0, 0, 0, 1, 0, 0, 1, 0],
+            [0, 2, 1, 1, 1, 0, 1, 0],
+            [0, 0, 0, 0, 0, 0, 0, 0]],
+    'startDirection': 'EAST',
+    'maxBlocks': 10,
+    'toolbox': [
+      {'type': 'maze_moveForward'},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnLeft'}},
+      {'type': 'maze_turn', 'fields': {'DIR': 'turnRight'}},
+      {'type': 'maze_forever'},
+      {'type': 'maze_if'},
+      {'type': 'maze_ifElse'}
+    ],
+    'hints': []
+  }
+];
+
+Maze.MAX_LEVEL = Maze.LEVELS.length - 1;
+
+/**
+ * Key in localStorage under which the editor saves a level for playing.
+ */
+Maze.CUSTOM_LEVEL_KEY = 'mazeCustomLevel';
+
+/**
+ * Parse the text of a level file and check that it describes a playable maze.
+ * @param {string} text JSON text of a level.
+ * @return {!Object} The level.
+ * @throws {Error} If the text is not valid JSON or not a valid level.
+ */
+Maze.parseLevel = function(text) {
+  var level = JSON.parse(text);
+  Maze.checkLevel(level);
+  return level;
+};
+
+/**
+ * Check that a level is well formed.  A level is a JSON object with:
+ *   map: Rectangular 2D array of Maze.SquareType values, with exactly one
+ *       START and one FINISH square.
+ *   startDirection: Name of a Maze.DirectionType (e.g. 'EAST').
+ *   maxBlocks: Maximum number of blocks the user may place, or null.
+ *   toolbox: List of blocks in the toolbox, in Blockly.Json format.
+ *   hints: List of strings shown to the user when the level opens.
+ *   skin: Optional index into Maze.SKINS, used unless the URL picks a skin.
+ * @param {*} level Level to check.
+ * @throws {Error} If the level is not valid.
+ */
+Maze.checkLevel = function(level) {
+  if (!level || typeof level != 'object') {
+    throw new Error('Level must be an object.');
+  }
+  var map = level['map'];
+  if (!(map instanceof Array) || !map.length ||
+      !(map[0] instanceof Array) || !map[0].length) {
+    throw new Error('Level map must be a non-empty grid.');
+  }
+  var starts = 0;
+  var finishes = 0;
+  for (var y = 0; y < map.length; y++) {
+    if (!(map[y] instanceof Array) || map[y].length != map[0].length) {
+      throw new Error('Level map row ' + y + ' has the wrong length.');
+    }
+    for (var x = 0; x < map[y].length; x++) {
+      var square = map[y][x];
+      if (square == Maze.SquareType.START) {
+        starts++;
+      } else if (square == Maze.SquareType.FINISH) {
+        finishes++;
+      } else if (square !== Maze.SquareType.WALL &&
+                 square !== Maze.SquareType.OPEN) {
+        throw new Error('Unknown square at row ' + y + ', column ' + x + '.');
+      }
+    }
+  }
+  if (starts != 1 || finishes != 1) {
+    throw new Error('Level map needs exactly one start and one finish.');
+  }
+  if (!Maze.DirectionType.hasOwnProperty(level['startDirection'])) {
+    throw new Error('Unknown start direction: ' + level['startDirection']);
+  }
+  var maxBlocks = level['maxBlocks'];
+  if (maxBlocks != null &&
+      !(typeof maxBlocks == 'number' && maxBlocks >= 1 &&
+        Math.floor(maxBlocks) == maxBlocks)) {
+    throw new Error('Block limit must be a positive whole number or null.');
+  }
+  var toolbox = level['toolbox'];
+  if (!(toolbox instanceof Array) || !toolbox.length) {
+    throw new Error('Level toolbox must list at least one block.');
+  }
+  for (var i = 0; i < toolbox.length; i++) {
+    if (!toolbox[i] || typeof toolbox[i]['type'] != 'string') {
+      throw new Error('Toolbox entry ' + i + ' has no block type.');
+    }
+  }
+  var hints = level['hints'];
+  if (hints != null) {
+    if (!(hints instanceof Array)) {
+      throw new Error('Level hints must be a list of strings.');
+    }
+    for (var i = 0; i < hints.length; i++) {
+      if (typeof hints[i] != 'string') {
+        throw new Error('Level hints must be a list of strings.');
+      }
+    }
+  }
+  var skin = level['skin'];
+  if (skin != null && !Maze.SKINS[skin]) {
+    throw new Error('Unknown skin: ' + skin);
+  }
+};
 
 /**
- * Measure maze dimensions and set sizes.
+ * Make a level the current one.  Sets the map, its dimensions, the start and
+ * finish squares, and the level's rules.  Nothing is drawn.
  * ROWS: Number of tiles down.
  * COLS: Number of tiles across.
- * SQUARE_SIZE: Pixel height and width of each maze square (i.e. tile).
+ * @param {!Object} level A valid level (see Maze.checkLevel).
  */
-Maze.ROWS = Maze.map.length;
-Maze.COLS = Maze.map[0].length;
-Maze.SQUARE_SIZE = 50;
-Maze.PEGMAN_HEIGHT = 52;
-Maze.PEGMAN_WIDTH = 49;
+Maze.loadLevel = function(level) {
+  Maze.map = level['map'];
+  Maze.ROWS = Maze.map.length;
+  Maze.COLS = Maze.map[0].length;
+  Maze.MAZE_WIDTH = Maze.SQUARE_SIZE * Maze.COLS;
+  Maze.MAZE_HEIGHT = Maze.SQUARE_SIZE * Maze.ROWS;
+  Maze.startDirection = Maze.DirectionType[level['startDirection']];
+  Maze.MAX_BLOCKS =
+      level['maxBlocks'] == null ? Infinity : level['maxBlocks'];
+  Maze.TOOLBOX = level['toolbox'];
+  Maze.HINTS = level['hints'] || [];
 
-Maze.MAZE_WIDTH = Maze.SQUARE_SIZE * Maze.COLS;
-Maze.MAZE_HEIGHT = Maze.SQUARE_SIZE * Maze.ROWS;
-Maze.PATH_WIDTH = Maze.SQUARE_SIZE / 3;
+  // Locate the start and finish squares.
+  for (var y = 0; y < Maze.ROWS; y++) {
+    for (var x = 0; x < Maze.COLS; x++) {
+      if (Maze.map[y][x] == Maze.SquareType.START) {
+        Maze.start_ = {x: x, y: y};
+      } else if (Maze.map[y][x] == Maze.SquareType.FINISH) {
+        Maze.finish_ = {x: x, y: y};
+      }
+    }
+  }
+};
 
 /**
- * Constants for cardinal directions.  Subsequent code assumes these are
- * in the range 0..3 and that opposites have an absolute difference of 2.
- * @enum {number}
+ * Fetch the level saved by the editor.
+ * @return {Object} The level, or null if there is none or it is invalid.
+ * @private
  */
-Maze.DirectionType = {
-  NORTH: 0,
-  EAST: 1,
-  SOUTH: 2,
-  WEST: 3
+Maze.getCustomLevel_ = function() {
+  var text = window.localStorage &&
+      window.localStorage[Maze.CUSTOM_LEVEL_KEY];
+  if (!text) {
+    return null;
+  }
+  try {
+    return Maze.parseLevel(text);
+  } catch (e) {
+    window.alert(e.message);
+    return null;
+  }
 };
 
+/**
+ * Pixel height and width of each maze square (i.e. tile).
+ */
+Maze.SQUARE_SIZE = 50;
+Maze.PEGMAN_HEIGHT = 52;
+Maze.PEGMAN_WIDTH = 49;
+Maze.PATH_WIDTH = Maze.SQUARE_SIZE / 3;
+
+// A custom level (?custom=1) is one made in the editor.  It is not one of the
+// numbered levels, so it is given level 0.
+Maze.CUSTOM = !!BlocklyApps.getStringParamFromUrl('custom', '');
+Maze.level_ = Maze.CUSTOM && Maze.getCustomLevel_();
+if (Maze.level_) {
+  Maze.LEVEL = 0;
+} else {
+  Maze.CUSTOM = false;
+  Maze.LEVEL = BlocklyApps.getNumberParamFromUrl('level', 1, Maze.MAX_LEVEL);
+  Maze.level_ = Maze.LEVELS[Maze.LEVEL];
+}
+Maze.loadLevel(Maze.level_);
+
+if (BlocklyApps.getStringParamFromUrl('skin', '')) {
+  Maze.SKIN_ID =
+      BlocklyApps.getNumberParamFromUrl('skin', 0, Maze.SKINS.length);
+} else {
+  Maze.SKIN_ID = Maze.level_['skin'] || 0;
+}
+Maze.SKIN = Maze.SKINS[Maze.SKIN_ID];
+
 /**
  * Outcomes of running the user program.
  */
@@ -261,11 +531,6 @@ Maze.ResultType = {
  */
 Maze.result = Maze.ResultType.UNSET;
 
-/**
- * Starting direction.
- */
-Maze.startDirection = Maze.DirectionType.EAST;
-
 /**
  * PIDs of animation tasks currently executing.
  */
@@ -484,7 +749,7 @@ Maze.init = function() {
   pegmanButton.addEventListener('touchstart', Maze.showPegmanMenu, true);
 
   var rtl = BlocklyApps.isRtl();
-  var toolbox = document.getElementById('toolbox');
+  var toolbox = Blockly.Json.jsonToDom({'blocks': Maze.TOOLBOX});
   Blockly.inject(document.getElementById('blockly'),
       {path: '../../',
        maxBlocks: Maze.MAX_BLOCKS,
@@ -494,7 +759,8 @@ Maze.init = function() {
   Blockly.loadAudio_(Maze.SKIN.winSound, 'win');
   Blockly.loadAudio_(Maze.SKIN.crashSound, 'fail');
 
-  Blockly.JavaScript.INFINITE_LOOP_TRAP = '  BlocklyApps.checkTimeout(%1);\n';
+  // Highlight each loop as it repeats.
+  Blockly.JavaScript.INFINITE_LOOP_TRAP = '  highlightBlock(%1);\n';
   Maze.drawMap();
 
   var blocklyDiv = document.getElementById('blockly');
@@ -519,17 +785,6 @@ Maze.init = function() {
       '</xml>';
   BlocklyApps.loadBlocks(defaultXml);
 
-  // Locate the start and finish squares.
-  for (var y = 0; y < Maze.ROWS; y++) {
-    for (var x = 0; x < Maze.COLS; x++) {
-      if (Maze.map[y][x] == Maze.SquareType.START) {
-        Maze.start_ = {x: x, y: y};
-      } else if (Maze.map[y][x] == Maze.SquareType.FINISH) {
-        Maze.finish_ = {x: x, y: y};
-      }
-    }
-  }
-
   Maze.reset(true);
   Blockly.addChangeListener(function() {Maze.updateCapacity()});
 
@@ -542,7 +797,11 @@ Maze.init = function() {
     // Make connecting blocks easier for beginners.
     Blockly.SNAP_RADIUS *= 2;
   }
-  if (Maze.LEVEL == 10) {
+  if (Maze.HINTS.length) {
+    // Levels with hints show them in a modal dialog instead of the
+    // interactive help, which only knows about the built-in levels.
+    Maze.showHints();
+  } else if (Maze.LEVEL == 10) {
     // Level 10 gets an introductory modal dialog.
     var content = document.getElementById('dialogHelpWallFollow');
     var style = {
@@ -568,10 +827,53 @@ Maze.init = function() {
 
 if (window.location.pathname.match(/readonly.html$/)) {
   window.addEventListener('load', BlocklyApps.initReadonly);
-} else {
+} else if (!window.location.pathname.match(/editor.html$/)) {
   window.addEventListener('load', Maze.init);
 }
 
+/**
+ * Show the current level's hints in a modal dialog.
+ */
+Maze.showHints = function() {
+  var content = document.getElementById('dialogHints');
+  if (!content) {
+    content = document.createElement('div');
+    content.id = 'dialogHints';
+    content.className = 'dialogHiddenContent';
+    var table = document.createElement('table');
+    var row = table.insertRow(-1);
+    var img = document.createElement('img');
+    img.src = 'help.png';
+    row.insertCell(-1).appendChild(img);
+    var text = row.insertCell(-1);
+    for (var i = 0; i < Maze.HINTS.length; i++) {
+      var p = document.createElement('p');
+      p.appendChild(document.createTextNode(Maze.HINTS[i]));
+      text.appendChild(p);
+    }
+    var buttonDiv = document.createElement('div');
+    buttonDiv.className = 'farSide';
+    buttonDiv.style.padding = '1ex 3ex 0';
+    var ok = document.createElement('button');
+    ok.className = 'secondary';
+    ok.appendChild(document.createTextNode(BlocklyApps.getMsg('dialogOk')));
+    ok.addEventListener('click', BlocklyApps.hideDialog, true);
+    ok.addEventListener('touchend', BlocklyApps.hideDialog, true);
+    buttonDiv.appendChild(ok);
+    text.appendChild(buttonDiv);
+    content.appendChild(table);
+    document.body.appendChild(content);
+  }
+  var style = {
+    width: '30%',
+    left: '35%',
+    top: '12em'
+  };
+  BlocklyApps.showDialog(content, null, false, true, style,
+      BlocklyApps.stopDialogKeyDown);
+  BlocklyApps.startDialogKeyDown();
+};
+
 /**
  * When the workspace changes, update the help as needed.
  */
@@ -749,7 +1051,9 @@ Maze.changePegman = function(newSkin) {
   Maze.saveToStorage();
   window.location = window.location.protocol + '//' +
       window.location.host + window.location.pathname +
-      '?lang=' + BlocklyApps.LANG + '&level=' + Maze.LEVEL + '&skin=' + newSkin;
+      '?lang=' + BlocklyApps.LANG +
+      (Maze.CUSTOM ? '&custom=1' : '&level=' + Maze.LEVEL) +
+      '&skin=' + newSkin;
 };
 
 /**
@@ -804,6 +1108,10 @@ Maze.hidePegmanMenu = function() {
  */
 Maze.reset = function(first) {
   // Kill all tasks.
+  if (Maze.interpreter) {
+    Maze.interpreter.stop();
+    Maze.interpreter = null;
+  }
   for (var x = 0; x < Maze.pidList.length; x++) {
     window.clearTimeout(Maze.pidList[x]);
   }
@@ -827,12 +1135,7 @@ Maze.reset = function(first) {
     Maze.displayPegman(Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4);
   }
 
-  // Move the finish icon into position.
-  var finishIcon = document.getElementById('finish');
-  finishIcon.setAttribute('x', Maze.SQUARE_SIZE * (Maze.finish_.x + 0.5) -
-      finishIcon.getAttribute('width') / 2);
-  finishIcon.setAttribute('y', Maze.SQUARE_SIZE * (Maze.finish_.y + 0.6) -
-      finishIcon.getAttribute('height'));
+  Maze.displayFinish();
 
   // Make 'look' icon invisible and promote to top.
   var lookIcon = document.getElementById('look');
@@ -912,81 +1215,103 @@ Maze.resetButtonClick = function() {
 };
 
 /**
- * Execute the user's code.  Heaven help us...
+ * Number of interpreter steps after which the user's program is deemed to be
+ * in an infinite loop.
+ */
+Maze.MAX_STEPS = 100000;
+
+/**
+ * Interpreter running the user's code.
+ * @type {BlocklyApps.Interpreter}
+ */
+Maze.interpreter = null;
+
+/**
+ * Execute the user's code in an interpreter, animating each of pegman's
+ * actions as it is run.
  */
 Maze.execute = function() {
-  BlocklyApps.log = [];
-  BlocklyApps.ticks = 1000;
+  Maze.reset(false);
   var code = Blockly.JavaScript.workspaceToCode();
   Maze.result = Maze.ResultType.UNSET;
+  Maze.stepSpeed = 150;
 
-  // Try running the user's code.  There are four possible outcomes:
+  try {
+    var interpreter = new BlocklyApps.Interpreter(code,
+        {maxSteps: Maze.MAX_STEPS, delay: Maze.stepSpeed * 5});
+  } catch (e) {
+    // Syntax error, can't happen.
+    Maze.result = Maze.ResultType.ERROR;
+    window.alert(e);
+    return;
+  }
+  var api = ['moveForward', 'moveBackward', 'turnLeft', 'turnRight',
+             'isPathForward', 'isPathRight', 'isPathBackward', 'isPathLeft'];
+  for (var i = 0; i < api.length; i++) {
+    interpreter.addAsyncFunction('Maze.' + api[i], Maze[api[i]]);
+  }
+  Maze.interpreter = interpreter;
+
+  // There are four possible outcomes:
   // 1. If pegman reaches the finish [SUCCESS], true is thrown.
   // 2. If the program is terminated due to running too long [TIMEOUT],
-  //    false is thrown.
-  // 3. If another error occurs [ERROR], that error is thrown.
+  //    the interpreter reports a timeout.
+  // 3. If pegman hits a wall [ERROR], false is thrown.  Any other error is
+  //    a bug.
   // 4. If the program ended normally but without solving the maze [FAILURE],
-  //    no error or exception is thrown.
-  try {
-    eval(code);
-    Maze.result = Maze.ResultType.FAILURE;
-  } catch (e) {
-    // A boolean is thrown for normal termination.
-    // Abnormal termination is a user error.
-    if (e === Infinity) {
+  //    nothing is thrown.
+  interpreter.run(function(error) {
+    if (error === null) {
+      Maze.result = Maze.ResultType.FAILURE;
+    } else if (error === BlocklyApps.Interpreter.TIMEOUT) {
       Maze.result = Maze.ResultType.TIMEOUT;
-    } else if (e === true) {
+    } else if (error === true) {
       Maze.result = Maze.ResultType.SUCCESS;
-    } else if (e === false) {
-      Maze.result = Maze.ResultType.ERROR;
     } else {
-      // Syntax error, can't happen.
       Maze.result = Maze.ResultType.ERROR;
-      window.alert(e);
+      if (error !== false) {
+        window.alert(error);
+      }
     }
-  }
-
-  // Fast animation if execution is successful.  Slow otherwise.
-  Maze.stepSpeed = (Maze.result == Maze.ResultType.SUCCESS) ? 100 : 150;
-
-  // BlocklyApps.log now contains a transcript of all the user's actions.
-  // Reset the maze and animate the transcript.
-  Maze.reset(false);
-  Maze.pidList.push(window.setTimeout(Maze.animate, 100));
+    // Let the last action finish animating.
+    Maze.pidList.push(window.setTimeout(function() {
+      BlocklyApps.highlight(null);
+      if (Maze.result == Maze.ResultType.SUCCESS) {
+        Maze.scheduleFinish(true);
+        Maze.pidList.push(window.setTimeout(Maze.congratulations, 1000));
+      }
+      Maze.levelHelp();
+    }, Maze.stepSpeed * 5));
+  });
 };
 
 /**
- * Iterate through the recorded path and animate pegman's actions.
+ * Animate one of pegman's actions, then let the user's program continue.
+ * @param {string} action Name of the action (e.g. 'north' or 'look_east').
+ * @param {string} id ID of block that triggered this action.
+ * @param {Function} callback Function to call once the action is shown, or
+ *     null if the user's program is about to end.
+ * @param {*=} opt_value Value to pass to the callback.
  */
-Maze.animate = function() {
-  var action = BlocklyApps.log.shift();
-  if (!action) {
-    BlocklyApps.highlight(null);
-    Maze.levelHelp();
-    return;
-  }
-  BlocklyApps.highlight(action[1]);
+Maze.animate = function(action, id, callback, opt_value) {
+  BlocklyApps.highlight(id);
 
-  switch (action[0]) {
+  switch (action) {
     case 'north':
-      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4],
-                    [Maze.pegmanX, Maze.pegmanY - 1, Maze.pegmanD * 4]);
-      Maze.pegmanY--;
+      Maze.schedule([Maze.pegmanX, Maze.pegmanY + 1, Maze.pegmanD * 4],
+                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4]);
       break;
     case 'east':
-      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4],
-                    [Maze.pegmanX + 1, Maze.pegmanY, Maze.pegmanD * 4]);
-      Maze.pegmanX++;
+      Maze.schedule([Maze.pegmanX - 1, Maze.pegmanY, Maze.pegmanD * 4],
+                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4]);
       break;
     case 'south':
-      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4],
-                    [Maze.pegmanX, Maze.pegmanY + 1, Maze.pegmanD * 4]);
-      Maze.pegmanY++;
+      Maze.schedule([Maze.pegmanX, Maze.pegmanY - 1, Maze.pegmanD * 4],
+                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4]);
       break;
     case 'west':
-      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4],
-                    [Maze.pegmanX - 1, Maze.pegmanY, Maze.pegmanD * 4]);
-      Maze.pegmanX--;
+      Maze.schedule([Maze.pegmanX + 1, Maze.pegmanY, Maze.pegmanD * 4],
+                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4]);
       break;
     case 'look_north':
       Maze.scheduleLook(Maze.DirectionType.NORTH);
@@ -1007,21 +1332,20 @@ Maze.animate = function() {
       Maze.scheduleFail(false);
       break;
     case 'left':
-      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4],
-                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4 - 4]);
-      Maze.pegmanD = Maze.constrainDirection4(Maze.pegmanD - 1);
+      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4 + 4],
+                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4]);
       break;
     case 'right':
-      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4],
-                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4 + 4]);
-      Maze.pegmanD = Maze.constrainDirection4(Maze.pegmanD + 1);
+      Maze.schedule([Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4 - 4],
+                    [Maze.pegmanX, Maze.pegmanY, Maze.pegmanD * 4]);
       break;
-    case 'finish':
-      Maze.scheduleFinish(true);
-      window.setTimeout(Maze.congratulations, 1000);
   }
 
-  Maze.pidList.push(window.setTimeout(Maze.animate, Maze.stepSpeed * 5));
+  if (callback) {
+    Maze.pidList.push(window.setTimeout(function() {
+      callback(opt_value);
+    }, Maze.stepSpeed * 5));
+  }
 };
 
 /**
@@ -1037,7 +1361,7 @@ Maze.congratulations = function() {
     left: '30%',
     top: '5em'
   };
-  if (Maze.LEVEL < Maze.MAX_LEVEL) {
+  if (!Maze.CUSTOM && Maze.LEVEL < Maze.MAX_LEVEL) {
     var text = BlocklyApps.getMsg('Maze_nextLevel')
         .replace('%1', Maze.LEVEL + 1);
     var cancel = document.createElement('button');
@@ -1275,6 +1599,17 @@ Maze.scheduleFinish = function(sound) {
     }, Maze.stepSpeed * 3));
 };
 
+/**
+ * Move the finish icon into position on the finish square.
+ */
+Maze.displayFinish = function() {
+  var finishIcon = document.getElementById('finish');
+  finishIcon.setAttribute('x', Maze.SQUARE_SIZE * (Maze.finish_.x + 0.5) -
+      finishIcon.getAttribute('width') / 2);
+  finishIcon.setAttribute('y', Maze.SQUARE_SIZE * (Maze.finish_.y + 0.6) -
+      finishIcon.getAttribute('height'));
+};
+
 /**
  * Display Pegman at the specified location, facing the specified direction.
  * @param {number} x Horizontal grid (or fraction thereof).
@@ -1381,38 +1716,39 @@ Maze.constrainDirection16 = function(d) {
 };
 
 // API
-// Human-readable aliases.
+// Human-readable aliases.  Each function is called by the interpreter with
+// the ID of the calling block and a callback to continue the user's program.
 
-Maze.moveForward = function(id) {
-  Maze.move(0, id);
+Maze.moveForward = function(id, callback) {
+  Maze.move(0, id, callback);
 };
 
-Maze.moveBackward = function(id) {
-  Maze.move(2, id);
+Maze.moveBackward = function(id, callback) {
+  Maze.move(2, id, callback);
 };
 
-Maze.turnLeft = function(id) {
-  Maze.turn(0, id);
+Maze.turnLeft = function(id, callback) {
+  Maze.turn(0, id, callback);
 };
 
-Maze.turnRight = function(id) {
-  Maze.turn(1, id);
+Maze.turnRight = function(id, callback) {
+  Maze.turn(1, id, callback);
 };
 
-Maze.isPathForward = function(id) {
-  return Maze.isPath(0, id);
+Maze.isPathForward = function(id, callback) {
+  Maze.animateLook_(0, id, callback);
 };
 
-Maze.isPathRight = function(id) {
-  return Maze.isPath(1, id);
+Maze.isPathRight = function(id, callback) {
+  Maze.animateLook_(1, id, callback);
 };
 
-Maze.isPathBackward = function(id) {
-  return Maze.isPath(2, id);
+Maze.isPathBackward = function(id, callback) {
+  Maze.animateLook_(2, id, callback);
 };
 
-Maze.isPathLeft = function(id) {
-  return Maze.isPath(3, id);
+Maze.isPathLeft = function(id, callback) {
+  Maze.animateLook_(3, id, callback);
 };
 
 // Core functions.
@@ -1421,12 +1757,13 @@ Maze.isPathLeft = function(id) {
  * Attempt to move pegman forward or backward.
  * @param {number} direction Direction to move (0 = forward, 2 = backward).
  * @param {string} id ID of block that triggered this action.
+ * @param {!Function} callback Function to call once the move is shown.
  * @throws {true} If the end of the maze is reached.
  * @throws {false} If Pegman collides with a wall.
  */
-Maze.move = function(direction, id) {
-  if (!Maze.isPath(direction, null)) {
-    BlocklyApps.log.push(['fail_' + (direction ? 'backward' : 'forward'), id]);
+Maze.move = function(direction, id, callback) {
+  if (!Maze.isPath(direction)) {
+    Maze.animate('fail_' + (direction ? 'backward' : 'forward'), id, null);
     throw false;
   }
   // If moving backward, flip the effective direction.
@@ -1450,66 +1787,71 @@ Maze.move = function(direction, id) {
       command = 'west';
       break;
   }
-  BlocklyApps.log.push([command, id]);
   if (Maze.pegmanX == Maze.finish_.x && Maze.pegmanY == Maze.finish_.y) {
     // Finished.  Terminate the user's program.
-    BlocklyApps.log.push(['finish', null]);
+    Maze.animate(command, id, null);
     throw true;
   }
+  Maze.animate(command, id, callback);
 };
 
 /**
  * Turn pegman left or right.
  * @param {number} direction Direction to turn (0 = left, 1 = right).
  * @param {string} id ID of block that triggered this action.
+ * @param {!Function} callback Function to call once the turn is shown.
  */
-Maze.turn = function(direction, id) {
+Maze.turn = function(direction, id, callback) {
   if (direction) {
     // Right turn (clockwise).
     Maze.pegmanD++;
-    BlocklyApps.log.push(['right', id]);
   } else {
     // Left turn (counterclockwise).
     Maze.pegmanD--;
-    BlocklyApps.log.push(['left', id]);
   }
   Maze.pegmanD = Maze.constrainDirection4(Maze.pegmanD);
+  Maze.animate(direction ? 'right' : 'left', id, callback);
+};
+
+/**
+ * Show pegman looking for a path, then pass the result to the user's program.
+ * @param {number} direction Direction to look
+ *     (0 = forward, 1 = right, 2 = backward, 3 = left).
+ * @param {string} id ID of block that triggered this action.
+ * @param {!Function} callback Function to call with the result once the look
+ *     is shown.
+ * @private
+ */
+Maze.animateLook_ = function(direction, id, callback) {
+  var look = ['look_north', 'look_east', 'look_south', 'look_west'];
+  var command = look[Maze.constrainDirection4(Maze.pegmanD + direction)];
+  Maze.animate(command, id, callback, Maze.isPath(direction));
 };
 
 /**
  * Is there a path next to pegman?
  * @param {number} direction Direction to look
  *     (0 = forward, 1 = right, 2 = backward, 3 = left).
- * @param {?string} id ID of block that triggered this action.
- *     Null if called as a helper function in Maze.move().
  * @return {boolean} True if there is a path.
  */
-Maze.isPath = function(direction, id) {
+Maze.isPath = function(direction) {
   var effectiveDirection = Maze.pegmanD + direction;
   var square;
-  var command;
   switch (Maze.constrainDirection4(effectiveDirection)) {
     case Maze.DirectionType.NORTH:
       square = Maze.map[Maze.pegmanY - 1] &&
           Maze.map[Maze.pegmanY - 1][Maze.pegmanX];
-      command = 'look_north';
       break;
     case Maze.DirectionType.EAST:
       square = Maze.map[Maze.pegmanY][Maze.pegmanX + 1];
-      command = 'look_east';
       break;
     case Maze.DirectionType.SOUTH:
       square = Maze.map[Maze.pegmanY + 1] &&
           Maze.map[Maze.pegmanY + 1][Maze.pegmanX];
-      command = 'look_south';
       break;
     case Maze.DirectionType.WEST:
       square = Maze.map[Maze.pegmanY][Maze.pegmanX - 1];
-      command = 'look_west';
       break;
   }
-  if (id) {
-    BlocklyApps.log.push([command, id]);
-  }
   return square !== Maze.SquareType.WALL && square !== undefined;
 };
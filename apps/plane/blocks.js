@@ -37,8 +37,8 @@ Blockly.Blocks['plane_set_seats'] = {
 Blockly.JavaScript['plane_set_seats'] = function(block) {
   // Generate JavaScript for seat variable setter.
   var argument0 = Blockly.JavaScript.valueToCode(block, 'VALUE',
-      Blockly.JavaScript.ORDER_ASSIGNMENT) || 'NaN';
-  return argument0 + ';';
+      Blockly.JavaScript.ORDER_NONE) || 'NaN';
+  return 'Plane.setSeats(' + argument0 + ');\n';
 };
 
 Blockly.Blocks['plane_get_rows'] = {
@@ -59,7 +59,7 @@ Blockly.Blocks['plane_get_rows'] = {
 
 Blockly.JavaScript['plane_get_rows'] = function(block) {
   // Generate JavaScript for row variable getter.
-  return ['Plane.rows1st', Blockly.JavaScript.ORDER_MEMBER];
+  return ['rows1st', Blockly.JavaScript.ORDER_ATOMIC];
 };
 
 Blockly.Blocks['plane_get_rows1st'] = {
@@ -80,7 +80,7 @@ Blockly.Blocks['plane_get_rows1st'] = {
 
 Blockly.JavaScript['plane_get_rows1st'] = function(block) {
   // Generate JavaScript for first class row variable getter.
-  return ['Plane.rows1st', Blockly.JavaScript.ORDER_MEMBER];
+  return ['rows1st', Blockly.JavaScript.ORDER_ATOMIC];
 };
 
 Blockly.Blocks['plane_get_rows2nd'] = {
@@ -101,5 +101,5 @@ Blockly.Blocks['plane_get_rows2nd'] = {
 
 Blockly.JavaScript['plane_get_rows2nd'] = function(block) {
   // Generate JavaScript for second class row variable getter.
-  return ['Plane.rows2nd', Blockly.JavaScript.ORDER_MEMBER];
+  return ['rows2nd', Blockly.JavaScript.ORDER_ATOMIC];
 };
@@ -38,19 +38,188 @@ BlocklyApps.LANG = BlocklyApps.getLang();
 document.write('<script type="text/javascript" src="generated/' +
                BlocklyApps.LANG + '.js"></script>\n');
 
-Plane.MAX_LEVEL = 3;
+/**
+ * The built-in levels, in the same format as a level file (see
+ * Plane.checkLevels).  Each level describes its plane:
+ *   'crew': Number of seats in the flight deck.  The picture shows two, or
+ *       none if there are no crew seats.
+ *   'maxRows': For each class of passenger seats (1st class, then optionally
+ *       2nd class), the most rows that fit on the plane.
+ *   'seatsPerRow': For each class, the number of seats in one of its rows.
+ *       The picture shows rows of four 1st class and five 2nd class seats.
+ *   'description': Instructions, in place of the page's own.  Optional for
+ *       the built-in levels, which have translated instructions.
+ * The correct number of seats is the crew plus the seats of every row.
+ */
+Plane.LEVELS = [
+  undefined,
+  // Level 1.
+  {
+    'crew': 0,
+    'maxRows': [21],
+    'seatsPerRow': [4]
+  },
+  // Level 2.
+  {
+    'crew': 2,
+    'maxRows': [21],
+    'seatsPerRow': [4]
+  },
+  // Level 3.
+  {
+    'crew': 2,
+    'maxRows': [21, 23],
+    'seatsPerRow': [4, 5]
+  }
+];
+
+Plane.MAX_LEVEL = Plane.LEVELS.length - 1;
 Plane.LEVEL = BlocklyApps.getNumberParamFromUrl('level', 1, Plane.MAX_LEVEL);
 
+/**
+ * Names of the variables holding the number of rows in each class.
+ */
+Plane.ROW_VARIABLES = ['rows1st', 'rows2nd'];
+
+/**
+ * Number of randomly sized planes on which a formula is checked.
+ */
+Plane.RANDOM_CASES = 20;
+
+/**
+ * Most wrong answers to list in the feedback panel.
+ */
+Plane.MAX_FAILURES = 5;
+
+/**
+ * Planes on which the formula is checked.  Each has the number of rows in
+ * each class (rows) and the correct number of seats (seats).
+ * @type {!Array.<!Object>}
+ */
+Plane.cases = [];
 
 Plane.rows1st = 0;
 Plane.rows2nd = 0;
 
+/**
+ * URL of the level file named by the 'levels' URL parameter (e.g.
+ * ?levels=regional.json), or '' for the built-in levels.
+ */
+Plane.LEVELS_URL = BlocklyApps.getStringParamFromUrl('levels', '');
+
+/**
+ * Check that the content of a level file is complete.  A level file holds
+ * an object whose 'levels' are described as in Plane.LEVELS, each with a
+ * description.
+ * @param {*} data Parsed content of a level file.
+ * @throws {Error} If the content is not a valid list of levels.
+ */
+Plane.checkLevels = function(data) {
+  var levels = data && data['levels'];
+  if (!(levels instanceof Array) || !levels.length) {
+    throw Error('A level file needs a list of levels.');
+  }
+  function isCount(n) {
+    return typeof n == 'number' && n >= 0 && Math.floor(n) == n;
+  }
+  for (var i = 0; i < levels.length; i++) {
+    var level = levels[i] || {};
+    var name = 'Level ' + (i + 1);
+    var maxRows = level['maxRows'];
+    var seatsPerRow = level['seatsPerRow'];
+    if (!isCount(level['crew'])) {
+      throw Error(name + ' needs a number of crew seats.');
+    }
+    if (!(maxRows instanceof Array) || !(seatsPerRow instanceof Array) ||
+        maxRows.length != seatsPerRow.length ||
+        maxRows.length < 1 || maxRows.length > Plane.ROW_VARIABLES.length) {
+      throw Error(name + ' needs the maxRows and seatsPerRow of 1 or ' +
+          Plane.ROW_VARIABLES.length + ' classes of seats.');
+    }
+    for (var j = 0; j < maxRows.length; j++) {
+      if (!isCount(maxRows[j]) || !maxRows[j] || !isCount(seatsPerRow[j])) {
+        throw Error(name + ' has an invalid number of rows or seats.');
+      }
+    }
+    if (typeof level['description'] != 'string') {
+      throw Error(name + ' needs a description.');
+    }
+  }
+};
+
+/**
+ * Load the levels of the file named by the 'levels' URL parameter, if any,
+ * then call back.  A file which fails to load is reported and the built-in
+ * levels are used instead.
+ * @param {!Function} callback Function to call once Plane.LEVELS is set.
+ */
+Plane.loadLevels = function(callback) {
+  var url = Plane.LEVELS_URL;
+  if (!url) {
+    callback();
+    return;
+  }
+  var httpRequest = new XMLHttpRequest();
+  httpRequest.onreadystatechange = function() {
+    if (httpRequest.readyState != 4) {
+      return;
+    }
+    try {
+      if (httpRequest.status != 200) {
+        throw Error('HTTP status ' + httpRequest.status);
+      }
+      var data = JSON.parse(httpRequest.responseText);
+      Plane.checkLevels(data);
+      Plane.LEVELS = [undefined].concat(data['levels']);
+      Plane.MAX_LEVEL = Plane.LEVELS.length - 1;
+      Plane.LEVEL =
+          BlocklyApps.getNumberParamFromUrl('level', 1, Plane.MAX_LEVEL);
+      Plane.drawTabs_();
+    } catch (e) {
+      window.alert('Unable to load levels ' + url + '\n' + e);
+    }
+    callback();
+  };
+  httpRequest.open('GET', url);
+  httpRequest.send(null);
+};
+
+/**
+ * Replace the page's level tabs, which are drawn for the built-in levels,
+ * with tabs for the levels of the level file.
+ * @private
+ */
+Plane.drawTabs_ = function() {
+  var heading = document.getElementById('title').parentNode;
+  var tabs = heading.getElementsByClassName('tab');
+  while (tabs.length) {
+    heading.removeChild(tabs[0]);
+  }
+  for (var i = 1; i <= Plane.MAX_LEVEL; i++) {
+    var tab;
+    if (i == Plane.LEVEL) {
+      tab = document.createElement('span');
+      tab.className = 'tab';
+      tab.id = 'selected';
+    } else {
+      tab = document.createElement('a');
+      tab.className = i < Plane.LEVEL ? 'tab previous' : 'tab';
+      tab.href = '?lang=' + encodeURIComponent(BlocklyApps.LANG) +
+          '&level=' + i + '&levels=' + encodeURIComponent(Plane.LEVELS_URL);
+    }
+    tab.appendChild(document.createTextNode(String(i)));
+    heading.appendChild(document.createTextNode(' '));
+    heading.appendChild(tab);
+  }
+};
+
 /**
  * Redraw the rows when the slider has moved.
  * @param {number} value New slider position.
  */
 Plane.sliderChange = function(value) {
-  var newRows = Math.round(value * 410 / 20);
+  var maxRows = Plane.LEVELS[Plane.LEVEL]['maxRows'];
+  var newRows = Math.round(value * maxRows[0]);
   Plane.redraw(newRows);
 };
 
@@ -89,8 +258,28 @@ Plane.setCorrect = function(ok) {
 Plane.init = function() {
   BlocklyApps.init();
 
+  var level = Plane.LEVELS[Plane.LEVEL];
+  if (level['description']) {
+    Plane.setText('description', level['description']);
+  }
+  var crew = document.getElementsByClassName('crew');
+  for (var i = 0; i < crew.length; i++) {
+    crew[i].style.display = level['crew'] ? 'inline' : 'none';
+  }
+  Plane.cases = Plane.makeCases(level);
+
   var rtl = BlocklyApps.isRtl();
-  var toolbox = document.getElementById('toolbox');
+  var blocks = [
+    {'type': 'math_number'},
+    {'type': 'math_arithmetic'},
+    {'type': 'math_arithmetic', 'fields': {'OP': 'MULTIPLY'}}
+  ];
+  if (level['maxRows'].length == 1) {
+    blocks.push({'type': 'plane_get_rows'});
+  } else {
+    blocks.push({'type': 'plane_get_rows1st'}, {'type': 'plane_get_rows2nd'});
+  }
+  var toolbox = Blockly.Json.jsonToDom({'blocks': blocks});
   Blockly.inject(document.getElementById('blockly'),
       {path: '../../',
        rtl: rtl,
@@ -118,11 +307,111 @@ Plane.init = function() {
   Plane.redraw(5);
 };
 
-window.addEventListener('load', Plane.init);
+window.addEventListener('load', function() {
+  Plane.loadLevels(Plane.init);
+});
+
+/**
+ * Choose the planes on which to check formulas: an empty plane, a full plane
+ * and some randomly sized ones.
+ * @param {!Object} level Description of the level's plane.
+ * @return {!Array.<!Object>} List of cases, each with rows and seats.
+ */
+Plane.makeCases = function(level) {
+  var maxRows = level['maxRows'];
+  var planes = [];
+  var empty = [];
+  var full = [];
+  for (var i = 0; i < maxRows.length; i++) {
+    empty.push(0);
+    full.push(maxRows[i]);
+  }
+  planes.push(empty, full);
+  for (var n = 0; n < Plane.RANDOM_CASES; n++) {
+    var rows = [];
+    for (var i = 0; i < maxRows.length; i++) {
+      rows.push(Math.floor(Math.random() * (maxRows[i] + 1)));
+    }
+    planes.push(rows);
+  }
+  var cases = [];
+  for (var i = 0; i < planes.length; i++) {
+    cases.push({rows: planes[i], seats: Plane.answer(planes[i])});
+  }
+  return cases;
+};
+
+/**
+ * Run code which counts the seats on a plane.
+ * @param {string} code JavaScript which calls Plane.setSeats.
+ * @param {!Array.<number>} rows Number of rows in each class.
+ * @return {number} Number of seats, or NaN if the code failed to count them.
+ */
+Plane.countSeats = function(code, rows) {
+  try {
+    var interpreter = new BlocklyApps.Interpreter(code, {'maxSteps': 10000});
+  } catch (e) {
+    return NaN;
+  }
+  for (var i = 0; i < rows.length; i++) {
+    interpreter.addValue(Plane.ROW_VARIABLES[i], rows[i]);
+  }
+  var seats = NaN;
+  interpreter.addFunction('Plane.setSeats', function(n) {
+    seats = Number(n);
+  });
+  return interpreter.runToEnd() ? NaN : seats;
+};
+
+/**
+ * Calculate the correct answer.
+ * @param {!Array.<number>} rows Number of rows in each class.
+ * @return {number} Number of seats.
+ */
+Plane.answer = function(rows) {
+  var level = Plane.LEVELS[Plane.LEVEL];
+  var seats = level['crew'];
+  for (var i = 0; i < rows.length; i++) {
+    seats += rows[i] * level['seatsPerRow'][i];
+  }
+  return seats;
+};
+
+/**
+ * Get the current number of rows in each class.
+ * @return {!Array.<number>} Number of rows in each class.
+ */
+Plane.getRows = function() {
+  var rows = [Plane.rows1st, Plane.rows2nd];
+  rows.length = Plane.LEVELS[Plane.LEVEL]['maxRows'].length;
+  return rows;
+};
+
+/**
+ * Get the label for a number of rows.
+ * @param {number} i Index of the class of seats.
+ * @param {number} rows Number of rows in that class.
+ * @return {string} Label, such as 'Rows: 5'.
+ */
+Plane.rowsText = function(i, rows) {
+  var msg = Plane.LEVELS[Plane.LEVEL]['maxRows'].length == 1 ?
+      'Plane_rows' : 'Plane_rows' + (i + 1);
+  return BlocklyApps.getMsg(msg).replace('%1', rows);
+};
+
+/**
+ * Get the label for a number of seats.
+ * @param {number} seats Number of seats, or NaN if unknown.
+ * @return {string} Label, such as 'Seats: 20'.
+ */
+Plane.seatsText = function(seats) {
+  return BlocklyApps.getMsg('Plane_seats').replace('%1',
+      isNaN(seats) ? BlocklyApps.getMsg('Plane_placeholder') : seats);
+};
 
 /**
  * Use the blocks to calculate the number of seats.
- * Display the calculated number.
+ * Display the calculated number, and check the blocks on other planes.
  */
 Plane.recalculate = function() {
   // Find the 'set' block and use it as the formula root.
@@ -133,18 +422,26 @@ Plane.recalculate = function() {
       rootBlock = block;
     }
   }
-  var seats = NaN;
   Blockly.JavaScript.init();
-  var code = Blockly.JavaScript.blockToCode(rootBlock);
-  try {
-    seats = eval(code);
-  } catch (e) {
-    // Allow seats to remain NaN.
+  var code = rootBlock ? Blockly.JavaScript.blockToCode(rootBlock) : '';
+  var rows = Plane.getRows();
+  var seats = Plane.countSeats(code, rows);
+  Plane.setText('seatText', Plane.seatsText(seats));
+
+  var failures = [];
+  if (!isNaN(seats)) {
+    var cases = [{rows: rows, seats: Plane.answer(rows)}]
+        .concat(Plane.cases);
+    for (var i = 0; i < cases.length; i++) {
+      var userSeats = (i == 0) ? seats : Plane.countSeats(code, cases[i].rows);
+      if (userSeats !== cases[i].seats) {
+        failures.push({rows: cases[i].rows, seats: userSeats,
+                       expected: cases[i].seats});
+      }
+    }
   }
-  Plane.setText('seatText',
-      BlocklyApps.getMsg('Plane_seats').replace(
-          '%1', isNaN(seats) ? '?' : seats));
-  Plane.setCorrect(isNaN(seats) ? null : (Plane.answer() == seats));
+  Plane.showFailures(failures);
+  Plane.setCorrect(isNaN(seats) ? null : !failures.length);
 
   // Update blocks to show values.
   function updateBlocks(blocks) {
@@ -157,18 +454,37 @@ Plane.recalculate = function() {
 };
 
 /**
- * Calculate the correct answer.
- * @return {number} Number of seats.
+ * List the planes on which the formula gives the wrong number of seats.
+ * @param {!Array.<!Object>} failures List of failed cases, each with rows,
+ *     seats (the formula's answer) and expected (the correct answer).
  */
-Plane.answer = function() {
-  if (Plane.LEVEL == 1) {
-    return Plane.rows1st * 4;
-  } else if (Plane.LEVEL == 2) {
-    return 2 + (Plane.rows1st * 4);
-  } else if (Plane.LEVEL == 3) {
-    return 2 + (Plane.rows1st * 4) + (Plane.rows2nd * 5);
+Plane.showFailures = function(failures) {
+  var panel = document.getElementById('feedback');
+  panel.innerHTML = '';
+  panel.style.display = failures.length ? 'block' : 'none';
+  var table = document.createElement('table');
+  for (var i = 0; i < failures.length && i < Plane.MAX_FAILURES; i++) {
+    var failure = failures[i];
+    var tr = document.createElement('tr');
+    for (var j = 0; j < failure.rows.length; j++) {
+      var td = document.createElement('td');
+      td.appendChild(document.createTextNode(
+          Plane.rowsText(j, failure.rows[j])));
+      tr.appendChild(td);
+    }
+    var td = document.createElement('td');
+    td.className = 'seatsWrong';
+    td.appendChild(document.createTextNode(
+        Plane.seatsText(failure.seats) + ' \u2717'));
+    tr.appendChild(td);
+    td = document.createElement('td');
+    td.className = 'seatsRight';
+    td.appendChild(document.createTextNode(
+        Plane.seatsText(failure.expected) + ' \u2713'));
+    tr.appendChild(td);
+    table.appendChild(tr);
   }
-  throw 'Unknown level.';
+  panel.appendChild(table);
 };
 
 /**
@@ -197,8 +513,9 @@ Plane.redraw = function(newRows) {
       svg.appendChild(row);
     }
 
-    if (Plane.LEVEL == 3) {
-      newRows = Math.floor((21 - newRows) * 1.11);
+    var maxRows = Plane.LEVELS[Plane.LEVEL]['maxRows'];
+    if (maxRows.length > 1) {
+      newRows = Math.floor((maxRows[0] - newRows) * maxRows[1] / maxRows[0]);
       while (newRows < rows2nd) {
         var row = document.getElementById('row2nd' + rows2nd);
         row.parentNode.removeChild(row);
@@ -216,14 +533,9 @@ Plane.redraw = function(newRows) {
       }
     }
 
-    if (Plane.LEVEL < 3) {
-      Plane.setText('row1stText',
-          BlocklyApps.getMsg('Plane_rows').replace('%1', rows1st));
-    } else {
-      Plane.setText('row1stText',
-          BlocklyApps.getMsg('Plane_rows1').replace('%1', rows1st));
-      Plane.setText('row2ndText',
-          BlocklyApps.getMsg('Plane_rows2').replace('%1', rows2nd));
+    Plane.setText('row1stText', Plane.rowsText(0, rows1st));
+    if (maxRows.length > 1) {
+      Plane.setText('row2ndText', Plane.rowsText(1, rows2nd));
     }
 
     Plane.rows1st = rows1st;
@@ -24,98 +24,129 @@
 'use strict';
 
 
-Blockly.Blocks['country'] = {
+Blockly.Blocks['puzzle_entity'] = {
+  // Block for an entity, with an input or a menu for each attribute.
   init: function() {
-    this.setColour(120);
+    this.setColour(Puzzle.data['colour'] || 120);
     this.appendDummyInput()
         .appendField('', 'NAME');
-    this.appendValueInput('FLAG')
-        .setAlign(Blockly.ALIGN_RIGHT)
-        .appendField(BlocklyApps.getMsg('Puzzle_flag'));
-    this.appendDummyInput()
-        .setAlign(Blockly.ALIGN_RIGHT)
-        .appendField(BlocklyApps.getMsg('Puzzle_language'))
-        .appendField(new Blockly.FieldDropdown(Puzzle.languages), 'LANG');
-    this.appendStatementInput('CITIES')
-        .appendField(BlocklyApps.getMsg('Puzzle_cities'));
+    var attributes = Puzzle.data['attributes'];
+    for (var i = 0; i < attributes.length; i++) {
+      var label = attributes[i]['label'] || attributes[i]['name'];
+      var type = attributes[i]['type'];
+      if (type == 'value') {
+        this.appendValueInput('ATTR' + i)
+            .setAlign(Blockly.ALIGN_RIGHT)
+            .appendField(label);
+      } else if (type == 'choice') {
+        this.appendDummyInput()
+            .setAlign(Blockly.ALIGN_RIGHT)
+            .appendField(label)
+            .appendField(new Blockly.FieldDropdown(Puzzle.choices(i)),
+                         'ATTR' + i);
+      } else if (type == 'list') {
+        this.appendStatementInput('ATTR' + i)
+            .appendField(label);
+      }
+    }
   },
   mutationToDom: function() {
-    // Save the country number.
+    // Save the entity number.
     var container = document.createElement('mutation');
-    container.setAttribute('country', this.country);
+    container.setAttribute('entity', this.entity);
     return container;
   },
   domToMutation: function(xmlElement) {
-    // Restore the country number.
-    this.populate(parseInt(xmlElement.getAttribute('country'), 10));
+    // Restore the entity number.
+    this.populate(parseInt(xmlElement.getAttribute('entity'), 10));
   },
-  country: 0,
+  entity: 0,
   populate: function(n) {
-    this.country = n;
-    // Set the country name.
-    this.setFieldValue(BlocklyApps.getMsg('Puzzle_country' + n), 'NAME');
-    this.helpUrl = BlocklyApps.getMsg('Puzzle_country' + n + 'HelpUrl');
+    this.entity = n;
+    // Set the entity name.
+    var entity = Puzzle.data['entities'][n];
+    this.setFieldValue(entity['name'], 'NAME');
+    this.helpUrl = entity['helpUrl'] || '';
   },
-  isCorrect: function() {
-    return this.getFieldValue('LANG') == this.country;
+  getScore: function() {
+    // One point for each menu set to the right choice.
+    var score = {earned: 0, possible: 0};
+    var attributes = Puzzle.data['attributes'];
+    for (var i = 0; i < attributes.length; i++) {
+      if (attributes[i]['type'] == 'choice') {
+        var choice = Puzzle.choices(i)[this.getFieldValue('ATTR' + i)];
+        score.possible++;
+        if (choice && choice[1] != '0' &&
+            choice[0] == Puzzle.getItems(this.entity, i)[0]) {
+          score.earned++;
+        }
+      }
+    }
+    return score;
   }
 };
 
-Blockly.Blocks['flag'] = {
+Blockly.Blocks['puzzle_item'] = {
+  // Block for one item of an entity's attribute, such as a flag or a city.
   init: function() {
-    this.setColour(30);
-    this.appendDummyInput('IMG');
-    this.setOutput(true);
+    this.appendDummyInput('ITEM');
     this.setTooltip('');
   },
-  mutationToDom: Blockly.Blocks['country'].mutationToDom,
-  domToMutation: Blockly.Blocks['country'].domToMutation,
-  country: 0,
-  populate: function(n) {
-    this.country = n;
-    // Set the flag image.
-    var flag = BlocklyApps.getMsg('Puzzle_country' + n + 'Flag');
-    var flagHeight = BlocklyApps.getMsg('Puzzle_country' + n + 'FlagHeight');
-    var flagWidth = BlocklyApps.getMsg('Puzzle_country' + n + 'FlagWidth');
-    this.getInput('IMG')
-        .appendField(new Blockly.FieldImage(flag, flagWidth, flagHeight));
-  },
-  isCorrect: function() {
-    var parent = this.getParent();
-    return parent && (parent.country == this.country);
-  }
-};
-
-Blockly.Blocks['city'] = {
-  init: function() {
-    this.setColour(290);
-    this.appendDummyInput().appendField('', 'NAME');
-    this.setPreviousStatement(true);
-    this.setNextStatement(true);
-  },
   mutationToDom: function() {
-    // Save the country and city numbers.
+    // Save the entity, attribute and item numbers.
     var container = document.createElement('mutation');
-    container.setAttribute('country', this.country);
-    container.setAttribute('city', this.city);
+    container.setAttribute('entity', this.entity);
+    container.setAttribute('attribute', this.attribute);
+    container.setAttribute('item', this.item);
     return container;
   },
   domToMutation: function(xmlElement) {
-    // Restore the country and city numbers.
-    this.populate(parseInt(xmlElement.getAttribute('country'), 10),
-                  parseInt(xmlElement.getAttribute('city'), 10));
+    // Restore the entity, attribute and item numbers.
+    this.populate(parseInt(xmlElement.getAttribute('entity'), 10),
+                  parseInt(xmlElement.getAttribute('attribute'), 10),
+                  parseInt(xmlElement.getAttribute('item'), 10));
   },
-  country: 0,
-  city: 0,
-  populate: function(n, m) {
-    this.country = n;
-    this.city = m;
-    // Set the city name.
-    this.setFieldValue(BlocklyApps.getMsg(
-        'Puzzle_country' + n + 'City' + m), 'NAME');
+  entity: 0,
+  attribute: 0,
+  item: 0,
+  populate: function(n, m, k) {
+    this.entity = n;
+    this.attribute = m;
+    this.item = k;
+    // Items in a list stack together, other items plug into their entity.
+    var attribute = Puzzle.data['attributes'][m];
+    if (attribute['type'] == 'list') {
+      this.setColour(attribute['colour'] || 290);
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    } else {
+      this.setColour(attribute['colour'] || 30);
+      this.setOutput(true);
+    }
+    // Set the item's text or image.
+    var value = Puzzle.getItems(n, m)[k];
+    if (typeof value == 'string') {
+      this.getInput('ITEM').appendField(value);
+    } else {
+      this.getInput('ITEM').appendField(new Blockly.FieldImage(
+          value['image'], value['width'], value['height']));
+    }
   },
-  isCorrect: function() {
-    var parent = this.getSurroundParent();
-    return parent && (parent.country == this.country);
+  getScore: function() {
+    // Find the block that this item's stack is attached to.
+    var block = this;
+    var parent = block.getParent();
+    while (parent && parent.nextConnection &&
+           parent.nextConnection.targetBlock() == block) {
+      block = parent;
+      parent = block.getParent();
+    }
+    var correct = false;
+    if (parent && parent.type == 'puzzle_entity' &&
+        parent.entity == this.entity) {
+      var input = parent.getInput('ATTR' + this.attribute);
+      correct = !!input && input.connection.targetBlock() == block;
+    }
+    return {earned: correct ? 1 : 0, possible: 1};
   }
 };
@@ -41,7 +41,173 @@ document.write('<script type="text/javascript" src="generated/' +
                BlocklyApps.LANG + '.js"></script>\n');
 
 /**
- * Initialize Blockly and the puzzle.  Called on page load.
+ * Content of the puzzle.  A puzzle has a list of entities (such as countries),
+ * each shown as a block, and a list of attributes which the user must match
+ * to each entity.  Every attribute has a 'name', a 'label' and a 'type':
+ *   'value': Each entity has one item, attached to the entity block.
+ *   'list': Each entity has a list of items, stacked inside the entity block.
+ *   'choice': Each entity has one option, chosen from a dropdown menu of all
+ *       the entities' options.  The menu starts at the attribute's 'choose'
+ *       text.
+ * Items are strings, or images given as {'image': url, 'width': number,
+ * 'height': number}, with urls relative to this page.  Each entity has a
+ * 'name', an optional 'helpUrl', and its correct 'values' keyed by attribute
+ * name.  The puzzle's 'help' text and block 'colour's are optional.
+ * @type {Object}
+ */
+Puzzle.data = null;
+
+/**
+ * Build the default puzzle (countries, with their flags, languages and
+ * cities) from the translated messages.
+ * @return {!Object} Puzzle content.
+ */
+Puzzle.defaultPuzzle = function() {
+  var puzzle = {
+    'colour': 120,
+    'attributes': [
+      {'name': 'flag', 'type': 'value', 'colour': 30,
+       'label': BlocklyApps.getMsg('Puzzle_flag')},
+      {'name': 'language', 'type': 'choice',
+       'label': BlocklyApps.getMsg('Puzzle_language'),
+       'choose': BlocklyApps.getMsg('Puzzle_languageChoose')},
+      {'name': 'cities', 'type': 'list', 'colour': 290,
+       'label': BlocklyApps.getMsg('Puzzle_cities')}
+    ],
+    'entities': []
+  };
+  var i = 1;
+  while (BlocklyApps.getMsgOrNull('Puzzle_country' + i)) {
+    var prefix = 'Puzzle_country' + i;
+    var cities = [];
+    var j = 1;
+    while (BlocklyApps.getMsgOrNull(prefix + 'City' + j)) {
+      cities.push(BlocklyApps.getMsg(prefix + 'City' + j));
+      j++;
+    }
+    puzzle['entities'].push({
+      'name': BlocklyApps.getMsg(prefix),
+      'helpUrl': BlocklyApps.getMsg(prefix + 'HelpUrl'),
+      'values': {
+        'flag': {
+          'image': BlocklyApps.getMsg(prefix + 'Flag'),
+          'width': Number(BlocklyApps.getMsg(prefix + 'FlagWidth')),
+          'height': Number(BlocklyApps.getMsg(prefix + 'FlagHeight'))
+        },
+        'language': BlocklyApps.getMsg(prefix + 'Language'),
+        'cities': cities
+      }
+    });
+    i++;
+  }
+  return puzzle;
+};
+
+/**
+ * Check that puzzle content is complete.
+ * @param {*} puzzle Parsed content of a puzzle file.
+ * @throws {Error} If the content is not a valid puzzle.
+ */
+Puzzle.checkPuzzle = function(puzzle) {
+  if (!puzzle || !(puzzle['attributes'] instanceof Array) ||
+      !(puzzle['entities'] instanceof Array) || !puzzle['entities'].length) {
+    throw Error('A puzzle needs a list of attributes and of entities.');
+  }
+  var attributes = puzzle['attributes'];
+  for (var i = 0; i < attributes.length; i++) {
+    var type = attributes[i]['type'];
+    if (type != 'value' && type != 'list' && type != 'choice') {
+      throw Error('Unknown attribute type: ' + type);
+    }
+  }
+  for (var i = 0; i < puzzle['entities'].length; i++) {
+    var entity = puzzle['entities'][i];
+    var values = entity['values'] || {};
+    for (var j = 0; j < attributes.length; j++) {
+      var value = values[attributes[j]['name']];
+      var type = attributes[j]['type'];
+      if (type == 'list' ? !(value instanceof Array) :
+          (type == 'choice' ? typeof value != 'string' : !value)) {
+        throw Error('Entity "' + entity['name'] + '" needs a ' + type +
+            ' for "' + attributes[j]['name'] + '".');
+      }
+    }
+  }
+};
+
+/**
+ * Load the puzzle named by the 'puzzle' URL parameter, or else the default
+ * puzzle, then call back.  A puzzle which fails to load is reported and the
+ * default puzzle is used instead.
+ * @param {!Function} callback Function to call once Puzzle.data is set.
+ */
+Puzzle.loadPuzzle = function(callback) {
+  var url = BlocklyApps.getStringParamFromUrl('puzzle', '');
+  if (!url) {
+    Puzzle.data = Puzzle.defaultPuzzle();
+    callback();
+    return;
+  }
+  var httpRequest = new XMLHttpRequest();
+  httpRequest.onreadystatechange = function() {
+    if (httpRequest.readyState != 4) {
+      return;
+    }
+    try {
+      if (httpRequest.status != 200) {
+        throw Error('HTTP status ' + httpRequest.status);
+      }
+      var puzzle = JSON.parse(httpRequest.responseText);
+      Puzzle.checkPuzzle(puzzle);
+      Puzzle.data = puzzle;
+    } catch (e) {
+      window.alert('Unable to load puzzle ' + url + '\n' + e);
+      Puzzle.data = Puzzle.defaultPuzzle();
+    }
+    callback();
+  };
+  httpRequest.open('GET', url);
+  httpRequest.send(null);
+};
+
+/**
+ * Get the menu options of a 'choice' attribute: the distinct values of all
+ * entities, after the 'choose' prompt.
+ * @param {number} attribute Index of the attribute.
+ * @return {!Array.<!Array.<string>>} Array of human-readable and
+ *   language-neutral tuples.
+ */
+Puzzle.choices = function(attribute) {
+  var name = Puzzle.data['attributes'][attribute]['name'];
+  var choose = Puzzle.data['attributes'][attribute]['choose'] ||
+      BlocklyApps.getMsg('Puzzle_languageChoose');
+  var list = [[choose, '0']];
+  var seen = Object.create(null);
+  var entities = Puzzle.data['entities'];
+  for (var i = 0; i < entities.length; i++) {
+    var value = entities[i]['values'][name];
+    if (!(value in seen)) {
+      seen[value] = true;
+      list.push([value, String(list.length)]);
+    }
+  }
+  return list;
+};
+
+/**
+ * Get the items of an entity for an attribute.
+ * @param {number} entity Index of the entity.
+ * @param {number} attribute Index of the attribute.
+ * @return {!Array} List of items (one item for a 'value' attribute).
+ */
+Puzzle.getItems = function(entity, attribute) {
+  var name = Puzzle.data['attributes'][attribute]['name'];
+  var value = Puzzle.data['entities'][entity]['values'][name];
+  return (value instanceof Array) ? value : [value];
+};
+
+/**
+ * Initialize Blockly and the puzzle.  Called once the puzzle is loaded.
  */
 Puzzle.init = function() {
   BlocklyApps.init();
@@ -63,6 +229,13 @@ Puzzle.init = function() {
   window.addEventListener('resize', onresize);
   Blockly.fireUiEvent(window, 'resize');
 
+  if (Puzzle.data['help']) {
+    document.getElementById('helpText').textContent = Puzzle.data['help'];
+  }
+  document.getElementById('helpExample').src = Puzzle.exampleUrl();
+  BlocklyApps.bindClick('checkButton', Puzzle.checkAnswers);
+  BlocklyApps.bindClick('helpButton', function(){Puzzle.showHelp(true);});
+
   // Add the blocks.
   if (window.sessionStorage.loadOnceBlocks) {
     var text = window.sessionStorage.loadOnceBlocks;
@@ -70,31 +243,36 @@ Puzzle.init = function() {
     var xml = Blockly.Xml.textToDom(text);
     Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
   } else {
-    // Create one of every block.
-    var blocksCountries = [];
-    var blocksFlags = [];
-    var blocksCities = [];
-    var i = 1;
-    while (BlocklyApps.getMsgOrNull('Puzzle_country' + i)) {
-      var block = Blockly.Block.obtain(Blockly.mainWorkspace, 'country');
-      block.populate(i);
-      blocksCountries.push(block);
-      var block = Blockly.Block.obtain(Blockly.mainWorkspace, 'flag');
+    // Create one of every block, grouped by entities then by attribute.
+    var entities = Puzzle.data['entities'];
+    var attributes = Puzzle.data['attributes'];
+    var groups = [[]];
+    for (var i = 0; i < entities.length; i++) {
+      var block = Blockly.Block.obtain(Blockly.mainWorkspace, 'puzzle_entity');
       block.populate(i);
-      blocksFlags.push(block);
-      var j = 1;
-      while (BlocklyApps.getMsgOrNull('Puzzle_country' + i + 'City' + j)) {
-        var block = Blockly.Block.obtain(Blockly.mainWorkspace, 'city');
-        block.populate(i, j);
-        blocksCities.push(block);
-        j++;
+      groups[0].push(block);
+    }
+    for (var j = 0; j < attributes.length; j++) {
+      if (attributes[j]['type'] == 'choice') {
+        continue;
       }
-      i++;
+      var group = [];
+      for (var i = 0; i < entities.length; i++) {
+        var items = Puzzle.getItems(i, j);
+        for (var k = 0; k < items.length; k++) {
+          var block = Blockly.Block.obtain(Blockly.mainWorkspace,
+                                           'puzzle_item');
+          block.populate(i, j, k);
+          group.push(block);
+        }
+      }
+      groups.push(group);
+    }
+    var blocks = [];
+    for (var i = 0; i < groups.length; i++) {
+      Puzzle.shuffle(groups[i]);
+      blocks = blocks.concat(groups[i]);
     }
-    Puzzle.shuffle(blocksCountries);
-    Puzzle.shuffle(blocksFlags);
-    Puzzle.shuffle(blocksCities);
-    var blocks = [].concat(blocksCountries, blocksFlags, blocksCities);
     if (rtl) {
       blocks.reverse();
     }
@@ -138,9 +316,6 @@ Puzzle.init = function() {
       countedArea += block.cached_area_;
     }
 
-    BlocklyApps.bindClick('checkButton', Puzzle.checkAnswers);
-    BlocklyApps.bindClick('helpButton', function(){Puzzle.showHelp(true);});
-
     Puzzle.showHelp(false);
     /**
      * HACK:
@@ -156,14 +331,76 @@ Puzzle.init = function() {
       Blockly.selected.unselect();
     }
   }
+  Blockly.mainWorkspace.clearUndo();
 };
 
 if (window.location.pathname.match(/readonly.html$/)) {
-  window.addEventListener('load', BlocklyApps.initReadonly);
+  window.addEventListener('load', function() {
+    Puzzle.loadPuzzle(BlocklyApps.initReadonly);
+  });
 } else {
-  window.addEventListener('load', Puzzle.init);
+  window.addEventListener('load', function() {
+    Puzzle.loadPuzzle(Puzzle.init);
+  });
 }
 
+/**
+ * Get the address of the help dialog's example: the first entity, solved.
+ * @return {string} URL of the read-only page showing the example.
+ */
+Puzzle.exampleUrl = function() {
+  var makeBlock = function(type, entity, opt_attribute, opt_item) {
+    var block = goog.dom.createDom('block');
+    block.setAttribute('type', type);
+    var mutation = goog.dom.createDom('mutation');
+    mutation.setAttribute('entity', entity);
+    if (opt_attribute !== undefined) {
+      mutation.setAttribute('attribute', opt_attribute);
+      mutation.setAttribute('item', opt_item);
+    }
+    block.appendChild(mutation);
+    return block;
+  };
+  var xml = makeBlock('puzzle_entity', 0);
+  xml.setAttribute('x', 5);
+  xml.setAttribute('y', 5);
+  var attributes = Puzzle.data['attributes'];
+  for (var j = 0; j < attributes.length; j++) {
+    var items = Puzzle.getItems(0, j);
+    var type = attributes[j]['type'];
+    if (type == 'choice') {
+      var choices = Puzzle.choices(j);
+      for (var k = 0; k < choices.length; k++) {
+        if (choices[k][0] == items[0]) {
+          var field = goog.dom.createDom('field', null, choices[k][1]);
+          field.setAttribute('name', 'ATTR' + j);
+          xml.appendChild(field);
+        }
+      }
+      continue;
+    }
+    var container = goog.dom.createDom(type == 'list' ? 'statement' : 'value');
+    container.setAttribute('name', 'ATTR' + j);
+    xml.appendChild(container);
+    for (var k = 0; k < items.length; k++) {
+      if (k) {
+        var next = goog.dom.createDom('next');
+        container.appendChild(next);
+        container = next;
+      }
+      var item = makeBlock('puzzle_item', 0, j, k);
+      container.appendChild(item);
+      container = item;
+    }
+  }
+  var url = 'readonly.html?lang=' + encodeURIComponent(BlocklyApps.LANG);
+  var puzzleUrl = BlocklyApps.getStringParamFromUrl('puzzle', '');
+  if (puzzleUrl) {
+    url += '&puzzle=' + encodeURIComponent(puzzleUrl);
+  }
+  return url + '&xml=' + encodeURIComponent(Blockly.Xml.domToText(xml));
+};
+
 /**
  * Shuffles the values in the specified array using the Fisher-Yates in-place
  * shuffle (also known as the Knuth Shuffle).
@@ -182,30 +419,19 @@ Puzzle.shuffle = function(arr) {
 };
 
 /**
- * Return a list of all languages.
- * @return {!Array<!Array<string>>} Array of human-readable and
- *   language-neutral tuples.
- */
-Puzzle.languages = function() {
-  var list = [[BlocklyApps.getMsg('Puzzle_languageChoose'), '0']];
-  var i = 1;
-  var lang;
-  while (lang = BlocklyApps.getMsgOrNull('Puzzle_country' + i + 'Language')) {
-    list[i] = [lang, String(i)];
-    i++;
-  }
-  return list;
-};
-
-/**
- * Count and highlight the errors.
+ * Score each block, then count and highlight the errors.
  */
 Puzzle.checkAnswers = function() {
   var blocks = Blockly.mainWorkspace.getAllBlocks();
   var errors = 0;
   var badBlocks = [];
+  var earned = 0;
+  var possible = 0;
   for (var b = 0, block; block = blocks[b]; b++) {
-    if (!block.isCorrect()) {
+    var score = block.getScore();
+    earned += score.earned;
+    possible += score.possible;
+    if (score.earned < score.possible) {
       errors++;
       // Bring the offending blocks to the front.
       block.select();
@@ -216,7 +442,7 @@ Puzzle.checkAnswers = function() {
   var graphValue = document.getElementById('graphValue');
   window.setTimeout(function() {
       graphValue.style.width =
-          (100 * (blocks.length - errors) / blocks.length) + 'px';
+          (possible ? 100 * earned / possible : 100) + 'px';
   }, 500);
 
   var messages;
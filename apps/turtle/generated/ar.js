@@ -41,7 +41,7 @@ turtlepage.messages = function(opt_data, opt_ignored, opt_ijData) {
 
 
 turtlepage.start = function(opt_data, opt_ignored, opt_ijData) {
-  return turtlepage.messages(null, null, opt_ijData) + '<table width="100%"><tr><td><h1><span id="title"><a href="../index.html?lang=' + soy.$$escapeHtml(opt_ijData.lang) + '">بلوكلي</a> : رسومات السلحفاة</span></h1></td><td class="farSide"><select id="languageMenu"></select></td></tr></table><div id="visualization"><canvas id="scratch" width="400" height="400" style="display: none"></canvas><canvas id="display" width="400" height="400"></canvas></div><table style="padding-top: 1em;"><tr><td style="width: 190px; text-align: center; vertical-align: top;"><script type="text/javascript" src="../slider.js"><\/script><svg id="slider" xmlns="http://www.w3.org/2000/svg" xmlns:svg="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" width="150" height="50"><!-- Slow icon. --><clipPath id="slowClipPath"><rect width=26 height=12 x=5 y=14 /></clipPath><image xlink:href="icons.png" height=42 width=84 x=-21 y=-10 clip-path="url(#slowClipPath)" /><!-- Fast icon. --><clipPath id="fastClipPath"><rect width=26 height=16 x=120 y=10 /></clipPath><image xlink:href="icons.png" height=42 width=84 x=120 y=-11 clip-path="url(#fastClipPath)" /></svg></td><td style="width: 15px;"><img id="spinner" style="visibility: hidden;" src="loading.gif" height=15 width=15></td><td style="width: 190px; text-align: center"><button id="runButton" class="primary" title="يجعل السلحفاة تقوم بما تقوله البلوكات."><img src="../../media/1x1.gif" class="run icon21">شغِّل البرنامج</button><button id="resetButton" class="primary" style="display: none"><img src="../../media/1x1.gif" class="stop icon21"> إعادة ضبط</button></td></tr></table><div id="toolbarDiv"><button id="codeButton" class="notext" title="راجع إنشاء تعليمات برمجية JavaScript."><img src=\'../../media/1x1.gif\' class="code icon21"></button><button id="linkButton" class="notext" title="احفظ ووصلة إلى البلوكات."><img src=\'../../media/1x1.gif\' class="link icon21"></button><button class="notext" id="captureButton" title="حفظ الرسم."><img src=\'../../media/1x1.gif\' class="img icon21"></button><a id="downloadImageLink" download="الرسمة.png"></a></div><script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript" src="../../blocks_compressed.js"><\/script><script type="text/javascript" src="../../javascript_compressed.js"><\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script>' + turtlepage.toolbox(null, null, opt_ijData) + '<div id="blockly"></div>' + apps.dialog(null, null, opt_ijData) + apps.codeDialog(null, null, opt_ijData) + apps.storageDialog(null, null, opt_ijData);
+  return turtlepage.messages(null, null, opt_ijData) + '<table width="100%"><tr><td><h1><span id="title"><a href="../index.html?lang=' + soy.$$escapeHtml(opt_ijData.lang) + '">بلوكلي</a> : رسومات السلحفاة</span></h1></td><td class="farSide"><select id="languageMenu"></select></td></tr></table><div id="visualization"><canvas id="scratch" width="400" height="400" style="display: none"></canvas><canvas id="display" width="400" height="400"></canvas></div><table style="padding-top: 1em;"><tr><td style="width: 190px; text-align: center; vertical-align: top;"><script type="text/javascript" src="../slider.js"><\/script><svg id="slider" xmlns="http://www.w3.org/2000/svg" xmlns:svg="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" width="150" height="50"><!-- Slow icon. --><clipPath id="slowClipPath"><rect width=26 height=12 x=5 y=14 /></clipPath><image xlink:href="icons.png" height=42 width=84 x=-21 y=-10 clip-path="url(#slowClipPath)" /><!-- Fast icon. --><clipPath id="fastClipPath"><rect width=26 height=16 x=120 y=10 /></clipPath><image xlink:href="icons.png" height=42 width=84 x=120 y=-11 clip-path="url(#fastClipPath)" /></svg></td><td style="width: 15px;"><img id="spinner" style="visibility: hidden;" src="loading.gif" height=15 width=15></td><td style="width: 190px; text-align: center"><button id="runButton" class="primary" title="يجعل السلحفاة تقوم بما تقوله البلوكات."><img src="../../media/1x1.gif" class="run icon21">شغِّل البرنامج</button><button id="resetButton" class="primary" style="display: none"><img src="../../media/1x1.gif" class="stop icon21"> إعادة ضبط</button></td></tr></table><div id="toolbarDiv"><button id="codeButton" class="notext" title="راجع إنشاء تعليمات برمجية JavaScript."><img src=\'../../media/1x1.gif\' class="code icon21"></button><button id="linkButton" class="notext" title="احفظ ووصلة إلى البلوكات."><img src=\'../../media/1x1.gif\' class="link icon21"></button><button class="notext" id="captureButton" title="حفظ الرسم."><img src=\'../../media/1x1.gif\' class="img icon21"></button><a id="downloadImageLink" download="الرسمة.png"></a><button id="svgButton" title="Save the drawing as a scalable SVG image.">SVG</button><button id="saveMovesButton" title="Save the turtle\'s moves, to replay later.">&#x21e9;</button><button id="loadMovesButton" title="Load saved moves and replay them.">&#x21e7;</button><input type="file" id="loadMovesFile" accept=".json,application/json"></div><script type="text/javascript" src="../../blockly_compressed.js"><\/script><script type="text/javascript" src="../../blocks_compressed.js"><\/script><script type="text/javascript" src="../../javascript_compressed.js"><\/script><script type="text/javascript" src="../../' + soy.$$escapeHtml(opt_ijData.langSrc) + '"><\/script><script type="text/javascript" src="blocks.js"><\/script>' + turtlepage.toolbox(null, null, opt_ijData) + '<div id="blockly"></div>' + apps.dialog(null, null, opt_ijData) + apps.codeDialog(null, null, opt_ijData) + apps.storageDialog(null, null, opt_ijData);
 };
 
 
@@ -51,6 +51,29 @@ Turtle.pid = 0;
  */
 Turtle.visible = true;
 
+/**
+ * Commands executed since the last reset, each a command name and its list
+ * of arguments (e.g. ['FD', [100]]).
+ * @type {!Array.<!Array>}
+ */
+Turtle.transcript = [];
+
+/**
+ * Number and types of arguments taken by each command.
+ */
+Turtle.COMMANDS = {
+  'FD': ['number'],
+  'RT': ['number'],
+  'DP': ['string'],
+  'DF': ['string', 'number', 'string'],
+  'PU': [],
+  'PD': [],
+  'PW': ['number'],
+  'PC': ['string'],
+  'HT': [],
+  'ST': []
+};
+
 /**
  * Initialize Blockly and the turtle.  Called on page load.
  */
@@ -65,11 +88,12 @@ Turtle.init = function() {
        toolbox: toolbox,
        trashcan: true});
 
-  Blockly.JavaScript.INFINITE_LOOP_TRAP = '  BlocklyApps.checkTimeout(%1);\n';
+  // Highlight each loop as it repeats.
+  Blockly.JavaScript.INFINITE_LOOP_TRAP = '  highlightBlock(%1);\n';
 
   // Add to reserved word list: API, local variables in execution evironment
-  // (execute) and the infinite loop detection function.
-  Blockly.JavaScript.addReservedWords('Turtle,code');
+  // (execute) and the interpreter's block highlighting function.
+  Blockly.JavaScript.addReservedWords('Turtle,code,highlightBlock');
 
   window.addEventListener('beforeunload', function(e) {
     if (Blockly.mainWorkspace.getAllBlocks().length > 2) {
@@ -94,14 +118,23 @@ Turtle.init = function() {
   onresize();
   Blockly.fireUiEvent(window, 'resize');
 
-  // Hide download button if browser lacks support
+  // Hide download buttons if browser lacks support
   // (http://caniuse.com/#feat=download).
   if (!(goog.userAgent.GECKO ||
        (goog.userAgent.WEBKIT && !goog.userAgent.SAFARI))) {
     document.getElementById('captureButton').className = 'disabled';
+    document.getElementById('svgButton').className = 'disabled';
+    document.getElementById('saveMovesButton').className = 'disabled';
   } else {
     BlocklyApps.bindClick('captureButton', Turtle.createImageLink);
+    BlocklyApps.bindClick('svgButton', Turtle.createSvgLink);
+    BlocklyApps.bindClick('saveMovesButton', Turtle.createTranscriptLink);
   }
+  var loadMovesFile = document.getElementById('loadMovesFile');
+  BlocklyApps.bindClick('loadMovesButton', function() {
+    loadMovesFile.click();
+  });
+  loadMovesFile.addEventListener('change', Turtle.loadTranscriptFile);
 
   // Initialize the slider.
   var sliderSvg = document.getElementById('slider');
@@ -143,6 +176,7 @@ Turtle.reset = function() {
   Turtle.heading = 0;
   Turtle.penDownValue = true;
   Turtle.visible = true;
+  Turtle.transcript = [];
 
   // Clear the display.
   Turtle.ctxScratch.canvas.width = Turtle.ctxScratch.canvas.width;
@@ -154,6 +188,10 @@ Turtle.reset = function() {
   Turtle.display();
 
   // Kill any task.
+  if (Turtle.interpreter) {
+    Turtle.interpreter.stop();
+    Turtle.interpreter = null;
+  }
   if (Turtle.pid) {
     window.clearTimeout(Turtle.pid);
   }
@@ -240,50 +278,74 @@ Turtle.resetButtonClick = function() {
 
 
 /**
- * Execute the user's code.  Heaven help us...
+ * Names of the Turtle functions available to the user's code.
  */
-Turtle.execute = function() {
-  BlocklyApps.log = [];
-  BlocklyApps.ticks = 1000000;
+Turtle.API = ['moveForward', 'moveBackward', 'turnRight', 'turnLeft', 'penUp',
+              'penDown', 'penWidth', 'penColour', 'hideTurtle', 'showTurtle',
+              'drawPrint', 'drawFont'];
 
+/**
+ * Interpreter running the user's code.
+ * @type {BlocklyApps.Interpreter}
+ */
+Turtle.interpreter = null;
+
+/**
+ * Execute the user's code in an interpreter, animating each action as it is
+ * run.
+ */
+Turtle.execute = function() {
+  Turtle.reset();
   var code = Blockly.JavaScript.workspaceToCode();
   try {
-    eval(code);
+    var interpreter = new BlocklyApps.Interpreter(code);
   } catch (e) {
-    // Null is thrown for infinite loop.
+    alert(e);
+    Turtle.finish_();
+    return;
+  }
+  for (var i = 0; i < Turtle.API.length; i++) {
+    var name = Turtle.API[i];
+    interpreter.addAsyncFunction('Turtle.' + name, Turtle[name]);
+  }
+  Turtle.interpreter = interpreter;
+  interpreter.run(function(error) {
+    // Running too long is probably an infinite loop.
     // Otherwise, abnormal termination is a user error.
-    if (e !== Infinity) {
-      alert(e);
+    if (error && error !== BlocklyApps.Interpreter.TIMEOUT) {
+      alert(error);
     }
-  }
-
-  // BlocklyApps.log now contains a transcript of all the user's actions.
-  // Reset the graphic and animate the transcript.
-  Turtle.reset();
-  Turtle.pid = window.setTimeout(Turtle.animate, 100);
+    Turtle.finish_();
+  });
 };
 
 /**
- * Iterate through the recorded path and animate the turtle's actions.
+ * The user's program has ended.  Clear the highlighting and spinner.
+ * @private
  */
-Turtle.animate = function() {
-  // All tasks should be complete now.  Clean up the PID list.
-  Turtle.pid = 0;
+Turtle.finish_ = function() {
+  document.getElementById('spinner').style.visibility = 'hidden';
+  Blockly.mainWorkspace.highlightBlock(null);
+};
 
-  var tuple = BlocklyApps.log.shift();
-  if (!tuple) {
-    document.getElementById('spinner').style.visibility = 'hidden';
-    Blockly.mainWorkspace.highlightBlock(null);
-    return;
-  }
-  var command = tuple.shift();
-  BlocklyApps.highlight(tuple.pop());
-  Turtle.step(command, tuple);
+/**
+ * Animate one of the turtle's actions, then let the user's program continue.
+ * @param {string} command Logo-style command (e.g. 'FD' or 'RT').
+ * @param {!Array} values List of arguments for the command.
+ * @param {string} id ID of block that triggered this action.
+ * @param {!Function} callback Function to call once the action is shown.
+ */
+Turtle.animate = function(command, values, id, callback) {
+  BlocklyApps.highlight(id);
+  Turtle.step(command, values);
   Turtle.display();
 
   // Scale the speed non-linearly, to give better precision at the fast end.
   var stepSpeed = 1000 * Math.pow(1 - Turtle.speedSlider.getValue(), 2);
-  Turtle.pid = window.setTimeout(Turtle.animate, stepSpeed);
+  Turtle.pid = window.setTimeout(function() {
+    Turtle.pid = 0;
+    callback();
+  }, stepSpeed);
 };
 
 /**
@@ -292,6 +354,7 @@ Turtle.animate = function() {
  * @param {!Array} values List of arguments for the command.
  */
 Turtle.step = function(command, values) {
+  Turtle.transcript.push([command, values]);
   switch (command) {
     case 'FD':  // Forward
       if (Turtle.penDownValue) {
@@ -355,61 +418,243 @@ Turtle.step = function(command, values) {
  * Save an image of the SVG canvas.
  */
 Turtle.createImageLink = function() {
-  var imgLink = document.getElementById('downloadImageLink');
-  imgLink.setAttribute('href',
-      document.getElementById('display').toDataURL('image/png'));
+  Turtle.download_(
+      document.getElementById('display').toDataURL('image/png'), 'png');
+};
+
+/**
+ * Save the drawing as an SVG image.
+ */
+Turtle.createSvgLink = function() {
+  var svg = Turtle.transcriptToSvg(Turtle.transcript);
+  var text = new XMLSerializer().serializeToString(svg);
+  Turtle.download_('data:image/svg+xml;charset=utf-8,' +
+      encodeURIComponent(text), 'svg');
+};
+
+/**
+ * Save the commands executed so far, so that they may be replayed.
+ */
+Turtle.createTranscriptLink = function() {
+  var text = JSON.stringify({'commands': Turtle.transcript});
+  Turtle.download_('data:application/json;charset=utf-8,' +
+      encodeURIComponent(text), 'json');
+};
+
+/**
+ * Download a file through the hidden download link.
+ * @param {string} url Data URL of the file's content.
+ * @param {string} extension File extension, replacing that of the translated
+ *     image filename.
+ * @private
+ */
+Turtle.download_ = function(url, extension) {
+  var link = document.getElementById('downloadImageLink');
+  var filename = link.getAttribute('download').replace(/\.[^.]*$/, '');
+  link.setAttribute('download', filename + '.' + extension);
+  link.setAttribute('href', url);
   var temp = window.onbeforeunload;
   window.onbeforeunload = null;
-  imgLink.click();
+  link.click();
   window.onbeforeunload = temp;
 };
 
-// Turtle API.
+/**
+ * Draw a list of commands as an SVG image.
+ * @param {!Array.<!Array>} commands List of commands and their arguments.
+ * @return {!Element} SVG element.
+ */
+Turtle.transcriptToSvg = function(commands) {
+  var svg = Blockly.createSvgElement('svg', {
+    'version': '1.1',
+    'width': Turtle.WIDTH,
+    'height': Turtle.HEIGHT,
+    'viewBox': '0 0 ' + Turtle.WIDTH + ' ' + Turtle.HEIGHT
+  }, null);
+  var round = function(n) {
+    return Math.round(n * 100) / 100;
+  };
+  var x = Turtle.WIDTH / 2;
+  var y = Turtle.HEIGHT / 2;
+  var heading = 0;
+  var penDown = true;
+  var width = 1;
+  var colour = '#000000';
+  var font = ['Arial', 18, 'normal'];
+  for (var i = 0; i < commands.length; i++) {
+    var values = commands[i][1];
+    switch (commands[i][0]) {
+      case 'FD':
+        var x1 = x;
+        var y1 = y;
+        x += values[0] * Math.sin(2 * Math.PI * heading / 360);
+        y -= values[0] * Math.cos(2 * Math.PI * heading / 360);
+        if (penDown) {
+          Blockly.createSvgElement('line', {
+            'x1': round(x1), 'y1': round(y1), 'x2': round(x), 'y2': round(y),
+            'stroke': colour, 'stroke-width': width,
+            'stroke-linecap': 'round'
+          }, svg);
+        }
+        break;
+      case 'RT':
+        heading = ((heading + values[0]) % 360 + 360) % 360;
+        break;
+      case 'DP':
+        var text = Blockly.createSvgElement('text', {
+          'transform': 'translate(' + round(x) + ',' + round(y) + ') ' +
+              'rotate(' + round(heading - 90) + ')',
+          'fill': colour,
+          'font-family': font[0],
+          'font-size': font[1] + 'pt',
+          'font-weight': font[2] == 'bold' ? 'bold' : 'normal',
+          'font-style': font[2] == 'italic' ? 'italic' : 'normal'
+        }, svg);
+        text.appendChild(document.createTextNode(values[0]));
+        break;
+      case 'DF':
+        font = values;
+        break;
+      case 'PU':
+        penDown = false;
+        break;
+      case 'PD':
+        penDown = true;
+        break;
+      case 'PW':
+        width = values[0];
+        break;
+      case 'PC':
+        colour = values[0];
+        break;
+    }
+  }
+  return svg;
+};
+
+/**
+ * Check that a transcript holds only known commands with valid arguments.
+ * @param {*} transcript Parsed content of a transcript file.
+ * @return {!Array.<!Array>} List of commands and their arguments.
+ * @throws {Error} If the transcript is not valid.
+ */
+Turtle.checkTranscript = function(transcript) {
+  var commands = transcript && transcript['commands'];
+  if (!(commands instanceof Array)) {
+    throw Error('A transcript needs a list of commands.');
+  }
+  for (var i = 0; i < commands.length; i++) {
+    var command = commands[i];
+    var types = (command instanceof Array) &&
+        Turtle.COMMANDS.hasOwnProperty(command[0]) &&
+        Turtle.COMMANDS[command[0]];
+    var values = types && command[1];
+    if (!(values instanceof Array) || values.length != types.length) {
+      throw Error('Command ' + (i + 1) + ' is not valid: ' +
+          JSON.stringify(command));
+    }
+    for (var j = 0; j < types.length; j++) {
+      if (typeof values[j] != types[j]) {
+        throw Error('Command ' + (i + 1) + ' is not valid: ' +
+            JSON.stringify(command));
+      }
+    }
+  }
+  return commands;
+};
+
+/**
+ * Load a transcript chosen by the user, and replay it.
+ */
+Turtle.loadTranscriptFile = function() {
+  var file = this.files[0];
+  if (!file) {
+    return;
+  }
+  var input = this;
+  var reader = new FileReader();
+  reader.onload = function() {
+    // Allow the same file to be chosen again.
+    input.value = '';
+    try {
+      var commands = Turtle.checkTranscript(JSON.parse(reader.result));
+    } catch (e) {
+      alert(e);
+      return;
+    }
+    Turtle.replay(commands);
+  };
+  reader.readAsText(file);
+};
+
+/**
+ * Animate a list of commands, as if run by the user's program.
+ * @param {!Array.<!Array>} commands List of commands and their arguments.
+ */
+Turtle.replay = function(commands) {
+  Turtle.reset();
+  document.getElementById('runButton').style.display = 'none';
+  document.getElementById('resetButton').style.display = 'inline';
+  document.getElementById('spinner').style.visibility = 'visible';
+  var i = 0;
+  var next = function() {
+    if (i < commands.length) {
+      var command = commands[i++];
+      Turtle.animate(command[0], command[1], null, next);
+    } else {
+      Turtle.finish_();
+    }
+  };
+  next();
+};
+
+// Turtle API.  Each function is called by the interpreter with the ID of the
+// calling block and a callback to continue the user's program.
 
-Turtle.moveForward = function(distance, id) {
-  BlocklyApps.log.push(['FD', distance, id]);
+Turtle.moveForward = function(distance, id, callback) {
+  Turtle.animate('FD', [distance], id, callback);
 };
 
-Turtle.moveBackward = function(distance, id) {
-  BlocklyApps.log.push(['FD', -distance, id]);
+Turtle.moveBackward = function(distance, id, callback) {
+  Turtle.animate('FD', [-distance], id, callback);
 };
 
-Turtle.turnRight = function(angle, id) {
-  BlocklyApps.log.push(['RT', angle, id]);
+Turtle.turnRight = function(angle, id, callback) {
+  Turtle.animate('RT', [angle], id, callback);
 };
 
-Turtle.turnLeft = function(angle, id) {
-  BlocklyApps.log.push(['RT', -angle, id]);
+Turtle.turnLeft = function(angle, id, callback) {
+  Turtle.animate('RT', [-angle], id, callback);
 };
 
-Turtle.penUp = function(id) {
-  BlocklyApps.log.push(['PU', id]);
+Turtle.penUp = function(id, callback) {
+  Turtle.animate('PU', [], id, callback);
 };
 
-Turtle.penDown = function(id) {
-  BlocklyApps.log.push(['PD', id]);
+Turtle.penDown = function(id, callback) {
+  Turtle.animate('PD', [], id, callback);
 };
 
-Turtle.penWidth = function(width, id) {
-  BlocklyApps.log.push(['PW', Math.max(width, 0), id]);
+Turtle.penWidth = function(width, id, callback) {
+  Turtle.animate('PW', [Math.max(width, 0)], id, callback);
 };
 
-Turtle.penColour = function(colour, id) {
-  BlocklyApps.log.push(['PC', colour, id]);
+Turtle.penColour = function(colour, id, callback) {
+  Turtle.animate('PC', [colour], id, callback);
 };
 
-Turtle.hideTurtle = function(id) {
-  BlocklyApps.log.push(['HT', id]);
+Turtle.hideTurtle = function(id, callback) {
+  Turtle.animate('HT', [], id, callback);
 };
 
-Turtle.showTurtle = function(id) {
-  BlocklyApps.log.push(['ST', id]);
+Turtle.showTurtle = function(id, callback) {
+  Turtle.animate('ST', [], id, callback);
 };
 
-Turtle.drawPrint = function(text, id) {
-  BlocklyApps.log.push(['DP', text, id]);
+Turtle.drawPrint = function(text, id, callback) {
+  Turtle.animate('DP', [String(text)], id, callback);
 };
 
-Turtle.drawFont = function(font, size, style, id) {
-  BlocklyApps.log.push(['DF', font, size, style, id]);
+Turtle.drawFont = function(font, size, style, id, callback) {
+  Turtle.animate('DF', [font, size, style], id, callback);
 };
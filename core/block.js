@@ -31,9 +31,12 @@ goog.require('Blockly.Blocks');
 goog.require('Blockly.Comment');
 goog.require('Blockly.Connection');
 goog.require('Blockly.ContextMenu');
+goog.require('Blockly.Events');
+goog.require('Blockly.Host');
 goog.require('Blockly.Input');
 goog.require('Blockly.Msg');
 goog.require('Blockly.Mutator');
+goog.require('Blockly.Selection');
 goog.require('Blockly.Warning');
 goog.require('Blockly.Workspace');
 goog.require('Blockly.Xml');
@@ -43,28 +46,6 @@ goog.require('goog.Timer');
 goog.require('goog.array');
 
 
-/**
- * Unique ID counter for created blocks.
- * @private
- */
-Blockly.uidCounter_ = 0;
-
-/**
- * Get the Blockly.uidCounter_
- * @returns {number}
- */
-Blockly.getUidCounter = function() {
-  return Blockly.uidCounter_;
-}
-
-/**
- * Set the Blockly.uidCounter_
- * @param {number} val The value to set the counter to.
- */
-Blockly.setUidCounter = function(val) {
-  Blockly.uidCounter_ = val;
-}
-
 /**
 * Class for one block.
 * @constructor
@@ -81,14 +62,17 @@ Blockly.Block = function() {
  * @param {!Blockly.Workspace} workspace The block's workspace.
  * @param {?string} prototypeName Name of the language object containing
  *     type-specific functions for this block.
+ * @param {string=} opt_id Optional ID.  Use this ID if provided, otherwise
+ *     create a new id.  A new id is also created if this one is taken, or
+ *     contains characters other than letters, digits, '_' and '-'.
  * @return {!Blockly.Block} The created block
  */
-Blockly.Block.obtain = function(workspace, prototypeName) {
+Blockly.Block.obtain = function(workspace, prototypeName, opt_id) {
   if (Blockly.Realtime.isEnabled()) {
-    return Blockly.Realtime.obtainBlock(workspace, prototypeName);
+    return Blockly.Realtime.obtainBlock(workspace, prototypeName, opt_id);
   } else {
     var newBlock = new Blockly.Block();
-    newBlock.initialize(workspace, prototypeName);
+    newBlock.initialize(workspace, prototypeName, opt_id);
     return newBlock;
   }
 };
@@ -98,13 +82,30 @@ Blockly.Block.obtain = function(workspace, prototypeName) {
  * @param {!Blockly.Workspace} workspace The new block's workspace.
  * @param {?string} prototypeName Name of the language object containing
  *     type-specific functions for this block.
- */
-Blockly.Block.prototype.initialize = function(workspace, prototypeName) {
-  this.id = ++Blockly.uidCounter_;
+ * @param {string=} opt_id Optional ID.  Use this ID if provided, otherwise
+ *     create a new id.  A new id is also created if this one is taken, or
+ *     contains characters other than letters, digits, '_' and '-'.
+ */
+Blockly.Block.prototype.initialize = function(workspace, prototypeName,
+                                              opt_id) {
+  // Ids are embedded in generated code, so only saved ids made of letters,
+  // digits, '_' and '-' are kept.
+  this.id = (opt_id && /^[\w-]+$/.test(opt_id) &&
+      !Blockly.Block.getById(opt_id, workspace)) ?
+      String(opt_id) : Blockly.genUid();
   workspace.addTopBlock(this);
-  this.fill(workspace, prototypeName);
+  // Report the block once it is built, rather than each step of building it.
+  Blockly.Events.disable();
+  try {
+    this.fill(workspace, prototypeName);
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (workspace.isFiringEvents_()) {
+    workspace.fireEvent(new Blockly.Events.Create(this));
+  }
   // Bind an onchange function, if it exists.
-  if (goog.isFunction(this.onchange)) {
+  if (goog.isFunction(this.onchange) && workspace.rendered) {
     Blockly.bindEvent_(workspace.getCanvas(), 'blocklyWorkspaceChange', this,
         this.onchange);
   }
@@ -172,6 +173,13 @@ Blockly.Block.getById = function(id, workspace) {
  */
 Blockly.Block.prototype.svg_ = null;
 
+/**
+ * Location of a block without SVG (on a headless workspace).
+ * @type {Object}
+ * @private
+ */
+Blockly.Block.prototype.xy_ = null;
+
 /**
  * Block's mutator icon (if any).
  * @type {Blockly.Mutator}
@@ -274,6 +282,10 @@ Blockly.Block.terminateDrag_ = function() {
       var dx = xy.x - selected.startDragX;
       var dy = xy.y - selected.startDragY;
       selected.moveConnections_(dx, dy);
+      selected.workspace.fireEvent(new Blockly.Events.Move(selected,
+          Blockly.Events.Move.topLocation(
+              {x: selected.startDragX, y: selected.startDragY}),
+          Blockly.Events.Move.topLocation(xy)));
       delete selected.draggedBubbles_;
       selected.setDragging_(false);
       selected.render();
@@ -282,9 +294,13 @@ Blockly.Block.terminateDrag_ = function() {
       // Fire an event to allow scrollbars to resize.
       Blockly.fireUiEvent(window, 'resize');
     }
+    Blockly.Selection.endDrag_();
   }
   if (selected) {
     selected.workspace.fireChangeEvent();
+    // Operations recorded during the drag (and the connection made on drop)
+    // form one undo group.
+    selected.workspace.endUndoGroup_();
   }
   Blockly.Block.dragMode_ = 0;
 };
@@ -294,13 +310,17 @@ Blockly.Block.terminateDrag_ = function() {
  */
 Blockly.Block.prototype.select = function() {
   goog.asserts.assertObject(this.svg_, 'Block is not rendered.');
+  var oldId = null;
   if (Blockly.selected) {
+    oldId = Blockly.selected.id;
     // Unselect any previously selected block.
     Blockly.selected.unselect();
   }
   Blockly.selected = this;
   this.svg_.addSelect();
   Blockly.fireUiEvent(this.workspace.getCanvas(), 'blocklySelectChange');
+  this.workspace.fireEvent(
+      new Blockly.Events.Ui(this, 'selected', oldId, this.id));
 };
 
 /**
@@ -322,9 +342,12 @@ Blockly.Block.prototype.activate = function() {
  */
 Blockly.Block.prototype.unselect = function() {
   goog.asserts.assertObject(this.svg_, 'Block is not rendered.');
+  Blockly.Selection.clear_();
   Blockly.selected = null;
   this.svg_.removeSelect();
   Blockly.fireUiEvent(this.workspace.getCanvas(), 'blocklySelectChange');
+  this.workspace.fireEvent(
+      new Blockly.Events.Ui(this, 'selected', this.id, null));
 };
 
 /**
@@ -342,58 +365,68 @@ Blockly.Block.prototype.dispose = function(healStack, animate,
   this.rendered = false;
   this.unplug(healStack);
 
-  if (animate && this.svg_) {
-    this.svg_.disposeUiEffect();
+  // Report the deletion of the whole tree, but none of its disassembly.
+  if (this.workspace && this.workspace.isFiringEvents_()) {
+    this.workspace.fireEvent(new Blockly.Events.Delete(this));
   }
+  Blockly.Events.disable();
+  try {
+    if (animate && this.svg_) {
+      this.svg_.disposeUiEffect();
+    }
 
-  // This block is now at the top of the workspace.
-  // Remove this block from the workspace's list of top-most blocks.
-  if (this.workspace && !dontRemoveFromWorkspace) {
-    this.workspace.removeTopBlock(this);
-    this.workspace = null;
-  }
+    // This block is now at the top of the workspace.
+    // Remove this block from the workspace's list of top-most blocks.
+    if (this.workspace && !dontRemoveFromWorkspace) {
+      this.workspace.removeTopBlock(this);
+      this.workspace = null;
+    }
 
-  // Just deleting this block from the DOM would result in a memory leak as
-  // well as corruption of the connection database.  Therefore we must
-  // methodically step through the blocks and carefully disassemble them.
+    // Just deleting this block from the DOM would result in a memory leak as
+    // well as corruption of the connection database.  Therefore we must
+    // methodically step through the blocks and carefully disassemble them.
 
-  if (Blockly.selected == this) {
-    Blockly.selected = null;
-    // If there's a drag in-progress, unlink the mouse events.
-    Blockly.terminateDrag_();
-  }
+    if (Blockly.selected == this) {
+      Blockly.selected = null;
+      // If there's a drag in-progress, unlink the mouse events.
+      Blockly.terminateDrag_();
+    }
+    Blockly.Selection.forget_(this);
 
-  // First, dispose of all my children.
-  for (var x = this.childBlocks_.length - 1; x >= 0; x--) {
-    this.childBlocks_[x].dispose(false);
-  }
-  // Then dispose of myself.
-  var icons = this.getIcons();
-  for (var x = 0; x < icons.length; x++) {
-    icons[x].dispose();
-  }
-  // Dispose of all inputs and their fields.
-  for (var x = 0, input; input = this.inputList[x]; x++) {
-    input.dispose();
-  }
-  this.inputList = [];
-  // Dispose of any remaining connections (next/previous/output).
-  var connections = this.getConnections_(true);
-  for (var x = 0; x < connections.length; x++) {
-    var connection = connections[x];
-    if (connection.targetConnection) {
-      connection.disconnect();
+    // First, dispose of all my children.
+    for (var x = this.childBlocks_.length - 1; x >= 0; x--) {
+      this.childBlocks_[x].dispose(false);
     }
-    connections[x].dispose();
-  }
-  // Dispose of the SVG and break circular references.
-  if (this.svg_) {
-    this.svg_.dispose();
-    this.svg_ = null;
-  }
-  // Remove from Realtime set of blocks.
-  if (Blockly.Realtime.isEnabled() && !Blockly.Realtime.withinSync) {
-    Blockly.Realtime.removeBlock(this);
+    // Then dispose of myself.
+    var icons = this.getIcons();
+    for (var x = 0; x < icons.length; x++) {
+      icons[x].dispose();
+    }
+    // Dispose of all inputs and their fields.
+    for (var x = 0, input; input = this.inputList[x]; x++) {
+      input.dispose();
+    }
+    this.inputList = [];
+    // Dispose of any remaining connections (next/previous/output).
+    var connections = this.getConnections_(true);
+    for (var x = 0; x < connections.length; x++) {
+      var connection = connections[x];
+      if (connection.targetConnection) {
+        connection.disconnect();
+      }
+      connections[x].dispose();
+    }
+    // Dispose of the SVG and break circular references.
+    if (this.svg_) {
+      this.svg_.dispose();
+      this.svg_ = null;
+    }
+    // Remove from Realtime set of blocks.
+    if (Blockly.Realtime.isEnabled() && !Blockly.Realtime.withinSync) {
+      Blockly.Realtime.removeBlock(this);
+    }
+  } finally {
+    Blockly.Events.enable();
   }
 };
 
@@ -455,6 +488,9 @@ Blockly.Block.prototype.getRelativeToSurfaceXY = function() {
       y += xy.y;
       element = element.parentNode;
     } while (element && element != this.workspace.getCanvas());
+  } else if (this.xy_) {
+    x = this.xy_.x;
+    y = this.xy_.y;
   }
   return {x: x, y: y};
 };
@@ -466,9 +502,21 @@ Blockly.Block.prototype.getRelativeToSurfaceXY = function() {
  */
 Blockly.Block.prototype.moveBy = function(dx, dy) {
   var xy = this.getRelativeToSurfaceXY();
-  this.svg_.getRootElement().setAttribute('transform',
-      'translate(' + (xy.x + dx) + ', ' + (xy.y + dy) + ')');
+  if (this.svg_) {
+    this.svg_.getRootElement().setAttribute('transform',
+        'translate(' + (xy.x + dx) + ', ' + (xy.y + dy) + ')');
+  } else {
+    this.xy_ = {x: xy.x + dx, y: xy.y + dy};
+  }
   this.moveConnections_(dx, dy);
+  if (this.workspace && this.workspace.isFiringEvents_() &&
+      !this.getParent()) {
+    // Blocks are often positioned after being created (e.g. pasted), so
+    // record where they end up.
+    this.workspace.fireEvent(new Blockly.Events.Move(this,
+        Blockly.Events.Move.topLocation(xy),
+        Blockly.Events.Move.topLocation({x: xy.x + dx, y: xy.y + dy})));
+  }
   if (Blockly.Realtime.isEnabled() && !Blockly.Realtime.withinSync) {
     Blockly.Realtime.blockChanged(this);
   }
@@ -515,7 +563,26 @@ Blockly.Block.prototype.onMouseDown_ = function(e) {
   // Update Blockly's knowledge of its own location.
   Blockly.svgResize();
   Blockly.terminateDrag_();
-  this.select();
+  var isShiftClick = e.shiftKey && !Blockly.isRightButton(e) &&
+      this.workspace == Blockly.mainWorkspace;
+  if (isShiftClick && Blockly.Selection.contains(this)) {
+    // Shift-click on a selected block takes it out of the selection.
+    Blockly.Selection.remove(this);
+    Blockly.hideChaff();
+    e.stopPropagation();
+    return;
+  }
+  // Clicking one of several selected blocks keeps the others selected, so
+  // that they may be dragged or context menued together.
+  var isGrouped = Blockly.Selection.contains(this) &&
+      Blockly.Selection.getBlocks().length > 1;
+  if (isShiftClick || isGrouped) {
+    Blockly.Selection.add(this);
+  } else {
+    this.select();
+  }
+  // A plain click that doesn't turn into a drag selects this block alone.
+  this.selectAlone_ = isGrouped && !isShiftClick;
   Blockly.hideChaff();
   if (Blockly.isRightButton(e)) {
     // Right-click.
@@ -530,9 +597,7 @@ Blockly.Block.prototype.onMouseDown_ = function(e) {
     return;
   } else {
     // Left-click (or middle click)
-    if (typeof(Entry) == "object") {
-      Entry.dispatchEvent("entryBlocklyChanged");
-    }
+    Blockly.Host.notifyChange();
     this.isDrag = false;
     Blockly.removeAllRanges();
     Blockly.setCursorHand_(true);
@@ -548,17 +613,7 @@ Blockly.Block.prototype.onMouseDown_ = function(e) {
         'mouseup', this, this.onMouseUp_);
     Blockly.Block.onMouseMoveWrapper_ = Blockly.bindEvent_(document,
         'mousemove', this, this.onMouseMove_);
-    // Build a list of bubbles that need to be moved and where they started.
-    this.draggedBubbles_ = [];
-    var descendants = this.getDescendants();
-    for (var x = 0, descendant; descendant = descendants[x]; x++) {
-      var icons = descendant.getIcons();
-      for (var y = 0; y < icons.length; y++) {
-        var data = icons[y].getIconLocation();
-        data.bubble = icons[y];
-        this.draggedBubbles_.push(data);
-      }
-    }
+    this.recordBubbles_();
   }
   // This event has been handled.  No need to bubble up to the document.
   e.stopPropagation();
@@ -577,11 +632,18 @@ Blockly.Block.prototype.onMouseUp_ = function(e) {
     this.stalkerBlock = null;
     this.isInBlockMenu = false;
   }
-  if (!this.isDrag && typeof(Entry) == "object") {
+  if (!this.isDrag && Blockly.host) {
     //fire instant event
     //Entry.fireInstantEvent(this.id);
   };
+  var wasDragged = Blockly.Block.dragMode_ == 2;
+  // The other selected stacks that were dragged along with this block.
+  var followers = wasDragged ? Blockly.Selection.getDragged_() : [];
   Blockly.terminateDrag_();
+  if (this.selectAlone_ && !wasDragged && this.svg_) {
+    this.select();
+  }
+  this.selectAlone_ = false;
   if (Blockly.selected && Blockly.highlightedConnection_) {
     // Connect two blocks together.
     Blockly.localConnection_.connect(Blockly.highlightedConnection_);
@@ -600,22 +662,25 @@ Blockly.Block.prototype.onMouseUp_ = function(e) {
       // Don't throw an object in the trash can if it just got connected.
       this.workspace.trashcan.close();
     }
-    if (typeof(Entry) == "object" && this.getParent() === this.isDisconnected) {
-      Entry.dispatchEvent("cancelLastCommand");
+    if (this.getParent() === this.isDisconnected) {
+      Blockly.Host.cancelLastCommand();
     }
   } else if (this.workspace.trashcan && this.workspace.trashcan.isOpen) {
     var trashcan = this.workspace.trashcan;
     goog.Timer.callOnce(trashcan.close, 100, trashcan);
     Blockly.selected.dispose(false, true);
+    for (var i = 0, follower; follower = followers[i]; i++) {
+      if (follower.workspace && follower.isDeletable()) {
+        follower.dispose(false, true);
+      }
+    }
     // Dropping a block on the trash can will usually cause the workspace to
     // resize to contain the newly positioned block.  Force a second resize now
     // that the block has been deleted.
     Blockly.fireUiEvent(window, 'resize');
   } else if (this.isDisconnected) {
   } else {
-    if (typeof(Entry) == "object") {
-      Entry.dispatchEvent("cancelLastCommand");
-    }
+    Blockly.Host.cancelLastCommand();
   }
   if (Blockly.highlightedConnection_) {
     Blockly.highlightedConnection_.unhighlight();
@@ -635,13 +700,13 @@ Blockly.Block.prototype.showHelp_ = function() {
 };
 
 /**
- * Duplicate this block and its children.
+ * Duplicate this block and its children.  The duplicates get new ids.
  * @return {!Blockly.Block} The duplicate.
  * @private
  */
 Blockly.Block.prototype.duplicate_ = function() {
   // Create a duplicate via XML.
-  var xmlBlock = Blockly.Xml.blockToDom_(this);
+  var xmlBlock = Blockly.Xml.blockToDom_(this, true);
   Blockly.Xml.deleteNext(xmlBlock);
   var newBlock = Blockly.Xml.domToBlock(
       /** @type {!Blockly.Workspace} */ (this.workspace), xmlBlock);
@@ -666,6 +731,11 @@ Blockly.Block.prototype.showContextMenu_ = function(xy) {
   if (Blockly.readOnly || !this.contextMenu) {
     return;
   }
+  if (Blockly.Selection.contains(this) &&
+      Blockly.Selection.getBlocks().length > 1) {
+    Blockly.Selection.showContextMenu_(xy);
+    return;
+  }
   // Save the current block in a variable for use in closures.
   var block = this;
   var options = [];
@@ -677,9 +747,7 @@ Blockly.Block.prototype.showContextMenu_ = function(xy) {
       enabled: true,
       callback: function() {
         block.duplicate_();
-        if (typeof(Entry) == "object") {
-          Entry.dispatchEvent("entryBlocklyChanged");
-        }
+        Blockly.Host.notifyChange();
       }
     };
     if (this.getDescendants().length > this.workspace.remainingCapacity()) {
@@ -777,9 +845,7 @@ Blockly.Block.prototype.showContextMenu_ = function(xy) {
       enabled: true,
       callback: function() {
         block.dispose(true, true);
-        if (typeof(Entry) == "object") {
-          Entry.dispatchEvent("entryBlocklyChanged");
-        }
+        Blockly.Host.notifyChange();
       }
     };
     options.push(deleteOption);
@@ -877,6 +943,38 @@ Blockly.Block.prototype.setDragging_ = function(adding) {
   }
 };
 
+/**
+ * Build a list of bubbles that need to be moved with this block while it is
+ * dragged, and where they started.
+ * @private
+ */
+Blockly.Block.prototype.recordBubbles_ = function() {
+  this.draggedBubbles_ = [];
+  var descendants = this.getDescendants();
+  for (var x = 0, descendant; descendant = descendants[x]; x++) {
+    var icons = descendant.getIcons();
+    for (var y = 0; y < icons.length; y++) {
+      var data = icons[y].getIconLocation();
+      data.bubble = icons[y];
+      this.draggedBubbles_.push(data);
+    }
+  }
+};
+
+/**
+ * Move the bubbles recorded by recordBubbles_ along with this block.
+ * @param {number} dx Horizontal distance from where they started.
+ * @param {number} dy Vertical distance from where they started.
+ * @private
+ */
+Blockly.Block.prototype.moveBubbles_ = function(dx, dy) {
+  for (var i = 0; i < this.draggedBubbles_.length; i++) {
+    var commentData = this.draggedBubbles_[i];
+    commentData.bubble.setIconLocation(commentData.x + dx,
+                                       commentData.y + dy);
+  }
+};
+
 /**
  * Drag this block to follow the mouse.
  * @param {!Event} e Mouse move event.
@@ -911,26 +1009,29 @@ Blockly.Block.prototype.onMouseMove_ = function(e) {
       this.isDisconnected = this.getParent();
       this.setParent(null);
       this.setDragging_(true);
+      Blockly.Selection.startDrag_(this);
     }
   }
   if (Blockly.Block.dragMode_ == 2) {
     // Unrestricted dragging.
-    var x = this.startDragX + dx;
-    var y = this.startDragY + dy;
-    this.svg_.getRootElement().setAttribute('transform',
-        'translate(' + x + ', ' + y + ')');
     if (this.stalkerBlock) {
-      var sx = this.stalkerBlock.startDragX + dx;
-      var sy = this.stalkerBlock.startDragY + dy;
+      // The stalker lives on the block menu, which is never zoomed.
+      var stalkerScale = this.stalkerBlock.workspace.scale;
+      var sx = this.stalkerBlock.startDragX + dx / stalkerScale;
+      var sy = this.stalkerBlock.startDragY + dy / stalkerScale;
       this.stalkerBlock.svg_.getRootElement().setAttribute('transform',
           'translate(' + sx + ', ' + sy + ')');
     }
-    // Drag all the nested bubbles.
-    for (var i = 0; i < this.draggedBubbles_.length; i++) {
-      var commentData = this.draggedBubbles_[i];
-      commentData.bubble.setIconLocation(commentData.x + dx,
-                                         commentData.y + dy);
-    }
+    // Convert the mouse movement from pixels into workspace units.
+    dx /= this.workspace.scale;
+    dy /= this.workspace.scale;
+    var x = this.startDragX + dx;
+    var y = this.startDragY + dy;
+    this.svg_.getRootElement().setAttribute('transform',
+        'translate(' + x + ', ' + y + ')');
+    this.moveBubbles_(dx, dy);
+    // Drag the other selected stacks along.
+    Blockly.Selection.drag_(dx, dy);
 
     // Check to see if any of this block's connections are within range of
     // another block's connection.
@@ -1090,9 +1191,11 @@ Blockly.Block.prototype.setParent = function(newParent) {
     }
     // Move this block up the DOM.  Keep track of x/y translations.
     var xy = this.getRelativeToSurfaceXY();
-    this.workspace.getCanvas().appendChild(this.svg_.getRootElement());
-    this.svg_.getRootElement().setAttribute('transform',
-        'translate(' + xy.x + ', ' + xy.y + ')');
+    if (this.svg_) {
+      this.workspace.getCanvas().appendChild(this.svg_.getRootElement());
+      this.svg_.getRootElement().setAttribute('transform',
+          'translate(' + xy.x + ', ' + xy.y + ')');
+    }
 
     // Disconnect from superior blocks.
     this.parentBlock_ = null;
@@ -1454,8 +1557,12 @@ Blockly.Block.prototype.setDisabled = function(disabled) {
     return;
   }
   this.disabled = disabled;
-  this.svg_.updateDisabled();
+  if (this.svg_) {
+    this.svg_.updateDisabled();
+  }
   this.workspace.fireChangeEvent();
+  this.workspace.fireEvent(new Blockly.Events.Change(this, 'disabled', null,
+                                                     !disabled, disabled));
 };
 
 /**
@@ -1493,6 +1600,10 @@ Blockly.Block.prototype.setCollapsed = function(collapsed) {
     return;
   }
   this.collapsed_ = collapsed;
+  if (this.workspace) {
+    this.workspace.fireEvent(new Blockly.Events.Change(this, 'collapsed',
+        null, !collapsed, collapsed));
+  }
   var renderList = [];
   // Show/hide the inputs.
   for (var x = 0, input; input = this.inputList[x]; x++) {
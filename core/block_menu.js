@@ -26,6 +26,8 @@
 
 goog.provide('Blockly.BlockMenu');
 
+goog.require('Blockly.BlockSearch');
+goog.require('Blockly.Host');
 goog.require('Blockly.Workspace');
 
 
@@ -51,7 +53,24 @@ Blockly.BlockMenu = function(element) {
    */
   this.listeners_ = [];
 
+  /**
+   * Blocks of the category shown when there is no search.
+   * @type {Array|string}
+   * @private
+   */
+  this.categoryXmlList_ = null;
+
   this.view_ = element;
+  var blockMenu = this;
+  this.search_ = new Blockly.BlockSearch(this, function() {
+    if (blockMenu.categoryXmlList_) {
+      blockMenu.show(blockMenu.categoryXmlList_);
+    } else {
+      blockMenu.hide();
+    }
+  });
+  this.searchInput_ = this.search_.createDom();
+  this.view_.appendChild(this.searchInput_);
   this.menuView_ = Blockly.createSvgElement('svg', {
     'xmlns': 'http://www.w3.org/2000/svg',
     'xmlns:html': 'http://www.w3.org/1999/xhtml',
@@ -59,7 +78,6 @@ Blockly.BlockMenu = function(element) {
     'version': '1.1',
     'class': 'blocklySvg'
   }, this.view_);
-  var blockMenu = this;
   this.workspace_ = new Blockly.Workspace(
       function() {return blockMenu.getMetrics_();},
       function(ratio) {return blockMenu.setMetrics_(ratio);});
@@ -75,6 +93,11 @@ Blockly.BlockMenu = function(element) {
  *     Variables and procedures have a custom set of blocks.
  */
 Blockly.BlockMenu.prototype.show = function(xmlList) {
+  if (xmlList != this.search_.getResults()) {
+    // A category was chosen, so forget any search.
+    this.search_.reset();
+    this.categoryXmlList_ = xmlList;
+  }
   this.hide();
   var margin = 0;
   this.menuView_.style.display = 'block';
@@ -151,21 +174,11 @@ Blockly.BlockMenu.prototype.show = function(xmlList) {
       this.listeners_.push(Blockly.bindEvent_(root, 'mousedown', null,
           this.blockMouseDown_(block)));
     }
-    if (typeof(Entry) == "object" && block.type == "make_variable") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.createVariable();});
-    } else if (typeof(Entry) == "object" && block.type == "add_message") {
+    var command = Blockly.Host.BLOCK_COMMANDS[block.type];
+    if (command && Blockly.Host.has(command)) {
+      // This block is a button for the host's variable or message manager.
       Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.createMessage();});
-    } else if (typeof(Entry) == "object" && block.type == "delete_message") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.deleteMessage();});
-    } else if (typeof(Entry) == "object" && block.type == "remove_variable") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.removeVariable();});
-    } else if (typeof(Entry) == "object" && block.type == "change_variable_name") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.changeVariableName();});
+          Blockly.Host.commandFunc(command));
     }
     this.listeners_.push(Blockly.bindEvent_(rect, 'mousedown', null,
         this.createBlockFunc_(block)));
@@ -183,6 +196,25 @@ Blockly.BlockMenu.prototype.show = function(xmlList) {
   this.workspace_.fireChangeEvent();
 };
 
+/**
+ * Show the blocks again after the toolbox has been replaced.  If the menu was
+ * showing the blocks of the old toolbox, it shows those of the new one.
+ * @param {!Element} oldTree The replaced toolbox.
+ * @param {!Element} newTree The new toolbox.
+ */
+Blockly.BlockMenu.prototype.updateToolbox = function(oldTree, newTree) {
+  var xmlList = this.categoryXmlList_;
+  if (xmlList == oldTree.childNodes) {
+    xmlList = newTree.childNodes;
+  }
+  if (this.search_.isActive()) {
+    this.categoryXmlList_ = xmlList;
+    this.search_.refresh();
+  } else if (xmlList) {
+    this.show(xmlList);
+  }
+};
+
 /**
  * Hide and empty the blockMenu.
  */
@@ -293,9 +325,7 @@ Blockly.BlockMenu.prototype.createBlockFunc_ = function(originBlock) {
       return;
     }
     // Create the new block by cloning the block in the blockMenu (via XML).
-    if (typeof(Entry) == "object") {
-        Entry.dispatchEvent("entryBlocklyChanged");
-    }
+    Blockly.Host.notifyChange();
     var xml = Blockly.Xml.blockToDom_(originBlock);
     var block = Blockly.Xml.domToBlock(blockMenu.workspace_, xml);
     block.isInBlockMenu = true;
@@ -320,8 +350,9 @@ Blockly.BlockMenu.prototype.createBlockFunc_ = function(originBlock) {
       throw 'block is not rendered.';
     }
     var xyNewWorkspace = Blockly.getSvgXY_(svgRootNewWorkspace);
-    var stalkerX = xyOld.x - xyNewWorkspace.x - 202;
-    var stalkerY = xyOld.y - xyNewWorkspace.y + 36;
+    var scale = Blockly.mainWorkspace.scale;
+    var stalkerX = (xyOld.x - xyNewWorkspace.x - 202) / scale;
+    var stalkerY = (xyOld.y - xyNewWorkspace.y + 36) / scale;
     workspaceBlock.moveBy(stalkerX, stalkerY);
     // Start a dragging operation on the new block.
     workspaceBlock.isInBlockMenu = true;
@@ -382,7 +413,7 @@ Blockly.BlockMenu.prototype.getMetrics_ = function() {
     var optionBox = {height: 0, y: 0};
   }
   var metrics = {
-    viewHeight: rect.height,
+    viewHeight: rect.height - this.searchInput_.offsetHeight,
     viewWidth: rect.width,
     contentHeight: optionBox.height + optionBox.y,
     viewTop: -this.workspace_.scrollY,
@@ -439,6 +470,6 @@ Blockly.BlockMenu.terminateDrag_ = function() {
 Blockly.BlockMenu.prototype.syncViewSize_ = function() {
   var rect = this.view_.getBoundingClientRect();
   this.menuView_.style.width = rect.width;
-  this.menuView_.style.height = rect.height;
+  this.menuView_.style.height = rect.height - this.searchInput_.offsetHeight;
   this.scrollbar_.resize();
 };
@@ -0,0 +1,396 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Search box that finds blocks in every category of the
+ * toolbox, by block type, field text, or the block's labels and messages in
+ * the current language.  Results are shown in a flyout or block menu, from
+ * which they may be dragged, or chosen with the keyboard:
+ *   Up/Down      Highlight the previous/next result.
+ *   Enter        Add the highlighted result to the workspace.
+ *   Escape       Clear the search.
+ */
+'use strict';
+
+goog.provide('Blockly.BlockSearch');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Host');
+goog.require('Blockly.Xml');
+goog.require('goog.dom');
+goog.require('goog.string');
+
+
+/**
+ * Class for a search box.
+ * @param {!Object} menu Flyout or block menu in which to show the results.
+ * @param {function()} onClear Function to call when the search is cleared.
+ * @constructor
+ */
+Blockly.BlockSearch = function(menu, onClear) {
+  this.menu_ = menu;
+  this.onClear_ = onClear;
+
+  /**
+   * Blocks that may be found, with their searchable text.  Built when the
+   * search box gains focus, so that it is in the current language.
+   * @type {!Array.<!{xml: !Element, text: string}>}
+   * @private
+   */
+  this.index_ = [];
+
+  /**
+   * XML of the blocks found by the last search.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.results_ = [];
+
+  /**
+   * Index of the result highlighted with the keyboard, or -1 for none.
+   * @type {number}
+   * @private
+   */
+  this.highlighted_ = -1;
+
+  /**
+   * Opaque data that can be passed to Blockly.unbindEvent_.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.bindData_ = [];
+};
+
+/**
+ * The search box.
+ * @type {Element}
+ * @private
+ */
+Blockly.BlockSearch.prototype.input_ = null;
+
+/**
+ * Distance between a block added with the keyboard and the edge of the view.
+ * @type {number}
+ * @private
+ */
+Blockly.BlockSearch.prototype.MARGIN_ = 25;
+
+/**
+ * Create the search box.
+ * @return {!Element} The search box's input element.
+ */
+Blockly.BlockSearch.prototype.createDom = function() {
+  // Type 'text' so that Blockly.onKeyDown_ leaves the keys alone.
+  this.input_ = goog.dom.createDom('input',
+      {'type': 'text', 'class': 'blocklySearch'});
+  this.input_.setAttribute('placeholder', Blockly.Msg.TOOLBOX_SEARCH);
+  this.input_.setAttribute('aria-label', Blockly.Msg.TOOLBOX_SEARCH);
+  this.bindData_.push(Blockly.bindEvent_(this.input_, 'focus', this,
+      this.buildIndex));
+  this.bindData_.push(Blockly.bindEvent_(this.input_, 'input', this,
+      this.update_));
+  this.bindData_.push(Blockly.bindEvent_(this.input_, 'keydown', this,
+      this.onKeyDown_));
+  this.bindData_.push(Blockly.bindEvent_(this.input_, 'mousedown', null,
+      function(e) {
+        // Don't let the toolbox close the results.
+        e.stopPropagation();
+      }));
+  return this.input_;
+};
+
+/**
+ * Dispose of this search box.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.BlockSearch.prototype.dispose = function() {
+  while (this.bindData_.length) {
+    Blockly.unbindEvent_(this.bindData_.pop());
+  }
+  if (this.input_) {
+    goog.dom.removeNode(this.input_);
+    this.input_ = null;
+  }
+  this.index_.length = 0;
+  this.results_.length = 0;
+  this.menu_ = null;
+  this.onClear_ = null;
+};
+
+/**
+ * Is a search showing its results?
+ * @return {boolean} True if the search box is not empty.
+ */
+Blockly.BlockSearch.prototype.isActive = function() {
+  return !!this.input_ && !!goog.string.trim(this.input_.value);
+};
+
+/**
+ * Get the XML of the blocks found by the last search.
+ * @return {!Array.<!Element>} The list shown in the menu.
+ */
+Blockly.BlockSearch.prototype.getResults = function() {
+  return this.results_;
+};
+
+/**
+ * Empty the search box, without calling the onClear function.
+ */
+Blockly.BlockSearch.prototype.reset = function() {
+  if (this.input_) {
+    this.input_.value = '';
+    Blockly.removeClass_(this.input_, 'blocklySearchEmpty');
+  }
+  this.results_.length = 0;
+  this.highlighted_ = -1;
+};
+
+/**
+ * Index the blocks of the language tree.  Custom categories (variables and
+ * procedures) are skipped, since their blocks are made on demand, as are
+ * hidden and disabled categories.
+ */
+Blockly.BlockSearch.prototype.buildIndex = function() {
+  this.index_.length = 0;
+  var tree = Blockly.languageTree;
+  if (!tree) {
+    return;
+  }
+  var workspace = Blockly.Workspace.createHeadless();
+  Blockly.Events.disable();
+  try {
+    var blocks = tree.getElementsByTagName('block');
+    for (var i = 0, xml; xml = blocks[i]; i++) {
+      var parent = xml.parentNode.nodeName.toLowerCase();
+      // Blocks plugged into toolbox blocks are found with their parent.
+      if ((parent == 'xml' || parent == 'category') &&
+          Blockly.BlockSearch.isAvailable_(xml)) {
+        var text = Blockly.BlockSearch.blockText_(workspace, xml);
+        this.index_.push({xml: xml, text: text});
+      }
+    }
+  } finally {
+    Blockly.Events.enable();
+  }
+};
+
+/**
+ * Forget the index, and search again, after the language tree has changed.
+ */
+Blockly.BlockSearch.prototype.refresh = function() {
+  this.index_.length = 0;
+  if (this.isActive()) {
+    this.update_();
+  }
+};
+
+/**
+ * Find the blocks that match a query.  Every word of the query must appear
+ * in the block's type, fields or messages, ignoring case.
+ * @param {string} query Words to search for.
+ * @return {!Array.<!Element>} XML of the matching blocks, in toolbox order.
+ */
+Blockly.BlockSearch.prototype.search = function(query) {
+  var words = goog.string.trim(query.toLowerCase()).split(/\s+/);
+  var found = [];
+  if (!words[0]) {
+    return found;
+  }
+  if (!this.index_.length) {
+    this.buildIndex();
+  }
+  for (var i = 0, entry; entry = this.index_[i]; i++) {
+    var match = true;
+    for (var j = 0; j < words.length && match; j++) {
+      match = entry.text.indexOf(words[j]) != -1;
+    }
+    if (match) {
+      found.push(entry.xml);
+    }
+  }
+  return found;
+};
+
+/**
+ * Show the results of the current query, or clear the search if it is empty.
+ * @private
+ */
+Blockly.BlockSearch.prototype.update_ = function() {
+  this.highlighted_ = -1;
+  if (!this.isActive()) {
+    this.results_.length = 0;
+    this.onClear_();
+    return;
+  }
+  this.results_ = this.search(this.input_.value);
+  if (this.results_.length) {
+    Blockly.removeClass_(this.input_, 'blocklySearchEmpty');
+    this.menu_.show(this.results_);
+  } else {
+    Blockly.addClass_(this.input_, 'blocklySearchEmpty');
+    this.menu_.hide();
+  }
+};
+
+/**
+ * Handle a key-down in the search box.
+ * @param {!Event} e Key down event.
+ * @private
+ */
+Blockly.BlockSearch.prototype.onKeyDown_ = function(e) {
+  switch (e.keyCode) {
+    case 38:  // Up.
+    case 40:  // Down.
+      if (this.results_.length) {
+        var delta = e.keyCode == 40 ? 1 : -1;
+        this.highlight_(Math.max(0, Math.min(this.results_.length - 1,
+            this.highlighted_ + delta)));
+      }
+      break;
+    case 13:  // Enter.
+      var xml = this.results_[Math.max(0, this.highlighted_)];
+      if (xml) {
+        this.addBlock_(xml);
+      }
+      break;
+    case 27:  // Escape.
+      this.reset();
+      this.onClear_();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+};
+
+/**
+ * Highlight one of the results in the menu.
+ * @param {number} index Index of the result.
+ * @private
+ */
+Blockly.BlockSearch.prototype.highlight_ = function(index) {
+  var blocks = this.menu_.workspace_.getTopBlocks(false);
+  var old = blocks[this.highlighted_];
+  if (old) {
+    old.svg_.removeSelect();
+  }
+  this.highlighted_ = index;
+  if (blocks[index]) {
+    blocks[index].svg_.addSelect();
+  }
+};
+
+/**
+ * Add a copy of a result to the main workspace, near the top of the view,
+ * and select it.
+ * @param {!Element} xml XML of the result.
+ * @private
+ */
+Blockly.BlockSearch.prototype.addBlock_ = function(xml) {
+  var workspace = Blockly.mainWorkspace;
+  if (workspace.remainingCapacity() <
+      xml.getElementsByTagName('block').length + 1) {
+    return;
+  }
+  Blockly.Host.notifyChange();
+  var block = Blockly.Xml.domToBlock(workspace, xml);
+  var metrics = workspace.getMetrics();
+  if (metrics) {
+    var x = metrics.viewLeft +
+        (Blockly.RTL ? metrics.viewWidth - this.MARGIN_ : this.MARGIN_);
+    var y = metrics.viewTop + this.MARGIN_;
+    block.moveBy(x / workspace.scale, y / workspace.scale);
+  }
+  block.select();
+};
+
+/**
+ * Is a toolbox block offered to the user?  Blocks in hidden or disabled
+ * categories are not.
+ * @param {!Element} xml XML of the block.
+ * @return {boolean} True if the block may be found.
+ * @private
+ */
+Blockly.BlockSearch.isAvailable_ = function(xml) {
+  for (var node = xml.parentNode; node && node.nodeName.toLowerCase() ==
+       'category'; node = node.parentNode) {
+    if (node.getAttribute('hidden') == 'true' ||
+        node.getAttribute('disabled') == 'true') {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Get the searchable text of a toolbox block: its type and field values, its
+ * labels and menu options, and the messages named after its type (e.g.
+ * CONTROLS_IF_TOOLTIP_1 for controls_if), all in lower case.
+ * @param {!Blockly.Workspace} workspace Headless workspace in which to
+ *     create the block to read its labels.
+ * @param {!Element} xml XML of the block.
+ * @return {string} Text to search.
+ * @private
+ */
+Blockly.BlockSearch.blockText_ = function(workspace, xml) {
+  var type = xml.getAttribute('type');
+  var text = [type];
+  var fields = xml.getElementsByTagName('field');
+  for (var i = 0; i < fields.length; i++) {
+    text.push(goog.dom.getTextContent(fields[i]));
+  }
+  var prefix = type.toUpperCase() + '_';
+  for (var key in Blockly.Msg) {
+    if (key.indexOf(prefix) == 0 && !goog.string.endsWith(key, '_HELPURL') &&
+        typeof Blockly.Msg[key] == 'string') {
+      text.push(Blockly.Msg[key]);
+    }
+  }
+  try {
+    var block = Blockly.Xml.domToBlock(workspace, xml);
+  } catch (e) {
+    // Blocks that can't be created without an editor (e.g. those that ask the
+    // host for their options) are found by type and field values only.
+    return text.join('\n').toLowerCase();
+  }
+  var descendants = block.getDescendants();
+  for (var i = 0, child; child = descendants[i]; i++) {
+    for (var j = 0, input; input = child.inputList[j]; j++) {
+      for (var k = 0, field; field = input.fieldRow[k]; k++) {
+        text.push(field.getText());
+        if (field.getOptions_) {
+          try {
+            var options = field.getOptions_();
+          } catch (e) {
+            continue;
+          }
+          for (var o = 0; o < options.length; o++) {
+            if (typeof options[o][0] == 'string') {
+              text.push(options[o][0]);
+            }
+          }
+        }
+      }
+    }
+  }
+  block.dispose(false, false);
+  return text.join('\n').toLowerCase();
+};
@@ -37,7 +37,7 @@ goog.require('goog.userAgent');
 Blockly.BlockSvg = function(block) {
   this.block_ = block;
   // Create core elements for the block.
-  this.svgGroup_ = Blockly.createSvgElement('g', {}, null);
+  this.svgGroup_ = Blockly.createSvgElement('g', {'role': 'group'}, null);
   this.svgGroup_.block = this.block_;
   this.svgPathDark_ = Blockly.createSvgElement('path',
       {'class': 'blocklyPathDark', 'transform': 'translate(0, 1)'},
@@ -95,7 +95,7 @@ Blockly.BlockSvg.prototype.getRootElement = function() {
   return this.svgGroup_;
 };
 
-// UI constants for rendering blocks.
+// UI constants for rendering blocks, and the geometry of Blockly.Renderer.
 /**
  * Horizontal space between elements.
  * @const
@@ -506,14 +506,14 @@ Blockly.BlockSvg.prototype.removeDragging = function() {
 Blockly.BlockSvg.prototype.render = function() {
   this.block_.rendered = true;
 
-  var cursorX = Blockly.BlockSvg.SEP_SPACE_X;
+  var cursorX = Blockly.renderer.SEP_SPACE_X;
   // Move the icons into position.
   var icons = this.block_.getIcons();
   for (var x = 0; x < icons.length; x++) {
     cursorX = icons[x].renderIcon(cursorX);
   }
   cursorX += Blockly.RTL ?
-      Blockly.BlockSvg.SEP_SPACE_X : -Blockly.BlockSvg.SEP_SPACE_X;
+      Blockly.renderer.SEP_SPACE_X : -Blockly.renderer.SEP_SPACE_X;
   // If there are no icons, cursorX will be 0, otherwise it will be the
   // width that the first label needs to move over by.
 
@@ -529,37 +529,6 @@ Blockly.BlockSvg.prototype.render = function() {
     Blockly.fireUiEvent(window, 'resize');
   }
 };
-
-/**
- * Render a list of fields starting at the specified location.
- * @param {!Array.<!Blockly.Field>} fieldList List of fields.
- * @param {number} cursorX X-coordinate to start the fields.
- * @param {number} cursorY Y-coordinate to start the fields.
- * @param {number} rowHeight row height.
- * @return {number} X-coordinate of the end of the field row (plus a gap).
- * @private
- */
-Blockly.BlockSvg.prototype.renderFields_ = function(fieldList,
-                                                    cursorX, cursorY, rowHeight) {
-  for (var t = 0, field; field = fieldList[t]; t++) {
-    // Get the dimensions of the field.
-    if (field.isTextInput && fieldList.length ==1)
-      cursorX -= 4;
-    var fieldSize = field.getSize();
-    var fieldWidth = fieldSize.width;
-    var fieldY = cursorY + (rowHeight - fieldSize.height) / 2;
-
-    field.getRootElement().setAttribute('transform',
-        'translate(' + cursorX + ', ' + fieldY + ')');
-    if (fieldWidth) {
-      cursorX += fieldWidth + Blockly.BlockSvg.SEP_SPACE_X;
-    }
-    if (field.isTextInput && fieldList.length ==1)
-      cursorX += 4;
-  }
-  return Blockly.RTL ? -cursorX : cursorX;
-};
-
 /**
  * Computes the height and widths for each row and field.
  * @param {number} iconWidth Offset of first row due to icons.
@@ -568,135 +537,9 @@ Blockly.BlockSvg.prototype.renderFields_ = function(fieldList,
  * @private
  */
 Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
-  var inputList = this.block_.inputList;
-  var inputRows = [];
-  inputRows.rightEdge = iconWidth + Blockly.BlockSvg.SEP_SPACE_X * 2;
-  if (this.block_.previousConnection || this.block_.nextConnection) {
-    inputRows.rightEdge = Math.max(inputRows.rightEdge,
-        Blockly.BlockSvg.NOTCH_WIDTH + Blockly.BlockSvg.SEP_SPACE_X);
-  }
-  var fieldValueWidth = 0;  // Width of longest external value field.
-  var fieldStatementWidth = 0;  // Width of longest statement field.
-  var hasValue = false;
-  var hasStatement = false;
-  var hasDummy = false;
-  var lastType = undefined;
-  var isInline = this.block_.inputsInline && !this.block_.isCollapsed();
-  for (var i = 0, input; input = inputList[i]; i++) {
-    if (!input.isVisible()) {
-      continue;
-    }
-    var row;
-    if (!isInline || !lastType ||
-        lastType == Blockly.NEXT_STATEMENT ||
-        input.type == Blockly.NEXT_STATEMENT) {
-      // Create new row.
-      lastType = input.type;
-      row = [];
-      if (isInline && input.type != Blockly.NEXT_STATEMENT) {
-        row.type = Blockly.BlockSvg.INLINE;
-      } else {
-        row.type = input.type;
-      }
-      row.height = 0;
-      inputRows.push(row);
-    } else {
-      row = inputRows[inputRows.length - 1];
-    }
-    row.push(input);
-
-    // Compute minimum input size.
-    if (input.sourceBlock_.outputConnection)
-      input.renderHeight = Blockly.BlockSvg.MIN_INLINE_BLOCK_Y;
-    else
-      input.renderHeight = Blockly.BlockSvg.MIN_BLOCK_Y;
-    // The width is currently only needed for inline value inputs.
-    if (isInline && input.type == Blockly.INPUT_VALUE) {
-      input.renderWidth = Blockly.BlockSvg.TAB_WIDTH +
-          Blockly.BlockSvg.SEP_SPACE_X;
-    } else {
-      input.renderWidth = 0;
-    }
-    // Expand input size if there is a connection.
-    if (input.connection && input.connection.targetConnection) {
-      var linkedBlock = input.connection.targetBlock();
-      var bBox = linkedBlock.getHeightWidth();
-      input.renderHeight = Blockly.BlockSvg.MIN_INLINE_BLOCK_Y;
-      input.renderHeight = Math.max(input.renderHeight, bBox.height + 1);
-      input.renderWidth = Math.max(input.renderWidth, bBox.width);
-    }
-
-    row.height = Math.max(row.height, input.renderHeight);
-    input.fieldWidth = 0;
-    if (inputRows.length == 1) {
-      // The first row gets shifted to accommodate any icons.
-      input.fieldWidth += Blockly.RTL ? -iconWidth : iconWidth;
-    }
-    for (var j = 0, field; field = input.fieldRow[j]; j++) {
-      if (j != 0) {
-        input.fieldWidth += Blockly.BlockSvg.SEP_SPACE_X;
-      }
-      // Get the dimensions of the field.
-      var fieldSize = field.getSize();
-      input.fieldWidth += fieldSize.width;
-      row.height = Math.max(row.height, fieldSize.height);
-    }
-
-    if (row.type != Blockly.BlockSvg.INLINE) {
-      if (row.type == Blockly.NEXT_STATEMENT) {
-        hasStatement = true;
-        fieldStatementWidth = Math.max(fieldStatementWidth, input.fieldWidth);
-      } else {
-        if (row.type == Blockly.INPUT_VALUE) {
-          hasValue = true;
-        } else if (row.type == Blockly.DUMMY_INPUT) {
-          hasDummy = true;
-        }
-        fieldValueWidth = Math.max(fieldValueWidth, input.fieldWidth);
-      }
-    }
-  }
-
-  // Make inline rows a bit thicker in order to enclose the values.
-  for (var y = 0, row; row = inputRows[y]; y++) {
-    row.thicker = false;
-    if (row.type == Blockly.BlockSvg.INLINE) {
-      for (var z = 0, input; input = row[z]; z++) {
-        if (input.type == Blockly.INPUT_VALUE) {
-          row.height += 2 * Blockly.BlockSvg.INLINE_PADDING_Y;
-          row.thicker = true;
-          break;
-        }
-      }
-    }
-    this.height = row.height;
-  }
-
-  // Compute the statement edge.
-  // This is the width of a block where statements are nested.
-  inputRows.statementEdge = 2 * Blockly.BlockSvg.SEP_SPACE_X +
-      fieldStatementWidth;
-  // Compute the preferred right edge.  Inline blocks may extend beyond.
-  // This is the width of the block where external inputs connect.
-  if (hasStatement) {
-    inputRows.rightEdge = Math.max(inputRows.rightEdge,
-        inputRows.statementEdge + Blockly.BlockSvg.NOTCH_WIDTH);
-  }
-  if (hasValue) {
-    inputRows.rightEdge = Math.max(inputRows.rightEdge, fieldValueWidth +
-        Blockly.BlockSvg.SEP_SPACE_X * 2 + Blockly.BlockSvg.TAB_WIDTH);
-  } else if (hasDummy) {
-    inputRows.rightEdge = Math.max(inputRows.rightEdge, fieldValueWidth +
-        Blockly.BlockSvg.SEP_SPACE_X * 2);
-  }
-
-  inputRows.hasValue = hasValue;
-  inputRows.hasStatement = hasStatement;
-  inputRows.hasDummy = hasDummy;
-  return inputRows;
+  return Blockly.renderer.compute(this, iconWidth);
 };
 
-
 /**
  * Draw the path of the block.
  * Move the fields to the correct locations.
@@ -706,372 +549,5 @@ Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
  * @private
  */
 Blockly.BlockSvg.prototype.renderDraw_ = function(iconWidth, inputRows) {
-  // Should the top and bottom left corners be rounded or square?
-  if (this.block_.outputConnection) {
-    this.squareTopLeftCorner_ = true;
-    this.squareBottomLeftCorner_ = true;
-    this.squareTopLeftCorner_ = false;
-    this.squareBottomLeftCorner_ = false;
-    // If this block is in the middle of a stack, square the corners.
-    if (this.block_.previousConnection) {
-      var prevBlock = this.block_.previousConnection.targetBlock();
-      if (prevBlock && prevBlock.nextConnection &&
-          prevBlock.nextConnection.targetConnection ==
-          this.block_.previousConnection) {
-        this.squareTopLeftCorner_ = true;
-       }
-    }
-    if (this.block_.nextConnection) {
-      var nextBlock = this.block_.nextConnection.targetBlock();
-      if (nextBlock && nextBlock.previousConnection &&
-          nextBlock.previousConnection.targetConnection ==
-          this.block_.nextConnection) {
-        this.squareBottomLeftCorner_ = true;
-      }
-    }
-  }
-
-  // Fetch the block's coordinates on the surface for use in anchoring
-  // the connections.
-  var connectionsXY = this.block_.getRelativeToSurfaceXY();
-
-  // Assemble the block's path.
-  var steps = [];
-  var inlineSteps = [];
-  // The highlighting applies to edges facing the upper-left corner.
-  // Since highlighting is a two-pixel wide border, it would normally overhang
-  // the edge of the block by a pixel. So undersize all measurements by a pixel.
-
-  this.renderDrawTop_(steps, connectionsXY,
-      inputRows.rightEdge);
-  var cursorY = this.renderDrawRight_(steps, inlineSteps,
-      connectionsXY, inputRows, iconWidth);
-  this.renderDrawBottom_(steps, connectionsXY, cursorY);
-  this.renderDrawLeft_(steps, connectionsXY, cursorY);
-
-  var pathString = steps.join(' ') + '\n' + inlineSteps.join(' ');
-  this.svgPath_.setAttribute('d', pathString);
-  this.svgPathDark_.setAttribute('d', pathString);
-  if (this.block_.outputConnection)
-    this.svgPathLight_.setAttribute('d', pathString);
-};
-
-/**
- * Render the top edge of the block.
- * @param {!Array.<string>} steps Path of block outline.
- * @param {!Object} connectionsXY Location of block.
- * @param {number} rightEdge Minimum width of block.
- * @private
- */
-Blockly.BlockSvg.prototype.renderDrawTop_ =
-    function(steps, connectionsXY, rightEdge) {
-  // Position the cursor at the top-left starting point.
-//if (this.squareTopLeftCorner_) {
-  if (true) {
-    steps.push('m 0,0');
-  } else {
-    steps.push(Blockly.BlockSvg.TOP_LEFT_CORNER_START);
-    // Top-left rounded corner.
-    steps.push(Blockly.BlockSvg.TOP_LEFT_CORNER);
-  }
-  if (Blockly.BROKEN_CONTROL_POINTS) {
-    /* HACK:
-     WebKit bug 67298 causes control points to be included in the reported
-     bounding box.  Add 5px control point to the top of the path.
-    */
-   steps.push('c 0,5 0,-5 0,0');
-  }
-
-  // Top edge.
-  if (this.block_.previousConnection) {
-    steps.push('H', 0);
-    steps.push(Blockly.BlockSvg.NOTCH_PATH_LEFT);
-    // Create previous block connection.
-    var connectionX = connectionsXY.x + Blockly.BlockSvg.NOTCH_WIDTH;
-    var connectionY = connectionsXY.y;
-    this.block_.previousConnection.moveTo(connectionX, connectionY);
-    // This connection will be tightened when the parent renders.
-  } else if (!this.block_.outputConnection && this.block_.nextConnection) {
-    steps.push('c', '20,-10 40,-10 60,-5');
-    steps.push('c', '15,5 30,5 40,5');
-  }
-  //steps.push('H', rightEdge);
-};
-
-/**
- * Render the right edge of the block.
- * @param {!Array.<string>} steps Path of block outline.
- * @param {!Array.<string>} inlineSteps Inline block outlines.
- * @param {!Object} connectionsXY Location of block.
- * @param {!Array.<!Array.<!Object>>} inputRows 2D array of objects, each
- *     containing position information.
- * @param {number} iconWidth Offset of first row due to icons.
- * @return {number} Height of block.
- * @private
- */
-Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
-    inlineSteps, connectionsXY, inputRows, iconWidth) {
-  var cursorX;
-  var cursorY = 0;
-  var connectionX, connectionY;
-  var blockWidth;
-  for (var y = 0, row; row = inputRows[y]; y++) {
-    cursorX = Blockly.BlockSvg.SEP_SPACE_X;
-    if (y == 0) {
-      cursorX += Blockly.RTL ? -iconWidth : iconWidth;
-    }
-    if (y == 0 && this.block_.outputConnection) {
-      if (row[0].type == Blockly.INPUT_VALUE)
-        cursorX -= row.height/2 + 3;
-      else
-        cursorX -= row.height/2 - 3;
-    } else if (y != 0) {
-      cursorX += 33;
-      cursorY -=2;
-    } else {
-      cursorX += 20;
-    };
-    if (this.block_.isCollapsed()) {
-      // Jagged right edge.
-      var input = row[0];
-      var fieldX = cursorX;
-      var fieldY = cursorY + Blockly.BlockSvg.FIELD_HEIGHT;
-      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
-      steps.push(Blockly.BlockSvg.JAGGED_TEETH);
-      var remainder = row.height - Blockly.BlockSvg.JAGGED_TEETH_HEIGHT;
-      steps.push('v', remainder);
-    } else if (row.type == Blockly.BlockSvg.INLINE) {
-      // Inline inputs.
-      for (var x = 0, input; input = row[x]; x++) {
-        var fieldX = cursorX;
-        var fieldY = cursorY + Blockly.BlockSvg.FIELD_HEIGHT;
-        // TODO: Align inline field rows (left/right/centre).
-        cursorX -= 0;
-        cursorX = this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
-        if (input.type != Blockly.DUMMY_INPUT) {
-          cursorX += input.renderWidth + Blockly.BlockSvg.SEP_SPACE_X;
-        }
-        if (input.type == Blockly.INPUT_VALUE) {
-          var r = input.renderHeight/2;
-          var l = input.renderWidth;
-          var inputType = input.connection.check_ ? input.connection.check_[0] : "null";
-          var inlineCursorY = cursorY + (row.height - 2*r)/2 - 1;
-          if (inputType.toUpperCase() == "BOOLEAN") {
-              inlineSteps.push('M', (cursorX - Blockly.BlockSvg.SEP_SPACE_X - r) +
-                               ',' + (inlineCursorY + 0.5));
-              inlineSteps.push('h', -l + 2*r);
-              inlineSteps.push('l', '-' + r + ',' + r + ' ' + r + ',' + r);
-              inlineSteps.push('h', l - 2*r);
-              inlineSteps.push('l', r + ',-' + r + ' -' + r + ',-' + r);
-              inlineSteps.push('z');
-          } else {
-              inlineSteps.push('M', (cursorX - Blockly.BlockSvg.SEP_SPACE_X - r) +
-                               ',' +( inlineCursorY + 0.5));
-              inlineSteps.push('h', -l + 2*r);
-              inlineSteps.push('a', r + ',' + r + ' 0 1,0 0,' + 2*r);
-              inlineSteps.push('h', l - 2*r);
-              inlineSteps.push('a', r + ',' + r + ' 0 1,0 0,-' + 2*r);
-              inlineSteps.push('z');
-          };
-          // Create inline input connection.
-          connectionX = connectionsXY.x + cursorX - Blockly.BlockSvg.SEP_SPACE_X
-              -Blockly.BlockSvg.TAB_WIDTH-input.renderWidth +8+ r;
-          connectionY = connectionsXY.y + inlineCursorY + 1;
-          input.connection.moveTo(connectionX, connectionY);
-          if (input.connection.targetConnection) {
-            input.connection.tighten_();
-          }
-        }
-      }
-
-      cursorX = Math.max(cursorX, inputRows.rightEdge);
-      blockWidth = cursorX;
-      if (this.block_.outputConnection) {
-        var r = row.height/2;
-        this.r_ = r;
-        if (this.block_.outputConnection.check_[0].toUpperCase() == "BOOLEAN") {
-          steps.push('H', cursorX - r);
-          steps.push('l', r + ',' + r + ' -' + r + ',' + r);
-        } else {
-          steps.push('H', cursorX - r - 4);
-          steps.push('a', r + ',' + r + ' 0 1,1 0,' + 2*r);
-        }
-
-      } else {
-        if (y==0)
-          this.blockInlineWidth_ = cursorX;
-        if (this.blockInlineWidth_)
-          cursorX = this.blockInlineWidth_;
-        var r = row.height/2;
-        steps.push('H', cursorX - r - 4);
-        steps.push('a', r + ',' + r + ' 0 0,1 0,' + 2*r);
-      }
-    } else if (row.type == Blockly.INPUT_VALUE) {
-      // External input.
-      var input = row[0];
-      var fieldX = cursorX;
-      var fieldY = cursorY + Blockly.BlockSvg.FIELD_HEIGHT;
-      if (input.align != Blockly.ALIGN_LEFT) {
-        var fieldRightX = inputRows.rightEdge - input.fieldWidth -
-            Blockly.BlockSvg.TAB_WIDTH - 2 * Blockly.BlockSvg.SEP_SPACE_X;
-        if (input.align == Blockly.ALIGN_RIGHT) {
-          fieldX += fieldRightX;
-        } else if (input.align == Blockly.ALIGN_CENTRE) {
-          fieldX += (fieldRightX + fieldX) / 2;
-        }
-      }
-      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
-      steps.push(Blockly.BlockSvg.TAB_PATH_DOWN);
-      steps.push('v', row.height - Blockly.BlockSvg.TAB_HEIGHT);
-      // Create external input connection.
-      connectionX = connectionsXY.x +
-          (Blockly.RTL ? -inputRows.rightEdge - 1 : inputRows.rightEdge + 1);
-      connectionY = connectionsXY.y + cursorY + 1;
-      input.connection.moveTo(connectionX, connectionY);
-      if (input.connection.targetConnection) {
-        input.connection.tighten_();
-      }
-    } else if (row.type == Blockly.DUMMY_INPUT) {
-      // External naked field.
-      var input = row[0];
-      var fieldX = cursorX;
-      var fieldY = cursorY + Blockly.BlockSvg.FIELD_HEIGHT;
-      if (input.align != Blockly.ALIGN_LEFT) {
-        var fieldRightX = inputRows.rightEdge - input.fieldWidth -
-            2 * Blockly.BlockSvg.SEP_SPACE_X;
-        if (inputRows.hasValue) {
-          fieldRightX -= Blockly.BlockSvg.TAB_WIDTH;
-        }
-        if (input.align == Blockly.ALIGN_RIGHT) {
-          fieldX += fieldRightX;
-        } else if (input.align == Blockly.ALIGN_CENTRE) {
-          fieldX += (fieldRightX + fieldX) / 2;
-        }
-      }
-      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
-      steps.push('v', row.height);
-    } else if (row.type == Blockly.NEXT_STATEMENT) {
-      // Nested statement.
-      var input = row[0];
-      if (y == 0) {
-        // If the first input is a statement stack, add a small row on top.
-        steps.push('v', Blockly.BlockSvg.SEP_SPACE_Y);
-        cursorY += Blockly.BlockSvg.SEP_SPACE_Y;
-      }
-      var fieldX = cursorX;
-      var fieldY = cursorY + Blockly.BlockSvg.FIELD_HEIGHT;
-      if (input.align != Blockly.ALIGN_LEFT) {
-        var fieldRightX = inputRows.statementEdge - input.fieldWidth -
-            2 * Blockly.BlockSvg.SEP_SPACE_X;
-        if (input.align == Blockly.ALIGN_RIGHT) {
-          fieldX += fieldRightX;
-        } else if (input.align == Blockly.ALIGN_CENTRE) {
-          fieldX += (fieldRightX + fieldX) / 2;
-        }
-      }
-      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
-      cursorX = inputRows.statementEdge + Blockly.BlockSvg.NOTCH_WIDTH;
-
-        var r = row.height/2;
-      steps.push('H', cursorX + 6);
-      steps.push(Blockly.BlockSvg.INNER_TOP_LEFT_CORNER);
-//    steps.push('v', row.height - 2 * Blockly.BlockSvg.CORNER_RADIUS);
-      steps.push('v', row.height- 9);
-      steps.push(Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER);
-//    steps.push('H', inputRows.rightEdge);
-      steps.push('H', 22);
-      steps.push(Blockly.BlockSvg.NOTCH_PATH_LEFT);
-      if (this.blockInlineWidth_)
-        steps.push('H', this.blockInlineWidth_ - row.height /3);
-      else
-        steps.push('H', blockWidth);
-      // Create statement connection.
-      connectionX = connectionsXY.x + (Blockly.RTL ? -cursorX : cursorX) + 6;
-      connectionY = connectionsXY.y + cursorY + 3;
-      if (y != 0)
-        connectionY -= 0;
-      cursorY -= 3;
-      input.connection.moveTo(connectionX, connectionY);
-      if (input.connection.targetConnection) {
-        input.connection.tighten_();
-      }
-      if (y == inputRows.length - 1 ||
-          inputRows[y + 1].type == Blockly.NEXT_STATEMENT) {
-        // If the final input is a statement stack, add a small row underneath.
-        // Consecutive statement stacks are also separated by a small divider.
-        steps.push('a', 8 + ',' + 8 + ' 0 0,1 0,' + 2*8);
-        cursorY += Blockly.BlockSvg.SEP_SPACE_Y + 1;
-      }
-    }
-    cursorY += row.height;
-  }
-  if (!inputRows.length) {
-    cursorY = Blockly.BlockSvg.MIN_BLOCK_Y;
-    steps.push('V', cursorY);
-  }
-  return cursorY;
-};
-
-/**
- * Render the bottom edge of the block.
- * @param {!Array.<string>} steps Path of block outline.
- * @param {!Object} connectionsXY Location of block.
- * @param {number} cursorY Height of block.
- * @private
- */
-Blockly.BlockSvg.prototype.renderDrawBottom_ = function(steps,
-                                                     connectionsXY, cursorY) {
-  if (this.block_.nextConnection) {
-    steps.push('H', Blockly.BlockSvg.NOTCH_WIDTH + ' ' +
-        Blockly.BlockSvg.NOTCH_PATH_RIGHT);
-    // Create next block connection.
-    var connectionX;
-    connectionX = connectionsXY.x + Blockly.BlockSvg.NOTCH_WIDTH;
-    var connectionY = connectionsXY.y + cursorY + 1;
-    this.block_.nextConnection.moveTo(connectionX, connectionY);
-    if (this.block_.nextConnection.targetConnection) {
-      this.block_.nextConnection.tighten_();
-    }
-  }
-
-  if (Blockly.BROKEN_CONTROL_POINTS) {
-    /* HACK:
-     WebKit bug 67298 causes control points to be included in the reported
-     bounding box.  Add 5px control point to the bottom of the path.
-    */
-   steps.push('c 0,5 0,-5 0,0');
-  }
-  // Should the bottom-left corner be rounded or square?
-//if (this.squareBottomLeftCorner_) {
-  if (true) {
-    steps.push('H 0');
-  } else {
-    steps.push('H', Blockly.BlockSvg.CORNER_RADIUS);
-    steps.push('a', Blockly.BlockSvg.CORNER_RADIUS + ',' +
-               Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 -' +
-               Blockly.BlockSvg.CORNER_RADIUS + ',-' +
-               Blockly.BlockSvg.CORNER_RADIUS);
-  }
-};
-
-/**
- * Render the left edge of the block.
- * @param {!Array.<string>} steps Path of block outline.
- * @param {!Object} connectionsXY Location of block.
- * @param {number} cursorY Height of block.
- * @private
- */
-Blockly.BlockSvg.prototype.renderDrawLeft_ = function(steps,
-                                                      connectionsXY, cursorY) {
-  if (this.block_.outputConnection) {
-    // Create output connection.
-    this.block_.outputConnection.moveTo(connectionsXY.x, connectionsXY.y);
-    // This connection will be tightened when the parent renders.
-    var r = this.r_;
-    if (this.block_.outputConnection.check_[0].toUpperCase() == "BOOLEAN") {
-      steps.push('l', '-' + r + ',-' + r + ' ' + r + ',-' + r);
-    } else {
-      steps.push('a', r + ',' + r + ' 0 1,1 0,-' + 2*r);
-    }
-  }  steps.push('z');
+  Blockly.renderer.draw(this, iconWidth, inputRows);
 };
@@ -43,9 +43,15 @@ goog.require('Blockly.FieldIcon');
 goog.require('Blockly.FieldTextInput');
 goog.require('Blockly.FieldVariable');
 goog.require('Blockly.Generator');
+goog.require('Blockly.Host');
+goog.require('Blockly.Json');
 goog.require('Blockly.Msg');
+goog.require('Blockly.Navigation');
 goog.require('Blockly.Procedures');
 goog.require('Blockly.Realtime');
+goog.require('Blockly.Renderer');
+goog.require('Blockly.Selection');
+goog.require('Blockly.Theme');
 goog.require('Blockly.Toolbox');
 goog.require('Blockly.WidgetDiv');
 goog.require('Blockly.Workspace');
@@ -91,16 +97,55 @@ Blockly.HSV_SATURATION = 0.45;
 Blockly.HSV_VALUE = 0.65;
 
 /**
- * Convert a hue (HSV model) into an RGB hex triplet.
- * @param {number} hue Hue on a colour wheel (0-360).
+ * The theme that colours the blocks and styles the editor.
+ * @type {!Blockly.Theme}
+ */
+Blockly.theme = Blockly.Theme.CLASSIC;
+
+/**
+ * The renderer that lays out and draws the blocks.
+ * @type {!Blockly.Renderer}
+ */
+Blockly.renderer = Blockly.Renderer.CLASSIC;
+
+/**
+ * Convert a hue (HSV model) into an RGB hex triplet, in the current theme.
+ * @param {number|string} colorCode Hue on a colour wheel (0-360), or an RGB
+ *     code which is returned unchanged.
  * @return {string} RGB code, e.g. '#5ba65b'.
  */
 Blockly.makeColour = function(colorCode) {
-  if (typeof(colorCode) == "number")
-    return goog.color.hsvToHex(colorCode, Blockly.HSV_SATURATION,
-        Blockly.HSV_VALUE * 256);
-  else
-    return colorCode;
+  return Blockly.theme.getColour(colorCode);
+};
+
+/**
+ * Recolour, measure and draw all blocks again, after the theme or renderer
+ * has changed.
+ * @private
+ */
+Blockly.redrawBlocks_ = function() {
+  var workspace = Blockly.mainWorkspace;
+  if (!workspace || !Blockly.svg) {
+    return;
+  }
+  // Flyouts are filled afresh when next opened.
+  Blockly.hideChaff();
+  var blocks = workspace.getAllBlocks();
+  for (var x = 0, block; block = blocks[x]; x++) {
+    for (var y = 0, input; input = block.inputList[y]; y++) {
+      for (var z = 0, field; field = input.fieldRow[z]; z++) {
+        field.resetSize();
+      }
+    }
+    if (!block.getParent()) {
+      block.svg_.updateDisabled();
+    }
+  }
+  workspace.render();
+  if (Blockly.languageTree) {
+    // Rebuild the toolbox's colours and the menus that are always shown.
+    Blockly.updateToolbox(Blockly.languageTree);
+  }
 };
 
 /**
@@ -181,6 +226,23 @@ Blockly.selected = null;
  */
 Blockly.readOnly = false;
 
+/**
+ * Zooming behaviour, set by the 'zoom' option of Blockly.inject.
+ * .controls: Show the zoom in, zoom out and reset buttons.
+ * .wheel: Zoom with Ctrl and the mouse wheel.
+ * .startScale, .maxScale, .minScale: Initial and limiting zoom factors.
+ * .scaleSpeed: Zoom factor change of each zoom step.
+ * @type {!Object}
+ */
+Blockly.zoomOptions = {
+  controls: false,
+  wheel: false,
+  startScale: 1,
+  maxScale: 3,
+  minScale: 0.3,
+  scaleSpeed: 1.2
+};
+
 /**
  * Currently highlighted connection (during a drag).
  * @type {Blockly.Connection}
@@ -281,7 +343,7 @@ Blockly.onMouseDown_ = function(e) {
   //Blockly.hideChaff();
   var isTargetSvg = e.target && e.target.nodeName &&
       e.target.nodeName.toLowerCase() == 'svg';
-  if (!Blockly.readOnly && Blockly.selected && isTargetSvg) {
+  if (!Blockly.readOnly && Blockly.selected && isTargetSvg && !e.shiftKey) {
     // Clicking on the document clears the selection.
     Blockly.selected.unselect();
   }
@@ -290,6 +352,9 @@ Blockly.onMouseDown_ = function(e) {
     if (Blockly.ContextMenu) {
       Blockly.showContextMenu_(Blockly.mouseToSvg(e));
     }
+  } else if (!Blockly.readOnly && isTargetSvg && e.shiftKey) {
+    // Shift-drag selects the stacks within a rectangle.
+    Blockly.Selection.startBand_(e);
   } else if ((Blockly.readOnly || isTargetSvg) &&
              Blockly.mainWorkspace.scrollbar) {
     // If the workspace is editable, only allow dragging when gripping empty
@@ -313,6 +378,7 @@ Blockly.onMouseDown_ = function(e) {
 Blockly.onMouseUp_ = function(e) {
   Blockly.setCursorHand_(false);
   Blockly.mainWorkspace.dragMode = false;
+  Blockly.Selection.onMouseUp(e);
 };
 
 /**
@@ -321,6 +387,9 @@ Blockly.onMouseUp_ = function(e) {
  * @private
  */
 Blockly.onMouseMove_ = function(e) {
+  if (Blockly.Selection.onMouseMove(e)) {
+    return;
+  }
   if (Blockly.mainWorkspace.dragMode) {
     Blockly.removeAllRanges();
     var dx = e.clientX - Blockly.mainWorkspace.startDragMouseX;
@@ -350,6 +419,14 @@ Blockly.onMouseWheel_ = function (e) {
     e.preventDefault();
     Blockly.removeAllRanges();
 
+    if ((e.ctrlKey || e.metaKey) && Blockly.zoomOptions.wheel) {
+      // Ctrl+wheel zooms around the mouse pointer.
+      var delta = e.wheelDelta || -e.detail;
+      var xy = Blockly.mouseToSvg(e);
+      Blockly.mainWorkspace.zoom(xy.x, xy.y, delta > 0 ? 1 : -1);
+      return;
+    }
+
     var dx = e.wheelDeltaX;
     var dy = e.wheelDeltaY;
     var metrics = Blockly.mainWorkspace.getMetrics();
@@ -404,16 +481,20 @@ Blockly.onKeyDown_ = function(e) {
     // When focused on an HTML text input widget, don't trap any keys.
     return;
   }
-  // TODO: Add keyboard support for cursoring around the context menu.
+  if (Blockly.Navigation.onKeyDown(e)) {
+    // Cursor movement, or a keyboard choice from a menu.
+    e.preventDefault();
+    return;
+  }
   if (e.keyCode == 27) {
     // Pressing esc closes the context menu.
     //Blockly.hideChaff();
   } else if (e.keyCode == 8 || e.keyCode == 46) {
     // Delete or backspace.
     try {
-      if (Blockly.selected && Blockly.selected.isDeletable()) {
+      if (Blockly.selected) {
         Blockly.hideChaff();
-        Blockly.selected.dispose(true, true);
+        Blockly.Selection.deleteBlocks();
       }
     } finally {
       // Stop the browser from going back to the previous page.
@@ -422,16 +503,18 @@ Blockly.onKeyDown_ = function(e) {
       e.preventDefault();
     }
   } else if (e.altKey || e.ctrlKey || e.metaKey) {
-    if (Blockly.selected && Blockly.selected.isDeletable() &&
-        Blockly.selected.workspace == Blockly.mainWorkspace) {
+    var blocks = Blockly.selected &&
+        Blockly.selected.workspace == Blockly.mainWorkspace ?
+        Blockly.Selection.getDeletable() : [];
+    if (blocks.length) {
       Blockly.hideChaff();
       if (e.keyCode == 67) {
         // 'c' for copy.
-        Blockly.copy_(Blockly.selected);
+        Blockly.copy_(blocks);
       } else if (e.keyCode == 88) {
         // 'x' for cut.
-        Blockly.copy_(Blockly.selected);
-        Blockly.selected.dispose(true, true);
+        Blockly.copy_(blocks);
+        Blockly.Selection.deleteBlocks();
       }
     }
     if (e.keyCode == 86) {
@@ -439,6 +522,10 @@ Blockly.onKeyDown_ = function(e) {
       if (Blockly.clipboard_) {
         Blockly.mainWorkspace.paste(Blockly.clipboard_);
       }
+    } else if (e.keyCode == 90 && !e.altKey) {
+      // 'z' for undo, 'Z' (with shift) for redo.
+      Blockly.mainWorkspace.undo(e.shiftKey);
+      e.preventDefault();
     }
   }
 };
@@ -456,18 +543,27 @@ Blockly.terminateDrag_ = function() {
 };
 
 /**
- * Copy a block onto the local clipboard.
- * @param {!Blockly.Block} block Block to be copied.
+ * Copy blocks onto the local clipboard.  A single block is copied as a block
+ * element, several blocks as an xml element holding one for each.
+ * @param {!Blockly.Block|!Array.<!Blockly.Block>} blocks Block or blocks to
+ *     be copied.
  * @private
  */
-Blockly.copy_ = function(block) {
-  var xmlBlock = Blockly.Xml.blockToDom_(block);
-  Blockly.Xml.deleteNext(xmlBlock);
-  // Encode start position in XML.
-  var xy = block.getRelativeToSurfaceXY();
-  xmlBlock.setAttribute('x', Blockly.RTL ? -xy.x : xy.x);
-  xmlBlock.setAttribute('y', xy.y);
-  Blockly.clipboard_ = xmlBlock;
+Blockly.copy_ = function(blocks) {
+  if (!goog.isArray(blocks)) {
+    blocks = [blocks];
+  }
+  var xml = goog.dom.createDom('xml');
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var xmlBlock = Blockly.Xml.blockToDom_(block);
+    Blockly.Xml.deleteNext(xmlBlock);
+    // Encode start position in XML.
+    var xy = block.getRelativeToSurfaceXY();
+    xmlBlock.setAttribute('x', Blockly.RTL ? -xy.x : xy.x);
+    xmlBlock.setAttribute('y', xy.y);
+    xml.appendChild(xmlBlock);
+  }
+  Blockly.clipboard_ = blocks.length == 1 ? xml.firstChild : xml;
 };
 
 /**
@@ -519,9 +615,7 @@ Blockly.showContextMenu_ = function(xy) {
         enabled: true,
         callback: function() {
             Blockly.mainWorkspace.paste(Blockly.clipboard_);
-            if (typeof(Entry) == "object") {
-              Entry.dispatchEvent("entryBlocklyChanged");
-            }
+            Blockly.Host.notifyChange();
         }
     }
     if (!Blockly.clipboard_) {
@@ -566,6 +660,9 @@ Blockly.hideChaff = function(opt_allowToolbox) {
       Blockly.Toolbox.flyout_ && Blockly.Toolbox.flyout_.autoClose) {
     Blockly.Toolbox.clearSelection();
   }
+  if (Blockly.mainWorkspace && Blockly.mainWorkspace.trashcan) {
+    Blockly.mainWorkspace.trashcan.closeFlyout();
+  }
 };
 
 /**
@@ -718,6 +815,14 @@ Blockly.getMainWorkspaceMetrics_ = function() {
     // Firefox has trouble with hidden elements (Bug 528969).
     return null;
   }
+  // The bounding box is in canvas units, the metrics are in pixels.
+  var scale = Blockly.mainWorkspace.scale;
+  blockBox = {
+    x: blockBox.x * scale,
+    y: blockBox.y * scale,
+    width: blockBox.width * scale,
+    height: blockBox.height * scale
+  };
   if (Blockly.mainWorkspace.scrollbar) {
     // Add a border around the content that is at least half a screenful wide.
     // Ensure border is wide enough that blocks can scroll over entire screen.
@@ -772,7 +877,8 @@ Blockly.setMainWorkspaceMetrics_ = function(xyRatio) {
   }
   var translation = 'translate(' +
       (Blockly.mainWorkspace.scrollX + metrics.absoluteLeft) + ',' +
-      (Blockly.mainWorkspace.scrollY + metrics.absoluteTop) + ')';
+      (Blockly.mainWorkspace.scrollY + metrics.absoluteTop) + ') ' +
+      'scale(' + Blockly.mainWorkspace.scale + ')';
   Blockly.mainWorkspace.getCanvas().setAttribute('transform', translation);
   Blockly.mainWorkspace.getBubbleCanvas().setAttribute('transform',
                                                        translation);
@@ -780,6 +886,9 @@ Blockly.setMainWorkspaceMetrics_ = function(xyRatio) {
 
 /**
  * When something in Blockly's workspace changes, call a function.
+ * Simultaneous changes are merged into one call which does not say what
+ * changed.  See Blockly.Workspace.prototype.addChangeListener for a
+ * description of each change.
  * @param {!Function} func Function to call.
  * @return {!Array.<!Array>} Opaque data that can be passed to
  *     removeChangeListener.
@@ -39,8 +39,7 @@ goog.provide('Blockly.Blocks');
  *     The following fields are used:
  *     - blockName {string} The name of the block, which should be unique.
  *     - colour {number} The hue value of the colour to use for the block.
- *       (Blockly.HSV_SATURATION and Blockly.HSV_VALUE are used for saturation
- *       and value, respectively.)
+ *       (The saturation and value of the theme are used, see Blockly.Theme.)
  *     - output {?string|Array.<string>} Output type.  If undefined, there are
  *       assumed to be no outputs.  Otherwise, this is interpreted the same way
  *       as arguments to Blockly.Block.setCheck():
@@ -254,12 +254,14 @@ Blockly.Bubble.prototype.bubbleMouseDown_ = function(e) {
   // Left-click (or middle click)
   Blockly.setCursorHand_(true);
   // Record the starting offset between the current location and the mouse.
+  // The mouse is measured in pixels, the bubble in workspace units.
+  var scale = this.workspace_.scale;
   if (Blockly.RTL) {
-    this.dragDeltaX = this.relativeLeft_ + e.clientX;
+    this.dragDeltaX = this.relativeLeft_ + e.clientX / scale;
   } else {
-    this.dragDeltaX = this.relativeLeft_ - e.clientX;
+    this.dragDeltaX = this.relativeLeft_ - e.clientX / scale;
   }
-  this.dragDeltaY = this.relativeTop_ - e.clientY;
+  this.dragDeltaY = this.relativeTop_ - e.clientY / scale;
 
   Blockly.Bubble.onMouseUpWrapper_ = Blockly.bindEvent_(document,
       'mouseup', this, Blockly.Bubble.unbindDragEvents_);
@@ -277,12 +279,13 @@ Blockly.Bubble.prototype.bubbleMouseDown_ = function(e) {
  */
 Blockly.Bubble.prototype.bubbleMouseMove_ = function(e) {
   this.autoLayout_ = false;
+  var scale = this.workspace_.scale;
   if (Blockly.RTL) {
-    this.relativeLeft_ = this.dragDeltaX - e.clientX;
+    this.relativeLeft_ = this.dragDeltaX - e.clientX / scale;
   } else {
-    this.relativeLeft_ = this.dragDeltaX + e.clientX;
+    this.relativeLeft_ = this.dragDeltaX + e.clientX / scale;
   }
-  this.relativeTop_ = this.dragDeltaY + e.clientY;
+  this.relativeTop_ = this.dragDeltaY + e.clientY / scale;
   this.positionBubble_();
   this.renderArrow_();
 };
@@ -302,12 +305,13 @@ Blockly.Bubble.prototype.resizeMouseDown_ = function(e) {
   // Left-click (or middle click)
   Blockly.setCursorHand_(true);
   // Record the starting offset between the current location and the mouse.
+  var scale = this.workspace_.scale;
   if (Blockly.RTL) {
-    this.resizeDeltaWidth = this.width_ + e.clientX;
+    this.resizeDeltaWidth = this.width_ + e.clientX / scale;
   } else {
-    this.resizeDeltaWidth = this.width_ - e.clientX;
+    this.resizeDeltaWidth = this.width_ - e.clientX / scale;
   }
-  this.resizeDeltaHeight = this.height_ - e.clientY;
+  this.resizeDeltaHeight = this.height_ - e.clientY / scale;
 
   Blockly.Bubble.onMouseUpWrapper_ = Blockly.bindEvent_(document,
       'mouseup', this, Blockly.Bubble.unbindDragEvents_);
@@ -325,14 +329,15 @@ Blockly.Bubble.prototype.resizeMouseDown_ = function(e) {
  */
 Blockly.Bubble.prototype.resizeMouseMove_ = function(e) {
   this.autoLayout_ = false;
+  var scale = this.workspace_.scale;
   var w = this.resizeDeltaWidth;
-  var h = this.resizeDeltaHeight + e.clientY;
+  var h = this.resizeDeltaHeight + e.clientY / scale;
   if (Blockly.RTL) {
     // RTL drags the bottom-left corner.
-    w -= e.clientX;
+    w -= e.clientX / scale;
   } else {
     // LTR drags the bottom-right corner.
-    w += e.clientX;
+    w += e.clientX / scale;
   }
   this.setBubbleSize(w, h);
   if (Blockly.RTL) {
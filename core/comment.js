@@ -38,7 +38,9 @@ goog.require('Blockly.Icon');
  */
 Blockly.Comment = function(block) {
   Blockly.Comment.superClass_.constructor.call(this, block);
-  this.createIcon_();
+  if (block.svg_) {
+    this.createIcon_();
+  }
 };
 goog.inherits(Blockly.Comment, Blockly.Icon);
 
@@ -150,8 +152,8 @@ Blockly.Comment.prototype.resizeBubble_ = function() {
  * @param {boolean} visible True if the bubble should be visible.
  */
 Blockly.Comment.prototype.setVisible = function(visible) {
-  if (visible == this.isVisible()) {
-    // No change.
+  if (visible == this.isVisible() || !this.iconGroup_) {
+    // No change, or no block on screen to show the bubble on.
     return;
   }
   // Save the bubble stats before the visibility switch.
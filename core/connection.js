@@ -27,6 +27,7 @@
 goog.provide('Blockly.Connection');
 goog.provide('Blockly.ConnectionDB');
 
+goog.require('Blockly.Events');
 goog.require('Blockly.Workspace');
 
 
@@ -181,7 +182,12 @@ Blockly.Connection.prototype.connect = function(otherConnection) {
   otherConnection.targetConnection = this;
 
   // Demote the inferior block so that one is a child of the superior one.
+  var oldXY = childBlock.getRelativeToSurfaceXY();
   childBlock.setParent(parentBlock);
+  parentBlock.workspace.fireEvent(new Blockly.Events.Move(childBlock,
+      Blockly.Events.Move.topLocation(oldXY),
+      Blockly.Events.Move.connectionLocation(
+          this.isSuperior() ? this : otherConnection)));
 
   if (parentBlock.rendered) {
     parentBlock.svg_.updateDisabled();
@@ -240,6 +246,16 @@ Blockly.Connection.prototype.disconnect = function() {
   otherConnection.targetConnection = null;
   this.targetConnection = null;
 
+  var superiorConnection = this.isSuperior() ? this : otherConnection;
+  var inferiorBlock = this.isSuperior() ? otherConnection.sourceBlock_ :
+      this.sourceBlock_;
+  if (inferiorBlock.workspace) {
+    inferiorBlock.workspace.fireEvent(new Blockly.Events.Move(inferiorBlock,
+        Blockly.Events.Move.connectionLocation(superiorConnection),
+        Blockly.Events.Move.topLocation(
+            inferiorBlock.getRelativeToSurfaceXY())));
+  }
+
   if (!this.sourceBlock_.isInFlyout && this.sourceBlock_.isEditing &&
       this.sourceBlock_.outputConnection instanceof Blockly.Connection) {
     if (otherConnection.check_ &&
@@ -312,8 +328,8 @@ Blockly.Connection.prototype.bumpAwayFrom_ = function(staticConnection) {
   }
   // Move the root block.
   var rootBlock = this.sourceBlock_.getRootBlock();
-  if (rootBlock.isInFlyout) {
-    // Don't move blocks around in a flyout.
+  if (rootBlock.isInFlyout || !rootBlock.rendered) {
+    // Don't move blocks around in a flyout, or blocks that aren't drawn.
     return;
   }
   var reverse = false;
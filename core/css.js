@@ -27,6 +27,7 @@
 goog.provide('Blockly.Css');
 
 goog.require('goog.cssom');
+goog.require('goog.dom');
 
 
 /**
@@ -44,6 +45,28 @@ Blockly.Css.inject = function() {
   goog.cssom.addCssText(text);
 };
 
+/**
+ * The style element of the current theme.
+ * @type {Element}
+ * @private
+ */
+Blockly.Css.themeNode_ = null;
+
+/**
+ * Inject the stylesheet of a theme, replacing that of the previous theme.
+ * It follows Blockly's CSS, so that its rules take precedence.
+ * @param {string} text CSS text of the theme.
+ */
+Blockly.Css.injectTheme = function(text) {
+  if (Blockly.Css.themeNode_) {
+    goog.dom.removeNode(Blockly.Css.themeNode_);
+    Blockly.Css.themeNode_ = null;
+  }
+  if (text) {
+    Blockly.Css.themeNode_ = goog.cssom.addCssText(text);
+  }
+};
+
 /**
  * Array making up the CSS content for Blockly.
  */
@@ -105,6 +128,30 @@ Blockly.Css.CONTENT = [
   '.blocklySelected>.blocklyPathLight {',
   '  display: none;',
   '}',
+  '.blocklyCursor {',
+  '  stroke-width: 3px;',
+  '  stroke: #fc3;',
+  '  fill: none;',
+  '}',
+  '.blocklyMarker {',
+  '  stroke-width: 3px;',
+  '  stroke: #4c4;',
+  '  fill: none;',
+  '}',
+  '.blocklySelectionBand {',
+  '  fill: #798EB1;',
+  '  fill-opacity: 0.2;',
+  '  stroke: #798EB1;',
+  '  stroke-width: 1px;',
+  '  stroke-dasharray: 4 2;',
+  '}',
+  '.blocklyLiveRegion {',
+  '  position: absolute;',
+  '  left: -10000px;',
+  '  width: 1px;',
+  '  height: 1px;',
+  '  overflow: hidden;',
+  '}',
   '.blocklyDragging>.blocklyPath,',
   '.blocklyDragging>.blocklyPathLight {',
   '  fill-opacity: 0.8;',
@@ -284,6 +331,22 @@ Blockly.Css.CONTENT = [
   '.blocklyScrollbarKnob:hover {',
   '  fill: #bbb;',
   '}',
+  '.blocklyZoomButton {',
+  '  cursor: pointer;',
+  '}',
+  '.blocklyZoomButton>circle {',
+  '  fill: #fff;',
+  '  stroke: #ccc;',
+  '  stroke-width: 2;',
+  '}',
+  '.blocklyZoomButton:hover>circle {',
+  '  stroke: #888;',
+  '}',
+  '.blocklyZoomButton>path {',
+  '  fill: none;',
+  '  stroke: #888;',
+  '  stroke-width: 3;',
+  '}',
   '.blocklyInvalidInput {',
   '  background: #faa;',
   '}',
@@ -315,6 +378,15 @@ Blockly.Css.CONTENT = [
   '  overflow-y: auto;',
   '  position: absolute;',
   '}',
+  '.blocklySearch {',
+  '  box-sizing: border-box;',
+  '  display: block;',
+  '  margin: 4px;',
+  '  width: 95%;',
+  '}',
+  '.blocklySearchEmpty {',
+  '  background-color: #fdd;',
+  '}',
   '.blocklyTreeRoot {',
   '  padding: 4px 0;',
   '}',
@@ -377,6 +449,21 @@ Blockly.Css.CONTENT = [
   '.blocklyTreeSelected .blocklyTreeLabel {',
   '  color: #fff;',
   '}',
+  '.blocklyTreeColour {',
+  '  display: inline-block;',
+  '  height: 16px;',
+  '  margin-right: 4px;',
+  '  vertical-align: middle;',
+  '  width: 8px;',
+  '}',
+  '.blocklyTreeIconImage {',
+  '  height: 16px;',
+  '  vertical-align: middle;',
+  '  width: 16px;',
+  '}',
+  '.blocklyTreeDisabled {',
+  '  opacity: 0.4;',
+  '}',
   '',
   '/*',
   ' * Copyright 2007 The Closure Library Authors. All Rights Reserved.',
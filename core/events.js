@@ -0,0 +1,270 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Events fired as a result of changes to a workspace.
+ * Each event describes one change to one block: its creation, deletion,
+ * movement, a change to one of its fields or to its mutation, or a change to
+ * the UI such as selection.  Listeners are registered on a workspace with
+ * addChangeListener and receive the events in order once the current
+ * operation has completed.
+ */
+'use strict';
+
+goog.provide('Blockly.Events');
+
+goog.require('Blockly.Xml');
+goog.require('goog.array');
+
+
+/**
+ * Name of event that creates a block.
+ * @const
+ */
+Blockly.Events.CREATE = 'create';
+
+/**
+ * Name of event that deletes a block.
+ * @const
+ */
+Blockly.Events.DELETE = 'delete';
+
+/**
+ * Name of event that moves a block, including connecting and disconnecting.
+ * @const
+ */
+Blockly.Events.MOVE = 'move';
+
+/**
+ * Name of event that changes a block's field, mutation or state.
+ * @const
+ */
+Blockly.Events.CHANGE = 'change';
+
+/**
+ * Name of event that records a UI change, such as selection.
+ * @const
+ */
+Blockly.Events.UI = 'ui';
+
+/**
+ * Number of nested calls which have disabled the firing of events.
+ * @type {number}
+ * @private
+ */
+Blockly.Events.disabled_ = 0;
+
+/**
+ * Stop firing events, for instance while taking apart a block tree whose
+ * deletion has already been reported.  Calls may be nested.
+ */
+Blockly.Events.disable = function() {
+  Blockly.Events.disabled_++;
+};
+
+/**
+ * Resume firing events.
+ */
+Blockly.Events.enable = function() {
+  Blockly.Events.disabled_--;
+};
+
+/**
+ * Are events currently being fired?
+ * @return {boolean} True if enabled.
+ */
+Blockly.Events.isEnabled = function() {
+  return Blockly.Events.disabled_ == 0;
+};
+
+/**
+ * Abstract class for an event.
+ * @param {string} type One of Blockly.Events.CREATE, DELETE, MOVE, CHANGE or
+ *     UI.
+ * @param {!Blockly.Block} block The block concerned.
+ * @constructor
+ */
+Blockly.Events.Abstract = function(type, block) {
+  /** @type {string} */
+  this.type = type;
+  /** @type {string} */
+  this.blockId = block.id;
+};
+
+/**
+ * Class for a block creation event.  One event covers the block and all of
+ * the blocks nested inside or below it, once they have all been built.
+ * @param {!Blockly.Block} block The created block, not yet plugged into any
+ *     parent.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.Create = function(block) {
+  Blockly.Events.Create.superClass_.constructor.call(this,
+      Blockly.Events.CREATE, block);
+  /** @type {string} */
+  this.blockType = block.type;
+  /**
+   * XML of the created tree of blocks.
+   * @type {!Element}
+   */
+  this.xml = Blockly.Xml.blockToDom_(block);
+  /**
+   * Location of the created block.
+   * @type {!Object}
+   */
+  this.xy = block.getRelativeToSurfaceXY();
+  /**
+   * IDs of all created blocks.
+   * @type {!Array.<string>}
+   */
+  this.ids = goog.array.map(block.getDescendants(), function(descendant) {
+    return descendant.id;
+  });
+};
+goog.inherits(Blockly.Events.Create, Blockly.Events.Abstract);
+
+/**
+ * Class for a block deletion event.  One event covers the block and all of
+ * the blocks nested inside or below it.
+ * @param {!Blockly.Block} block The deleted block, already unplugged from any
+ *     parent.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.Delete = function(block) {
+  Blockly.Events.Delete.superClass_.constructor.call(this,
+      Blockly.Events.DELETE, block);
+  /**
+   * XML of the deleted tree of blocks.
+   * @type {!Element}
+   */
+  this.oldXml = Blockly.Xml.blockToDom_(block);
+  /**
+   * Location of the deleted block.
+   * @type {!Object}
+   */
+  this.oldXY = block.getRelativeToSurfaceXY();
+  /**
+   * IDs of all deleted blocks.
+   * @type {!Array.<string>}
+   */
+  this.ids = goog.array.map(block.getDescendants(), function(descendant) {
+    return descendant.id;
+  });
+};
+goog.inherits(Blockly.Events.Delete, Blockly.Events.Abstract);
+
+/**
+ * Class for a block move event.  A location is either a parent block and the
+ * name of the input the block is plugged into (null for the parent's next
+ * connection), or no parent and the block's coordinates on the workspace.
+ * @param {!Blockly.Block} block The moved block.
+ * @param {!Object} oldLocation Object with parentId, inputName and xy
+ *     properties describing where the block was.
+ * @param {!Object} newLocation Object describing where the block is now.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.Move = function(block, oldLocation, newLocation) {
+  Blockly.Events.Move.superClass_.constructor.call(this,
+      Blockly.Events.MOVE, block);
+  /** @type {?string} */
+  this.oldParentId = oldLocation.parentId;
+  /** @type {?string} */
+  this.oldInputName = oldLocation.inputName;
+  /** @type {Object} */
+  this.oldXY = oldLocation.xy;
+  /** @type {?string} */
+  this.newParentId = newLocation.parentId;
+  /** @type {?string} */
+  this.newInputName = newLocation.inputName;
+  /** @type {Object} */
+  this.newXY = newLocation.xy;
+};
+goog.inherits(Blockly.Events.Move, Blockly.Events.Abstract);
+
+/**
+ * Create a location for a move event, of a block at the top level.
+ * @param {!Object} xy Coordinates of the block.
+ * @return {!Object} Location.
+ */
+Blockly.Events.Move.topLocation = function(xy) {
+  return {parentId: null, inputName: null, xy: xy};
+};
+
+/**
+ * Create a location for a move event, of a block plugged into a connection.
+ * @param {!Blockly.Connection} connection The superior connection.
+ * @return {!Object} Location.
+ */
+Blockly.Events.Move.connectionLocation = function(connection) {
+  var block = connection.sourceBlock_;
+  var inputName = null;
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    if (input.connection == connection) {
+      inputName = input.name;
+      break;
+    }
+  }
+  return {parentId: block.id, inputName: inputName, xy: null};
+};
+
+/**
+ * Class for a block change event.
+ * @param {!Blockly.Block} block The changed block.
+ * @param {string} element One of 'field', 'mutation', 'disabled' or
+ *     'collapsed'.
+ * @param {?string} name Name of the field if this is a change to a field.
+ * @param {*} oldValue Previous value of the element.
+ * @param {*} newValue New value of the element.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.Change = function(block, element, name, oldValue, newValue) {
+  Blockly.Events.Change.superClass_.constructor.call(this,
+      Blockly.Events.CHANGE, block);
+  /** @type {string} */
+  this.element = element;
+  /** @type {?string} */
+  this.name = name;
+  this.oldValue = oldValue;
+  this.newValue = newValue;
+};
+goog.inherits(Blockly.Events.Change, Blockly.Events.Abstract);
+
+/**
+ * Class for a UI event.  These are not recorded in the undo history.
+ * @param {!Blockly.Block} block The block concerned.
+ * @param {string} element The UI element which changed, such as 'selected'.
+ * @param {*} oldValue Previous value of the element.
+ * @param {*} newValue New value of the element.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.Ui = function(block, element, oldValue, newValue) {
+  Blockly.Events.Ui.superClass_.constructor.call(this,
+      Blockly.Events.UI, block);
+  /** @type {string} */
+  this.element = element;
+  this.oldValue = oldValue;
+  this.newValue = newValue;
+};
+goog.inherits(Blockly.Events.Ui, Blockly.Events.Abstract);
@@ -31,6 +31,7 @@ goog.provide('Blockly.Field');
 // TODO(scr): Fix circular dependencies
 // goog.require('Blockly.Block');
 goog.require('Blockly.BlockSvg');
+goog.require('Blockly.Events');
 goog.require('goog.asserts');
 
 
@@ -180,6 +181,16 @@ Blockly.Field.prototype.render_ = function() {
   this.size_.width = width;
 };
 
+/**
+ * Forget the width of the field's text, so that it is measured again when
+ * next rendered (e.g. after a change of font).
+ */
+Blockly.Field.prototype.resetSize = function() {
+  if (this.textElement_) {
+    this.size_.width = 0;
+  }
+};
+
 /**
  * Returns the height and width of the field.
  * @return {!Object} Height and width.
@@ -245,7 +256,24 @@ Blockly.Field.prototype.getValue = function() {
  * @param {string} text New text.
  */
 Blockly.Field.prototype.setValue = function(text) {
+  var oldValue = this.getValue();
   this.setText(text);
+  this.fireValueChange_(oldValue);
+};
+
+/**
+ * Fire an event for a change of this field's value on the source block's
+ * workspace.  Call after the new value has been set.
+ * @param {?string} oldValue The value before the change.
+ * @private
+ */
+Blockly.Field.prototype.fireValueChange_ = function(oldValue) {
+  var block = this.sourceBlock_;
+  var newValue = this.getValue();
+  if (block && block.workspace && this.name && oldValue !== newValue) {
+    block.workspace.fireEvent(new Blockly.Events.Change(block, 'field',
+        this.name, oldValue, newValue));
+  }
 };
 
 /**
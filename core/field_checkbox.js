@@ -83,7 +83,9 @@ Blockly.FieldCheckbox.prototype.getValue = function() {
 Blockly.FieldCheckbox.prototype.setValue = function(strBool) {
   var newState = (strBool == 'TRUE');
   if (this.state_ !== newState) {
+    var oldValue = this.getValue();
     this.state_ = newState;
+    this.fireValueChange_(oldValue);
     this.checkElement_.style.display = newState ? 'block' : 'none';
     if (this.sourceBlock_ && this.sourceBlock_.rendered) {
       this.sourceBlock_.workspace.fireChangeEvent();
@@ -27,6 +27,7 @@
 goog.provide('Blockly.FieldColour');
 
 goog.require('Blockly.Field');
+goog.require('Blockly.Host');
 goog.require('goog.ui.ColorPicker');
 
 
@@ -86,7 +87,9 @@ Blockly.FieldColour.prototype.getValue = function() {
  * @param {string} colour The new colour in '#rrggbb' format.
  */
 Blockly.FieldColour.prototype.setValue = function(colour) {
+  var oldValue = this.colour_;
   this.colour_ = colour;
+  this.fireValueChange_(oldValue);
   this.borderRect_.style.fill = colour;
   if (this.sourceBlock_ && this.sourceBlock_.rendered) {
     this.sourceBlock_.workspace.fireChangeEvent();
@@ -148,8 +151,8 @@ Blockly.FieldColour.prototype.showEditor_ = function() {
           }
         }
         if (colour !== null) {
-          if (typeof(Entry) == "object" && thisObj.getValue() != colour) {
-            Entry.dispatchEvent("entryBlocklyChanged");
+          if (thisObj.getValue() != colour) {
+            Blockly.Host.notifyChange();
           }
           thisObj.setValue(colour);
         }
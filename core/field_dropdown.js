@@ -29,6 +29,7 @@
 goog.provide('Blockly.FieldDropdown');
 
 goog.require('Blockly.Field');
+goog.require('Blockly.Host');
 
 
 /**
@@ -150,8 +151,8 @@ Blockly.FieldDropdown.prototype.showEditor_ = function() {
         }
       }
       if (value !== null) {
-        if (typeof(Entry) == "object" && this.getValue() != value) {
-          Entry.dispatchEvent("entryBlocklyChanged");
+        if (this.getValue() != value) {
+          Blockly.Host.notifyChange();
         }
         this.setValue(value);
       }
@@ -304,7 +305,9 @@ Blockly.FieldDropdown.prototype.getValue = function() {
  * @param {string} newValue New value to set.
  */
 Blockly.FieldDropdown.prototype.setValue = function(newValue) {
+  var oldValue = this.value_;
   this.value_ = newValue;
+  this.fireValueChange_(oldValue);
   // Look up and display the human-readable text.
   var options = this.getOptions_();
   for (var x = 0; x < options.length; x++) {
@@ -29,6 +29,7 @@
 goog.provide('Blockly.FieldDropdownDynamic');
 
 goog.require('Blockly.Field');
+goog.require('Blockly.Host');
 
 
 /**
@@ -62,6 +63,11 @@ Blockly.FieldDropdownDynamic = function(menuName, opt_changeHandler) {
 };
 goog.inherits(Blockly.FieldDropdownDynamic, Blockly.Field);
 
+/**
+ * Text shown when the current value is not one of the options.
+ */
+Blockly.FieldDropdownDynamic.NO_TARGET = '대상없음';
+
 /*
 Blockly.FieldDropdownDynamic.prototype.updateMenu_ = function(e) {
     console.log("updated!");
@@ -160,8 +166,8 @@ Blockly.FieldDropdownDynamic.prototype.showEditor_ = function() {
         }
       }
       if (value !== null) {
-        if (typeof(Entry) == "object" && this.getValue() != value) {
-          Entry.dispatchEvent("entryBlocklyChanged");
+        if (this.getValue() != value) {
+          Blockly.Host.notifyChange();
         }
         this.setValue(value);
       }
@@ -298,11 +304,14 @@ Blockly.FieldDropdownDynamic.prototype.trimOptions_ = function() {
  * @private
  */
 Blockly.FieldDropdownDynamic.prototype.getOptions_ = function() {
-    this.menuGenerator_ = Entry.container.getDropdownList(this.menuName_);
-  if (goog.isFunction(this.menuGenerator_)) {
-    return this.menuGenerator_.call(this);
+  this.menuGenerator_ = Blockly.Host.getDropdownList(this.menuName_);
+  var options = goog.isFunction(this.menuGenerator_) ?
+      this.menuGenerator_.call(this) : this.menuGenerator_;
+  if (!options.length) {
+    // Nothing to choose from (the host has no such list).
+    options = [[Blockly.FieldDropdownDynamic.NO_TARGET, 'null']];
   }
-  return /** @type {!Array.<!Array.<string>>} */ (this.menuGenerator_);
+  return /** @type {!Array.<!Array.<string>>} */ (options);
 };
 
 /**
@@ -318,7 +327,9 @@ Blockly.FieldDropdownDynamic.prototype.getValue = function() {
  * @param {string} newValue New value to set.
  */
 Blockly.FieldDropdownDynamic.prototype.setValue = function(newValue) {
+  var oldValue = this.value_;
   this.value_ = newValue;
+  this.fireValueChange_(oldValue);
   // Look up and display the human-readable text.
   var options = this.getOptions_();
   for (var x = 0; x < options.length; x++) {
@@ -330,7 +341,7 @@ Blockly.FieldDropdownDynamic.prototype.setValue = function(newValue) {
   }
   // Value not found.  Add it, maybe it will become valid once set
   // (like variable names).
-  this.setText('대상없음');
+  this.setText(Blockly.FieldDropdownDynamic.NO_TARGET);
 };
 
 /**
@@ -154,7 +154,9 @@ Blockly.FieldIcon.prototype.setValue = function(src) {
     // No change if null.
     return;
   }
+  var oldValue = this.src_;
   this.src_ = src;
+  this.fireValueChange_(oldValue);
   this.imageElement_.setAttributeNS('http://www.w3.org/1999/xlink',
       'xlink:href', goog.isString(src) ? src : '');
 };
@@ -108,7 +108,7 @@ Blockly.FieldTextInput.prototype.showEditor_ = function() {
       }
     }
     if (newValue !== null) {
-      this.setText(newValue);
+      this.setValue(newValue);
     }
     return;
   }
@@ -235,6 +235,8 @@ Blockly.FieldTextInput.prototype.dispose_ = function() {
       }
     }
     thisField.setText(text);
+    // Keystrokes are not recorded, only the completed edit.
+    thisField.fireValueChange_(htmlInput.defaultValue);
     thisField.sourceBlock_.render();
     Blockly.unbindEvent_(htmlInput.onKeyUpWrapper_);
     Blockly.unbindEvent_(htmlInput.onKeyPressWrapper_);
@@ -97,8 +97,10 @@ Blockly.FieldVariable.prototype.getValue = function() {
  * @param {string} text New text.
  */
 Blockly.FieldVariable.prototype.setValue = function(text) {
+  var oldValue = this.getValue();
   this.value_ = text;
   this.setText(text);
+  this.fireValueChange_(oldValue);
 };
 
 /**
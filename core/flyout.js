@@ -28,6 +28,7 @@ goog.provide('Blockly.Flyout');
 
 goog.require('Blockly.Block');
 goog.require('Blockly.Comment');
+goog.require('Blockly.Host');
 
 
 /**
@@ -86,6 +87,13 @@ Blockly.Flyout = function() {
  */
 Blockly.Flyout.prototype.autoClose = true;
 
+/**
+ * Does the flyout sit at the far edge of the workspace (the right edge, or
+ * the left edge in RTL) instead of next to the toolbox?
+ * @type {boolean}
+ */
+Blockly.Flyout.prototype.farSide = false;
+
 /**
  * Corner radius of the flyout background.
  * @type {number}
@@ -266,7 +274,7 @@ Blockly.Flyout.prototype.position_ = function() {
   this.svgBackground_.setAttribute('d', path.join(' '));
 
   var x = metrics.absoluteLeft;
-  if (Blockly.RTL) {
+  if (Blockly.RTL != this.farSide) {
     x += metrics.viewWidth;
     x -= this.width_;
   }
@@ -391,21 +399,11 @@ Blockly.Flyout.prototype.show = function(xmlList) {
       this.listeners_.push(Blockly.bindEvent_(root, 'mousedown', null,
           this.blockMouseDown_(block)));
     }
-    if (typeof(Entry) == "object" && block.type == "make_variable") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.createVariable();});
-    } else if (typeof(Entry) == "object" && block.type == "add_message") {
+    var command = Blockly.Host.BLOCK_COMMANDS[block.type];
+    if (command && Blockly.Host.has(command)) {
+      // This block is a button for the host's variable or message manager.
       Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.createMessage();});
-    } else if (typeof(Entry) == "object" && block.type == "delete_message") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.deleteMessage();});
-    } else if (typeof(Entry) == "object" && block.type == "remove_variable") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.removeVariable();});
-    } else if (typeof(Entry) == "object" && block.type == "change_variable_name") {
-      Blockly.bindEvent_(root, 'mousedown', null,
-        function () {Entry.container.changeVariableName();});
+          Blockly.Host.commandFunc(command));
     }
     this.listeners_.push(Blockly.bindEvent_(root, 'mouseover', block.svg_,
         block.svg_.addSelect));
@@ -563,34 +561,46 @@ Blockly.Flyout.prototype.createBlockFunc_ = function(originBlock) {
       // Beyond capacity.
       return;
     }
-    // Create the new block by cloning the block in the flyout (via XML).
-    if (typeof(Entry) == "object") {
-        Entry.dispatchEvent("entryBlocklyChanged");
-    }
-    var xml = Blockly.Xml.blockToDom_(originBlock);
-    var block = Blockly.Xml.domToBlock(flyout.targetWorkspace_, xml);
-    // Place it in the same spot as the flyout copy.
-    var svgRootOld = originBlock.getSvgRoot();
-    if (!svgRootOld) {
-      throw 'originBlock is not rendered.';
-    }
-    var xyOld = Blockly.getSvgXY_(svgRootOld);
-    var svgRootNew = block.getSvgRoot();
-    if (!svgRootNew) {
-      throw 'block is not rendered.';
-    }
-    var xyNew = Blockly.getSvgXY_(svgRootNew);
-    block.moveBy(xyOld.x - xyNew.x, xyOld.y - xyNew.y);
-    if (flyout.autoClose) {
-      flyout.hide();
-    } else {
-      flyout.filterForCapacity_();
-    }
+    var block = flyout.placeNewBlock_(originBlock);
     // Start a dragging operation on the new block.
     block.onMouseDown_(e);
   };
 };
 
+/**
+ * Copy a flyout block onto the target workspace, on top of the original.
+ * @param {!Blockly.Block} originBlock The flyout block to copy.
+ * @return {!Blockly.Block} The new block.
+ * @private
+ */
+Blockly.Flyout.prototype.placeNewBlock_ = function(originBlock) {
+  // Create the new block by cloning the block in the flyout (via XML).
+  Blockly.Host.notifyChange();
+  // The new block is not a copy of the flyout's block, so it gets new ids.
+  var xml = Blockly.Xml.blockToDom_(originBlock, true);
+  var block = Blockly.Xml.domToBlock(this.targetWorkspace_, xml);
+  // Place it in the same spot as the flyout copy.
+  var svgRootOld = originBlock.getSvgRoot();
+  if (!svgRootOld) {
+    throw 'originBlock is not rendered.';
+  }
+  var xyOld = Blockly.getSvgXY_(svgRootOld);
+  var svgRootNew = block.getSvgRoot();
+  if (!svgRootNew) {
+    throw 'block is not rendered.';
+  }
+  var xyNew = Blockly.getSvgXY_(svgRootNew);
+  // Convert the pixel offset into the target workspace's units.
+  var scale = this.targetWorkspace_.scale;
+  block.moveBy((xyOld.x - xyNew.x) / scale, (xyOld.y - xyNew.y) / scale);
+  if (this.autoClose) {
+    this.hide();
+  } else {
+    this.filterForCapacity_();
+  }
+  return block;
+};
+
 /**
  * Filter the blocks on the flyout to disable the ones that are above the
  * capacity limit.
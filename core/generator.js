@@ -45,14 +45,25 @@ Blockly.Generator = function(name) {
  */
 Blockly.Generator.NAME_TYPE = 'generated_function';
 
+/**
+ * Arbitrary code to inject before the code of every statement block.
+ * Any instances of '%1' will be replaced by the block ID of the statement.
+ * E.g. 'highlightBlock(%1);\n'
+ * @type ?string
+ */
+Blockly.Generator.prototype.STATEMENT_PREFIX = null;
+
 /**
  * Generate code for all blocks in the workspace to the specified language.
+ * @param {Blockly.Workspace=} opt_workspace Workspace to generate code from,
+ *     e.g. a headless one.  Defaults to the main workspace.
  * @return {string} Generated code.
  */
-Blockly.Generator.prototype.workspaceToCode = function() {
+Blockly.Generator.prototype.workspaceToCode = function(opt_workspace) {
+  var workspace = opt_workspace || Blockly.mainWorkspace;
   var code = [];
-  this.init();
-  var blocks = Blockly.mainWorkspace.getTopBlocks(true);
+  this.init(workspace);
+  var blocks = workspace.getTopBlocks(true);
 
   for (var x = 0, block; block = blocks[x]; x++) {
     var line = this.blockToCode(block);
@@ -81,12 +92,15 @@ Blockly.Generator.prototype.workspaceToCode = function() {
 
 /**
  * Generate code for all blocks in the tutorial workspace only attached to 'when_start' to the specified language.
+ * @param {Blockly.Workspace=} opt_workspace Workspace to generate code from.
+ *     Defaults to the main workspace.
  * @return {string} Generated code.
  */
-Blockly.Generator.prototype.tutorialWorkspaceToCode = function() {
+Blockly.Generator.prototype.tutorialWorkspaceToCode = function(opt_workspace) {
+  var workspace = opt_workspace || Blockly.mainWorkspace;
   var code = [];
-  this.init();
-  var blocks = Blockly.mainWorkspace.getTopBlocks(true);
+  this.init(workspace);
+  var blocks = workspace.getTopBlocks(true);
   var targetBlocks = [];
   for (var i=0; i<blocks.length; i++) {
       if (blocks[i].type == 'when_start' || blocks[i].type == 'declare_function') {
@@ -184,6 +198,10 @@ Blockly.Generator.prototype.blockToCode = function(block) {
     // Value blocks return tuples of code and operator order.
     return [this.scrub_(block, code[0]), code[1]];
   } else {
+    if (code && this.STATEMENT_PREFIX) {
+      code = this.STATEMENT_PREFIX.replace(/%1/g, '\'' + block.id + '\'') +
+          code;
+    }
     return this.scrub_(block, code);
   }
 };
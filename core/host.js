@@ -0,0 +1,144 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Adapter between the editor and the application embedding it.
+ * The application passes a host object as the 'host' option of
+ * Blockly.inject.  Every method of the host is optional:
+ *   notifyChange()         The user has started or made a change.
+ *   cancelLastCommand()    The change just notified turned out to be a no-op.
+ *   createVariable(), removeVariable(), changeVariableName(),
+ *   createMessage(), deleteMessage()
+ *                          Called when the flyout's button blocks of the same
+ *                          purpose are clicked.
+ *   getDropdownList(name)  Returns the options of a FieldDropdownDynamic, an
+ *                          array of [text, value] pairs (or a function
+ *                          returning one).
+ */
+'use strict';
+
+goog.provide('Blockly.Host');
+
+goog.require('goog.object');
+
+
+/**
+ * The host application, set by the 'host' option of Blockly.inject.
+ * @type {Object}
+ */
+Blockly.host = null;
+
+/**
+ * Methods of the host called when a flyout block of the given type is clicked.
+ * These blocks act as buttons for managing variables and messages.
+ */
+Blockly.Host.BLOCK_COMMANDS = {
+  'make_variable': 'createVariable',
+  'remove_variable': 'removeVariable',
+  'change_variable_name': 'changeVariableName',
+  'add_message': 'createMessage',
+  'delete_message': 'deleteMessage'
+};
+
+/**
+ * Does the host implement a method?
+ * @param {string} name Name of the method.
+ * @return {boolean} True if the method exists.
+ */
+Blockly.Host.has = function(name) {
+  return !!Blockly.host && goog.isFunction(Blockly.host[name]);
+};
+
+/**
+ * Call a method of the host, if the host implements it.
+ * @param {string} name Name of the method.
+ * @param {...*} var_args Arguments to pass on.
+ * @return {*} The method's return value, or undefined if not implemented.
+ */
+Blockly.Host.call = function(name, var_args) {
+  if (!Blockly.Host.has(name)) {
+    return undefined;
+  }
+  var args = Array.prototype.slice.call(arguments, 1);
+  return Blockly.host[name].apply(Blockly.host, args);
+};
+
+/**
+ * Create a function which calls a method of the host without arguments.
+ * Useful as an event handler.
+ * @param {string} name Name of the method.
+ * @return {!Function} Function calling the method.
+ */
+Blockly.Host.commandFunc = function(name) {
+  return function() {
+    Blockly.Host.call(name);
+  };
+};
+
+/**
+ * Tell the host that the user has started or made a change.
+ */
+Blockly.Host.notifyChange = function() {
+  Blockly.Host.call('notifyChange');
+};
+
+/**
+ * Tell the host that the change it was last notified of did nothing.
+ */
+Blockly.Host.cancelLastCommand = function() {
+  Blockly.Host.call('cancelLastCommand');
+};
+
+/**
+ * Ask the host for the options of a dynamic dropdown menu.
+ * @param {string} menuName Name of the menu.
+ * @return {!Array.<!Array.<string>>|!Function} Options, or a function
+ *     generating them.  Empty if there is no host.
+ */
+Blockly.Host.getDropdownList = function(menuName) {
+  return Blockly.Host.call('getDropdownList', menuName) || [];
+};
+
+/**
+ * Wrap the Entry application's global object as a host, for applications
+ * which do not pass one to Blockly.inject.
+ * @param {!Object} entry The Entry global.
+ * @return {!Object} Host object.
+ * @private
+ */
+Blockly.Host.fromEntry_ = function(entry) {
+  var host = {
+    'notifyChange': function() {
+      entry.dispatchEvent('entryBlocklyChanged');
+    },
+    'cancelLastCommand': function() {
+      entry.dispatchEvent('cancelLastCommand');
+    },
+    'getDropdownList': function(menuName) {
+      return entry.container.getDropdownList(menuName);
+    }
+  };
+  goog.object.forEach(Blockly.Host.BLOCK_COMMANDS, function(command) {
+    host[command] = function() {
+      entry.container[command]();
+    };
+  });
+  return host;
+};
@@ -27,11 +27,21 @@
 goog.provide('Blockly.inject');
 
 goog.require('Blockly.Css');
+goog.require('Blockly.Host');
+goog.require('Blockly.Navigation');
+goog.require('Blockly.Renderer');
+goog.require('Blockly.Theme');
 goog.require('goog.dom');
 
 
 /**
  * Initialize the SVG document with various handlers.
+ * The 'host' option is the embedding application's adapter, see Blockly.Host.
+ * The 'zoom' option is an object overriding the defaults in
+ * Blockly.zoomOptions, e.g. {} to zoom with the defaults.  Zooming is off
+ * unless this option is given.
+ * The 'theme' and 'renderer' options are the name of a registered
+ * Blockly.Theme and Blockly.Renderer, or the theme or renderer itself.
  * @param {!Element} container Containing element.
  * @param {Object} opt_options Optional dictionary of options.
  */
@@ -44,6 +54,10 @@ Blockly.inject = function(container, opt_options) {
     // TODO(scr): don't mix this in to global variables.
     goog.mixin(Blockly, Blockly.parseOptions_(opt_options));
   }
+  if (!Blockly.host && typeof(Entry) == "object") {
+    // Entry embeds the editor without passing a host, or any options.
+    Blockly.host = Blockly.Host.fromEntry_(Entry);
+  }
   Blockly.createDom_(container);
   Blockly.init_();
 };
@@ -62,29 +76,8 @@ Blockly.parseOptions_ = function(options) {
     var hasCollapse = false;
     var tree = null;
   } else {
-    var tree = options['toolbox'];
-    if (tree) {
-      if (typeof tree != 'string' && typeof XSLTProcessor == 'undefined') {
-        // In this case the tree will not have been properly built by the
-        // browser. The HTML will be contained in the element, but it will
-        // not have the proper DOM structure since the browser doesn't support
-        // XSLTProcessor (XML -> HTML). This is the case in IE 9+.
-        tree = tree.outerHTML;
-      }
-      if (typeof tree == 'string') {
-        tree = Blockly.Xml.textToDom(tree);
-      }
-      //var hasCategories = !!tree.getElementsByTagName('category').length;
-      var hasCategories = false;
-      try {
-          hasCategories = !!tree.getElementsByTagName('category').length;
-      } catch (err) {
-          hasCategories = false;
-      }
-    } else {
-      tree = null;
-      var hasCategories = false;
-    }
+    var tree = Blockly.parseToolboxTree_(options['toolbox']);
+    var hasCategories = Blockly.toolboxHasCategories_(tree);
     var hasTrashcan = options['trashcan'];
     if (hasTrashcan === undefined) {
       hasTrashcan = hasCategories;
@@ -102,6 +95,15 @@ Blockly.parseOptions_ = function(options) {
   if (hasScrollbars === undefined) {
     hasScrollbars = true;
   }
+  var zoom = options['zoom'] || null;
+  var zoomOptions = {
+    controls: !!zoom && !readOnly && zoom['controls'] !== false,
+    wheel: !!zoom && zoom['wheel'] !== false,
+    startScale: (zoom && zoom['startScale']) || 1,
+    maxScale: (zoom && zoom['maxScale']) || 3,
+    minScale: (zoom && zoom['minScale']) || 0.3,
+    scaleSpeed: (zoom && zoom['scaleSpeed']) || 1.2
+  };
   return {
     RTL: !!options['rtl'],
     collapse: hasCollapse,
@@ -112,10 +114,87 @@ Blockly.parseOptions_ = function(options) {
     hasScrollbars: hasScrollbars,
     hasTrashcan: hasTrashcan,
     hasBlockMenu: hasBlockMenu,
-    languageTree: tree
+    host: options['host'] || null,
+    languageTree: tree,
+    renderer: Blockly.Renderer.get(options['renderer'] || 'classic'),
+    theme: Blockly.Theme.get(options['theme'] || 'classic'),
+    zoomOptions: zoomOptions
   };
 };
 
+/**
+ * Parse a toolbox into a DOM tree.
+ * @param {Node|string} tree DOM tree of blocks and categories, or text
+ *     representation of same.
+ * @return {Element} DOM tree, or null if there is no toolbox.
+ * @private
+ */
+Blockly.parseToolboxTree_ = function(tree) {
+  if (!tree) {
+    return null;
+  }
+  if (typeof tree != 'string' && typeof XSLTProcessor == 'undefined') {
+    // In this case the tree will not have been properly built by the
+    // browser. The HTML will be contained in the element, but it will
+    // not have the proper DOM structure since the browser doesn't support
+    // XSLTProcessor (XML -> HTML). This is the case in IE 9+.
+    tree = tree.outerHTML;
+  }
+  if (typeof tree == 'string') {
+    tree = Blockly.Xml.textToDom(tree);
+  }
+  return /** @type {!Element} */ (tree);
+};
+
+/**
+ * Does a toolbox have categories, or is it a simple list of blocks?
+ * @param {Element} tree DOM tree of the toolbox, or null.
+ * @return {boolean} True if there are categories.
+ * @private
+ */
+Blockly.toolboxHasCategories_ = function(tree) {
+  try {
+    return !!tree && !!tree.getElementsByTagName('category').length;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Replace the toolbox without injecting Blockly again.  The categories, the
+ * flyout and the block menu are rebuilt in place.  A toolbox with categories
+ * may only be replaced by another with categories, and a list of blocks by
+ * another list of blocks.
+ * @param {Node|string} tree DOM tree of blocks and categories, or text
+ *     representation of same.
+ */
+Blockly.updateToolbox = function(tree) {
+  tree = Blockly.parseToolboxTree_(tree);
+  if (!tree) {
+    if (Blockly.languageTree) {
+      throw 'Can\'t nullify an existing toolbox.';
+    }
+    // No change (null to null).
+    return;
+  }
+  if (!Blockly.languageTree) {
+    throw 'Existing toolbox is null.  Can\'t create new toolbox.';
+  }
+  if (Blockly.toolboxHasCategories_(tree) != Blockly.hasCategories) {
+    throw 'Can\'t switch a toolbox between categories and a list of blocks.';
+  }
+  var oldTree = Blockly.languageTree;
+  Blockly.languageTree = tree;
+  if (Blockly.hasCategories) {
+    Blockly.Toolbox.update();
+  } else {
+    Blockly.mainWorkspace.flyout_.show(tree.childNodes);
+    if (Blockly.mainWorkspace.blockMenu) {
+      Blockly.mainWorkspace.blockMenu.updateToolbox(oldTree, tree);
+    }
+  }
+};
+
 /**
  * Create the SVG image.
  * @param {!Element} container Containing element.
@@ -131,6 +210,7 @@ Blockly.createDom_ = function(container) {
 
   // Load CSS.
   Blockly.Css.inject();
+  Blockly.Css.injectTheme(Blockly.theme.getCss());
 
   // Build the SVG DOM.
   /*
@@ -232,6 +312,8 @@ Blockly.createDom_ = function(container) {
       Blockly.setMainWorkspaceMetrics_);
   svg.appendChild(Blockly.mainWorkspace.createDom());
   Blockly.mainWorkspace.maxBlocks = Blockly.maxBlocks;
+  Blockly.mainWorkspace.undoable = !Blockly.readOnly;
+  Blockly.mainWorkspace.scale = Blockly.zoomOptions.startScale;
 
   if (!Blockly.readOnly) {
     // Determine if there needs to be a category tree, or a simple list of
@@ -267,42 +349,47 @@ Blockly.createDom_ = function(container) {
               metrics.viewWidth + (Blockly.RTL ? 2 : 1) * metrics.viewLeft) {
             // One or more blocks is out of bounds.  Bump them back in.
             var MARGIN = 25;
+            // The metrics are in pixels, the blocks in workspace units.
+            var scale = Blockly.mainWorkspace.scale;
             var blocks = Blockly.mainWorkspace.getTopBlocks(false);
             for (var b = 0, block; block = blocks[b]; b++) {
               var blockXY = block.getRelativeToSurfaceXY();
+              blockXY = {x: blockXY.x * scale, y: blockXY.y * scale};
               var blockHW = block.getHeightWidth();
+              blockHW = {height: blockHW.height * scale,
+                         width: blockHW.width * scale};
               // Bump any block that's above the top back inside.
               var overflow = metrics.viewTop + MARGIN - blockHW.height -
                   blockXY.y;
               if (overflow > 0) {
-                block.moveBy(0, overflow);
+                block.moveBy(0, overflow / scale);
               }
               // Bump any block that's below the bottom back inside.
               var overflow = metrics.viewTop + metrics.viewHeight - MARGIN -
                   blockXY.y;
               if (overflow < 0) {
-                block.moveBy(0, overflow);
+                block.moveBy(0, overflow / scale);
               }
               // Bump any block that's off the left back inside.
               var overflow = MARGIN + metrics.viewLeft - blockXY.x -
                   (Blockly.RTL ? 0 : blockHW.width);
               if (overflow > 0) {
-                block.moveBy(overflow, 0);
+                block.moveBy(overflow / scale, 0);
               }
               // Bump any block that's off the right back inside.
               var overflow = metrics.viewLeft + metrics.viewWidth - MARGIN -
                   blockXY.x + (Blockly.RTL ? blockHW.width : 0);
               if (overflow < 0) {
-                block.moveBy(overflow, 0);
+                block.moveBy(overflow / scale, 0);
               }
               // Delete any block that's sitting on top of the flyout.
-              if (typeof(Entry) == "object" && block.isDeletable() && (Blockly.RTL ?
+              if (Blockly.host && block.isDeletable() && (Blockly.RTL ?
                   blockXY.x - 2 * metrics.viewLeft - metrics.viewWidth :
                   -blockXY.x) > + Blockly.mainWorkspace.scrollX) {
                 //block.dispose(false, true);
               }
 
-              if (typeof(Entry) != "object" && block.isDeletable() && (Blockly.RTL ?
+              if (!Blockly.host && block.isDeletable() && (Blockly.RTL ?
                   blockXY.x - 2 * metrics.viewLeft - metrics.viewWidth :
                   -blockXY.x) > + Blockly.mainWorkspace.scrollX - 150) {
                 //block.dispose(false, true);
@@ -326,6 +413,7 @@ Blockly.createDom_ = function(container) {
 
   // The SVG is now fully assembled.  Add it to the container.
   container.appendChild(svg);
+  Blockly.Navigation.init(svg, container);
   Blockly.bindEvent_(svg, 'mousedown', this, Blockly.hideChaff);
   //if (typeof(Entry) == "object")
     //Blockly.bindEvent_(svg, 'mousedown', this, Entry.stopInstantRun);
@@ -395,7 +483,8 @@ Blockly.init_ = function() {
       Blockly.mainWorkspace.flyout_.show(Blockly.languageTree.childNodes);
       // Translate the workspace sideways to avoid the fixed flyout.
       Blockly.mainWorkspace.scrollX = Blockly.mainWorkspace.flyout_.width_;
-      var translation = 'translate(' + Blockly.mainWorkspace.scrollX + ', 0)';
+      var translation = 'translate(' + Blockly.mainWorkspace.scrollX + ', 0) ' +
+          'scale(' + Blockly.mainWorkspace.scale + ')';
       Blockly.mainWorkspace.getCanvas().setAttribute('transform', translation);
       Blockly.mainWorkspace.getBubbleCanvas().setAttribute('transform',
                                                            translation);
@@ -409,6 +498,7 @@ Blockly.init_ = function() {
 
   //Blockly.mainWorkspace.addConnectionAnimation();
   Blockly.mainWorkspace.addTrashcan();
+  Blockly.mainWorkspace.addZoomControls();
 
   // Load the sounds.
   Blockly.loadAudio_(
@@ -0,0 +1,562 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview JSON reader and writer.  The JSON format carries exactly the
+ * same information as the XML format, so either one may be converted into
+ * the other without loss.
+ *
+ * A workspace is {"blocks": [...]}, where each top block has "x" and "y".
+ * A block is {"type", "id", "class", "mutation", "fields", "comment",
+ * "values", "statements", "next"} plus the flags "inline", "collapsed",
+ * "disabled", "deletable", "movable", "addable" and "editable".  Properties
+ * are omitted when the XML would omit the corresponding attribute or tag.
+ */
+'use strict';
+
+goog.provide('Blockly.Json');
+
+goog.require('Blockly.Block');
+goog.require('Blockly.Events');
+goog.require('goog.dom');
+
+
+/**
+ * Names of the boolean block flags, in the order the XML writer emits them.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Json.FLAGS_ = ['inline', 'collapsed', 'disabled', 'deletable',
+    'movable', 'addable', 'editable'];
+
+/**
+ * Encode a block tree as JSON.
+ * @param {!Object} workspace The SVG workspace.
+ * @return {!Object} JSON-compatible object.
+ */
+Blockly.Json.workspaceToJson = function(workspace) {
+  var width = workspace.rendered ? Blockly.svgSize().width : 0;
+  var json = {'blocks': []};
+  var blocks = workspace.getTopBlocks(true);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var blockJson = Blockly.Json.blockToJson(block);
+    var xy = block.getRelativeToSurfaceXY();
+    blockJson['x'] = Blockly.RTL ? width - xy.x : xy.x;
+    blockJson['y'] = xy.y;
+    json['blocks'].push(blockJson);
+  }
+  return json;
+};
+
+/**
+ * Encode a block subtree as JSON.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @return {!Object} JSON-compatible object.
+ */
+Blockly.Json.blockToJson = function(block) {
+  var json = {};
+  json['type'] = block.type;
+  json['class'] = block.outputConnection ? 'output' : 'inline';
+  json['id'] = block.id;
+  if (block.mutationToJson) {
+    // Custom data for an advanced block.
+    var mutation = block.mutationToJson();
+    if (mutation) {
+      json['mutation'] = mutation;
+    }
+  } else if (block.mutationToDom) {
+    var mutation = block.mutationToDom();
+    if (mutation) {
+      json['mutation'] = Blockly.Json.mutationToJson(mutation);
+    }
+  }
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    for (var y = 0, field; field = input.fieldRow[y]; y++) {
+      if (field.name && field.EDITABLE) {
+        json['fields'] = json['fields'] || {};
+        json['fields'][field.name] = String(field.getValue());
+      }
+    }
+  }
+
+  if (block.comment) {
+    var hw = block.comment.getBubbleSize();
+    json['comment'] = {
+      'text': block.comment.getText(),
+      'pinned': block.comment.isVisible(),
+      'height': hw.height,
+      'width': hw.width
+    };
+  }
+
+  var hasValues = false;
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.type == Blockly.DUMMY_INPUT) {
+      continue;
+    }
+    var key = null;
+    if (input.type == Blockly.INPUT_VALUE) {
+      key = 'values';
+      hasValues = true;
+    } else if (input.type == Blockly.NEXT_STATEMENT) {
+      key = 'statements';
+    }
+    var childBlock = input.connection.targetBlock();
+    if (key && childBlock) {
+      json[key] = json[key] || {};
+      json[key][input.name] = Blockly.Json.blockToJson(childBlock);
+    }
+  }
+  if (hasValues) {
+    json['inline'] = block.inputsInline;
+  }
+  if (block.isCollapsed()) {
+    json['collapsed'] = true;
+  }
+  if (block.disabled) {
+    json['disabled'] = true;
+  }
+  if (!block.isDeletable()) {
+    json['deletable'] = false;
+  }
+  if (!block.isMovable()) {
+    json['movable'] = false;
+  }
+  if (!block.isAddable()) {
+    json['addable'] = false;
+  }
+  if (!block.isEditable()) {
+    json['editable'] = false;
+  }
+
+  if (block.nextConnection) {
+    var nextBlock = block.nextConnection.targetBlock();
+    if (nextBlock) {
+      json['next'] = Blockly.Json.blockToJson(nextBlock);
+    }
+  }
+  return json;
+};
+
+/**
+ * Decode JSON and create blocks on the workspace.
+ * @param {!Blockly.Workspace} workspace The SVG workspace.
+ * @param {!Object} json JSON-compatible object, as from workspaceToJson.
+ */
+Blockly.Json.jsonToWorkspace = function(workspace, json) {
+  var width = workspace.rendered ? Blockly.svgSize().width : 0;
+  var blocks = json['blocks'] || [];
+  for (var i = 0, blockJson; blockJson = blocks[i]; i++) {
+    var block = Blockly.Json.jsonToBlock(workspace, blockJson);
+    var blockX = parseInt(blockJson['x'], 10);
+    var blockY = parseInt(blockJson['y'], 10);
+    if (!isNaN(blockX) && !isNaN(blockY)) {
+      block.moveBy(Blockly.RTL ? width - blockX : blockX, blockY);
+    }
+  }
+};
+
+/**
+ * Decode a JSON block and create a block (and possibly sub blocks) on the
+ * workspace.  The new tree of blocks is reported in one creation event.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Object} json JSON block, as from blockToJson.
+ * @return {!Blockly.Block} The root block created.
+ */
+Blockly.Json.jsonToBlock = function(workspace, json) {
+  Blockly.Events.disable();
+  try {
+    var block = Blockly.Json.jsonToBlockTree_(workspace, json);
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (workspace.isFiringEvents_()) {
+    workspace.fireEvent(new Blockly.Events.Create(block));
+  }
+  return block;
+};
+
+/**
+ * Decode a JSON block and create a block and its sub blocks, without
+ * reporting any of it.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Object} json JSON block, as from blockToJson.
+ * @return {!Blockly.Block} The root block created.
+ * @private
+ */
+Blockly.Json.jsonToBlockTree_ = function(workspace, json) {
+  var prototypeName = json['type'];
+  if (!prototypeName) {
+    throw 'Block type unspecified: \n' + JSON.stringify(json);
+  }
+  var id = json['id'] === undefined ? null : String(json['id']);
+  // Keep the saved id unless another block on the workspace has it.
+  var block = Blockly.Block.obtain(workspace, prototypeName, id);
+  block.previousId = id;
+  if (!block.svg_ && workspace.rendered) {
+    block.initSvg();
+  }
+
+  if ('inline' in json) {
+    block.setInputsInline(!!json['inline']);
+  }
+  if ('disabled' in json) {
+    block.setDisabled(!!json['disabled']);
+  }
+  if ('deletable' in json) {
+    block.setDeletable(!!json['deletable']);
+  }
+  if ('movable' in json) {
+    block.setMovable(!!json['movable']);
+  }
+  if ('addable' in json) {
+    block.setAddable(!!json['addable']);
+  }
+  if ('editable' in json) {
+    block.setEditable(!!json['editable']);
+  }
+
+  if (json['mutation']) {
+    // Custom data for an advanced block.
+    if (block.jsonToMutation) {
+      block.jsonToMutation(json['mutation']);
+    } else if (block.domToMutation) {
+      block.domToMutation(Blockly.Json.jsonToMutation(json['mutation']));
+    }
+  }
+  var fields = json['fields'] || {};
+  for (var name in fields) {
+    block.setFieldValue(String(fields[name]), name);
+  }
+  var comment = json['comment'];
+  if (comment) {
+    block.setCommentText(comment['text'] || '');
+    if ('pinned' in comment) {
+      block.comment.setVisible(!!comment['pinned']);
+    }
+    var bubbleW = parseInt(comment['width'], 10);
+    var bubbleH = parseInt(comment['height'], 10);
+    if (!isNaN(bubbleW) && !isNaN(bubbleH)) {
+      block.comment.setBubbleSize(bubbleW, bubbleH);
+    }
+  }
+  var children = [].concat(
+      Blockly.Json.childrenOf_(json['values']),
+      Blockly.Json.childrenOf_(json['statements']));
+  for (var i = 0; i < children.length; i++) {
+    var input = block.getInput(children[i].name);
+    if (!input) {
+      throw 'Input ' + children[i].name + ' does not exist in block ' +
+          prototypeName;
+    }
+    var blockChild = Blockly.Json.jsonToBlockTree_(workspace,
+        children[i].json);
+    if (blockChild.outputConnection) {
+      input.connection.connect(blockChild.outputConnection);
+    } else if (blockChild.previousConnection) {
+      input.connection.connect(blockChild.previousConnection);
+    } else {
+      throw 'Child block does not have output or previous statement.';
+    }
+  }
+  if (json['next']) {
+    if (!block.nextConnection) {
+      throw 'Next statement does not exist.';
+    }
+    var blockChild = Blockly.Json.jsonToBlockTree_(workspace, json['next']);
+    if (!blockChild.previousConnection) {
+      throw 'Next block does not have previous statement.';
+    }
+    block.nextConnection.connect(blockChild.previousConnection);
+  }
+
+  if (workspace.rendered) {
+    var next = block.nextConnection && block.nextConnection.targetBlock();
+    if (next) {
+      // Next block in a stack needs to square off its corners.
+      // Rendering a child will render its parent.
+      next.render();
+    } else {
+      block.render();
+    }
+  }
+  if ('collapsed' in json) {
+    block.setCollapsed(!!json['collapsed']);
+  }
+  return block;
+};
+
+/**
+ * List the named child blocks of a "values" or "statements" object.
+ * @param {Object} map Input names mapped to JSON blocks.
+ * @return {!Array.<{name: string, json: !Object}>} Children in order.
+ * @private
+ */
+Blockly.Json.childrenOf_ = function(map) {
+  var children = [];
+  for (var name in map || {}) {
+    children.push({name: name, json: map[name]});
+  }
+  return children;
+};
+
+/**
+ * Convert a mutation element (or any child of one) into JSON.  Attributes
+ * become string properties, child elements are listed under "$children"
+ * with their tag name in "$tag", and text is stored under "$text".  XML
+ * names cannot start with '$', so the keys never collide.
+ * A block that defines mutationToJson/jsonToMutation should use this same
+ * shape, otherwise converting between XML and JSON would lose its data.
+ * @param {!Element} element XML element, usually <mutation>.
+ * @return {!Object} JSON-compatible object.
+ */
+Blockly.Json.mutationToJson = function(element) {
+  var json = {};
+  var tag = element.nodeName.toLowerCase();
+  if (tag != 'mutation') {
+    json['$tag'] = tag;
+  }
+  for (var i = 0, attr; attr = element.attributes[i]; i++) {
+    json[attr.name] = attr.value;
+  }
+  var text = '';
+  for (var i = 0, node; node = element.childNodes[i]; i++) {
+    if (node.nodeType == 1) {
+      json['$children'] = json['$children'] || [];
+      json['$children'].push(Blockly.Json.mutationToJson(node));
+    } else if (node.nodeType == 3) {
+      text += node.data;
+    }
+  }
+  if (text && !text.match(/^\s*$/)) {
+    json['$text'] = text;
+  }
+  return json;
+};
+
+/**
+ * Convert JSON produced by mutationToJson back into an XML element.
+ * @param {!Object} json JSON-compatible object.
+ * @return {!Element} XML element, <mutation> unless "$tag" says otherwise.
+ */
+Blockly.Json.jsonToMutation = function(json) {
+  var element = goog.dom.createDom(json['$tag'] || 'mutation');
+  for (var key in json) {
+    if (key.charAt(0) != '$') {
+      element.setAttribute(key, json[key]);
+    }
+  }
+  if ('$text' in json) {
+    element.appendChild(document.createTextNode(json['$text']));
+  }
+  var children = json['$children'] || [];
+  for (var i = 0; i < children.length; i++) {
+    element.appendChild(Blockly.Json.jsonToMutation(children[i]));
+  }
+  return element;
+};
+
+/**
+ * Convert a workspace's XML into the equivalent JSON without creating blocks.
+ * @param {!Element} xml XML DOM, as from Blockly.Xml.workspaceToDom.
+ * @return {!Object} JSON-compatible object, as from workspaceToJson.
+ */
+Blockly.Json.domToJson = function(xml) {
+  var json = {'blocks': []};
+  for (var x = 0, xmlChild; xmlChild = xml.childNodes[x]; x++) {
+    if (xmlChild.nodeName.toLowerCase() == 'block') {
+      var blockJson = Blockly.Json.blockDomToJson(xmlChild);
+      var blockX = parseFloat(xmlChild.getAttribute('x'));
+      var blockY = parseFloat(xmlChild.getAttribute('y'));
+      if (!isNaN(blockX) && !isNaN(blockY)) {
+        blockJson['x'] = blockX;
+        blockJson['y'] = blockY;
+      }
+      json['blocks'].push(blockJson);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert an XML block element into the equivalent JSON block.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Object} JSON block, as from blockToJson.
+ */
+Blockly.Json.blockDomToJson = function(xmlBlock) {
+  var json = {};
+  json['type'] = xmlBlock.getAttribute('type');
+  if (xmlBlock.hasAttribute('class')) {
+    json['class'] = xmlBlock.getAttribute('class');
+  }
+  if (xmlBlock.hasAttribute('id')) {
+    json['id'] = xmlBlock.getAttribute('id');
+  }
+  for (var x = 0, xmlChild; xmlChild = xmlBlock.childNodes[x]; x++) {
+    if (xmlChild.nodeType != 1) {
+      continue;
+    }
+    var name = xmlChild.getAttribute('name');
+    var tag = xmlChild.nodeName.toLowerCase();
+    switch (tag) {
+      case 'mutation':
+        json['mutation'] = Blockly.Json.mutationToJson(xmlChild);
+        break;
+      case 'comment':
+        json['comment'] = {'text': xmlChild.textContent};
+        if (xmlChild.hasAttribute('pinned')) {
+          json['comment']['pinned'] =
+              xmlChild.getAttribute('pinned') == 'true';
+        }
+        var bubbleH = parseFloat(xmlChild.getAttribute('h'));
+        var bubbleW = parseFloat(xmlChild.getAttribute('w'));
+        if (!isNaN(bubbleW) && !isNaN(bubbleH)) {
+          json['comment']['height'] = bubbleH;
+          json['comment']['width'] = bubbleW;
+        }
+        break;
+      case 'title':
+        // Titles were renamed to field in December 2013.
+        // Fall through.
+      case 'field':
+        json['fields'] = json['fields'] || {};
+        json['fields'][name] = xmlChild.textContent;
+        break;
+      case 'value':
+      case 'statement':
+      case 'next':
+        var child = null;
+        for (var y = 0, node; node = xmlChild.childNodes[y]; y++) {
+          if (node.nodeName.toLowerCase() == 'block') {
+            child = Blockly.Json.blockDomToJson(node);
+          }
+        }
+        if (!child) {
+          break;
+        }
+        if (tag == 'next') {
+          json['next'] = child;
+        } else {
+          var key = tag == 'value' ? 'values' : 'statements';
+          json[key] = json[key] || {};
+          json[key][name] = child;
+        }
+        break;
+      default:
+        // Unknown tag; ignore.  Same principle as HTML parsers.
+    }
+  }
+  for (var i = 0, flag; flag = Blockly.Json.FLAGS_[i]; i++) {
+    if (xmlBlock.hasAttribute(flag)) {
+      json[flag] = xmlBlock.getAttribute(flag) == 'true';
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert workspace JSON into the equivalent XML without creating blocks.
+ * @param {!Object} json JSON-compatible object, as from workspaceToJson.
+ * @return {!Element} XML DOM, as from Blockly.Xml.workspaceToDom.
+ */
+Blockly.Json.jsonToDom = function(json) {
+  var xml = goog.dom.createDom('xml');
+  var blocks = json['blocks'] || [];
+  for (var i = 0, blockJson; blockJson = blocks[i]; i++) {
+    var element = Blockly.Json.blockJsonToDom(blockJson);
+    if ('x' in blockJson && 'y' in blockJson) {
+      element.setAttribute('x', blockJson['x']);
+      element.setAttribute('y', blockJson['y']);
+    }
+    xml.appendChild(element);
+  }
+  return xml;
+};
+
+/**
+ * Convert a JSON block into the equivalent XML block element.
+ * @param {!Object} json JSON block, as from blockToJson.
+ * @return {!Element} XML block element.
+ */
+Blockly.Json.blockJsonToDom = function(json) {
+  var element = goog.dom.createDom('block');
+  element.setAttribute('type', json['type']);
+  if ('class' in json) {
+    element.setAttribute('class', json['class']);
+  }
+  if ('id' in json) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['mutation']) {
+    element.appendChild(Blockly.Json.jsonToMutation(json['mutation']));
+  }
+  var fields = json['fields'] || {};
+  for (var name in fields) {
+    var container = goog.dom.createDom('field', null, String(fields[name]));
+    container.setAttribute('name', name);
+    element.appendChild(container);
+  }
+  var comment = json['comment'];
+  if (comment) {
+    var commentElement = goog.dom.createDom('comment', null,
+        comment['text'] || '');
+    if ('pinned' in comment) {
+      commentElement.setAttribute('pinned', !!comment['pinned']);
+    }
+    if ('height' in comment && 'width' in comment) {
+      commentElement.setAttribute('h', comment['height']);
+      commentElement.setAttribute('w', comment['width']);
+    }
+    element.appendChild(commentElement);
+  }
+  var children = Blockly.Json.childrenOf_(json['values']);
+  for (var i = 0; i < children.length; i++) {
+    var container = goog.dom.createDom('value', null,
+        Blockly.Json.blockJsonToDom(children[i].json));
+    container.setAttribute('name', children[i].name);
+    element.appendChild(container);
+  }
+  children = Blockly.Json.childrenOf_(json['statements']);
+  for (var i = 0; i < children.length; i++) {
+    var container = goog.dom.createDom('statement', null,
+        Blockly.Json.blockJsonToDom(children[i].json));
+    container.setAttribute('name', children[i].name);
+    element.appendChild(container);
+  }
+  for (var i = 0, flag; flag = Blockly.Json.FLAGS_[i]; i++) {
+    if (flag in json) {
+      element.setAttribute(flag, !!json[flag]);
+    }
+  }
+  if (json['next']) {
+    element.appendChild(goog.dom.createDom('next', null,
+        Blockly.Json.blockJsonToDom(json['next'])));
+  }
+  return element;
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+Blockly['Json'] = Blockly.Json;
+Blockly.Json['blockToJson'] = Blockly.Json.blockToJson;
+Blockly.Json['domToJson'] = Blockly.Json.domToJson;
+Blockly.Json['jsonToBlock'] = Blockly.Json.jsonToBlock;
+Blockly.Json['jsonToDom'] = Blockly.Json.jsonToDom;
+Blockly.Json['jsonToWorkspace'] = Blockly.Json.jsonToWorkspace;
+Blockly.Json['workspaceToJson'] = Blockly.Json.workspaceToJson;
@@ -28,7 +28,9 @@
 goog.provide('Blockly.Mutator');
 
 goog.require('Blockly.Bubble');
+goog.require('Blockly.Events');
 goog.require('Blockly.Icon');
+goog.require('goog.array');
 
 
 /**
@@ -270,11 +272,33 @@ Blockly.Mutator.prototype.workspaceChanged_ = function() {
 
   // When the mutator's workspace changes, update the source block.
   if (this.rootBlock_.workspace == this.workspace_) {
+    // Remember the source block's shape, the rebuild is undone as one
+    // mutation rather than as the connections it makes and breaks.
+    var workspace = this.block_.workspace;
+    var oldMutation = Blockly.Xml.domToText(this.block_.mutationToDom());
+    var oldTargets = workspace.getInputTargets_(this.block_);
     // Switch off rendering while the source block is rebuilt.
     var savedRendered = this.block_.rendered;
     this.block_.rendered = false;
     // Allow the source block to rebuild itself.
-    this.block_.compose(this.rootBlock_);
+    workspace.pauseUndo_(true);
+    try {
+      this.block_.compose(this.rootBlock_);
+    } finally {
+      workspace.pauseUndo_(false);
+    }
+    var newMutation = Blockly.Xml.domToText(this.block_.mutationToDom());
+    var newTargets = workspace.getInputTargets_(this.block_);
+    if (oldMutation != newMutation ||
+        !goog.array.equals(oldTargets, newTargets, function(a, b) {
+          return a.inputName == b.inputName && a.id == b.id;
+        })) {
+      var event = new Blockly.Events.Change(this.block_, 'mutation', null,
+                                            oldMutation, newMutation);
+      event.oldTargets_ = oldTargets;
+      event.newTargets_ = newTargets;
+      workspace.fireEvent(event);
+    }
     // Restore rendering and show the changes.
     this.block_.rendered = savedRendered;
     if (this.block_.rendered) {
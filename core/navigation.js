@@ -0,0 +1,812 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2012 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keyboard navigation of the main workspace.  Once the editor
+ * is reached with the keyboard, a cursor walks the blocks, their fields and
+ * their connections:
+ *   Up/Down      Previous/next block in a stack, or item within a block.
+ *   Right/Left   Into a block's fields and connections, or back out.
+ *   Enter        Edit a field, mark a connection, or attach the block to the
+ *                marked connection.
+ *   T            Pick a block from the toolbox (Left/Right change category,
+ *                Enter inserts the block at the marked connection).
+ *   Shift+F10    Open the context menu.  Up/Down and Enter choose an option.
+ *   Escape       Close a menu, leave the toolbox, or clear the mark.
+ * Each move is announced to screen readers through a live region.
+ */
+'use strict';
+
+goog.provide('Blockly.Navigation');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+
+
+/**
+ * Location of the cursor: an object with a block property, and either a field
+ * or a connection of that block, or neither if the block itself is the
+ * location.  Null if there is no cursor.
+ * @type {Object}
+ * @private
+ */
+Blockly.Navigation.cursor_ = null;
+
+/**
+ * Connection marked as the destination of the next block inserted or moved.
+ * @type {Blockly.Connection}
+ * @private
+ */
+Blockly.Navigation.marker_ = null;
+
+/**
+ * Is the cursor in the toolbox's flyout?
+ * @type {boolean}
+ * @private
+ */
+Blockly.Navigation.inFlyout_ = false;
+
+/**
+ * Cursor location in the workspace before moving into the toolbox.
+ * @type {Object}
+ * @private
+ */
+Blockly.Navigation.workspaceCursor_ = null;
+
+/**
+ * Does the editor have keyboard focus?
+ * @type {boolean}
+ * @private
+ */
+Blockly.Navigation.focused_ = false;
+
+/**
+ * Is the keyboard being used to navigate?  True once the editor gets focus
+ * from the keyboard, until the mouse is pressed on the editor.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Navigation.active_ = false;
+
+/**
+ * Is the editor getting focus from a mouse press rather than the keyboard?
+ * @type {boolean}
+ * @private
+ */
+Blockly.Navigation.mouseDown_ = false;
+
+/**
+ * SVG element drawn around the cursor's field or connection.
+ * @type {Element}
+ * @private
+ */
+Blockly.Navigation.cursorSvg_ = null;
+
+/**
+ * SVG element drawn on the marked connection.
+ * @type {Element}
+ * @private
+ */
+Blockly.Navigation.markerSvg_ = null;
+
+/**
+ * Element whose text is read out by screen readers when it changes.
+ * @type {Element}
+ * @private
+ */
+Blockly.Navigation.liveRegion_ = null;
+
+/**
+ * Index of the highlighted option of the open menu.
+ * @type {number}
+ * @private
+ */
+Blockly.Navigation.menuIndex_ = -1;
+
+/**
+ * Make the editor focusable and accessible.
+ * @param {!Element} svg The editor's SVG element.
+ * @param {!Element} container The element containing the SVG.
+ */
+Blockly.Navigation.init = function(svg, container) {
+  svg.setAttribute('tabindex', 0);
+  // Keys are handled by the editor, not by the screen reader.
+  svg.setAttribute('role', 'application');
+  svg.setAttribute('aria-label', Blockly.Msg.KEYBOARD_NAV_WORKSPACE);
+  Blockly.bindEvent_(svg, 'mousedown', null, function() {
+    // Leave the keys to the page until the keyboard is used to navigate again.
+    Blockly.Navigation.mouseDown_ = true;
+    Blockly.Navigation.active_ = false;
+    Blockly.Navigation.setCursor_(null);
+  });
+  Blockly.bindEvent_(svg, 'focus', null, function() {
+    Blockly.Navigation.focused_ = true;
+    if (!Blockly.Navigation.mouseDown_) {
+      Blockly.Navigation.active_ = true;
+    }
+    Blockly.Navigation.mouseDown_ = false;
+  });
+  Blockly.bindEvent_(svg, 'blur', null, function() {
+    Blockly.Navigation.focused_ = false;
+    Blockly.Navigation.mouseDown_ = false;
+  });
+  var liveRegion = goog.dom.createDom('div', 'blocklyLiveRegion');
+  liveRegion.setAttribute('aria-live', 'polite');
+  container.appendChild(liveRegion);
+  Blockly.Navigation.liveRegion_ = liveRegion;
+};
+
+/**
+ * Handle a key-down while the editor has keyboard focus.  Open menus always
+ * take the arrow keys, other keys are only taken once the editor was reached
+ * with the keyboard (e.g. Tab) or a cursor exists.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was handled.
+ */
+Blockly.Navigation.onKeyDown = function(e) {
+  if (!Blockly.Navigation.focused_ || e.altKey || e.ctrlKey || e.metaKey ||
+      Blockly.Block.dragMode_ != 0) {
+    return false;
+  }
+  var options = Blockly.Navigation.getMenuOptions_();
+  if (options) {
+    return Blockly.Navigation.menuKey_(options, e.keyCode);
+  }
+  if (!Blockly.Navigation.active_ && !Blockly.Navigation.cursor_) {
+    return false;
+  }
+  switch (e.keyCode) {
+    case 37:  // Left.
+      Blockly.Navigation.move_(Blockly.RTL ? 'in' : 'out');
+      return true;
+    case 39:  // Right.
+      Blockly.Navigation.move_(Blockly.RTL ? 'out' : 'in');
+      return true;
+    case 38:  // Up.
+      Blockly.Navigation.move_('up');
+      return true;
+    case 40:  // Down.
+      Blockly.Navigation.move_('down');
+      return true;
+    case 13:  // Enter.
+      Blockly.Navigation.activate_();
+      return true;
+    case 84:  // 'T' for toolbox.
+      Blockly.Navigation.setInFlyout_(!Blockly.Navigation.inFlyout_);
+      return true;
+    case 93:  // Context menu key.
+    case 121:  // F10, with shift.
+      if (e.keyCode == 121 && !e.shiftKey) {
+        return false;
+      }
+      Blockly.Navigation.showContextMenu_();
+      return true;
+    case 27:  // Escape.
+      if (Blockly.Navigation.inFlyout_) {
+        Blockly.Navigation.setInFlyout_(false);
+      } else if (Blockly.Navigation.marker_) {
+        Blockly.Navigation.setMarker_(null);
+      } else {
+        Blockly.hideChaff();
+      }
+      return true;
+  }
+  return false;
+};
+
+/**
+ * Get the cursor's location, moving it to the first block if it has none or
+ * if its block has been deleted.
+ * @return {Object} The location, or null if there are no blocks.
+ * @private
+ */
+Blockly.Navigation.getCursor_ = function() {
+  var cursor = Blockly.Navigation.cursor_;
+  var workspace = Blockly.Navigation.inFlyout_ ?
+      Blockly.Navigation.getFlyout_().workspace_ : Blockly.mainWorkspace;
+  if (cursor && cursor.block.workspace == workspace &&
+      cursor.block.getSvgRoot()) {
+    return cursor;
+  }
+  var block = workspace.getTopBlocks(true)[0];
+  return block ? {block: block, field: null, connection: null} : null;
+};
+
+/**
+ * Move the cursor and announce its new location.
+ * @param {Object} location New location, or null for none.
+ * @private
+ */
+Blockly.Navigation.setCursor_ = function(location) {
+  goog.dom.removeNode(Blockly.Navigation.cursorSvg_);
+  Blockly.Navigation.cursorSvg_ = null;
+  Blockly.Navigation.cursor_ = location;
+  if (!location) {
+    return;
+  }
+  var block = location.block;
+  // Blocks are labelled when the cursor reaches them rather than on render,
+  // which is costly for large programs.
+  block.getSvgRoot().setAttribute('aria-label',
+      block.toString(Blockly.COLLAPSE_CHARS));
+  if (location.field) {
+    var fieldRoot = location.field.getRootElement();
+    var bBox = fieldRoot.getBBox();
+    Blockly.Navigation.cursorSvg_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyCursor',
+         'x': bBox.x - 2, 'y': bBox.y - 2,
+         'width': bBox.width + 4, 'height': bBox.height + 4}, fieldRoot);
+  } else if (location.connection) {
+    Blockly.Navigation.cursorSvg_ = Blockly.Navigation.drawConnection_(
+        location.connection, 'blocklyCursor');
+  } else if (block.isInFlyout) {
+    var hw = block.getHeightWidth();
+    Blockly.Navigation.cursorSvg_ = Blockly.createSvgElement('rect',
+        {'class': 'blocklyCursor',
+         'x': Blockly.RTL ? -hw.width - 2 : -2, 'y': -2,
+         'width': hw.width + 4, 'height': hw.height + 4}, block.getSvgRoot());
+  }
+  if (!block.isInFlyout && Blockly.selected != block) {
+    // Selecting the block lets the delete, copy and paste keys act on it.
+    block.select();
+  }
+  if (!block.isInFlyout) {
+    Blockly.Navigation.scrollToBlock_(block);
+  }
+  Blockly.Navigation.announce_(Blockly.Navigation.describe_(location));
+};
+
+/**
+ * Draw a bar along a connection.
+ * @param {!Blockly.Connection} connection The connection.
+ * @param {string} className CSS class of the bar.
+ * @return {!Element} The bar's SVG element.
+ * @private
+ */
+Blockly.Navigation.drawConnection_ = function(connection, className) {
+  var block = connection.sourceBlock_;
+  var xy = block.getRelativeToSurfaceXY();
+  var x = connection.x_ - xy.x;
+  var y = connection.y_ - xy.y;
+  if (connection.type == Blockly.INPUT_VALUE) {
+    // A vertical bar at the input's notch.
+    var attributes = {'x': x - 2, 'y': y, 'width': 4, 'height': 20};
+  } else {
+    // A horizontal bar along the top or bottom of the block.
+    var attributes = {'x': Blockly.RTL ? x - 30 : x, 'y': y - 2,
+                      'width': 30, 'height': 4};
+  }
+  attributes['class'] = className;
+  return Blockly.createSvgElement('rect', attributes, block.getSvgRoot());
+};
+
+/**
+ * Scroll the main workspace so that a block is in view.
+ * @param {!Blockly.Block} block The block.
+ * @private
+ */
+Blockly.Navigation.scrollToBlock_ = function(block) {
+  var workspace = block.workspace;
+  var metrics = workspace.getMetrics();
+  if (!metrics) {
+    return;
+  }
+  var scale = workspace.scale;
+  var xy = block.getRelativeToSurfaceXY();
+  var hw = block.getHeightWidth();
+  // Position of the block in the view, in pixels.
+  var left = (Blockly.RTL ? xy.x - hw.width : xy.x) * scale +
+      workspace.scrollX;
+  var top = xy.y * scale + workspace.scrollY;
+  var flyoutWidth = workspace.flyout_ ? workspace.flyout_.width_ : 0;
+  var viewLeft = Blockly.RTL ? 0 : flyoutWidth;
+  var viewRight = metrics.viewWidth - (Blockly.RTL ? flyoutWidth : 0) -
+      Blockly.Scrollbar.scrollbarThickness;
+  var viewBottom = metrics.viewHeight - Blockly.Scrollbar.scrollbarThickness;
+  if (left >= viewLeft && top >= 0 && left + hw.width * scale <= viewRight &&
+      top + hw.height * scale <= viewBottom) {
+    return;
+  }
+  workspace.scrollTo_(workspace.scrollX + viewLeft + Blockly.SNAP_RADIUS - left,
+                      workspace.scrollY + Blockly.SNAP_RADIUS - top);
+};
+
+/**
+ * List the places within a block that the cursor can visit, in order: the
+ * previous connection, the editable fields and connection of each input, and
+ * the next connection.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<!Object>} Locations.
+ * @private
+ */
+Blockly.Navigation.getStops_ = function(block) {
+  var stops = [];
+  var add = function(field, connection) {
+    stops.push({block: block, field: field, connection: connection});
+  };
+  if (block.isInFlyout) {
+    return stops;
+  }
+  if (block.previousConnection) {
+    add(null, block.previousConnection);
+  }
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    if (!input.isVisible()) {
+      continue;
+    }
+    for (var y = 0, field; field = input.fieldRow[y]; y++) {
+      if (field.EDITABLE && field.isVisible()) {
+        add(field, null);
+      }
+    }
+    if (input.connection) {
+      add(null, input.connection);
+    }
+  }
+  if (block.nextConnection) {
+    add(null, block.nextConnection);
+  }
+  return stops;
+};
+
+/**
+ * Find a location in a list of locations.
+ * @param {!Array.<!Object>} list Locations.
+ * @param {!Object} location Location to find.
+ * @return {number} Index of the location, or -1 if not found.
+ * @private
+ */
+Blockly.Navigation.indexOf_ = function(list, location) {
+  for (var x = 0; x < list.length; x++) {
+    if (list[x].field == location.field &&
+        list[x].connection == location.connection) {
+      return x;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Move the cursor.
+ * @param {string} direction 'up', 'down', 'in' or 'out'.
+ * @private
+ */
+Blockly.Navigation.move_ = function(direction) {
+  Blockly.hideChaff(true);
+  var cursor = Blockly.Navigation.getCursor_();
+  if (!cursor) {
+    Blockly.Navigation.announce_(Blockly.Msg.KEYBOARD_NAV_EMPTY);
+    return;
+  }
+  if (Blockly.Navigation.inFlyout_ &&
+      (direction == 'in' || direction == 'out')) {
+    Blockly.Navigation.changeCategory_(direction == 'in' ? 1 : -1);
+    return;
+  }
+  var block = cursor.block;
+  var isBlock = !cursor.field && !cursor.connection;
+  var next = null;
+  if (isBlock) {
+    if (direction == 'in') {
+      next = Blockly.Navigation.getStops_(block)[0];
+    } else if (direction == 'out') {
+      var parentConnection =
+          (block.outputConnection && block.outputConnection.targetConnection) ||
+          (block.previousConnection &&
+           block.previousConnection.targetConnection);
+      if (parentConnection) {
+        next = {block: parentConnection.sourceBlock_, field: null,
+                connection: parentConnection};
+      }
+    } else {
+      var sibling = Blockly.Navigation.siblingBlock_(block,
+          direction == 'down');
+      if (sibling) {
+        next = {block: sibling, field: null, connection: null};
+      }
+    }
+  } else if (direction == 'out') {
+    next = {block: block, field: null, connection: null};
+  } else if (direction == 'in') {
+    var target = cursor.connection && cursor.connection.targetBlock();
+    if (target && cursor.connection != block.previousConnection) {
+      next = {block: target, field: null, connection: null};
+    }
+  } else {
+    var stops = Blockly.Navigation.getStops_(block);
+    var index = Blockly.Navigation.indexOf_(stops, cursor) +
+        (direction == 'down' ? 1 : -1);
+    next = stops[index] || null;
+  }
+  if (next) {
+    Blockly.Navigation.setCursor_(next);
+  } else {
+    // Can't go any further.  Repeat the current location.
+    Blockly.Navigation.setCursor_(cursor);
+  }
+};
+
+/**
+ * Find the block above or below a block: its neighbour in the stack, or the
+ * previous or next stack if the block is at the top level.
+ * @param {!Blockly.Block} block The block.
+ * @param {boolean} down True for the block below, false for above.
+ * @return {Blockly.Block} The neighbouring block, or null.
+ * @private
+ */
+Blockly.Navigation.siblingBlock_ = function(block, down) {
+  if (down) {
+    var next = block.nextConnection && block.nextConnection.targetBlock();
+    if (next) {
+      return next;
+    }
+  } else if (block.previousConnection &&
+             block.previousConnection.targetConnection) {
+    var parent = block.previousConnection.targetBlock();
+    if (parent.nextConnection == block.previousConnection.targetConnection) {
+      return parent;
+    }
+    // First block in a statement input.
+    return null;
+  }
+  // At the end of a stack.  Only move between stacks at the top level.
+  var root = Blockly.Navigation.stackRoot_(block);
+  if (root.getParent()) {
+    return null;
+  }
+  var topBlocks = block.workspace.getTopBlocks(true);
+  var index = goog.array.indexOf(topBlocks, root);
+  var sibling = topBlocks[index + (down ? 1 : -1)];
+  if (sibling && !down) {
+    // Go to the last block of the stack above.
+    while (sibling.nextConnection && sibling.nextConnection.targetBlock()) {
+      sibling = sibling.nextConnection.targetBlock();
+    }
+  }
+  return sibling || null;
+};
+
+/**
+ * Find the first block of the stack that a block is in.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Blockly.Block} The first block of its stack.
+ * @private
+ */
+Blockly.Navigation.stackRoot_ = function(block) {
+  while (block.previousConnection &&
+         block.previousConnection.targetConnection &&
+         block.previousConnection.targetBlock().nextConnection ==
+             block.previousConnection.targetConnection) {
+    block = block.previousConnection.targetBlock();
+  }
+  return block;
+};
+
+/**
+ * Act on the cursor's location: edit a field, mark a connection, or attach a
+ * block to the marked connection.
+ * @private
+ */
+Blockly.Navigation.activate_ = function() {
+  var cursor = Blockly.Navigation.getCursor_();
+  if (!cursor) {
+    return;
+  }
+  var block = cursor.block;
+  if (cursor.field) {
+    if (block.isEditable() && !Blockly.readOnly) {
+      cursor.field.showEditor_();
+    }
+  } else if (cursor.connection) {
+    Blockly.Navigation.setMarker_(
+        Blockly.Navigation.marker_ == cursor.connection ?
+        null : cursor.connection);
+  } else if (block.isInFlyout) {
+    Blockly.Navigation.insertFromFlyout_(block);
+  } else if (Blockly.Navigation.marker_ && block.isMovable() &&
+             !Blockly.readOnly) {
+    Blockly.Navigation.attach_(block);
+  }
+};
+
+/**
+ * Mark a connection as the destination of the next block inserted or moved.
+ * @param {Blockly.Connection} connection The connection, or null to clear
+ *     the mark.
+ * @private
+ */
+Blockly.Navigation.setMarker_ = function(connection) {
+  goog.dom.removeNode(Blockly.Navigation.markerSvg_);
+  Blockly.Navigation.markerSvg_ = null;
+  Blockly.Navigation.marker_ = connection;
+  if (connection) {
+    Blockly.Navigation.markerSvg_ =
+        Blockly.Navigation.drawConnection_(connection, 'blocklyMarker');
+    Blockly.Navigation.announce_(Blockly.Msg.KEYBOARD_NAV_MARKED.replace('%1',
+        Blockly.Navigation.describe_({block: connection.sourceBlock_,
+                                      field: null, connection: connection})));
+  }
+};
+
+/**
+ * Connect a block to the marked connection.
+ * @param {!Blockly.Block} block The block to attach.
+ * @return {boolean} True if connected.
+ * @private
+ */
+Blockly.Navigation.attach_ = function(block) {
+  var marker = Blockly.Navigation.marker_;
+  var connection = null;
+  if (marker.type == Blockly.INPUT_VALUE) {
+    connection = block.outputConnection;
+  } else if (marker.type == Blockly.NEXT_STATEMENT) {
+    connection = block.previousConnection;
+  } else if (marker.type == Blockly.PREVIOUS_STATEMENT &&
+             !marker.targetConnection) {
+    // Attach above the top of a stack.
+    connection = block.nextConnection;
+  }
+  if (!connection || !marker.checkType_(connection) ||
+      goog.array.contains(block.getDescendants(), marker.sourceBlock_)) {
+    Blockly.Navigation.announce_(Blockly.Msg.KEYBOARD_NAV_CANNOT_CONNECT);
+    return false;
+  }
+  Blockly.Host.notifyChange();
+  if (block.getParent()) {
+    block.unplug(false, false);
+  }
+  if (connection.type == Blockly.NEXT_STATEMENT) {
+    // Line up the bottom of the block with the top of the stack.
+    block.moveBy(marker.x_ - connection.x_, marker.y_ - connection.y_);
+  }
+  connection.connect(marker);
+  block.svg_.connectionUiEffect();
+  Blockly.Navigation.setMarker_(null);
+  Blockly.Navigation.setCursor_({block: block, field: null, connection: null});
+  return true;
+};
+
+/**
+ * Get the flyout of the toolbox.
+ * @return {Blockly.Flyout} The flyout, or null if there is no toolbox.
+ * @private
+ */
+Blockly.Navigation.getFlyout_ = function() {
+  return Blockly.hasCategories ? Blockly.Toolbox.flyout_ :
+      Blockly.mainWorkspace.flyout_ || null;
+};
+
+/**
+ * Move the cursor into or out of the toolbox.
+ * @param {boolean} inFlyout True to pick blocks from the toolbox.
+ * @private
+ */
+Blockly.Navigation.setInFlyout_ = function(inFlyout) {
+  var flyout = Blockly.Navigation.getFlyout_();
+  if (inFlyout && (!flyout || Blockly.readOnly)) {
+    return;
+  }
+  var oldCursor = Blockly.Navigation.cursor_;
+  Blockly.Navigation.setCursor_(null);
+  if (inFlyout) {
+    Blockly.Navigation.workspaceCursor_ = oldCursor;
+    Blockly.Navigation.inFlyout_ = true;
+    if (Blockly.hasCategories && !Blockly.Toolbox.tree_.getSelectedItem()) {
+      Blockly.Navigation.changeCategory_(1);
+      return;
+    }
+  } else {
+    Blockly.Navigation.inFlyout_ = false;
+    if (Blockly.hasCategories && flyout.autoClose) {
+      Blockly.Toolbox.clearSelection();
+    }
+    Blockly.Navigation.cursor_ = Blockly.Navigation.workspaceCursor_ || null;
+    Blockly.Navigation.workspaceCursor_ = null;
+  }
+  var cursor = Blockly.Navigation.getCursor_();
+  if (cursor) {
+    Blockly.Navigation.setCursor_(cursor);
+  } else {
+    Blockly.Navigation.announce_(Blockly.Msg.KEYBOARD_NAV_EMPTY);
+  }
+};
+
+/**
+ * Show the next or previous toolbox category, and move the cursor to its
+ * first block.
+ * @param {number} delta 1 for the next category, -1 for the previous.
+ * @private
+ */
+Blockly.Navigation.changeCategory_ = function(delta) {
+  if (!Blockly.hasCategories) {
+    return;
+  }
+  var tree = Blockly.Toolbox.tree_;
+  var categories = tree.getChildren();
+  var index = goog.array.indexOf(categories, tree.getSelectedItem());
+  var category = tree.getSelectedItem();
+  // Step over disabled categories, but stay put at either end.
+  for (var i = index + delta; categories[i]; i += delta) {
+    if (!categories[i].disabled) {
+      category = categories[i];
+      break;
+    }
+  }
+  if (!category) {
+    return;
+  }
+  tree.setSelectedItem(category);
+  Blockly.Navigation.setCursor_(null);
+  var cursor = Blockly.Navigation.getCursor_();
+  if (cursor) {
+    Blockly.Navigation.setCursor_(cursor);
+  }
+  Blockly.Navigation.announce_(Blockly.Msg.KEYBOARD_NAV_CATEGORY
+      .replace('%1', category.getText()) +
+      (cursor ? ' ' + Blockly.Navigation.describe_(cursor) : ''));
+};
+
+/**
+ * Create a copy of a toolbox block in the main workspace, attached to the
+ * marked connection if there is one.
+ * @param {!Blockly.Block} originBlock The block in the toolbox.
+ * @private
+ */
+Blockly.Navigation.insertFromFlyout_ = function(originBlock) {
+  if (originBlock.disabled) {
+    // Beyond capacity.
+    return;
+  }
+  var flyout = Blockly.Navigation.getFlyout_();
+  var block = flyout.placeNewBlock_(originBlock);
+  Blockly.Navigation.setInFlyout_(false);
+  if (Blockly.Navigation.marker_ && Blockly.Navigation.attach_(block)) {
+    return;
+  }
+  // Move the block out from under the flyout.
+  var scale = block.workspace.scale;
+  block.moveBy((Blockly.RTL ? -flyout.width_ : flyout.width_) / scale, 0);
+  Blockly.Navigation.setCursor_({block: block, field: null, connection: null});
+};
+
+/**
+ * Open the context menu of the cursor's block.
+ * @private
+ */
+Blockly.Navigation.showContextMenu_ = function() {
+  var cursor = Blockly.Navigation.getCursor_();
+  if (!cursor || cursor.block.isInFlyout) {
+    return;
+  }
+  var xy = Blockly.getSvgXY_(cursor.block.getSvgRoot());
+  cursor.block.showContextMenu_(xy);
+  Blockly.Navigation.menuIndex_ = -1;
+  var options = Blockly.Navigation.getMenuOptions_();
+  if (options) {
+    Blockly.Navigation.menuKey_(options, 40);
+  }
+};
+
+/**
+ * Get the options of the open context menu or dropdown menu.
+ * @return {Array.<!Element>} The elements of the options, or null if no menu
+ *     is open.
+ * @private
+ */
+Blockly.Navigation.getMenuOptions_ = function() {
+  var svgOptions = null;
+  if (Blockly.ContextMenu && Blockly.ContextMenu.visible) {
+    svgOptions = Blockly.ContextMenu.svgOptions;
+  } else if ((Blockly.FieldDropdown && Blockly.FieldDropdown.openDropdown_) ||
+             (Blockly.FieldDropdownDynamic &&
+              Blockly.FieldDropdownDynamic.openDropdown_)) {
+    svgOptions = Blockly.FieldDropdown.svgOptions_;
+  }
+  if (!svgOptions) {
+    Blockly.Navigation.menuIndex_ = -1;
+    return null;
+  }
+  return goog.array.clone(svgOptions.childNodes);
+};
+
+/**
+ * Handle a key-down while a menu is open.
+ * @param {!Array.<!Element>} options The elements of the menu's options.
+ * @param {number} keyCode Code of the key pressed.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.Navigation.menuKey_ = function(options, keyCode) {
+  var index = Blockly.Navigation.menuIndex_;
+  var option = options[index];
+  if (keyCode == 13) {
+    if (option) {
+      // The options act on mouse up.
+      Blockly.Navigation.menuIndex_ = -1;
+      Blockly.fireUiEvent(option, 'mouseup');
+      var cursor = Blockly.Navigation.getCursor_();
+      if (cursor) {
+        Blockly.Navigation.setCursor_(cursor);
+      }
+    }
+    return true;
+  } else if (keyCode == 27) {
+    Blockly.Navigation.menuIndex_ = -1;
+    Blockly.hideChaff();
+    return true;
+  } else if (keyCode != 38 && keyCode != 40) {
+    return false;
+  }
+  if (option) {
+    Blockly.removeClass_(option, 'blocklyMenuSelected');
+  }
+  // Skip over disabled options.
+  var delta = keyCode == 40 ? 1 : -1;
+  for (var x = 0; x < options.length; x++) {
+    index = (index + delta + options.length) % options.length;
+    if (options[index].getAttribute('class') != 'blocklyMenuDivDisabled') {
+      Blockly.addClass_(options[index], 'blocklyMenuSelected');
+      Blockly.Navigation.menuIndex_ = index;
+      Blockly.Navigation.announce_(goog.dom.getTextContent(options[index]));
+      break;
+    }
+  }
+  return true;
+};
+
+/**
+ * Describe a location for a screen reader.
+ * @param {!Object} location The location.
+ * @return {string} Description.
+ * @private
+ */
+Blockly.Navigation.describe_ = function(location) {
+  var block = location.block;
+  if (!location.field && !location.connection) {
+    return block.toString();
+  }
+  var blockText = block.toString(Blockly.COLLAPSE_CHARS);
+  if (location.field) {
+    return Blockly.Msg.KEYBOARD_NAV_FIELD
+        .replace('%1', location.field.getText())
+        .replace('%2', blockText);
+  }
+  var connection = location.connection;
+  if (connection == block.previousConnection) {
+    return Blockly.Msg.KEYBOARD_NAV_BEFORE.replace('%1', blockText);
+  } else if (connection == block.nextConnection) {
+    return Blockly.Msg.KEYBOARD_NAV_AFTER.replace('%1', blockText);
+  }
+  var target = connection.targetBlock();
+  return Blockly.Msg.KEYBOARD_NAV_INPUT
+      .replace('%1', target ? target.toString(Blockly.COLLAPSE_CHARS) : '?')
+      .replace('%2', blockText);
+};
+
+/**
+ * Have a screen reader read out some text.
+ * @param {string} text The text.
+ * @private
+ */
+Blockly.Navigation.announce_ = function(text) {
+  if (Blockly.Navigation.liveRegion_) {
+    goog.dom.setTextContent(Blockly.Navigation.liveRegion_, text);
+  }
+};
@@ -114,7 +114,7 @@ Blockly.Realtime.initializeModel_ = function(model) {
  * @param {!Blockly.Block} block The block to remove.
  */
 Blockly.Realtime.removeBlock = function(block) {
-  Blockly.Realtime.blocksMap_.delete(block.id.toString());
+  Blockly.Realtime.blocksMap_.delete(block.id);
 };
 
 /**
@@ -139,11 +139,12 @@ Blockly.Realtime.removeTopBlock = function(block) {
  * Obtain a newly created block known by the Realtime API.
  * @param {!Blockly.Workspace} workspace The workspace to put the block in.
  * @param {string} prototypeName The name of the prototype for the block
+ * @param {string=} opt_id Optional ID to give the block if it is not taken.
  * @return {!Blockly.Block}
  */
-Blockly.Realtime.obtainBlock = function(workspace, prototypeName) {
-  var newBlock =
-      Blockly.Realtime.model_.create(Blockly.Block, workspace, prototypeName);
+Blockly.Realtime.obtainBlock = function(workspace, prototypeName, opt_id) {
+  var newBlock = Blockly.Realtime.model_.create(Blockly.Block, workspace,
+      prototypeName, opt_id);
   return newBlock;
 };
 
@@ -291,16 +292,7 @@ Blockly.Realtime.deleteBlock = function(block) {
  * @private
  */
 Blockly.Realtime.loadBlocks_ = function() {
-  var blocks = Blockly.Realtime.blocksMap_.values();
-  for (var i = 0; i < blocks.length; i++) {
-    var block = blocks[i];
-    // Since we now have blocks with already existing ids, we have to make sure
-    // that new blocks don't get any of the existing ids.
-    var blockIdNum = parseInt(block.id, 10);
-    if (blockIdNum > Blockly.getUidCounter()) {
-      Blockly.setUidCounter(blockIdNum + 1);
-    }
-  }
+  // Block ids are globally unique, so new blocks cannot clash with these.
   var topBlocks = Blockly.Realtime.topBlocks_;
   for (var j = 0; j < topBlocks.length; j++) {
     var topBlock = topBlocks.get(j);
@@ -333,8 +325,7 @@ Blockly.Realtime.blockChanged = function(block) {
       changed = true;
     }
     if (changed) {
-      var blockId = rootBlock.id.toString();
-      Blockly.Realtime.blocksMap_.set(blockId, rootBlock);
+      Blockly.Realtime.blocksMap_.set(rootBlock.id, rootBlock);
     }
   }
 };
@@ -0,0 +1,680 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Renderers lay out and draw the shape of blocks.  The
+ * geometry of the shape (spacing, notches, tabs and corners) is held by the
+ * renderer, so a different look may be had by overriding its constants, or
+ * its drawing methods in a subclass:
+ *   Blockly.Renderer.register('chunky', new Blockly.Renderer({
+ *     'SEP_SPACE_X': 12,
+ *     'NOTCH_PATH_LEFT': 'l 6,11 10,0 6,-11'
+ *   }));
+ * The renderer is chosen with the 'renderer' option of Blockly.inject, or
+ * changed at any time with Blockly.setRenderer.
+ */
+'use strict';
+
+goog.provide('Blockly.Renderer');
+
+goog.require('Blockly.BlockSvg');
+goog.require('goog.object');
+
+
+/**
+ * Class for a renderer.
+ * @param {Object=} opt_geometry Constants to override, e.g. {'TAB_WIDTH': 10}.
+ *     Path constants built from other constants (e.g. TAB_PATH_DOWN) are not
+ *     rebuilt, so override them as well.
+ * @constructor
+ */
+Blockly.Renderer = function(opt_geometry) {
+  if (opt_geometry) {
+    goog.object.extend(this, opt_geometry);
+  }
+};
+
+// Geometry of the blocks.  The defaults are the Blockly.BlockSvg constants,
+// by which the fields, icons and flyouts are laid out as well.
+Blockly.Renderer.prototype.SEP_SPACE_X = Blockly.BlockSvg.SEP_SPACE_X;
+Blockly.Renderer.prototype.SEP_SPACE_Y = Blockly.BlockSvg.SEP_SPACE_Y;
+Blockly.Renderer.prototype.INLINE_PADDING_Y = Blockly.BlockSvg.INLINE_PADDING_Y;
+Blockly.Renderer.prototype.MIN_BLOCK_Y = Blockly.BlockSvg.MIN_BLOCK_Y;
+Blockly.Renderer.prototype.MIN_INLINE_BLOCK_Y =
+    Blockly.BlockSvg.MIN_INLINE_BLOCK_Y;
+Blockly.Renderer.prototype.TAB_HEIGHT = Blockly.BlockSvg.TAB_HEIGHT;
+Blockly.Renderer.prototype.TAB_WIDTH = Blockly.BlockSvg.TAB_WIDTH;
+Blockly.Renderer.prototype.NOTCH_WIDTH = Blockly.BlockSvg.NOTCH_WIDTH;
+Blockly.Renderer.prototype.CORNER_RADIUS = Blockly.BlockSvg.CORNER_RADIUS;
+Blockly.Renderer.prototype.FIELD_HEIGHT = Blockly.BlockSvg.FIELD_HEIGHT;
+Blockly.Renderer.prototype.NOTCH_PATH_LEFT = Blockly.BlockSvg.NOTCH_PATH_LEFT;
+Blockly.Renderer.prototype.NOTCH_PATH_RIGHT = Blockly.BlockSvg.NOTCH_PATH_RIGHT;
+Blockly.Renderer.prototype.JAGGED_TEETH = Blockly.BlockSvg.JAGGED_TEETH;
+Blockly.Renderer.prototype.JAGGED_TEETH_HEIGHT =
+    Blockly.BlockSvg.JAGGED_TEETH_HEIGHT;
+Blockly.Renderer.prototype.TAB_PATH_DOWN = Blockly.BlockSvg.TAB_PATH_DOWN;
+Blockly.Renderer.prototype.TOP_LEFT_CORNER_START =
+    Blockly.BlockSvg.TOP_LEFT_CORNER_START;
+Blockly.Renderer.prototype.TOP_LEFT_CORNER = Blockly.BlockSvg.TOP_LEFT_CORNER;
+Blockly.Renderer.prototype.INNER_TOP_LEFT_CORNER =
+    Blockly.BlockSvg.INNER_TOP_LEFT_CORNER;
+Blockly.Renderer.prototype.INNER_BOTTOM_LEFT_CORNER =
+    Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER;
+
+/**
+ * Renderers by name.
+ * @type {!Object.<string, !Blockly.Renderer>}
+ * @private
+ */
+Blockly.Renderer.registry_ = {};
+
+/**
+ * Make a renderer available by name, e.g. to the 'renderer' option of
+ * Blockly.inject.
+ * @param {string} name Name of the renderer.
+ * @param {!Blockly.Renderer} renderer The renderer.
+ */
+Blockly.Renderer.register = function(name, renderer) {
+  Blockly.Renderer.registry_[name] = renderer;
+};
+
+/**
+ * Find a renderer.
+ * @param {string|!Blockly.Renderer} renderer Name of a registered renderer,
+ *     or the renderer itself.
+ * @return {!Blockly.Renderer} The renderer.
+ */
+Blockly.Renderer.get = function(renderer) {
+  if (renderer instanceof Blockly.Renderer) {
+    return renderer;
+  }
+  if (!Blockly.Renderer.registry_.hasOwnProperty(renderer)) {
+    throw 'Unknown renderer: ' + renderer;
+  }
+  return Blockly.Renderer.registry_[renderer];
+};
+
+/**
+ * The renderer of the original block shapes.
+ * @type {!Blockly.Renderer}
+ */
+Blockly.Renderer.CLASSIC = new Blockly.Renderer();
+Blockly.Renderer.register('classic', Blockly.Renderer.CLASSIC);
+
+/**
+ * Change the renderer of all blocks, and draw them again.
+ * @param {string|!Blockly.Renderer} renderer Name of a registered renderer,
+ *     or the renderer itself.
+ */
+Blockly.setRenderer = function(renderer) {
+  Blockly.renderer = Blockly.Renderer.get(renderer);
+  Blockly.redrawBlocks_();
+};
+
+
+/**
+ * Render a list of fields starting at the specified location.
+ * @param {!Array.<!Blockly.Field>} fieldList List of fields.
+ * @param {number} cursorX X-coordinate to start the fields.
+ * @param {number} cursorY Y-coordinate to start the fields.
+ * @param {number} rowHeight row height.
+ * @return {number} X-coordinate of the end of the field row (plus a gap).
+ * @private
+ */
+Blockly.Renderer.prototype.renderFields_ = function(fieldList,
+    cursorX, cursorY, rowHeight) {
+  for (var t = 0, field; field = fieldList[t]; t++) {
+    // Get the dimensions of the field.
+    if (field.isTextInput && fieldList.length ==1)
+      cursorX -= 4;
+    var fieldSize = field.getSize();
+    var fieldWidth = fieldSize.width;
+    var fieldY = cursorY + (rowHeight - fieldSize.height) / 2;
+
+    field.getRootElement().setAttribute('transform',
+        'translate(' + cursorX + ', ' + fieldY + ')');
+    if (fieldWidth) {
+      cursorX += fieldWidth + this.SEP_SPACE_X;
+    }
+    if (field.isTextInput && fieldList.length ==1)
+      cursorX += 4;
+  }
+  return Blockly.RTL ? -cursorX : cursorX;
+};
+
+/**
+ * Computes the height and widths for each row and field.
+ * @param {!Blockly.BlockSvg} svg Block to render.
+ * @param {number} iconWidth Offset of first row due to icons.
+ * @return {!Array.<!Array.<!Object>>} 2D array of objects, each containing
+ *     position information.
+ */
+Blockly.Renderer.prototype.compute = function(svg, iconWidth) {
+  var inputList = svg.block_.inputList;
+  var inputRows = [];
+  inputRows.rightEdge = iconWidth + this.SEP_SPACE_X * 2;
+  if (svg.block_.previousConnection || svg.block_.nextConnection) {
+    inputRows.rightEdge = Math.max(inputRows.rightEdge,
+        this.NOTCH_WIDTH + this.SEP_SPACE_X);
+  }
+  var fieldValueWidth = 0;  // Width of longest external value field.
+  var fieldStatementWidth = 0;  // Width of longest statement field.
+  var hasValue = false;
+  var hasStatement = false;
+  var hasDummy = false;
+  var lastType = undefined;
+  var isInline = svg.block_.inputsInline && !svg.block_.isCollapsed();
+  for (var i = 0, input; input = inputList[i]; i++) {
+    if (!input.isVisible()) {
+      continue;
+    }
+    var row;
+    if (!isInline || !lastType ||
+        lastType == Blockly.NEXT_STATEMENT ||
+        input.type == Blockly.NEXT_STATEMENT) {
+      // Create new row.
+      lastType = input.type;
+      row = [];
+      if (isInline && input.type != Blockly.NEXT_STATEMENT) {
+        row.type = Blockly.BlockSvg.INLINE;
+      } else {
+        row.type = input.type;
+      }
+      row.height = 0;
+      inputRows.push(row);
+    } else {
+      row = inputRows[inputRows.length - 1];
+    }
+    row.push(input);
+
+    // Compute minimum input size.
+    if (input.sourceBlock_.outputConnection)
+      input.renderHeight = this.MIN_INLINE_BLOCK_Y;
+    else
+      input.renderHeight = this.MIN_BLOCK_Y;
+    // The width is currently only needed for inline value inputs.
+    if (isInline && input.type == Blockly.INPUT_VALUE) {
+      input.renderWidth = this.TAB_WIDTH +
+          this.SEP_SPACE_X;
+    } else {
+      input.renderWidth = 0;
+    }
+    // Expand input size if there is a connection.
+    if (input.connection && input.connection.targetConnection) {
+      var linkedBlock = input.connection.targetBlock();
+      var bBox = linkedBlock.getHeightWidth();
+      input.renderHeight = this.MIN_INLINE_BLOCK_Y;
+      input.renderHeight = Math.max(input.renderHeight, bBox.height + 1);
+      input.renderWidth = Math.max(input.renderWidth, bBox.width);
+    }
+
+    row.height = Math.max(row.height, input.renderHeight);
+    input.fieldWidth = 0;
+    if (inputRows.length == 1) {
+      // The first row gets shifted to accommodate any icons.
+      input.fieldWidth += Blockly.RTL ? -iconWidth : iconWidth;
+    }
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (j != 0) {
+        input.fieldWidth += this.SEP_SPACE_X;
+      }
+      // Get the dimensions of the field.
+      var fieldSize = field.getSize();
+      input.fieldWidth += fieldSize.width;
+      row.height = Math.max(row.height, fieldSize.height);
+    }
+
+    if (row.type != Blockly.BlockSvg.INLINE) {
+      if (row.type == Blockly.NEXT_STATEMENT) {
+        hasStatement = true;
+        fieldStatementWidth = Math.max(fieldStatementWidth, input.fieldWidth);
+      } else {
+        if (row.type == Blockly.INPUT_VALUE) {
+          hasValue = true;
+        } else if (row.type == Blockly.DUMMY_INPUT) {
+          hasDummy = true;
+        }
+        fieldValueWidth = Math.max(fieldValueWidth, input.fieldWidth);
+      }
+    }
+  }
+
+  // Make inline rows a bit thicker in order to enclose the values.
+  for (var y = 0, row; row = inputRows[y]; y++) {
+    row.thicker = false;
+    if (row.type == Blockly.BlockSvg.INLINE) {
+      for (var z = 0, input; input = row[z]; z++) {
+        if (input.type == Blockly.INPUT_VALUE) {
+          row.height += 2 * this.INLINE_PADDING_Y;
+          row.thicker = true;
+          break;
+        }
+      }
+    }
+    svg.height = row.height;
+  }
+
+  // Compute the statement edge.
+  // This is the width of a block where statements are nested.
+  inputRows.statementEdge = 2 * this.SEP_SPACE_X +
+      fieldStatementWidth;
+  // Compute the preferred right edge.  Inline blocks may extend beyond.
+  // This is the width of the block where external inputs connect.
+  if (hasStatement) {
+    inputRows.rightEdge = Math.max(inputRows.rightEdge,
+        inputRows.statementEdge + this.NOTCH_WIDTH);
+  }
+  if (hasValue) {
+    inputRows.rightEdge = Math.max(inputRows.rightEdge, fieldValueWidth +
+        this.SEP_SPACE_X * 2 + this.TAB_WIDTH);
+  } else if (hasDummy) {
+    inputRows.rightEdge = Math.max(inputRows.rightEdge, fieldValueWidth +
+        this.SEP_SPACE_X * 2);
+  }
+
+  inputRows.hasValue = hasValue;
+  inputRows.hasStatement = hasStatement;
+  inputRows.hasDummy = hasDummy;
+  return inputRows;
+};
+
+
+/**
+ * Draw the path of the block.
+ * Move the fields to the correct locations.
+ * @param {!Blockly.BlockSvg} svg Block to render.
+ * @param {number} iconWidth Offset of first row due to icons.
+ * @param {!Array.<!Array.<!Object>>} inputRows 2D array of objects, each
+ *     containing position information.
+ */
+Blockly.Renderer.prototype.draw = function(svg, iconWidth, inputRows) {
+  // Should the top and bottom left corners be rounded or square?
+  if (svg.block_.outputConnection) {
+    svg.squareTopLeftCorner_ = true;
+    svg.squareBottomLeftCorner_ = true;
+    svg.squareTopLeftCorner_ = false;
+    svg.squareBottomLeftCorner_ = false;
+    // If this block is in the middle of a stack, square the corners.
+    if (svg.block_.previousConnection) {
+      var prevBlock = svg.block_.previousConnection.targetBlock();
+      if (prevBlock && prevBlock.nextConnection &&
+          prevBlock.nextConnection.targetConnection ==
+          svg.block_.previousConnection) {
+        svg.squareTopLeftCorner_ = true;
+       }
+    }
+    if (svg.block_.nextConnection) {
+      var nextBlock = svg.block_.nextConnection.targetBlock();
+      if (nextBlock && nextBlock.previousConnection &&
+          nextBlock.previousConnection.targetConnection ==
+          svg.block_.nextConnection) {
+        svg.squareBottomLeftCorner_ = true;
+      }
+    }
+  }
+
+  // Fetch the block's coordinates on the surface for use in anchoring
+  // the connections.
+  var connectionsXY = svg.block_.getRelativeToSurfaceXY();
+
+  // Assemble the block's path.
+  var steps = [];
+  var inlineSteps = [];
+  // The highlighting applies to edges facing the upper-left corner.
+  // Since highlighting is a two-pixel wide border, it would normally overhang
+  // the edge of the block by a pixel. So undersize all measurements by a pixel.
+
+  this.drawTop_(svg, steps, connectionsXY,
+      inputRows.rightEdge);
+  var cursorY = this.drawRight_(svg, steps, inlineSteps,
+      connectionsXY, inputRows, iconWidth);
+  this.drawBottom_(svg, steps, connectionsXY, cursorY);
+  this.drawLeft_(svg, steps, connectionsXY, cursorY);
+
+  var pathString = steps.join(' ') + '\n' + inlineSteps.join(' ');
+  svg.svgPath_.setAttribute('d', pathString);
+  svg.svgPathDark_.setAttribute('d', pathString);
+  if (svg.block_.outputConnection)
+    svg.svgPathLight_.setAttribute('d', pathString);
+};
+
+/**
+ * Render the top edge of the block.
+ * @param {!Blockly.BlockSvg} svg Block to render.
+ * @param {!Array.<string>} steps Path of block outline.
+ * @param {!Object} connectionsXY Location of block.
+ * @param {number} rightEdge Minimum width of block.
+ * @private
+ */
+Blockly.Renderer.prototype.drawTop_ =
+    function(svg, steps, connectionsXY, rightEdge) {
+  // Position the cursor at the top-left starting point.
+//if (svg.squareTopLeftCorner_) {
+  if (true) {
+    steps.push('m 0,0');
+  } else {
+    steps.push(this.TOP_LEFT_CORNER_START);
+    // Top-left rounded corner.
+    steps.push(this.TOP_LEFT_CORNER);
+  }
+  if (Blockly.BROKEN_CONTROL_POINTS) {
+    /* HACK:
+     WebKit bug 67298 causes control points to be included in the reported
+     bounding box.  Add 5px control point to the top of the path.
+    */
+   steps.push('c 0,5 0,-5 0,0');
+  }
+
+  // Top edge.
+  if (svg.block_.previousConnection) {
+    steps.push('H', 0);
+    steps.push(this.NOTCH_PATH_LEFT);
+    // Create previous block connection.
+    var connectionX = connectionsXY.x + this.NOTCH_WIDTH;
+    var connectionY = connectionsXY.y;
+    svg.block_.previousConnection.moveTo(connectionX, connectionY);
+    // This connection will be tightened when the parent renders.
+  } else if (!svg.block_.outputConnection && svg.block_.nextConnection) {
+    steps.push('c', '20,-10 40,-10 60,-5');
+    steps.push('c', '15,5 30,5 40,5');
+  }
+  //steps.push('H', rightEdge);
+};
+
+/**
+ * Render the right edge of the block.
+ * @param {!Blockly.BlockSvg} svg Block to render.
+ * @param {!Array.<string>} steps Path of block outline.
+ * @param {!Array.<string>} inlineSteps Inline block outlines.
+ * @param {!Object} connectionsXY Location of block.
+ * @param {!Array.<!Array.<!Object>>} inputRows 2D array of objects, each
+ *     containing position information.
+ * @param {number} iconWidth Offset of first row due to icons.
+ * @return {number} Height of block.
+ * @private
+ */
+Blockly.Renderer.prototype.drawRight_ = function(svg, steps,
+    inlineSteps, connectionsXY, inputRows, iconWidth) {
+  var cursorX;
+  var cursorY = 0;
+  var connectionX, connectionY;
+  var blockWidth;
+  for (var y = 0, row; row = inputRows[y]; y++) {
+    cursorX = this.SEP_SPACE_X;
+    if (y == 0) {
+      cursorX += Blockly.RTL ? -iconWidth : iconWidth;
+    }
+    if (y == 0 && svg.block_.outputConnection) {
+      if (row[0].type == Blockly.INPUT_VALUE)
+        cursorX -= row.height/2 + 3;
+      else
+        cursorX -= row.height/2 - 3;
+    } else if (y != 0) {
+      cursorX += 33;
+      cursorY -=2;
+    } else {
+      cursorX += 20;
+    };
+    if (svg.block_.isCollapsed()) {
+      // Jagged right edge.
+      var input = row[0];
+      var fieldX = cursorX;
+      var fieldY = cursorY + this.FIELD_HEIGHT;
+      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
+      steps.push(this.JAGGED_TEETH);
+      var remainder = row.height - this.JAGGED_TEETH_HEIGHT;
+      steps.push('v', remainder);
+    } else if (row.type == Blockly.BlockSvg.INLINE) {
+      // Inline inputs.
+      for (var x = 0, input; input = row[x]; x++) {
+        var fieldX = cursorX;
+        var fieldY = cursorY + this.FIELD_HEIGHT;
+        // TODO: Align inline field rows (left/right/centre).
+        cursorX -= 0;
+        cursorX = this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
+        if (input.type != Blockly.DUMMY_INPUT) {
+          cursorX += input.renderWidth + this.SEP_SPACE_X;
+        }
+        if (input.type == Blockly.INPUT_VALUE) {
+          var r = input.renderHeight/2;
+          var l = input.renderWidth;
+          var inputType = input.connection.check_ ? input.connection.check_[0] : "null";
+          var inlineCursorY = cursorY + (row.height - 2*r)/2 - 1;
+          if (inputType.toUpperCase() == "BOOLEAN") {
+              inlineSteps.push('M', (cursorX - this.SEP_SPACE_X - r) +
+                               ',' + (inlineCursorY + 0.5));
+              inlineSteps.push('h', -l + 2*r);
+              inlineSteps.push('l', '-' + r + ',' + r + ' ' + r + ',' + r);
+              inlineSteps.push('h', l - 2*r);
+              inlineSteps.push('l', r + ',-' + r + ' -' + r + ',-' + r);
+              inlineSteps.push('z');
+          } else {
+              inlineSteps.push('M', (cursorX - this.SEP_SPACE_X - r) +
+                               ',' +( inlineCursorY + 0.5));
+              inlineSteps.push('h', -l + 2*r);
+              inlineSteps.push('a', r + ',' + r + ' 0 1,0 0,' + 2*r);
+              inlineSteps.push('h', l - 2*r);
+              inlineSteps.push('a', r + ',' + r + ' 0 1,0 0,-' + 2*r);
+              inlineSteps.push('z');
+          };
+          // Create inline input connection.
+          connectionX = connectionsXY.x + cursorX - this.SEP_SPACE_X
+              -this.TAB_WIDTH-input.renderWidth +8+ r;
+          connectionY = connectionsXY.y + inlineCursorY + 1;
+          input.connection.moveTo(connectionX, connectionY);
+          if (input.connection.targetConnection) {
+            input.connection.tighten_();
+          }
+        }
+      }
+
+      cursorX = Math.max(cursorX, inputRows.rightEdge);
+      blockWidth = cursorX;
+      if (svg.block_.outputConnection) {
+        var r = row.height/2;
+        svg.r_ = r;
+        if (svg.block_.outputConnection.check_[0].toUpperCase() == "BOOLEAN") {
+          steps.push('H', cursorX - r);
+          steps.push('l', r + ',' + r + ' -' + r + ',' + r);
+        } else {
+          steps.push('H', cursorX - r - 4);
+          steps.push('a', r + ',' + r + ' 0 1,1 0,' + 2*r);
+        }
+
+      } else {
+        if (y==0)
+          svg.blockInlineWidth_ = cursorX;
+        if (svg.blockInlineWidth_)
+          cursorX = svg.blockInlineWidth_;
+        var r = row.height/2;
+        steps.push('H', cursorX - r - 4);
+        steps.push('a', r + ',' + r + ' 0 0,1 0,' + 2*r);
+      }
+    } else if (row.type == Blockly.INPUT_VALUE) {
+      // External input.
+      var input = row[0];
+      var fieldX = cursorX;
+      var fieldY = cursorY + this.FIELD_HEIGHT;
+      if (input.align != Blockly.ALIGN_LEFT) {
+        var fieldRightX = inputRows.rightEdge - input.fieldWidth -
+            this.TAB_WIDTH - 2 * this.SEP_SPACE_X;
+        if (input.align == Blockly.ALIGN_RIGHT) {
+          fieldX += fieldRightX;
+        } else if (input.align == Blockly.ALIGN_CENTRE) {
+          fieldX += (fieldRightX + fieldX) / 2;
+        }
+      }
+      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
+      steps.push(this.TAB_PATH_DOWN);
+      steps.push('v', row.height - this.TAB_HEIGHT);
+      // Create external input connection.
+      connectionX = connectionsXY.x +
+          (Blockly.RTL ? -inputRows.rightEdge - 1 : inputRows.rightEdge + 1);
+      connectionY = connectionsXY.y + cursorY + 1;
+      input.connection.moveTo(connectionX, connectionY);
+      if (input.connection.targetConnection) {
+        input.connection.tighten_();
+      }
+    } else if (row.type == Blockly.DUMMY_INPUT) {
+      // External naked field.
+      var input = row[0];
+      var fieldX = cursorX;
+      var fieldY = cursorY + this.FIELD_HEIGHT;
+      if (input.align != Blockly.ALIGN_LEFT) {
+        var fieldRightX = inputRows.rightEdge - input.fieldWidth -
+            2 * this.SEP_SPACE_X;
+        if (inputRows.hasValue) {
+          fieldRightX -= this.TAB_WIDTH;
+        }
+        if (input.align == Blockly.ALIGN_RIGHT) {
+          fieldX += fieldRightX;
+        } else if (input.align == Blockly.ALIGN_CENTRE) {
+          fieldX += (fieldRightX + fieldX) / 2;
+        }
+      }
+      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
+      steps.push('v', row.height);
+    } else if (row.type == Blockly.NEXT_STATEMENT) {
+      // Nested statement.
+      var input = row[0];
+      if (y == 0) {
+        // If the first input is a statement stack, add a small row on top.
+        steps.push('v', this.SEP_SPACE_Y);
+        cursorY += this.SEP_SPACE_Y;
+      }
+      var fieldX = cursorX;
+      var fieldY = cursorY + this.FIELD_HEIGHT;
+      if (input.align != Blockly.ALIGN_LEFT) {
+        var fieldRightX = inputRows.statementEdge - input.fieldWidth -
+            2 * this.SEP_SPACE_X;
+        if (input.align == Blockly.ALIGN_RIGHT) {
+          fieldX += fieldRightX;
+        } else if (input.align == Blockly.ALIGN_CENTRE) {
+          fieldX += (fieldRightX + fieldX) / 2;
+        }
+      }
+      this.renderFields_(input.fieldRow, fieldX, fieldY, row.height);
+      cursorX = inputRows.statementEdge + this.NOTCH_WIDTH;
+
+        var r = row.height/2;
+      steps.push('H', cursorX + 6);
+      steps.push(this.INNER_TOP_LEFT_CORNER);
+//    steps.push('v', row.height - 2 * this.CORNER_RADIUS);
+      steps.push('v', row.height- 9);
+      steps.push(this.INNER_BOTTOM_LEFT_CORNER);
+//    steps.push('H', inputRows.rightEdge);
+      steps.push('H', 22);
+      steps.push(this.NOTCH_PATH_LEFT);
+      if (svg.blockInlineWidth_)
+        steps.push('H', svg.blockInlineWidth_ - row.height /3);
+      else
+        steps.push('H', blockWidth);
+      // Create statement connection.
+      connectionX = connectionsXY.x + (Blockly.RTL ? -cursorX : cursorX) + 6;
+      connectionY = connectionsXY.y + cursorY + 3;
+      if (y != 0)
+        connectionY -= 0;
+      cursorY -= 3;
+      input.connection.moveTo(connectionX, connectionY);
+      if (input.connection.targetConnection) {
+        input.connection.tighten_();
+      }
+      if (y == inputRows.length - 1 ||
+          inputRows[y + 1].type == Blockly.NEXT_STATEMENT) {
+        // If the final input is a statement stack, add a small row underneath.
+        // Consecutive statement stacks are also separated by a small divider.
+        steps.push('a', 8 + ',' + 8 + ' 0 0,1 0,' + 2*8);
+        cursorY += this.SEP_SPACE_Y + 1;
+      }
+    }
+    cursorY += row.height;
+  }
+  if (!inputRows.length) {
+    cursorY = this.MIN_BLOCK_Y;
+    steps.push('V', cursorY);
+  }
+  return cursorY;
+};
+
+/**
+ * Render the bottom edge of the block.
+ * @param {!Blockly.BlockSvg} svg Block to render.
+ * @param {!Array.<string>} steps Path of block outline.
+ * @param {!Object} connectionsXY Location of block.
+ * @param {number} cursorY Height of block.
+ * @private
+ */
+Blockly.Renderer.prototype.drawBottom_ = function(svg, steps,
+                                                   connectionsXY, cursorY) {
+  if (svg.block_.nextConnection) {
+    steps.push('H', this.NOTCH_WIDTH + ' ' +
+        this.NOTCH_PATH_RIGHT);
+    // Create next block connection.
+    var connectionX;
+    connectionX = connectionsXY.x + this.NOTCH_WIDTH;
+    var connectionY = connectionsXY.y + cursorY + 1;
+    svg.block_.nextConnection.moveTo(connectionX, connectionY);
+    if (svg.block_.nextConnection.targetConnection) {
+      svg.block_.nextConnection.tighten_();
+    }
+  }
+
+  if (Blockly.BROKEN_CONTROL_POINTS) {
+    /* HACK:
+     WebKit bug 67298 causes control points to be included in the reported
+     bounding box.  Add 5px control point to the bottom of the path.
+    */
+   steps.push('c 0,5 0,-5 0,0');
+  }
+  // Should the bottom-left corner be rounded or square?
+//if (svg.squareBottomLeftCorner_) {
+  if (true) {
+    steps.push('H 0');
+  } else {
+    steps.push('H', this.CORNER_RADIUS);
+    steps.push('a', this.CORNER_RADIUS + ',' +
+               this.CORNER_RADIUS + ' 0 0,1 -' +
+               this.CORNER_RADIUS + ',-' +
+               this.CORNER_RADIUS);
+  }
+};
+
+/**
+ * Render the left edge of the block.
+ * @param {!Blockly.BlockSvg} svg Block to render.
+ * @param {!Array.<string>} steps Path of block outline.
+ * @param {!Object} connectionsXY Location of block.
+ * @param {number} cursorY Height of block.
+ * @private
+ */
+Blockly.Renderer.prototype.drawLeft_ = function(svg, steps,
+                                                 connectionsXY, cursorY) {
+  if (svg.block_.outputConnection) {
+    // Create output connection.
+    svg.block_.outputConnection.moveTo(connectionsXY.x, connectionsXY.y);
+    // This connection will be tightened when the parent renders.
+    var r = svg.r_;
+    if (svg.block_.outputConnection.check_[0].toUpperCase() == "BOOLEAN") {
+      steps.push('l', '-' + r + ',-' + r + ' ' + r + ',-' + r);
+    } else {
+      steps.push('a', r + ',' + r + ' 0 1,1 0,-' + 2*r);
+    }
+  }  steps.push('z');
+};
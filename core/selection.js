@@ -0,0 +1,502 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Selection of several blocks of the main workspace at once.
+ *   Shift-click      Add a block to the selection, or remove it.
+ *   Shift-drag       Draw a rectangle on the workspace to add the stacks it
+ *                    touches to the selection.
+ * Dragging a selected block drags the other selected stacks with it, and
+ * delete, cut, copy, paste, disable and collapse apply to every selected
+ * block.  Blockly.selected is the block that was selected last: the one that
+ * is dragged, and whose context menu is shown.
+ */
+'use strict';
+
+goog.provide('Blockly.Selection');
+
+goog.require('Blockly.Events');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.dom');
+
+
+/**
+ * Blocks selected along with Blockly.selected, in the order they were
+ * selected.
+ * @type {!Array.<!Blockly.Block>}
+ * @private
+ */
+Blockly.Selection.others_ = [];
+
+/**
+ * Rectangle being dragged across the workspace, or null.
+ * @type {Element}
+ * @private
+ */
+Blockly.Selection.band_ = null;
+
+/**
+ * Corner of the rectangle where the drag started, in SVG coordinates.
+ * @type {Object}
+ * @private
+ */
+Blockly.Selection.bandStart_ = null;
+
+/**
+ * Stacks being dragged along with Blockly.selected, and where they started.
+ * @type {!Array.<!{block: !Blockly.Block, x: number, y: number}>}
+ * @private
+ */
+Blockly.Selection.dragged_ = [];
+
+/**
+ * Get the selected blocks.
+ * @return {!Array.<!Blockly.Block>} Blockly.selected, then the other selected
+ *     blocks.
+ */
+Blockly.Selection.getBlocks = function() {
+  var blocks = Blockly.Selection.others_.slice();
+  if (Blockly.selected) {
+    blocks.unshift(Blockly.selected);
+  }
+  return blocks;
+};
+
+/**
+ * Is a block selected?
+ * @param {!Blockly.Block} block The block.
+ * @return {boolean} True if the block is Blockly.selected or one of the other
+ *     selected blocks.
+ */
+Blockly.Selection.contains = function(block) {
+  return block == Blockly.selected ||
+      goog.array.contains(Blockly.Selection.others_, block);
+};
+
+/**
+ * Add a block to the selection, keeping the blocks that are already selected.
+ * The block becomes Blockly.selected.
+ * @param {!Blockly.Block} block The block.
+ */
+Blockly.Selection.add = function(block) {
+  var others = Blockly.Selection.getBlocks();
+  goog.array.remove(others, block);
+  Blockly.Selection.select_(block, others);
+};
+
+/**
+ * Remove a block from the selection.  If it was Blockly.selected, the block
+ * selected before it takes its place.
+ * @param {!Blockly.Block} block The block.
+ */
+Blockly.Selection.remove = function(block) {
+  if (block == Blockly.selected) {
+    var others = Blockly.Selection.others_;
+    Blockly.Selection.others_ = [];
+    if (others.length) {
+      Blockly.Selection.select_(others.pop(), others);
+    } else {
+      block.unselect();
+    }
+  } else if (goog.array.remove(Blockly.Selection.others_, block)) {
+    block.svg_.removeSelect();
+    Blockly.fireUiEvent(block.workspace.getCanvas(), 'blocklySelectChange');
+  }
+};
+
+/**
+ * Select a block, and highlight other blocks as selected along with it.
+ * @param {!Blockly.Block} block Block to become Blockly.selected.
+ * @param {!Array.<!Blockly.Block>} others The other selected blocks.
+ * @private
+ */
+Blockly.Selection.select_ = function(block, others) {
+  // Selecting the block unselects the others; they are selected again below.
+  Blockly.Selection.others_ = [];
+  block.select();
+  Blockly.Selection.others_ = others;
+  for (var i = 0; i < others.length; i++) {
+    others[i].svg_.addSelect();
+  }
+  if (others.length) {
+    Blockly.fireUiEvent(block.workspace.getCanvas(), 'blocklySelectChange');
+  }
+};
+
+/**
+ * Unhighlight the blocks selected along with Blockly.selected, when it is
+ * unselected.
+ * @private
+ */
+Blockly.Selection.clear_ = function() {
+  var others = Blockly.Selection.others_;
+  Blockly.Selection.others_ = [];
+  for (var i = 0; i < others.length; i++) {
+    if (others[i].svg_) {
+      others[i].svg_.removeSelect();
+    }
+  }
+};
+
+/**
+ * Forget a block that is being disposed of.  If it was Blockly.selected, the
+ * block selected before it takes its place.
+ * @param {!Blockly.Block} block The block.
+ * @private
+ */
+Blockly.Selection.forget_ = function(block) {
+  goog.array.remove(Blockly.Selection.others_, block);
+  if (!Blockly.selected && Blockly.Selection.others_.length) {
+    Blockly.selected = Blockly.Selection.others_.pop();
+  }
+};
+
+/**
+ * Get the selected blocks that are not copied or deleted along with another
+ * selected block, i.e. those not plugged (directly or further down) into a
+ * selected block's inputs.  A block underneath a selected block in a stack
+ * is included, since the block above is copied without the blocks below it.
+ * @return {!Array.<!Blockly.Block>} The blocks, in the order of selection.
+ * @private
+ */
+Blockly.Selection.getRoots_ = function() {
+  var blocks = Blockly.Selection.getBlocks();
+  var roots = [];
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var child = block;
+    var parent = block.getParent();
+    while (parent && !(Blockly.Selection.contains(parent) &&
+        !(parent.nextConnection &&
+          parent.nextConnection.targetBlock() == child))) {
+      child = parent;
+      parent = parent.getParent();
+    }
+    if (!parent) {
+      roots.push(block);
+    }
+  }
+  return roots;
+};
+
+/**
+ * Get the selected blocks that the user may delete, copy or cut, leaving out
+ * those that go along with another selected block.
+ * @return {!Array.<!Blockly.Block>} The blocks.
+ */
+Blockly.Selection.getDeletable = function() {
+  var roots = Blockly.Selection.getRoots_();
+  var blocks = [];
+  for (var i = 0, block; block = roots[i]; i++) {
+    if (block.isDeletable()) {
+      blocks.push(block);
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Delete the selected blocks that may be deleted.  Blocks underneath them in
+ * their stacks move up to take their place.
+ */
+Blockly.Selection.deleteBlocks = function() {
+  var blocks = Blockly.Selection.getDeletable();
+  for (var i = 0, block; block = blocks[i]; i++) {
+    // Skip blocks that were deleted along with their stack.
+    if (block.workspace) {
+      block.dispose(true, true);
+    }
+  }
+};
+
+/**
+ * Disable or enable every selected block.
+ * @param {boolean} disabled True to disable.
+ */
+Blockly.Selection.setDisabled = function(disabled) {
+  var blocks = Blockly.Selection.getBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    blocks[i].setDisabled(disabled);
+  }
+};
+
+/**
+ * Collapse or expand every selected block.
+ * @param {boolean} collapsed True to collapse.
+ */
+Blockly.Selection.setCollapsed = function(collapsed) {
+  var blocks = Blockly.Selection.getBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    blocks[i].setCollapsed(collapsed);
+  }
+};
+
+/**
+ * Show the context menu for the selection, instead of that of
+ * Blockly.selected.
+ * @param {!Object} xy Coordinates of mouse click, contains x and y properties.
+ * @private
+ */
+Blockly.Selection.showContextMenu_ = function(xy) {
+  var blocks = Blockly.Selection.getBlocks();
+  var deletable = Blockly.Selection.getDeletable();
+  var options = [];
+
+  // Count the blocks that would be copied or deleted.
+  var count = 0;
+  for (var i = 0, block; block = deletable[i]; i++) {
+    count += block.getDescendants().length;
+    if (block.nextConnection && block.nextConnection.targetConnection) {
+      // Blocks in the current stack would survive this block's deletion.
+      count -= block.nextConnection.targetBlock().getDescendants().length;
+    }
+  }
+
+  var copyOption = {
+    text: Blockly.Msg.CONTEXT_BLOCK_COPY,
+    enabled: count > 0 && count <= Blockly.mainWorkspace.remainingCapacity(),
+    callback: function() {
+      Blockly.copy_(deletable);
+    }
+  };
+  options.push(copyOption);
+
+  var hasCollapsed = false;
+  var hasExpanded = false;
+  var hasEnabled = false;
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (block.isCollapsed()) {
+      hasCollapsed = true;
+    } else {
+      hasExpanded = true;
+    }
+    if (!block.disabled) {
+      hasEnabled = true;
+    }
+  }
+  if (Blockly.collapse) {
+    options.push({
+      text: Blockly.Msg.COLLAPSE_ALL,
+      enabled: hasExpanded,
+      callback: function() {
+        Blockly.Selection.setCollapsed(true);
+      }
+    });
+    options.push({
+      text: Blockly.Msg.EXPAND_ALL,
+      enabled: hasCollapsed,
+      callback: function() {
+        Blockly.Selection.setCollapsed(false);
+      }
+    });
+  }
+
+  // Disable the blocks unless they all are disabled already.
+  var disableOption = {
+    text: (hasEnabled ? Blockly.Msg.DISABLE_X_BLOCKS :
+        Blockly.Msg.ENABLE_X_BLOCKS).replace('%1', blocks.length),
+    enabled: true,
+    callback: function() {
+      Blockly.Selection.setDisabled(hasEnabled);
+      Blockly.Host.notifyChange();
+    }
+  };
+  options.push(disableOption);
+
+  var deleteOption = {
+    text: count == 1 ? Blockly.Msg.DELETE_BLOCK :
+        Blockly.Msg.DELETE_X_BLOCKS.replace('%1', count),
+    enabled: count > 0,
+    callback: function() {
+      Blockly.Selection.deleteBlocks();
+      Blockly.Host.notifyChange();
+    }
+  };
+  options.push(deleteOption);
+
+  Blockly.ContextMenu.show(xy, options);
+};
+
+/**
+ * Start dragging the selected stacks along with Blockly.selected, which has
+ * just been pulled from its parent.  Only movable blocks at the top of a
+ * stack are dragged; selected blocks plugged into other blocks stay put.
+ * @param {!Blockly.Block} block The block being dragged.
+ * @private
+ */
+Blockly.Selection.startDrag_ = function(block) {
+  Blockly.Selection.dragged_ = [];
+  var blocks = Blockly.Selection.getBlocks();
+  for (var i = 0, other; other = blocks[i]; i++) {
+    if (other != block && !other.getParent() && other.isMovable() &&
+        other.workspace == block.workspace) {
+      var xy = other.getRelativeToSurfaceXY();
+      other.recordBubbles_();
+      other.setDragging_(true);
+      Blockly.Selection.dragged_.push({block: other, x: xy.x, y: xy.y});
+    }
+  }
+};
+
+/**
+ * Move the dragged stacks by the distance that Blockly.selected has moved.
+ * @param {number} dx Horizontal distance, in workspace units.
+ * @param {number} dy Vertical distance, in workspace units.
+ * @private
+ */
+Blockly.Selection.drag_ = function(dx, dy) {
+  for (var i = 0, data; data = Blockly.Selection.dragged_[i]; i++) {
+    data.block.svg_.getRootElement().setAttribute('transform',
+        'translate(' + (data.x + dx) + ', ' + (data.y + dy) + ')');
+    data.block.moveBubbles_(dx, dy);
+  }
+};
+
+/**
+ * Get the stacks being dragged along with Blockly.selected.
+ * @return {!Array.<!Blockly.Block>} The top blocks of the stacks.
+ * @private
+ */
+Blockly.Selection.getDragged_ = function() {
+  var blocks = [];
+  for (var i = 0, data; data = Blockly.Selection.dragged_[i]; i++) {
+    blocks.push(data.block);
+  }
+  return blocks;
+};
+
+/**
+ * Drop the dragged stacks where they are.
+ * @private
+ */
+Blockly.Selection.endDrag_ = function() {
+  var dragged = Blockly.Selection.dragged_;
+  Blockly.Selection.dragged_ = [];
+  for (var i = 0, data; data = dragged[i]; i++) {
+    var block = data.block;
+    if (!block.workspace) {
+      continue;
+    }
+    var xy = block.getRelativeToSurfaceXY();
+    block.moveConnections_(xy.x - data.x, xy.y - data.y);
+    block.workspace.fireEvent(new Blockly.Events.Move(block,
+        Blockly.Events.Move.topLocation({x: data.x, y: data.y}),
+        Blockly.Events.Move.topLocation(xy)));
+    delete block.draggedBubbles_;
+    block.setDragging_(false);
+    goog.Timer.callOnce(block.bumpNeighbours_, Blockly.BUMP_DELAY, block);
+  }
+};
+
+/**
+ * Start drawing a rectangle on the workspace.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Selection.startBand_ = function(e) {
+  Blockly.Selection.bandStart_ = Blockly.mouseToSvg(e);
+  Blockly.Selection.band_ = Blockly.createSvgElement('rect',
+      {'class': 'blocklySelectionBand', 'width': 0, 'height': 0},
+      Blockly.svg);
+  Blockly.Selection.onMouseMove(e);
+};
+
+/**
+ * Get the rectangle between where the drag started and the mouse.
+ * @param {!Event} e Mouse event.
+ * @return {!Object} Rectangle with x, y, width and height properties, in SVG
+ *     coordinates.
+ * @private
+ */
+Blockly.Selection.bandRect_ = function(e) {
+  var start = Blockly.Selection.bandStart_;
+  var xy = Blockly.mouseToSvg(e);
+  return {
+    x: Math.min(start.x, xy.x),
+    y: Math.min(start.y, xy.y),
+    width: Math.abs(xy.x - start.x),
+    height: Math.abs(xy.y - start.y)
+  };
+};
+
+/**
+ * Resize the rectangle being drawn, if any, to follow the mouse.
+ * @param {!Event} e Mouse move event.
+ * @return {boolean} True if a rectangle is being drawn.
+ */
+Blockly.Selection.onMouseMove = function(e) {
+  if (!Blockly.Selection.band_) {
+    return false;
+  }
+  Blockly.removeAllRanges();
+  var rect = Blockly.Selection.bandRect_(e);
+  for (var property in rect) {
+    Blockly.Selection.band_.setAttribute(property, rect[property]);
+  }
+  return true;
+};
+
+/**
+ * Finish drawing a rectangle, if any, and select the stacks it touches.
+ * @param {!Event} e Mouse up event.
+ */
+Blockly.Selection.onMouseUp = function(e) {
+  if (!Blockly.Selection.band_) {
+    return;
+  }
+  var rect = Blockly.Selection.bandRect_(e);
+  goog.dom.removeNode(Blockly.Selection.band_);
+  Blockly.Selection.band_ = null;
+  Blockly.Selection.bandStart_ = null;
+  var blocks = Blockly.Selection.getBlocksInRect(Blockly.mainWorkspace, rect);
+  for (var i = 0; i < blocks.length; i++) {
+    if (!Blockly.Selection.contains(blocks[i])) {
+      Blockly.Selection.add(blocks[i]);
+    }
+  }
+};
+
+/**
+ * Find the stacks of a workspace that touch a rectangle.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Object} rect Rectangle with x, y, width and height properties, in
+ *     SVG coordinates.
+ * @return {!Array.<!Blockly.Block>} The top blocks of the stacks, from top to
+ *     bottom.
+ */
+Blockly.Selection.getBlocksInRect = function(workspace, rect) {
+  // Convert the rectangle into workspace units.
+  var left = (rect.x - workspace.scrollX) / workspace.scale;
+  var top = (rect.y - workspace.scrollY) / workspace.scale;
+  var right = left + rect.width / workspace.scale;
+  var bottom = top + rect.height / workspace.scale;
+  var found = [];
+  var blocks = workspace.getTopBlocks(true);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var xy = block.getRelativeToSurfaceXY();
+    var size = block.getHeightWidth();
+    var blockLeft = Blockly.RTL ? xy.x - size.width : xy.x;
+    if (blockLeft <= right && blockLeft + size.width >= left &&
+        xy.y <= bottom && xy.y + size.height >= top) {
+      found.push(block);
+    }
+  }
+  return found;
+};
@@ -0,0 +1,236 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Themes define the colours of blocks by category, the font of
+ * their labels, and the colours of the workspace, flyouts and toolbox.  The
+ * theme is chosen with the 'theme' option of Blockly.inject, or changed at
+ * any time with Blockly.setTheme:
+ *   Blockly.Theme.register(new Blockly.Theme('dusk', {
+ *     'categoryColours': {'logic': '#4a6cd4', 'loops': '#3c9a3c'},
+ *     'workspaceColour': '#223'
+ *   }));
+ *   Blockly.setTheme('dusk');
+ */
+'use strict';
+
+goog.provide('Blockly.Theme');
+
+goog.require('Blockly.Css');
+goog.require('goog.color');
+
+
+/**
+ * Class for a theme.  Any option that is left out keeps the look of the
+ * stylesheet in Blockly.Css.
+ * @param {string} name Name of the theme.
+ * @param {Object=} opt_options Dictionary of options:
+ *     categoryColours: Colours (hue or '#rrggbb') of the blocks of each
+ *         category, by the names in Blockly.Theme.CATEGORY_HUES.
+ *     saturation, value: Saturation and value (0-1) of the other hues.
+ *         Default to Blockly.HSV_SATURATION and Blockly.HSV_VALUE.
+ *     fontFamily, fontSize, textColour: Font of the block labels.
+ *     outlineColour, selectedColour: Outline of blocks and of the selection.
+ *     workspaceColour: Background of the workspace.
+ *     flyoutColour, flyoutOpacity: Background of the flyouts.
+ *     toolboxColour, toolboxTextColour: Background and labels of the toolbox.
+ * @constructor
+ */
+Blockly.Theme = function(name, opt_options) {
+  var options = opt_options || {};
+  this.name = name;
+  this.categoryColours_ = options['categoryColours'] || {};
+  this.saturation_ = options['saturation'];
+  this.value_ = options['value'];
+  this.fontFamily_ = options['fontFamily'];
+  this.fontSize_ = options['fontSize'];
+  this.textColour_ = options['textColour'];
+  this.outlineColour_ = options['outlineColour'];
+  this.selectedColour_ = options['selectedColour'];
+  this.workspaceColour_ = options['workspaceColour'];
+  this.flyoutColour_ = options['flyoutColour'];
+  this.flyoutOpacity_ = options['flyoutOpacity'];
+  this.toolboxColour_ = options['toolboxColour'];
+  this.toolboxTextColour_ = options['toolboxTextColour'];
+};
+
+/**
+ * The hue with which the blocks of each category are made.  A theme's
+ * category colours replace these hues.  Add the categories of custom blocks
+ * here to let themes colour them too.
+ * @type {!Object.<string, number>}
+ */
+Blockly.Theme.CATEGORY_HUES = {
+  'colour': 20,
+  'lists': 260,
+  'logic': 210,
+  'loops': 120,
+  'math': 230,
+  'procedures': 290,
+  'text': 160,
+  'variables': 330
+};
+
+/**
+ * Get the colour of blocks with a hue.
+ * @param {number|string} colour Hue on a colour wheel (0-360), or an RGB
+ *     code which is used as it is.
+ * @return {string} RGB code, e.g. '#5ba65b'.
+ */
+Blockly.Theme.prototype.getColour = function(colour) {
+  if (typeof colour != 'number') {
+    return colour;
+  }
+  for (var category in Blockly.Theme.CATEGORY_HUES) {
+    if (Blockly.Theme.CATEGORY_HUES[category] == colour &&
+        this.categoryColours_.hasOwnProperty(category)) {
+      colour = this.categoryColours_[category];
+      if (typeof colour != 'number') {
+        return colour;
+      }
+      break;
+    }
+  }
+  var saturation = this.saturation_ === undefined ?
+      Blockly.HSV_SATURATION : this.saturation_;
+  var value = this.value_ === undefined ? Blockly.HSV_VALUE : this.value_;
+  return goog.color.hsvToHex(colour, saturation, value * 256);
+};
+
+/**
+ * Get the stylesheet of this theme, which overrides that of Blockly.Css.
+ * @return {string} CSS text.
+ */
+Blockly.Theme.prototype.getCss = function() {
+  var rules = [];
+  function rule(selector, properties) {
+    var declarations = [];
+    for (var property in properties) {
+      if (properties[property] !== undefined) {
+        declarations.push('  ' + property + ': ' + properties[property] + ';');
+      }
+    }
+    if (declarations.length) {
+      rules.push(selector + ' {', declarations.join('\n'), '}');
+    }
+  }
+  rule('.blocklySvg', {'background-color': this.workspaceColour_});
+  rule('.blocklyText', {
+    'font-family': this.fontFamily_,
+    'font-size': this.fontSize_,
+    'fill': this.textColour_
+  });
+  rule('.blocklyPath', {
+    'stroke': this.outlineColour_,
+    'stroke-width': this.outlineColour_ && '1px'
+  });
+  rule('.blocklySelected>.blocklyPath', {
+    'stroke': this.selectedColour_,
+    'stroke-width': this.selectedColour_ && '3px'
+  });
+  rule('.blocklyFlyoutBackground', {
+    'fill': this.flyoutColour_,
+    'fill-opacity': this.flyoutOpacity_
+  });
+  rule('.blocklyToolboxDiv', {'background-color': this.toolboxColour_});
+  rule('.blocklyTreeLabel', {'color': this.toolboxTextColour_});
+  return rules.join('\n');
+};
+
+/**
+ * Themes by name.
+ * @type {!Object.<string, !Blockly.Theme>}
+ * @private
+ */
+Blockly.Theme.registry_ = {};
+
+/**
+ * Make a theme available by its name, e.g. to the 'theme' option of
+ * Blockly.inject.
+ * @param {!Blockly.Theme} theme The theme.
+ */
+Blockly.Theme.register = function(theme) {
+  Blockly.Theme.registry_[theme.name] = theme;
+};
+
+/**
+ * Find a theme.
+ * @param {string|!Blockly.Theme} theme Name of a registered theme, or the
+ *     theme itself.
+ * @return {!Blockly.Theme} The theme.
+ */
+Blockly.Theme.get = function(theme) {
+  if (theme instanceof Blockly.Theme) {
+    return theme;
+  }
+  if (!Blockly.Theme.registry_.hasOwnProperty(theme)) {
+    throw 'Unknown theme: ' + theme;
+  }
+  return Blockly.Theme.registry_[theme];
+};
+
+/**
+ * The original look of Blockly.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.CLASSIC = new Blockly.Theme('classic');
+Blockly.Theme.register(Blockly.Theme.CLASSIC);
+
+/**
+ * Dark, saturated blocks with large white labels on a black workspace.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.HIGH_CONTRAST = new Blockly.Theme('highcontrast', {
+  'categoryColours': {
+    'colour': '#a33000',
+    'lists': '#5c2d91',
+    'logic': '#0b4f9c',
+    'loops': '#1e6b1e',
+    'math': '#283593',
+    'procedures': '#7b1fa2',
+    'text': '#00695c',
+    'variables': '#ad1457'
+  },
+  'saturation': 0.9,
+  'value': 0.45,
+  'fontSize': '11pt',
+  'textColour': '#fff',
+  'outlineColour': '#fff',
+  'selectedColour': '#ff0',
+  'workspaceColour': '#000',
+  'flyoutColour': '#333',
+  'flyoutOpacity': 1,
+  'toolboxColour': '#000',
+  'toolboxTextColour': '#fff'
+});
+Blockly.Theme.register(Blockly.Theme.HIGH_CONTRAST);
+
+/**
+ * Change the theme, and recolour and draw all blocks again.
+ * @param {string|!Blockly.Theme} theme Name of a registered theme, or the
+ *     theme itself.
+ */
+Blockly.setTheme = function(theme) {
+  Blockly.theme = Blockly.Theme.get(theme);
+  if (Blockly.svg) {
+    Blockly.Css.injectTheme(Blockly.theme.getCss());
+  }
+  Blockly.redrawBlocks_();
+};
@@ -26,8 +26,10 @@
 
 goog.provide('Blockly.Toolbox');
 
+goog.require('Blockly.BlockSearch');
 goog.require('Blockly.Flyout');
 goog.require('goog.events.BrowserFeature');
+goog.require('goog.string');
 goog.require('goog.style');
 goog.require('goog.ui.tree.TreeControl');
 goog.require('goog.ui.tree.TreeNode');
@@ -84,6 +86,14 @@ Blockly.Toolbox.createDom = function(svg, container) {
   //Blockly.Toolbox.flyout_.hide = function() {};
   svg.appendChild(Blockly.Toolbox.flyout_.createDom());
 
+  /**
+   * @type {!Blockly.BlockSearch}
+   * @private
+   */
+  Blockly.Toolbox.search_ = new Blockly.BlockSearch(Blockly.Toolbox.flyout_,
+      Blockly.Toolbox.clearSelection);
+  Blockly.Toolbox.HtmlDiv.appendChild(Blockly.Toolbox.search_.createDom());
+
   // Clicking on toolbar closes popups.
   Blockly.bindEvent_(Blockly.Toolbox.HtmlDiv, 'mousedown', null,
       function(e) {
@@ -112,6 +122,13 @@ Blockly.Toolbox.init = function() {
   tree.setShowExpandIcons(false);
   tree.setSelectedItem(null);
 
+  // Fire a resize event since the toolbox may have changed width.
+  var resize = function() {
+    Blockly.fireUiEvent(window, 'resize');
+  };
+  goog.events.listen(tree, goog.ui.tree.BaseNode.EventType.EXPAND, resize);
+  goog.events.listen(tree, goog.ui.tree.BaseNode.EventType.COLLAPSE, resize);
+
   Blockly.Toolbox.HtmlDiv.style.display = 'block';
   Blockly.Toolbox.flyout_.init(Blockly.mainWorkspace, true);
   Blockly.Toolbox.populate_();
@@ -146,13 +163,39 @@ Blockly.Toolbox.position_ = function() {
 };
 
 /**
- * Fill the toolbox with categories and blocks.
+ * Fill the toolbox with categories and blocks, replacing any categories it
+ * already has.  Categories may have these attributes besides their name:
+ *   colour    Hue (0-360) or '#rrggbb' colour shown beside the name.
+ *   icon      URL of an image shown before the name.
+ *   hidden    'true' to leave the category out.
+ *   disabled  'true' to show the category greyed out, without its blocks.
+ *   expanded  'true' to show the subcategories of a new category.
+ * The selected category, and any expanded categories, stay that way if they
+ * are still there.
  * @private
  */
 Blockly.Toolbox.populate_ = function() {
   var rootOut = Blockly.Toolbox.tree_;
+  var selected = rootOut.getSelectedItem();
+  var selectedPath = selected ? selected.path : null;
+  var expanded = {};
+  (function findExpanded(node) {
+    var children = node.getChildren();
+    for (var i = 0, child; child = children[i]; i++) {
+      if (child.getExpanded()) {
+        expanded[child.path] = true;
+      }
+      findExpanded(child);
+    }
+  })(rootOut);
+  rootOut.setSelectedItem(null);
+  while (rootOut.hasChildren()) {
+    rootOut.removeChild(rootOut.getChildAt(0));
+  }
+
   rootOut.blocks = [];
-  function syncTrees(treeIn, treeOut) {
+  var newSelection = null;
+  function syncTrees(treeIn, treeOut, path) {
     for (var i = 0, childIn; childIn = treeIn.childNodes[i]; i++) {
       if (!childIn.tagName) {
         // Skip over text.
@@ -160,36 +203,93 @@ Blockly.Toolbox.populate_ = function() {
       }
       var name = childIn.tagName.toUpperCase();
       if (name == 'CATEGORY') {
-        var childOut = rootOut.createNode(childIn.getAttribute('name'));
+        if (childIn.getAttribute('hidden') == 'true') {
+          continue;
+        }
+        var categoryName = childIn.getAttribute('name');
+        var childOut = rootOut.createNode(
+            Blockly.Toolbox.categoryHtml_(childIn));
+        childOut.path = path.concat(categoryName).join('\n');
+        childOut.disabled = childIn.getAttribute('disabled') == 'true';
         childOut.blocks = [];
         treeOut.add(childOut);
         var custom = childIn.getAttribute('custom');
-        if (custom) {
+        if (childOut.disabled) {
+          // A disabled category offers neither its blocks nor subcategories.
+        } else if (custom) {
           // Variables and procedures have special categories that are dynamic.
           childOut.blocks = custom;
         } else {
-          syncTrees(childIn, childOut);
+          syncTrees(childIn, childOut, path.concat(categoryName));
+        }
+        if (expanded[childOut.path] ||
+            (!(childOut.path in expanded) &&
+             childIn.getAttribute('expanded') == 'true')) {
+          childOut.setExpanded(true);
+        }
+        if (childOut.path === selectedPath && !childOut.disabled) {
+          newSelection = childOut;
         }
       } else if (name == 'BLOCK') {
         treeOut.blocks.push(childIn);
       }
     }
   }
-  syncTrees(Blockly.languageTree, Blockly.Toolbox.tree_);
+  syncTrees(Blockly.languageTree, Blockly.Toolbox.tree_, []);
 
   if (rootOut.blocks.length) {
     throw 'Toolbox cannot have both blocks and categories in the root level.';
   }
+  if (newSelection) {
+    rootOut.setSelectedItem(newSelection);
+  }
 
   // Fire a resize event since the toolbox may have changed width and height.
   Blockly.fireUiEvent(window, 'resize');
 };
 
+/**
+ * Rebuild the toolbox from Blockly.languageTree, after it has been replaced.
+ */
+Blockly.Toolbox.update = function() {
+  Blockly.Toolbox.populate_();
+  Blockly.Toolbox.search_.refresh();
+};
+
+/**
+ * Build the label of a category's row in the tree.
+ * @param {!Element} category The category's XML.
+ * @return {string} HTML of the label.
+ * @private
+ */
+Blockly.Toolbox.categoryHtml_ = function(category) {
+  var html = category.getAttribute('name');
+  var icon = category.getAttribute('icon');
+  if (icon) {
+    html = '<img class="blocklyTreeIconImage" src="' +
+        goog.string.htmlEscape(icon) + '"> ' + html;
+  }
+  var colour = category.getAttribute('colour');
+  if (colour) {
+    if (/^\d+$/.test(colour)) {
+      colour = Blockly.makeColour(Number(colour));
+    }
+    html = '<span class="blocklyTreeColour" style="background-color: ' +
+        goog.string.htmlEscape(colour) + '"></span>' + html;
+  }
+  if (category.getAttribute('disabled') == 'true') {
+    html = '<span class="blocklyTreeDisabled">' + html + '</span>';
+  }
+  return html;
+};
+
 /**
  * Unhighlight any previously specified option.
  */
 Blockly.Toolbox.clearSelection = function() {
   Blockly.Toolbox.tree_.setSelectedItem(null);
+  // Search results are shown without a selected category.
+  Blockly.Toolbox.flyout_.hide();
 };
 
 // Extending Closure's Tree UI.
@@ -257,10 +357,13 @@ Blockly.Toolbox.TreeControl.prototype.createNode = function(html) {
  * @override
  */
 Blockly.Toolbox.TreeControl.prototype.setSelectedItem = function(node) {
-  if (this.selectedItem_ == node) {
+  if (this.selectedItem_ == node || (node && node.disabled)) {
     return;
   }
   goog.ui.tree.TreeControl.prototype.setSelectedItem.call(this, node);
+  if (node) {
+    Blockly.Toolbox.search_.reset();
+  }
   if (node && node.blocks && node.blocks.length) {
     Blockly.Toolbox.flyout_.show(node.blocks);
   } else {
@@ -281,14 +384,6 @@ Blockly.Toolbox.TreeControl.prototype.setSelectedItem = function(node) {
  */
 Blockly.Toolbox.TreeNode = function(html, opt_config, opt_domHelper) {
   goog.ui.tree.TreeNode.call(this, html, opt_config, opt_domHelper);
-  var resize = function() {
-    Blockly.fireUiEvent(window, 'resize');
-  };
-  // Fire a resize event since the toolbox may have changed width.
-  goog.events.listen(Blockly.Toolbox.tree_,
-      goog.ui.tree.BaseNode.EventType.EXPAND, resize);
-  goog.events.listen(Blockly.Toolbox.tree_,
-      goog.ui.tree.BaseNode.EventType.COLLAPSE, resize);
 };
 goog.inherits(Blockly.Toolbox.TreeNode, goog.ui.tree.TreeNode);
 
@@ -317,6 +412,9 @@ Blockly.Toolbox.TreeNode.prototype.getExpandIconElement = function() {
  * @override
  */
 Blockly.Toolbox.TreeNode.prototype.onMouseDown = function(e) {
+  if (this.disabled) {
+    return;
+  }
   // Expand icon.
   if (this.hasChildren() && this.isUserCollapsible_) {
     this.toggle();
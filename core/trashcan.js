@@ -26,7 +26,10 @@
 
 goog.provide('Blockly.Trashcan');
 
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
 goog.require('goog.Timer');
+goog.require('goog.array');
 
 
 /**
@@ -36,8 +39,50 @@ goog.require('goog.Timer');
  */
 Blockly.Trashcan = function(workspace) {
   this.workspace_ = workspace;
+
+  /**
+   * XML text of the recently deleted stacks, newest first.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.contents_ = [];
+
+  /**
+   * Maximum number of deleted stacks to remember.
+   * @type {number}
+   * @private
+   */
+  this.maxContents_ = this.MAX_CONTENTS;
+
+  /**
+   * Flyout listing the deleted stacks.
+   * @type {Blockly.Flyout}
+   * @private
+   */
+  this.flyout_ = null;
+
+  /**
+   * Opaque data that can be passed to Blockly.unbindEvent_.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.bindData_ = [];
+
+  /**
+   * Change listener recording deleted stacks, for removeChangeListener.
+   * @type {Function}
+   * @private
+   */
+  this.deleteListener_ = null;
 };
 
+/**
+ * Default maximum number of deleted stacks to remember.
+ * @type {number}
+ * @const
+ */
+Blockly.Trashcan.prototype.MAX_CONTENTS = 32;
+
 /**
  * URL of the trashcan image (minus lid).
  * @type {string}
@@ -169,6 +214,19 @@ Blockly.Trashcan.prototype.createDom = function() {
   return this.svgGroup_;
 };
 
+/**
+ * Create the flyout that lists the deleted stacks.
+ * @return {!Element} The flyout's SVG group.
+ */
+Blockly.Trashcan.prototype.createFlyoutDom = function() {
+  this.flyout_ = new Blockly.Flyout();
+  this.flyout_.farSide = true;
+  var flyoutSvg = this.flyout_.createDom();
+  this.bindData_.push(Blockly.bindEvent_(flyoutSvg, 'mousewheel',
+      this.flyout_, Blockly.onMouseWheelFlyout_));
+  return flyoutSvg;
+};
+
 /**
  * Initialize the trash can.
  */
@@ -176,7 +234,27 @@ Blockly.Trashcan.prototype.init = function() {
   this.setOpen_(false);
   this.position_();
   // If the document resizes, reposition the trash can.
-  Blockly.bindEvent_(window, 'resize', this, this.position_);
+  this.bindData_.push(
+      Blockly.bindEvent_(window, 'resize', this, this.position_));
+  this.bindData_.push(Blockly.bindEvent_(this.svgGroup_, 'mousedown', this,
+      function(e) {
+        var wasOpen = this.isFlyoutOpen();
+        Blockly.hideChaff();
+        if (!Blockly.isRightButton(e) && !wasOpen) {
+          this.openFlyout();
+        }
+        // Don't start dragging the workspace.
+        e.stopPropagation();
+      }));
+  if (this.flyout_) {
+    this.flyout_.init(this.workspace_, true);
+  }
+  var trashcan = this;
+  this.deleteListener_ = this.workspace_.addChangeListener(function(event) {
+    if (event.type == Blockly.Events.DELETE) {
+      trashcan.add(event.oldXml);
+    }
+  });
 };
 
 /**
@@ -184,6 +262,18 @@ Blockly.Trashcan.prototype.init = function() {
  * Unlink from all DOM elements to prevent memory leaks.
  */
 Blockly.Trashcan.prototype.dispose = function() {
+  while (this.bindData_.length) {
+    Blockly.unbindEvent_(this.bindData_.pop());
+  }
+  if (this.deleteListener_) {
+    this.workspace_.removeChangeListener(this.deleteListener_);
+    this.deleteListener_ = null;
+  }
+  if (this.flyout_) {
+    this.flyout_.dispose();
+    this.flyout_ = null;
+  }
+  this.contents_.length = 0;
   if (this.svgGroup_) {
     goog.dom.removeNode(this.svgGroup_);
     this.svgGroup_ = null;
@@ -281,3 +371,103 @@ Blockly.Trashcan.prototype.animateLid_ = function() {
 Blockly.Trashcan.prototype.close = function() {
   this.setOpen_(false);
 };
+
+/**
+ * Remember a deleted stack of blocks.  A stack that is already in the trash
+ * can is moved to the front instead of being added twice.  The oldest stacks
+ * are forgotten once there are more than the maximum.
+ * @param {!Element} xml XML of the deleted stack.
+ */
+Blockly.Trashcan.prototype.add = function(xml) {
+  if (this.maxContents_ <= 0) {
+    return;
+  }
+  var text = Blockly.Trashcan.cleanXml_(xml);
+  goog.array.remove(this.contents_, text);
+  this.contents_.unshift(text);
+  this.contents_.length = Math.min(this.contents_.length, this.maxContents_);
+  if (this.isFlyoutOpen()) {
+    this.openFlyout();
+  }
+};
+
+/**
+ * Get the XML text of the remembered stacks, newest first.
+ * @return {!Array.<string>} Copy of the trash can's contents.
+ */
+Blockly.Trashcan.prototype.getContents = function() {
+  return [].concat(this.contents_);
+};
+
+/**
+ * Forget all the deleted stacks.
+ */
+Blockly.Trashcan.prototype.clear = function() {
+  this.contents_.length = 0;
+  this.closeFlyout();
+};
+
+/**
+ * Set how many deleted stacks to remember, forgetting the oldest ones if
+ * there are already more than that.  Zero switches remembering off.
+ * @param {number} max Maximum number of stacks.
+ */
+Blockly.Trashcan.prototype.setMaxContents = function(max) {
+  this.maxContents_ = Math.max(0, max);
+  this.contents_.length = Math.min(this.contents_.length, this.maxContents_);
+  if (!this.contents_.length) {
+    this.closeFlyout();
+  } else if (this.isFlyoutOpen()) {
+    this.openFlyout();
+  }
+};
+
+/**
+ * Is the flyout of deleted stacks showing?
+ * @return {boolean} True if open.
+ */
+Blockly.Trashcan.prototype.isFlyoutOpen = function() {
+  return !!this.flyout_ && this.flyout_.isVisible();
+};
+
+/**
+ * Show the deleted stacks in a flyout, from which they may be dragged back
+ * onto the workspace.  Does nothing if the trash can is empty.
+ */
+Blockly.Trashcan.prototype.openFlyout = function() {
+  if (!this.flyout_ || !this.contents_.length) {
+    return;
+  }
+  var xmlList = [];
+  for (var i = 0; i < this.contents_.length; i++) {
+    var xml = Blockly.Xml.textToDom('<xml>' + this.contents_[i] + '</xml>');
+    xmlList.push(xml.firstChild);
+  }
+  this.flyout_.show(xmlList);
+};
+
+/**
+ * Hide the flyout of deleted stacks.
+ */
+Blockly.Trashcan.prototype.closeFlyout = function() {
+  if (this.flyout_) {
+    this.flyout_.hide();
+  }
+};
+
+/**
+ * Convert a deleted stack to text, without the block ids, so that the same
+ * stack deleted twice produces the same text.
+ * @param {!Element} xml XML of the deleted stack.
+ * @return {string} Text of the stack.
+ * @private
+ */
+Blockly.Trashcan.cleanXml_ = function(xml) {
+  xml = xml.cloneNode(true);
+  xml.removeAttribute('id');
+  var blocks = xml.getElementsByTagName('block');
+  for (var i = 0; i < blocks.length; i++) {
+    blocks[i].removeAttribute('id');
+  }
+  return Blockly.Xml.domToText(xml);
+};
@@ -210,6 +210,19 @@ Blockly.getRelativeXY_ = function(element) {
   return xy;
 };
 
+/**
+ * Return the scale factor of an element's transform="scale(...)" attribute,
+ * such as the one applied to a zoomed workspace's canvas.
+ * @param {!Element} element Element to find the scale of.
+ * @return {number} Scale factor, 1 if the element is not scaled.
+ * @private
+ */
+Blockly.getScale_ = function(element) {
+  var transform = element.getAttribute('transform');
+  var r = transform && transform.match(/scale\(\s*([-\d.]+)/);
+  return r ? parseFloat(r[1]) : 1;
+};
+
 /**
  * Return the absolute coordinates of the top-left corner of this element.
  * The origin (0,0) is the top-left corner of the Blockly svg.
@@ -224,8 +237,9 @@ Blockly.getSvgXY_ = function(element) {
     do {
       // Loop through this block and every parent.
       var xy = Blockly.getRelativeXY_(element);
-      x += xy.x;
-      y += xy.y;
+      var scale = Blockly.getScale_(element);
+      x = x * scale + xy.x;
+      y = y * scale + xy.y;
       element = element.parentNode;
     } while (element && (element != Blockly.svg &&
                           element != Blockly.mainWorkspace.blockMenu.menuView_));
@@ -233,8 +247,9 @@ Blockly.getSvgXY_ = function(element) {
     do {
       // Loop through this block and every parent.
       var xy = Blockly.getRelativeXY_(element);
-      x += xy.x;
-      y += xy.y;
+      var scale = Blockly.getScale_(element);
+      x = x * scale + xy.x;
+      y = y * scale + xy.y;
       element = element.parentNode;
     } while (element && (element != Blockly.svg));
   }
@@ -423,3 +438,47 @@ Blockly.commonWordSuffix = function(array, opt_shortest) {
 Blockly.isNumber = function(str) {
   return !!str.match(/^\s*-?\d+(\.\d+)?\s*$/);
 };
+
+/**
+ * Generate a unique ID.  This should be globally unique.
+ * 62 characters ^ 22 length > 128 bits (better than a UUID).  Only letters
+ * and digits are used so that ids may be embedded in generated code without
+ * escaping (Blockly.Block.prototype.initialize replaces saved ids that
+ * could not be).
+ * @return {string}
+ */
+Blockly.genUid = function() {
+  var length = 22;
+  var soupLength = Blockly.genUid.soup_.length;
+  var id = [];
+  for (var i = 0; i < length; i++) {
+    id[i] = Blockly.genUid.soup_.charAt(Math.random() * soupLength);
+  }
+  return id.join('');
+};
+
+/**
+ * Legal characters for the unique ID.
+ * @private
+ */
+Blockly.genUid.soup_ = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' +
+    'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Block ids used to be numbered by a counter.  They are now random strings
+ * from Blockly.genUid, so there is no counter to read.
+ * @return {number} Always 0.
+ * @deprecated Block ids no longer need to be kept apart from saved ids.
+ */
+Blockly.getUidCounter = function() {
+  return 0;
+};
+
+/**
+ * Block ids used to be numbered by a counter.  They are now random strings
+ * from Blockly.genUid, so there is no counter to set.
+ * @param {number} val Ignored.
+ * @deprecated Block ids no longer need to be kept apart from saved ids.
+ */
+Blockly.setUidCounter = function(val) {
+};
@@ -41,15 +41,18 @@ Blockly.Variables.NAME_TYPE = 'VARIABLE';
 
 /**
  * Find all user-created variables.
- * @param {Blockly.Block=} opt_block Optional root block.
+ * @param {Blockly.Block|Blockly.Workspace=} opt_root Optional root block, or
+ *     workspace to search instead of the main workspace.
  * @return {!Array.<string>} Array of variable names.
  */
-Blockly.Variables.allVariables = function(opt_block) {
+Blockly.Variables.allVariables = function(opt_root) {
   var blocks;
-  if (opt_block) {
-    blocks = opt_block.getDescendants();
+  if (opt_root && opt_root.getDescendants) {
+    blocks = opt_root.getDescendants();
   } else {
-    blocks = Blockly.mainWorkspace.getAllBlocks();
+    var workspace = opt_root || Blockly.mainWorkspace;
+    // There is no main workspace when only headless workspaces are in use.
+    blocks = workspace ? workspace.getAllBlocks() : [];
   }
   var variableHash = Object.create(null);
   // Iterate through every block and add each variable to the hash.
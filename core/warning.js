@@ -38,7 +38,9 @@ goog.require('Blockly.Icon');
  */
 Blockly.Warning = function(block) {
   Blockly.Warning.superClass_.constructor.call(this, block);
-  this.createIcon_();
+  if (block.svg_) {
+    this.createIcon_();
+  }
 };
 goog.inherits(Blockly.Warning, Blockly.Icon);
 
@@ -29,6 +29,7 @@
 goog.provide('Blockly.WidgetDiv');
 
 goog.require('Blockly.Css');
+goog.require('Blockly.Host');
 goog.require('goog.dom');
 
 
@@ -59,8 +60,7 @@ Blockly.WidgetDiv.dispose_ = null;
  *   is closed.
  */
 Blockly.WidgetDiv.show = function(newField, dispose) {
-  if (typeof(Entry) == "object")
-    Entry.dispatchEvent("entryBlocklyChanged");
+  Blockly.Host.notifyChange();
   Blockly.WidgetDiv.hide();
   Blockly.WidgetDiv.field_ = newField;
   Blockly.WidgetDiv.dispose_ = dispose;
@@ -73,9 +73,8 @@ Blockly.WidgetDiv.show = function(newField, dispose) {
  */
 Blockly.WidgetDiv.hide = function() {
   if (Blockly.WidgetDiv.field_) {
-    if (typeof(Entry) == "object" &&
-        Blockly.WidgetDiv.initialValue != Blockly.WidgetDiv.field_.text_) {
-      Entry.dispatchEvent("cancelLastCommand");
+    if (Blockly.WidgetDiv.initialValue != Blockly.WidgetDiv.field_.text_) {
+      Blockly.Host.cancelLastCommand();
     }
     Blockly.WidgetDiv.DIV.style.display = 'none';
     Blockly.WidgetDiv.dispose_ && Blockly.WidgetDiv.dispose_();
@@ -28,9 +28,13 @@ goog.provide('Blockly.Workspace');
 
 // TODO(scr): Fix circular dependencies
 // goog.require('Blockly.Block');
+goog.require('Blockly.Events');
 goog.require('Blockly.ScrollbarPair');
+goog.require('Blockly.Selection');
 goog.require('Blockly.Trashcan');
 goog.require('Blockly.Xml');
+goog.require('Blockly.ZoomControls');
+goog.require('goog.array');
 
 
 /**
@@ -54,6 +58,32 @@ Blockly.Workspace = function(getMetrics, setMetrics) {
   /** @type {number} */
   this.maxBlocks = Infinity;
 
+  /**
+   * Groups of operations that may be undone, oldest first.
+   * @type {!Array.<!Array.<!Object>>}
+   * @private
+   */
+  this.undoStack_ = [];
+  /**
+   * Groups of operations that have been undone and may be redone.
+   * @type {!Array.<!Array.<!Object>>}
+   * @private
+   */
+  this.redoStack_ = [];
+
+  /**
+   * Functions to call with each event.
+   * @type {!Array.<!Function>}
+   * @private
+   */
+  this.listeners_ = [];
+  /**
+   * Events waiting to be passed to the listeners.
+   * @type {!Array.<!Blockly.Events.Abstract>}
+   * @private
+   */
+  this.eventQueue_ = [];
+
   Blockly.ConnectionDB.init(this);
 };
 
@@ -65,6 +95,11 @@ Blockly.Workspace = function(getMetrics, setMetrics) {
  */
 Blockly.Workspace.SCAN_ANGLE = 3;
 
+/**
+ * Maximum number of groups of operations kept in the undo history.
+ */
+Blockly.Workspace.MAX_UNDO = 1024;
+
 /**
  * Can this workspace be dragged around (true) or is it fixed (false)?
  * @type {boolean}
@@ -83,12 +118,25 @@ Blockly.Workspace.prototype.scrollX = 0;
  */
 Blockly.Workspace.prototype.scrollY = 0;
 
+/**
+ * Current zoom factor.  Block coordinates are multiplied by the scale to get
+ * pixels on screen.
+ * @type {number}
+ */
+Blockly.Workspace.prototype.scale = 1;
+
 /**
  * The workspace's trashcan (if any).
  * @type {Blockly.Trashcan}
  */
 Blockly.Workspace.prototype.trashcan = null;
 
+/**
+ * The workspace's zoom controls (if any).
+ * @type {Blockly.ZoomControls}
+ */
+Blockly.Workspace.prototype.zoomControls = null;
+
 /**
  * PID of upcoming firing of a change event.  Used to fire only one event
  * after multiple changes.
@@ -97,12 +145,65 @@ Blockly.Workspace.prototype.trashcan = null;
  */
 Blockly.Workspace.prototype.fireChangeEventPid_ = null;
 
+/**
+ * PID of upcoming passing of queued events to the change listeners.
+ * @type {?number}
+ * @private
+ */
+Blockly.Workspace.prototype.fireEventPid_ = null;
+
+/**
+ * Does this workspace record block operations for undo and redo?
+ * @type {boolean}
+ */
+Blockly.Workspace.prototype.undoable = false;
+
+/**
+ * The group of operations currently being recorded, or null if the next
+ * operation starts a new group.
+ * @type {Array.<!Object>}
+ * @private
+ */
+Blockly.Workspace.prototype.undoGroup_ = null;
+
+/**
+ * PID of upcoming closing of the current undo group.
+ * @type {?number}
+ * @private
+ */
+Blockly.Workspace.prototype.undoGroupPid_ = null;
+
+/**
+ * Number of nested calls which have paused the recording of operations.
+ * @type {number}
+ * @private
+ */
+Blockly.Workspace.prototype.undoPaused_ = 0;
+
 /**
  * This workspace's scrollbars, if they exist.
  * @type {Blockly.ScrollbarPair}
  */
 Blockly.Workspace.prototype.scrollbar = null;
 
+/**
+ * Is this workspace drawn on screen?  False for a headless workspace.
+ * @type {boolean}
+ */
+Blockly.Workspace.prototype.rendered = true;
+
+/**
+ * Create a workspace that is never drawn: no SVG, scrollbars, flyout or
+ * trashcan.  Blocks may still be loaded from XML or JSON, edited and passed
+ * to a code generator, e.g. to grade submissions on a server.
+ * @return {!Blockly.Workspace} The headless workspace.
+ */
+Blockly.Workspace.createHeadless = function() {
+  var workspace = new Blockly.Workspace(null, null);
+  workspace.rendered = false;
+  return workspace;
+};
+
 /**
  * Create the trash can elements.
  * @return {!Element} The workspace's SVG group.
@@ -137,6 +238,10 @@ Blockly.Workspace.prototype.dispose = function() {
     this.trashcan.dispose();
     this.trashcan = null;
   }
+  if (this.zoomControls) {
+    this.zoomControls.dispose();
+    this.zoomControls = null;
+  }
 };
 
 /**
@@ -147,10 +252,25 @@ Blockly.Workspace.prototype.addTrashcan = function() {
     this.trashcan = new Blockly.Trashcan(this);
     var svgTrashcan = this.trashcan.createDom();
     this.svgGroup_.insertBefore(svgTrashcan, this.svgBlockCanvas_);
+    // The flyout of deleted blocks goes on top of the workspace.
+    goog.dom.insertSiblingAfter(this.trashcan.createFlyoutDom(),
+        this.svgGroup_);
     this.trashcan.init();
   }
 };
 
+/**
+ * Add the zoom in, zoom out and reset buttons.
+ */
+Blockly.Workspace.prototype.addZoomControls = function() {
+  if (Blockly.zoomOptions.controls) {
+    this.zoomControls = new Blockly.ZoomControls(this);
+    var svgZoomControls = this.zoomControls.createDom();
+    this.svgGroup_.appendChild(svgZoomControls);
+    this.zoomControls.init();
+  }
+};
+
 /**
  * Add a connection animation.
  */
@@ -250,7 +370,9 @@ Blockly.Workspace.prototype.getAllBlocks = function() {
  * Dispose of all blocks in workspace.
  */
 Blockly.Workspace.prototype.clear = function() {
-  Blockly.hideChaff();
+  if (this.rendered) {
+    Blockly.hideChaff();
+  }
   while (this.topBlocks_.length) {
     this.topBlocks_[0].dispose();
   }
@@ -286,7 +408,9 @@ Blockly.Workspace.prototype.getBlockById = function(id) {
 
 /**
  * Finds the block with the specified previous ID in this workspace.
- * @param {string} previous id ID of block to find.
+ * Blocks keep their saved ids when loaded, so this only differs from
+ * getBlockById for a block whose saved id was already taken.
+ * @param {string} previousId Saved ID of block to find.
  * @return {Blockly.Block} The matching block, or null if not found.
  */
 Blockly.Workspace.prototype.getBlockByPreviousId = function(previousId) {
@@ -316,18 +440,23 @@ Blockly.Workspace.prototype.getBlockByIdWithDeactivate = function(id) {
 Blockly.Workspace.prototype.setAllBlockDisable = function() {
   // If this O(n) function fails to scale well, maintain a hash table of IDs.
   var blocks = this.getAllBlocks();
+  // Locking the workspace is not an edit, keep it out of the undo history.
+  this.pauseUndo_(true);
   for (var x = 0, block; block = blocks[x]; x++) {
     block.setDisabled(true);
   }
+  this.pauseUndo_(false);
   return null;
 };
 
 Blockly.Workspace.prototype.setAllBlockAble = function() {
   // If this O(n) function fails to scale well, maintain a hash table of IDs.
   var blocks = this.getAllBlocks();
+  this.pauseUndo_(true);
   for (var x = 0, block; block = blocks[x]; x++) {
     block.setDisabled(false);
   }
+  this.pauseUndo_(false);
   return null;
 };
 
@@ -430,7 +559,8 @@ Blockly.Workspace.prototype.highlightBlock = function(id) {
  * edits, mutations, connections, etc.  Groups of simultaneous changes (e.g.
  * a tree of blocks being deleted) are merged into one event.
  * Applications may hook workspace changes by listening for
- * 'blocklyWorkspaceChange' on Blockly.mainWorkspace.getCanvas().
+ * 'blocklyWorkspaceChange' on Blockly.mainWorkspace.getCanvas().  For a
+ * description of each change, use addChangeListener instead.
  */
 Blockly.Workspace.prototype.fireChangeEvent = function() {
   if (this.fireChangeEventPid_) {
@@ -445,14 +575,370 @@ Blockly.Workspace.prototype.fireChangeEvent = function() {
 };
 
 /**
- * Paste the provided block onto the workspace.
- * @param {!Element} xmlBlock XML block element.
+ * Fire an event describing a change to a block in this workspace.  The event
+ * is recorded in the undo history (unless it is a UI event) and passed to
+ * each change listener once the current operation has completed.
+ * @param {!Blockly.Events.Abstract} event The event.
+ */
+Blockly.Workspace.prototype.fireEvent = function(event) {
+  if (!Blockly.Events.isEnabled() || this.isFlyout) {
+    return;
+  }
+  if (event.type != Blockly.Events.UI) {
+    this.recordUndo_(event);
+  }
+  if (!this.listeners_.length) {
+    return;
+  }
+  this.eventQueue_.push(event);
+  if (!this.fireEventPid_) {
+    var workspace = this;
+    this.fireEventPid_ = window.setTimeout(function() {
+        workspace.fireEventPid_ = null;
+        var queue = workspace.eventQueue_;
+        workspace.eventQueue_ = [];
+        // Copy the listeners, in case one of them removes itself.
+        var listeners = [].concat(workspace.listeners_);
+        for (var x = 0; x < queue.length; x++) {
+          for (var y = 0; y < listeners.length; y++) {
+            listeners[y](queue[x]);
+          }
+        }
+      }, 0);
+  }
+};
+
+/**
+ * Would an event fired on this workspace now be used, by a change listener
+ * or by the undo history?  Check before building events that are costly to
+ * describe, such as the creation or deletion of a tree of blocks.
+ * @return {boolean} True if events are wanted.
+ * @private
+ */
+Blockly.Workspace.prototype.isFiringEvents_ = function() {
+  return Blockly.Events.isEnabled() && !this.isFlyout &&
+      (this.listeners_.length > 0 || this.isRecordingUndo_());
+};
+
+/**
+ * When something in this workspace changes, call a function with an event
+ * describing the change.  Unlike Blockly.addChangeListener, every change is
+ * reported separately.
+ * @param {function(!Blockly.Events.Abstract)} func Function to call.
+ * @return {!Function} The function, which can be passed to
+ *     removeChangeListener.
+ */
+Blockly.Workspace.prototype.addChangeListener = function(func) {
+  this.listeners_.push(func);
+  return func;
+};
+
+/**
+ * Stop listening for this workspace's changes.
+ * @param {!Function} func Function to stop calling.
+ */
+Blockly.Workspace.prototype.removeChangeListener = function(func) {
+  goog.array.remove(this.listeners_, func);
+};
+
+/**
+ * Record an event in this workspace's undo history.  Events recorded while
+ * handling the same user action (or during one drag) are merged into one
+ * group, which is undone or redone as a unit.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.Workspace.prototype.recordUndo_ = function(event) {
+  if (!this.isRecordingUndo_()) {
+    return;
+  }
+  if (!this.undoGroup_) {
+    this.undoGroup_ = [];
+    this.undoStack_.push(this.undoGroup_);
+    if (this.undoStack_.length > Blockly.Workspace.MAX_UNDO) {
+      this.undoStack_.shift();
+    }
+    // A new change invalidates anything that was undone.
+    this.redoStack_.length = 0;
+    this.endUndoGroup_();
+  }
+  this.undoGroup_.push(event);
+};
+
+/**
+ * Are events currently being recorded in this workspace's undo history?
+ * @return {boolean} True if recording.
+ * @private
+ */
+Blockly.Workspace.prototype.isRecordingUndo_ = function() {
+  return this.undoable && !this.undoPaused_;
+};
+
+/**
+ * Close the current group of events once the current user action has been
+ * handled.  The group stays open while a block is being dragged; the end of
+ * the drag calls this again.
+ * @private
+ */
+Blockly.Workspace.prototype.endUndoGroup_ = function() {
+  if (!this.undoGroup_) {
+    return;
+  }
+  if (this.undoGroupPid_) {
+    window.clearTimeout(this.undoGroupPid_);
+  }
+  var workspace = this;
+  this.undoGroupPid_ = window.setTimeout(function() {
+      workspace.undoGroupPid_ = null;
+      if (Blockly.Block.dragMode_ == 0) {
+        workspace.undoGroup_ = null;
+      }
+    }, 0);
+};
+
+/**
+ * Pause or resume the recording of undo history.  Events are still fired.
+ * Calls may be nested.
+ * @param {boolean} paused True to pause, false to resume.
+ * @private
+ */
+Blockly.Workspace.prototype.pauseUndo_ = function(paused) {
+  this.undoPaused_ += paused ? 1 : -1;
+};
+
+/**
+ * Undo or redo the most recent group of changes.
+ * @param {boolean} redo False if undo, true if redo.
+ */
+Blockly.Workspace.prototype.undo = function(redo) {
+  if (Blockly.Block.dragMode_ != 0) {
+    // Don't pull blocks out from under a drag.
+    return;
+  }
+  if (this.undoGroupPid_) {
+    window.clearTimeout(this.undoGroupPid_);
+    this.undoGroupPid_ = null;
+  }
+  this.undoGroup_ = null;
+  var inputStack = redo ? this.redoStack_ : this.undoStack_;
+  var outputStack = redo ? this.undoStack_ : this.redoStack_;
+  var group = inputStack.pop();
+  if (!group) {
+    return;
+  }
+  Blockly.hideChaff();
+  if (Blockly.selected) {
+    Blockly.selected.unselect();
+  }
+  this.pauseUndo_(true);
+  try {
+    if (redo) {
+      for (var x = 0; x < group.length; x++) {
+        this.replayUndo_(group[x], true);
+      }
+    } else {
+      for (var x = group.length - 1; x >= 0; x--) {
+        this.replayUndo_(group[x], false);
+      }
+    }
+  } finally {
+    this.pauseUndo_(false);
+  }
+  outputStack.push(group);
+  this.fireChangeEvent();
+};
+
+/**
+ * Is there a group of changes which may be undone (or redone)?
+ * @param {boolean} redo False if undo, true if redo.
+ * @return {boolean} True if undo (or redo) would do something.
+ */
+Blockly.Workspace.prototype.canUndo = function(redo) {
+  return (redo ? this.redoStack_ : this.undoStack_).length > 0;
+};
+
+/**
+ * Forget all recorded changes.  Useful after loading a saved program.
+ */
+Blockly.Workspace.prototype.clearUndo = function() {
+  if (this.undoGroupPid_) {
+    window.clearTimeout(this.undoGroupPid_);
+    this.undoGroupPid_ = null;
+  }
+  this.undoGroup_ = null;
+  this.undoStack_.length = 0;
+  this.redoStack_.length = 0;
+};
+
+/**
+ * Apply one recorded event forwards (redo) or backwards (undo).
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @param {boolean} forward True to redo the event, false to undo it.
+ * @private
+ */
+Blockly.Workspace.prototype.replayUndo_ = function(event, forward) {
+  var block = this.getBlockById(event.blockId);
+  switch (event.type) {
+    case Blockly.Events.CREATE:
+    case Blockly.Events.DELETE:
+      if (forward == (event.type == Blockly.Events.CREATE)) {
+        // Rebuild the block from its saved XML.
+        var xml = event.type == Blockly.Events.CREATE ?
+            event.xml : event.oldXml;
+        var xy = event.type == Blockly.Events.CREATE ?
+            event.xy : event.oldXY;
+        // The saved ids are free again, so the rebuilt blocks keep them.
+        block = Blockly.Xml.domToBlock(this, xml);
+        this.placeBlock_(block, null, null, xy);
+      } else if (block) {
+        block.dispose(false, false);
+      }
+      break;
+    case Blockly.Events.MOVE:
+      if (block) {
+        if (forward) {
+          this.placeBlock_(block, event.newParentId, event.newInputName,
+                           event.newXY);
+        } else {
+          this.placeBlock_(block, event.oldParentId, event.oldInputName,
+                           event.oldXY);
+        }
+      }
+      break;
+    case Blockly.Events.CHANGE:
+      if (block) {
+        var value = forward ? event.newValue : event.oldValue;
+        if (event.element == 'field') {
+          block.setFieldValue(value, event.name);
+        } else if (event.element == 'disabled') {
+          block.setDisabled(value);
+        } else if (event.element == 'collapsed') {
+          block.setCollapsed(value);
+        } else if (event.element == 'mutation') {
+          this.replayMutation_(block, value,
+              forward ? event.newTargets_ : event.oldTargets_);
+        }
+      }
+      break;
+  }
+};
+
+/**
+ * Restore a block's mutation and the children plugged into its inputs.
+ * @param {!Blockly.Block} block The mutated block.
+ * @param {string} mutation Text of the mutation's XML.
+ * @param {!Array.<!Object>} targets Children, as returned by getInputTargets_.
+ * @private
+ */
+Blockly.Workspace.prototype.replayMutation_ = function(block, mutation,
+                                                        targets) {
+  // Unplug all children, the inputs they are in may not survive.
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    if (input.connection && input.connection.targetBlock()) {
+      input.connection.targetBlock().unplug(false);
+    }
+  }
+  block.domToMutation(
+      Blockly.Xml.textToDom('<xml>' + mutation + '</xml>').firstChild);
+  for (var x = 0; x < targets.length; x++) {
+    var input = block.getInput(targets[x].inputName);
+    var child = this.getBlockById(targets[x].id);
+    if (input && input.connection && child) {
+      input.connection.connect(
+          child.outputConnection || child.previousConnection);
+    }
+  }
+  if (block.rendered) {
+    block.render();
+  }
+};
+
+/**
+ * Move a block to a recorded location: either plugged into an input (or the
+ * next connection) of a parent block, or at the top level at some coordinates.
+ * @param {!Blockly.Block} block The block to move.
+ * @param {?string} parentId ID of the parent block, or null for top level.
+ * @param {?string} inputName Name of the parent's input, or null for the
+ *     parent's next connection.
+ * @param {Object} xy Coordinates, if at the top level.
+ * @private
+ */
+Blockly.Workspace.prototype.placeBlock_ = function(block, parentId, inputName,
+                                                   xy) {
+  if (block.getParent()) {
+    block.unplug(false);
+  }
+  if (parentId === null) {
+    var oldXY = block.getRelativeToSurfaceXY();
+    block.moveBy(xy.x - oldXY.x, xy.y - oldXY.y);
+    return;
+  }
+  var parent = this.getBlockById(parentId);
+  if (!parent) {
+    return;
+  }
+  var connection = inputName === null ? parent.nextConnection :
+      parent.getInput(inputName).connection;
+  connection.connect(block.outputConnection || block.previousConnection);
+};
+
+/**
+ * Describe which blocks are plugged into each input of a block.  Used to
+ * restore a block's children after undoing or redoing a mutation.
+ * @param {!Blockly.Block} block The parent block.
+ * @return {!Array.<!Object>} List of objects with inputName and id properties.
+ * @private
+ */
+Blockly.Workspace.prototype.getInputTargets_ = function(block) {
+  var targets = [];
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    var child = input.connection && input.connection.targetBlock();
+    if (child) {
+      targets.push({inputName: input.name, id: child.id});
+    }
+  }
+  return targets;
+};
+
+/**
+ * Paste the provided block onto the workspace.  Pasted blocks keep the ids
+ * in the XML unless those ids are already in use on this workspace.
+ * @param {!Element} xmlBlock XML block element, or an xml element holding
+ *     several blocks, which are pasted and selected together.
  */
 Blockly.Workspace.prototype.paste = function(xmlBlock) {
-  if (xmlBlock.getElementsByTagName('block').length >=
-      this.remainingCapacity()) {
+  var isGroup = xmlBlock.nodeName.toLowerCase() == 'xml';
+  // getElementsByTagName doesn't count a single block's own element.
+  var count = xmlBlock.getElementsByTagName('block').length + (isGroup ? 0 : 1);
+  if (count > this.remainingCapacity()) {
     return;
   }
+  if (!isGroup) {
+    this.pasteBlock_(xmlBlock).select();
+    return;
+  }
+  var blocks = [];
+  for (var i = 0, xmlChild; xmlChild = xmlBlock.childNodes[i]; i++) {
+    if (xmlChild.nodeName.toLowerCase() == 'block') {
+      blocks.push(this.pasteBlock_(xmlChild));
+    }
+  }
+  if (blocks.length) {
+    // Replace the selection with the pasted blocks.
+    blocks[0].select();
+    for (var i = 1; i < blocks.length; i++) {
+      Blockly.Selection.add(blocks[i]);
+    }
+  }
+};
+
+/**
+ * Paste one block onto the workspace, at the position recorded in its XML.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Blockly.Block} The pasted block.
+ * @private
+ */
+Blockly.Workspace.prototype.pasteBlock_ = function(xmlBlock) {
   var block = Blockly.Xml.domToBlock(this, xmlBlock);
   // Move the duplicate to original position.
   var blockX = parseInt(xmlBlock.getAttribute('x'), 10);
@@ -481,7 +967,7 @@ Blockly.Workspace.prototype.paste = function(xmlBlock) {
     } while (collide);
     block.moveBy(blockX, blockY);
   }
-  block.select();
+  return block;
 };
 
 /**
@@ -496,5 +982,148 @@ Blockly.Workspace.prototype.remainingCapacity = function() {
   return this.maxBlocks - this.getAllBlocks().length;
 };
 
+/**
+ * Zoom in or out, keeping a point of the view in place.
+ * @param {number} x X coordinate of the point, relative to the Blockly svg.
+ * @param {number} y Y coordinate of the point, relative to the Blockly svg.
+ * @param {number} amount Number of zoom steps.  Positive zooms in, negative
+ *     zooms out.
+ */
+Blockly.Workspace.prototype.zoom = function(x, y, amount) {
+  this.setScale(this.scale * Math.pow(Blockly.zoomOptions.scaleSpeed, amount),
+                x, y);
+};
+
+/**
+ * Zoom in or out, keeping the centre of the view in place.
+ * @param {number} amount Number of zoom steps.  Positive zooms in, negative
+ *     zooms out.
+ */
+Blockly.Workspace.prototype.zoomCenter = function(amount) {
+  this.setScale(
+      this.scale * Math.pow(Blockly.zoomOptions.scaleSpeed, amount));
+};
+
+/**
+ * Return to the starting zoom level, keeping the centre of the view in place.
+ */
+Blockly.Workspace.prototype.zoomReset = function() {
+  this.setScale(Blockly.zoomOptions.startScale);
+};
+
+/**
+ * Set the zoom level.
+ * @param {number} newScale Zoom factor, limited to the minScale and maxScale
+ *     options.
+ * @param {number=} opt_x X coordinate of the point of the view to keep in
+ *     place, relative to the Blockly svg.  Defaults to the centre of the view.
+ * @param {number=} opt_y Y coordinate of the point to keep in place.
+ */
+Blockly.Workspace.prototype.setScale = function(newScale, opt_x, opt_y) {
+  var metrics = this.getMetrics();
+  if (!metrics) {
+    // There are no metrics available (workspace is probably not visible).
+    return;
+  }
+  var x = goog.isNumber(opt_x) ? opt_x - metrics.absoluteLeft :
+      metrics.viewWidth / 2;
+  var y = goog.isNumber(opt_y) ? opt_y - metrics.absoluteTop :
+      metrics.viewHeight / 2;
+  // Workspace coordinates of the point which stays in place.
+  var canvasX = (x - this.scrollX) / this.scale;
+  var canvasY = (y - this.scrollY) / this.scale;
+  this.scale = this.clampScale_(newScale);
+  this.scrollTo_(x - canvasX * this.scale, y - canvasY * this.scale);
+};
+
+/**
+ * Zoom and scroll so that all the blocks are visible and centred.
+ */
+Blockly.Workspace.prototype.zoomToFit = function() {
+  var metrics = this.getMetrics();
+  var blocks = this.getTopBlocks(false);
+  if (!metrics || !blocks.length) {
+    return;
+  }
+  var left = Infinity;
+  var right = -Infinity;
+  var top = Infinity;
+  var bottom = -Infinity;
+  for (var b = 0, block; block = blocks[b]; b++) {
+    var blockXY = block.getRelativeToSurfaceXY();
+    var blockHW = block.getHeightWidth();
+    var blockLeft = Blockly.RTL ? blockXY.x - blockHW.width : blockXY.x;
+    left = Math.min(left, blockLeft);
+    right = Math.max(right, blockLeft + blockHW.width);
+    top = Math.min(top, blockXY.y);
+    bottom = Math.max(bottom, blockXY.y + blockHW.height);
+  }
+  // Fit the blocks into the part of the view not covered by the flyout or
+  // the scrollbars.
+  var flyoutWidth = this.flyout_ ? this.flyout_.width_ : 0;
+  var viewLeft = Blockly.RTL ? 0 : flyoutWidth;
+  var viewWidth = metrics.viewWidth - flyoutWidth -
+      Blockly.Scrollbar.scrollbarThickness;
+  var viewHeight = metrics.viewHeight - Blockly.Scrollbar.scrollbarThickness;
+  this.scale = this.clampScale_(Math.min(viewWidth / (right - left),
+                                         viewHeight / (bottom - top)));
+  this.scrollTo_(viewLeft + (viewWidth - (left + right) * this.scale) / 2,
+                 (viewHeight - (top + bottom) * this.scale) / 2);
+};
+
+/**
+ * Limit a zoom factor to the minScale and maxScale options.
+ * @param {number} scale Zoom factor.
+ * @return {number} Zoom factor within the limits.
+ * @private
+ */
+Blockly.Workspace.prototype.clampScale_ = function(scale) {
+  var options = Blockly.zoomOptions;
+  return Math.min(Math.max(scale, options.minScale), options.maxScale);
+};
+
+/**
+ * Scroll the workspace to the given offsets, redrawing at the current scale.
+ * @param {number} scrollX Horizontal offset of the workspace origin from the
+ *     left edge of the view, in pixels.
+ * @param {number} scrollY Vertical offset of the workspace origin from the
+ *     top edge of the view, in pixels.
+ * @private
+ */
+Blockly.Workspace.prototype.scrollTo_ = function(scrollX, scrollY) {
+  if (this.scrollbar) {
+    // The metrics depend on the scale, so fetch them again.
+    var metrics = this.getMetrics();
+    this.setMetrics({
+      x: (-scrollX - metrics.contentLeft) / metrics.contentWidth,
+      y: (-scrollY - metrics.contentTop) / metrics.contentHeight
+    });
+    this.scrollbar.resize();
+  } else {
+    this.scrollX = scrollX;
+    this.scrollY = scrollY;
+    var transform = 'translate(' + scrollX + ',' + scrollY + ') ' +
+        'scale(' + this.scale + ')';
+    this.getCanvas().setAttribute('transform', transform);
+    this.getBubbleCanvas().setAttribute('transform', transform);
+  }
+};
+
 // Export symbols that would otherwise be renamed by Closure compiler.
 Blockly.Workspace.prototype['clear'] = Blockly.Workspace.prototype.clear;
+Blockly.Workspace.prototype['undo'] = Blockly.Workspace.prototype.undo;
+Blockly.Workspace.prototype['canUndo'] = Blockly.Workspace.prototype.canUndo;
+Blockly.Workspace.prototype['clearUndo'] =
+    Blockly.Workspace.prototype.clearUndo;
+Blockly.Workspace.prototype['zoomCenter'] =
+    Blockly.Workspace.prototype.zoomCenter;
+Blockly.Workspace.prototype['zoomReset'] =
+    Blockly.Workspace.prototype.zoomReset;
+Blockly.Workspace.prototype['zoomToFit'] =
+    Blockly.Workspace.prototype.zoomToFit;
+Blockly.Workspace.prototype['setScale'] =
+    Blockly.Workspace.prototype.setScale;
+Blockly.Workspace.prototype['addChangeListener'] =
+    Blockly.Workspace.prototype.addChangeListener;
+Blockly.Workspace.prototype['removeChangeListener'] =
+    Blockly.Workspace.prototype.removeChangeListener;
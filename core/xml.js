@@ -36,7 +36,7 @@ goog.provide('Blockly.Xml');
  * @return {!Element} XML document.
  */
 Blockly.Xml.workspaceToDom = function(workspace) {
-  var width = Blockly.svgSize().width;
+  var width = workspace.rendered ? Blockly.svgSize().width : 0;
   var xml = goog.dom.createDom('xml');
   var blocks = workspace.getTopBlocks(true);
   for (var i = 0, block; block = blocks[i]; i++) {
@@ -52,17 +52,21 @@ Blockly.Xml.workspaceToDom = function(workspace) {
 /**
  * Encode a block subtree as XML.
  * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ids,
+ *     so that blocks created from the XML get fresh ids.
  * @return {!Element} Tree of XML elements.
  * @private
  */
-Blockly.Xml.blockToDom_ = function(block) {
+Blockly.Xml.blockToDom_ = function(block, opt_noId) {
   var element = goog.dom.createDom('block');
   element.setAttribute('type', block.type);
   if (block.outputConnection)
     element.setAttribute('class', "output");
   else
     element.setAttribute('class', "inline");
-  element.setAttribute('id', block.id);
+  if (!opt_noId) {
+    element.setAttribute('id', block.id);
+  }
   if (block.mutationToDom) {
     // Custom data for an advanced block.
     var mutation = block.mutationToDom();
@@ -108,7 +112,7 @@ Blockly.Xml.blockToDom_ = function(block) {
         container = goog.dom.createDom('statement');
       }
       if (childBlock) {
-        container.appendChild(Blockly.Xml.blockToDom_(childBlock));
+        container.appendChild(Blockly.Xml.blockToDom_(childBlock, opt_noId));
         empty = false;
       }
     }
@@ -143,7 +147,7 @@ Blockly.Xml.blockToDom_ = function(block) {
     var nextBlock = block.nextConnection.targetBlock();
     if (nextBlock) {
       var container = goog.dom.createDom('next', null,
-          Blockly.Xml.blockToDom_(nextBlock));
+          Blockly.Xml.blockToDom_(nextBlock, opt_noId));
       element.appendChild(container);
     }
   }
@@ -218,7 +222,7 @@ Blockly.Xml.textToDom = function(text) {
  * @param {!Element} xml XML DOM.
  */
 Blockly.Xml.domToWorkspace = function(workspace, xml) {
-  var width = Blockly.svgSize().width;
+  var width = workspace.rendered ? Blockly.svgSize().width : 0;
   for (var x = 0, xmlChild; xmlChild = xml.childNodes[x]; x++) {
     if (xmlChild.nodeName.toLowerCase() == 'block') {
       var block = Blockly.Xml.domToBlock(workspace, xmlChild);
@@ -233,15 +237,38 @@ Blockly.Xml.domToWorkspace = function(workspace, xml) {
 
 /**
  * Decode an XML block tag and create a block (and possibly sub blocks) on the
- * workspace.
+ * workspace.  The new tree of blocks is reported in one creation event.
  * @param {!Blockly.Workspace} workspace The workspace.
  * @param {!Element} xmlBlock XML block element.
  * @param {boolean=} opt_reuseBlock Optional arg indicating whether to
  *     reinitialize an existing block.
  * @return {!Blockly.Block} The root block created.
- * @private
  */
 Blockly.Xml.domToBlock = function(workspace, xmlBlock, opt_reuseBlock) {
+  Blockly.Events.disable();
+  try {
+    var block = Blockly.Xml.domToBlockTree_(workspace, xmlBlock,
+        opt_reuseBlock);
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (!opt_reuseBlock && workspace.isFiringEvents_()) {
+    workspace.fireEvent(new Blockly.Events.Create(block));
+  }
+  return block;
+};
+
+/**
+ * Decode an XML block tag and create a block and its sub blocks, without
+ * reporting any of it.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Element} xmlBlock XML block element.
+ * @param {boolean=} opt_reuseBlock Optional arg indicating whether to
+ *     reinitialize an existing block.
+ * @return {!Blockly.Block} The root block created.
+ * @private
+ */
+Blockly.Xml.domToBlockTree_ = function(workspace, xmlBlock, opt_reuseBlock) {
   var block = null;
   var prototypeName = xmlBlock.getAttribute('type');
   if (!prototypeName) {
@@ -263,13 +290,11 @@ Blockly.Xml.domToBlock = function(workspace, xmlBlock, opt_reuseBlock) {
     block.fill(workspace, prototypeName);
     block.parent_ = parentBlock;
   } else {
-    block = Blockly.Block.obtain(workspace, prototypeName);
-//    if (id) {
-//      block.id = parseInt(id, 10);
-//    }
+    // Keep the saved id unless another block on the workspace has it.
+    block = Blockly.Block.obtain(workspace, prototypeName, id);
   }
-  block.previousId = xmlBlock.getAttribute('id');
-  if (!block.svg_) {
+  block.previousId = id;
+  if (!block.svg_ && workspace.rendered) {
     block.initSvg();
   }
 
@@ -349,8 +374,8 @@ Blockly.Xml.domToBlock = function(workspace, xmlBlock, opt_reuseBlock) {
         }
         if (firstRealGrandchild &&
             firstRealGrandchild.nodeName.toLowerCase() == 'block') {
-          blockChild = Blockly.Xml.domToBlock(workspace, firstRealGrandchild,
-              opt_reuseBlock);
+          blockChild = Blockly.Xml.domToBlockTree_(workspace,
+              firstRealGrandchild, opt_reuseBlock);
           if (blockChild.outputConnection) {
             input.connection.connect(blockChild.outputConnection);
           } else if (blockChild.previousConnection) {
@@ -369,8 +394,8 @@ Blockly.Xml.domToBlock = function(workspace, xmlBlock, opt_reuseBlock) {
             // This could happen if there is more than one XML 'next' tag.
             throw 'Next statement is already connected.';
           }
-          blockChild = Blockly.Xml.domToBlock(workspace, firstRealGrandchild,
-              opt_reuseBlock);
+          blockChild = Blockly.Xml.domToBlockTree_(workspace,
+              firstRealGrandchild, opt_reuseBlock);
           if (!blockChild.previousConnection) {
             throw 'Next block does not have previous statement.';
           }
@@ -382,13 +407,15 @@ Blockly.Xml.domToBlock = function(workspace, xmlBlock, opt_reuseBlock) {
     }
   }
 
-  var next = block.nextConnection && block.nextConnection.targetBlock();
-  if (next) {
-    // Next block in a stack needs to square off its corners.
-    // Rendering a child will render its parent.
-    next.render();
-  } else {
-    block.render();
+  if (workspace.rendered) {
+    var next = block.nextConnection && block.nextConnection.targetBlock();
+    if (next) {
+      // Next block in a stack needs to square off its corners.
+      // Rendering a child will render its parent.
+      next.render();
+    } else {
+      block.render();
+    }
   }
   var collapsed = xmlBlock.getAttribute('collapsed');
   if (collapsed) {
@@ -0,0 +1,201 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2011 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing the zoom in, zoom out and reset buttons.
+ */
+'use strict';
+
+goog.provide('Blockly.ZoomControls');
+
+
+/**
+ * Class for the zoom controls.
+ * @param {!Blockly.Workspace} workspace The workspace to sit in.
+ * @constructor
+ */
+Blockly.ZoomControls = function(workspace) {
+  this.workspace_ = workspace;
+};
+
+/**
+ * Diameter of each button.
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.SIZE_ = 32;
+
+/**
+ * Distance between the buttons.
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.SPACING_ = 8;
+
+/**
+ * Distance between the zoom controls and the trash can, or the bottom edge of
+ * the workspace if there is no trash can.
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.MARGIN_BOTTOM_ = 20;
+
+/**
+ * Distance between the zoom controls and the right edge of the workspace.
+ * Matches the trash can so the two line up.
+ * @type {number}
+ * @private
+ */
+Blockly.ZoomControls.prototype.MARGIN_SIDE_ = 67;
+
+/**
+ * The SVG group containing the zoom controls.
+ * @type {Element}
+ * @private
+ */
+Blockly.ZoomControls.prototype.svgGroup_ = null;
+
+/**
+ * Bound events, to be unbound on disposal.
+ * @type {!Array.<!Array>}
+ * @private
+ */
+Blockly.ZoomControls.prototype.bindData_ = [];
+
+/**
+ * Create the zoom control elements.
+ * @return {!Element} The zoom controls' SVG group.
+ */
+Blockly.ZoomControls.prototype.createDom = function() {
+  /*
+  <g>
+    <g class="blocklyZoomButton">
+      <circle r="16" cx="16" cy="16"></circle>
+      <path d="m 8,16 h 16 m -8,-8 v 16"></path>
+    </g>
+    [zoom out and reset buttons, drawn the same way]
+  </g>
+  */
+  this.svgGroup_ = Blockly.createSvgElement('g', {}, null);
+  this.bindData_ = [];
+  var radius = this.SIZE_ / 2;
+  var arm = this.SIZE_ / 4;
+  // Plus sign.
+  this.createButton_(0, 'm ' + arm + ',' + radius + ' h ' + (2 * arm) +
+      ' m ' + (-arm) + ',' + (-arm) + ' v ' + (2 * arm),
+      function() {
+        this.workspace_.zoomCenter(1);
+      });
+  // Minus sign.
+  this.createButton_(1, 'm ' + arm + ',' + radius + ' h ' + (2 * arm),
+      function() {
+        this.workspace_.zoomCenter(-1);
+      });
+  // Square, for the actual size.
+  this.createButton_(2, 'm ' + arm + ',' + arm + ' h ' + (2 * arm) +
+      ' v ' + (2 * arm) + ' h ' + (-2 * arm) + ' z',
+      function() {
+        this.workspace_.zoomReset();
+      });
+  return this.svgGroup_;
+};
+
+/**
+ * Create one round button.
+ * @param {number} index Position of the button, counting from the top.
+ * @param {string} path SVG path of the button's symbol.
+ * @param {!Function} func Function to call, with this object as 'this', when
+ *     the button is clicked.
+ * @private
+ */
+Blockly.ZoomControls.prototype.createButton_ = function(index, path, func) {
+  var radius = this.SIZE_ / 2;
+  var button = Blockly.createSvgElement('g',
+      {'class': 'blocklyZoomButton',
+       'transform': 'translate(0,' + index * (this.SIZE_ + this.SPACING_) +
+           ')'},
+      this.svgGroup_);
+  Blockly.createSvgElement('circle',
+      {'r': radius, 'cx': radius, 'cy': radius}, button);
+  Blockly.createSvgElement('path', {'d': path}, button);
+  this.bindData_.push(Blockly.bindEvent_(button, 'mousedown', this,
+      function(e) {
+        Blockly.hideChaff();
+        if (!Blockly.isRightButton(e)) {
+          func.call(this);
+        }
+        // Don't start dragging the workspace.
+        e.stopPropagation();
+        e.preventDefault();
+      }));
+};
+
+/**
+ * Initialize the zoom controls.
+ */
+Blockly.ZoomControls.prototype.init = function() {
+  this.position_();
+  // If the document resizes, reposition the zoom controls.
+  this.bindData_.push(
+      Blockly.bindEvent_(window, 'resize', this, this.position_));
+};
+
+/**
+ * Dispose of the zoom controls.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.ZoomControls.prototype.dispose = function() {
+  while (this.bindData_.length) {
+    Blockly.unbindEvent_(this.bindData_.pop());
+  }
+  if (this.svgGroup_) {
+    goog.dom.removeNode(this.svgGroup_);
+    this.svgGroup_ = null;
+  }
+  this.workspace_ = null;
+};
+
+/**
+ * Move the zoom controls to the bottom-right corner, above the trash can.
+ * @private
+ */
+Blockly.ZoomControls.prototype.position_ = function() {
+  var metrics = this.workspace_.getMetrics();
+  if (!metrics) {
+    // There are no metrics available (workspace is probably not visible).
+    return;
+  }
+  var height = 3 * this.SIZE_ + 2 * this.SPACING_;
+  if (Blockly.RTL) {
+    var left = this.MARGIN_SIDE_;
+  } else {
+    var left = metrics.viewWidth + metrics.absoluteLeft -
+        this.SIZE_ - this.MARGIN_SIDE_;
+  }
+  var trashcan = this.workspace_.trashcan;
+  if (trashcan) {
+    var top = trashcan.top_ - height - this.MARGIN_BOTTOM_;
+  } else {
+    var top = metrics.viewHeight + metrics.absoluteTop - height -
+        this.MARGIN_BOTTOM_ - Blockly.Scrollbar.scrollbarThickness;
+  }
+  this.svgGroup_.setAttribute('transform',
+      'translate(' + left + ',' + top + ')');
+};
@@ -109,8 +109,9 @@ Blockly.JavaScript.INFINITE_LOOP_TRAP = null;
 
 /**
  * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
  */
-Blockly.JavaScript.init = function() {
+Blockly.JavaScript.init = function(workspace) {
   // Create a dictionary of definitions to be printed before the code.
   Blockly.JavaScript.definitions_ = Object.create(null);
   // Create a dictionary mapping desired function names in definitions_
@@ -126,7 +127,7 @@ Blockly.JavaScript.init = function() {
     }
 
     var defvars = [];
-    var variables = Blockly.Variables.allVariables();
+    var variables = Blockly.Variables.allVariables(workspace);
     for (var x = 0; x < variables.length; x++) {
       defvars[x] = 'var ' +
           Blockly.JavaScript.variableDB_.getName(variables[x],
@@ -85,8 +85,9 @@ Blockly.Python.INFINITE_LOOP_TRAP = null;
 
 /**
  * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
  */
-Blockly.Python.init = function() {
+Blockly.Python.init = function(workspace) {
   // Create a dictionary of definitions to be printed before the code.
   Blockly.Python.definitions_ = Object.create(null);
   // Create a dictionary mapping desired function names in definitions_
@@ -102,7 +103,7 @@ Blockly.Python.init = function() {
     }
 
     var defvars = [];
-    var variables = Blockly.Variables.allVariables();
+    var variables = Blockly.Variables.allVariables(workspace);
     for (var x = 0; x < variables.length; x++) {
       defvars[x] = Blockly.Python.variableDB_.getName(variables[x],
           Blockly.Variables.NAME_TYPE) + ' = None';
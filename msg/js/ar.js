@@ -70,13 +70,24 @@ Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_WHILE = "بما ان القيمة صحي
 Blockly.Msg.DELETE_BLOCK = "إحذف القطعة";
 Blockly.Msg.DELETE_X_BLOCKS = "إحذف قطع %1";
 Blockly.Msg.DISABLE_BLOCK = "عطّل القطعة";
+Blockly.Msg.DISABLE_X_BLOCKS = "Disable %1 Blocks";  // untranslated
 Blockly.Msg.DUPLICATE_BLOCK = "ادمج";
 Blockly.Msg.ENABLE_BLOCK = "أعد تفعيل القطعة";
+Blockly.Msg.ENABLE_X_BLOCKS = "Enable %1 Blocks";  // untranslated
 Blockly.Msg.EXPAND_ALL = "وسٌّع القطع";
 Blockly.Msg.EXPAND_BLOCK = "وسٌّع القطعة";
 Blockly.Msg.EXTERNAL_INPUTS = "ادخال خارجي";
 Blockly.Msg.HELP = "مساعدة";
 Blockly.Msg.INLINE_INPUTS = "ادخال خطي";
+Blockly.Msg.KEYBOARD_NAV_AFTER = "After %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_BEFORE = "Before %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_CANNOT_CONNECT = "That block cannot be connected here.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_CATEGORY = "Category %1.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_EMPTY = "The workspace is empty. Press T to add blocks from the toolbox.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_FIELD = "%1, in %2";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_INPUT = "Input %1, in %2";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_MARKED = "Marked: %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_WORKSPACE = "Blocks workspace. Use the arrow keys to move between blocks, Enter to edit or connect, and T to add blocks from the toolbox.";  // untranslated
 Blockly.Msg.LISTS_CREATE_EMPTY_HELPURL = "https://en.wikipedia.org/wiki/Linked_list#Empty_lists";
 Blockly.Msg.LISTS_CREATE_EMPTY_TITLE = "إنشئ قائمة فارغة";
 Blockly.Msg.LISTS_CREATE_EMPTY_TOOLTIP = "تقوم بإرجاع قائمة، طولها 0, لا تحتوي على أية سجلات البيانات";
@@ -345,6 +356,7 @@ Blockly.Msg.TEXT_TRIM_OPERATOR_BOTH = "ازالة الفراغات من كلا 
 Blockly.Msg.TEXT_TRIM_OPERATOR_LEFT = "ازالة الفراغات من الجانب الأيسر";
 Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT = "ازالة الفراغات من الجانب الأيمن";
 Blockly.Msg.TEXT_TRIM_TOOLTIP = "يرجع نسخة من النص مع حذف من أحد أو كلا الفراغات من أطرافه.";
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";  // untranslated
 Blockly.Msg.VARIABLES_DEFAULT_NAME = "البند";
 Blockly.Msg.VARIABLES_GET_CREATE_SET = "انشئ 'التعيين %1'";
 Blockly.Msg.VARIABLES_GET_HELPURL = "http://code.google.com/p/blockly/wiki/Variables#Get";
@@ -67,13 +67,24 @@ Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_WHILE = "Hələ ki, qiymət \"doğru\"du
 Blockly.Msg.DELETE_BLOCK = "Bloku sil";
 Blockly.Msg.DELETE_X_BLOCKS = "%1 bloku sil";
 Blockly.Msg.DISABLE_BLOCK = "Bloku söndür";
+Blockly.Msg.DISABLE_X_BLOCKS = "Disable %1 Blocks";  // untranslated
 Blockly.Msg.DUPLICATE_BLOCK = "Dublikatını düzəlt";
 Blockly.Msg.ENABLE_BLOCK = "Bloku aktivləşdir";
+Blockly.Msg.ENABLE_X_BLOCKS = "Enable %1 Blocks";  // untranslated
 Blockly.Msg.EXPAND_ALL = "Blokları aç";
 Blockly.Msg.EXPAND_BLOCK = "Bloku aç";
 Blockly.Msg.EXTERNAL_INPUTS = "Xarici girişlər";
 Blockly.Msg.HELP = "Kömək";
 Blockly.Msg.INLINE_INPUTS = "Sətiriçi girişlər";
+Blockly.Msg.KEYBOARD_NAV_AFTER = "After %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_BEFORE = "Before %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_CANNOT_CONNECT = "That block cannot be connected here.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_CATEGORY = "Category %1.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_EMPTY = "The workspace is empty. Press T to add blocks from the toolbox.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_FIELD = "%1, in %2";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_INPUT = "Input %1, in %2";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_MARKED = "Marked: %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_WORKSPACE = "Blocks workspace. Use the arrow keys to move between blocks, Enter to edit or connect, and T to add blocks from the toolbox.";  // untranslated
 Blockly.Msg.LISTS_CREATE_EMPTY_HELPURL = "https://en.wikipedia.org/wiki/Linked_list#Empty_lists";
 Blockly.Msg.LISTS_CREATE_EMPTY_TITLE = "boş siyahı düzəlt";
 Blockly.Msg.LISTS_CREATE_EMPTY_TOOLTIP = "Heç bir verilən qeyd olunmamış, uzunluğu 0 olan bir siyahı verir";
@@ -342,6 +353,7 @@ Blockly.Msg.TEXT_TRIM_OPERATOR_BOTH = "Boşluqları hər iki tərəfdən pozun";
 Blockly.Msg.TEXT_TRIM_OPERATOR_LEFT = "Boşluqlari yalnız sol tərəfdən pozun";
 Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT = "Boşluqları yalnız sağ tərəfdən pozun";
 Blockly.Msg.TEXT_TRIM_TOOLTIP = "Mətnin hər iki və ya yalnız bir tərəfdən olan boşluqları pozulmuş surətini qaytarın.";
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";  // untranslated
 Blockly.Msg.VARIABLES_DEFAULT_NAME = "element";
 Blockly.Msg.VARIABLES_GET_CREATE_SET = "'%1 - i təyin et' - i yarat";
 Blockly.Msg.VARIABLES_GET_HELPURL = "http://code.google.com/p/blockly/wiki/Variables#Get";
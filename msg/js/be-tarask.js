@@ -70,13 +70,24 @@ Blockly.Msg.CONTROLS_WHILEUNTIL_TOOLTIP_WHILE = "Пакуль значэньне
 Blockly.Msg.DELETE_BLOCK = "Выдаліць блёк";
 Blockly.Msg.DELETE_X_BLOCKS = "Выдаліць %1 блёкі";
 Blockly.Msg.DISABLE_BLOCK = "Адключыць блёк";
+Blockly.Msg.DISABLE_X_BLOCKS = "Disable %1 Blocks";  // untranslated
 Blockly.Msg.DUPLICATE_BLOCK = "Капіяваць";
 Blockly.Msg.ENABLE_BLOCK = "Адключыць блёкі";
+Blockly.Msg.ENABLE_X_BLOCKS = "Enable %1 Blocks";  // untranslated
 Blockly.Msg.EXPAND_ALL = "Разгарнуць блёкі";
 Blockly.Msg.EXPAND_BLOCK = "Разгарнуць блёк";
 Blockly.Msg.EXTERNAL_INPUTS = "Зьнешнія ўваходы";
 Blockly.Msg.HELP = "Дапамога";
 Blockly.Msg.INLINE_INPUTS = "Унутраныя ўваходы";
+Blockly.Msg.KEYBOARD_NAV_AFTER = "After %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_BEFORE = "Before %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_CANNOT_CONNECT = "That block cannot be connected here.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_CATEGORY = "Category %1.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_EMPTY = "The workspace is empty. Press T to add blocks from the toolbox.";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_FIELD = "%1, in %2";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_INPUT = "Input %1, in %2";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_MARKED = "Marked: %1";  // untranslated
+Blockly.Msg.KEYBOARD_NAV_WORKSPACE = "Blocks workspace. Use the arrow keys to move between blocks, Enter to edit or connect, and T to add blocks from the toolbox.";  // untranslated
 Blockly.Msg.LISTS_CREATE_EMPTY_HELPURL = "https://en.wikipedia.org/wiki/Linked_list#Empty_lists";  // untranslated
 Blockly.Msg.LISTS_CREATE_EMPTY_TITLE = "create empty list";  // untranslated
 Blockly.Msg.LISTS_CREATE_EMPTY_TOOLTIP = "Returns a list, of length 0, containing no data records";  // untranslated
@@ -345,6 +356,7 @@ Blockly.Msg.TEXT_TRIM_OPERATOR_BOTH = "trim spaces from both sides of";  // untr
 Blockly.Msg.TEXT_TRIM_OPERATOR_LEFT = "trim spaces from left side of";  // untranslated
 Blockly.Msg.TEXT_TRIM_OPERATOR_RIGHT = "trim spaces from right side of";  // untranslated
 Blockly.Msg.TEXT_TRIM_TOOLTIP = "Return a copy of the text with spaces removed from one or both ends.";  // untranslated
+Blockly.Msg.TOOLBOX_SEARCH = "Search blocks";  // untranslated
 Blockly.Msg.VARIABLES_DEFAULT_NAME = "аб’ект";
 Blockly.Msg.VARIABLES_GET_CREATE_SET = "Create 'set %1'";  // untranslated
 Blockly.Msg.VARIABLES_GET_HELPURL = "https://code.google.com/p/blockly/wiki/Variables#Get";  // untranslated
@@ -1089,3 +1089,31 @@ Blockly.Msg.PROCEDURES_IFRETURN_WARNING = 'Warning: This block may be used only
 Blockly.Msg.CONTEXT_BLOCK_COPY = 'Copy';
 /// Context Menu Paste
 Blockly.Msg.CONTEXT_BLOCK_PASTE = 'Paste';
+
+// Keyboard navigation.
+/// screen reader - Description of the block editor, read when it receives keyboard focus.
+Blockly.Msg.KEYBOARD_NAV_WORKSPACE = 'Blocks workspace. Use the arrow keys to move between blocks, Enter to edit or connect, and T to add blocks from the toolbox.';
+/// screen reader - Read when the user tries to move between blocks but there are none.
+Blockly.Msg.KEYBOARD_NAV_EMPTY = 'The workspace is empty. Press T to add blocks from the toolbox.';
+/// screen reader - Describes an editable field of a block.\n\nParameters:\n* %1 - the text of the field.\n* %2 - the text of the block.
+Blockly.Msg.KEYBOARD_NAV_FIELD = '%1, in %2';
+/// screen reader - Describes the connection above a block.\n\nParameters:\n* %1 - the text of the block.
+Blockly.Msg.KEYBOARD_NAV_BEFORE = 'Before %1';
+/// screen reader - Describes the connection below a block.\n\nParameters:\n* %1 - the text of the block.
+Blockly.Msg.KEYBOARD_NAV_AFTER = 'After %1';
+/// screen reader - Describes an input of a block.\n\nParameters:\n* %1 - the text of the block plugged into the input, or ? if it is empty.\n* %2 - the text of the block.
+Blockly.Msg.KEYBOARD_NAV_INPUT = 'Input %1, in %2';
+/// screen reader - Read when the user marks a connection as the place to attach the next block.\n\nParameters:\n* %1 - description of the connection.
+Blockly.Msg.KEYBOARD_NAV_MARKED = 'Marked: %1';
+/// screen reader - Read when the chosen block does not fit the marked connection.
+Blockly.Msg.KEYBOARD_NAV_CANNOT_CONNECT = 'That block cannot be connected here.';
+/// screen reader - Read when the user switches toolbox category.\n\nParameters:\n* %1 - the name of the category.
+Blockly.Msg.KEYBOARD_NAV_CATEGORY = 'Category %1.';
+
+/// toolbox - Placeholder text of the box for searching the blocks of every toolbox category.
+Blockly.Msg.TOOLBOX_SEARCH = 'Search blocks';
+
+/// context menu - Make the %1 selected blocks have no effect (unless reenabled).\n\nParameters:\n* %1 - an integer greater than 1.
+Blockly.Msg.DISABLE_X_BLOCKS = 'Disable %1 Blocks';
+/// context menu - Make the %1 selected blocks have effect (after having been disabled earlier).\n\nParameters:\n* %1 - an integer greater than 1.
+Blockly.Msg.ENABLE_X_BLOCKS = 'Enable %1 Blocks';
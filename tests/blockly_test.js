@@ -176,3 +176,569 @@ function test_commonWordSuffix() {
   len = Blockly.commonWordSuffix([]);
   assertEquals('Empty list', 0, len);
 }
+
+function test_host() {
+  var savedHost = Blockly.host;
+  try {
+    Blockly.host = null;
+    assertFalse('No host', Blockly.Host.has('notifyChange'));
+    assertEquals('No host list', 0, Blockly.Host.getDropdownList('x').length);
+    // Must not throw without a host.
+    Blockly.Host.notifyChange();
+    Blockly.Host.cancelLastCommand();
+
+    var log = [];
+    Blockly.host = {
+      'notifyChange': function() {log.push('change');},
+      'getDropdownList': function(name) {return [[name, name]];}
+    };
+    assertTrue('Implemented', Blockly.Host.has('notifyChange'));
+    assertFalse('Not implemented', Blockly.Host.has('cancelLastCommand'));
+    Blockly.Host.notifyChange();
+    Blockly.Host.cancelLastCommand();
+    assertEquals('Calls', 'change', log.join(','));
+    assertEquals('List', 'sprite',
+                 Blockly.Host.getDropdownList('sprite')[0][1]);
+  } finally {
+    Blockly.host = savedHost;
+  }
+}
+
+function test_getScale() {
+  var g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  assertEquals('No transform', 1, Blockly.getScale_(g));
+  g.setAttribute('transform', 'translate(10,20)');
+  assertEquals('Translate only', 1, Blockly.getScale_(g));
+  g.setAttribute('transform', 'translate(10,20) scale(0.5)');
+  assertEquals('Translate and scale', 0.5, Blockly.getScale_(g));
+}
+
+function test_jsonDomRoundTrip() {
+  var text = '<xml>' +
+      '<block type="controls_if" class="inline" id="3" x="10" y="20">' +
+      '<mutation else="1"></mutation>' +
+      '<comment pinned="false" h="80" w="160">Hello</comment>' +
+      '<value name="IF0"><block type="logic_boolean" class="output" id="4">' +
+      '<field name="BOOL">TRUE</field></block></value>' +
+      '<statement name="ELSE"><block type="procedures_callnoreturn" ' +
+      'class="inline" id="5"><mutation name="f"><arg name="a"></arg>' +
+      '</mutation></block></statement>' +
+      '<next><block type="text_print" class="inline" id="6" ' +
+      'disabled="true" deletable="false"></block></next>' +
+      '</block></xml>';
+  var json = Blockly.Json.domToJson(Blockly.Xml.textToDom(text));
+  var block = json['blocks'][0];
+  assertEquals('Type', 'controls_if', block['type']);
+  assertEquals('X', 10, block['x']);
+  assertEquals('Mutation', '1', block['mutation']['else']);
+  assertEquals('Comment', 'Hello', block['comment']['text']);
+  assertEquals('Field', 'TRUE', block['values']['IF0']['fields']['BOOL']);
+  assertEquals('Mutation child', 'a',
+      block['statements']['ELSE']['mutation']['$children'][0]['name']);
+  assertTrue('Disabled', block['next']['disabled']);
+  assertFalse('Deletable', block['next']['deletable']);
+  // JSON survives being stored as a string.
+  json = JSON.parse(JSON.stringify(json));
+  var xml = Blockly.Json.jsonToDom(json);
+  assertEquals('Round trip', JSON.stringify(json),
+      JSON.stringify(Blockly.Json.domToJson(xml)));
+  assertEquals('Next tag', 'next',
+      xml.firstChild.lastChild.nodeName.toLowerCase());
+}
+
+function test_genUid() {
+  var uuids = {};
+  for (var i = 0; i < 1000; i++) {
+    var uuid = Blockly.genUid();
+    assertFalse('UUID different: ' + uuid, uuid in uuids);
+    assertTrue('UUID is a word: ' + uuid, /^\w+$/.test(uuid));
+    uuids[uuid] = true;
+  }
+}
+
+function test_savedIds() {
+  Blockly.Blocks['test_id'] = {
+    init: function() {
+      this.setNextStatement(true);
+    }
+  };
+  try {
+    var workspace = Blockly.Workspace.createHeadless();
+    Blockly.Xml.domToWorkspace(workspace, Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_id" id="saved-id_1"></block>' +
+        '<block type="test_id" id="a\');evil();(\'"></block></xml>'));
+    var blocks = workspace.getTopBlocks(false);
+    assertEquals('Safe id kept', 'saved-id_1', blocks[0].id);
+    assertTrue('Hostile id replaced: ' + blocks[1].id,
+        /^\w+$/.test(blocks[1].id));
+    var generator = new Blockly.Generator('test');
+    generator.STATEMENT_PREFIX = 'highlight(%1);\n';
+    generator.scrub_ = function(block, code) {return code;};
+    generator['test_id'] = function(block) {
+      return 'go();\n';
+    };
+    assertEquals('Quoted in code',
+        'highlight(\'' + blocks[1].id + '\');\ngo();\n',
+        generator.blockToCode(blocks[1]));
+  } finally {
+    delete Blockly.Blocks['test_id'];
+  }
+}
+
+function test_trashcanContents() {
+  var trashcan = new Blockly.Trashcan(null);
+  var xml = Blockly.Xml.textToDom('<xml>' +
+      '<block type="a" id="1"><next><block type="b" id="2"></block></next>' +
+      '</block><block type="a" id="3"><next><block type="b" id="4">' +
+      '</block></next></block><block type="c" id="5"></block></xml>');
+  trashcan.add(xml.childNodes[0]);
+  trashcan.add(xml.childNodes[2]);
+  trashcan.add(xml.childNodes[1]);
+  var contents = trashcan.getContents();
+  assertEquals('De-duplicated', 2, contents.length);
+  assertEquals('Newest first', 0, contents[0].indexOf('<block type="a">'));
+  assertEquals('Ids removed', -1, contents[0].indexOf('id='));
+  trashcan.setMaxContents(1);
+  assertEquals('Capped', 1, trashcan.getContents().length);
+  trashcan.clear();
+  assertEquals('Cleared', 0, trashcan.getContents().length);
+}
+
+function test_blockSearch() {
+  var savedTree = Blockly.languageTree;
+  Blockly.languageTree = Blockly.Xml.textToDom('<xml>' +
+      '<category name="A"><block type="search_move"></block>' +
+      '<block type="search_say"><field name="TEXT">Hello</field>' +
+      '<value name="X"><block type="search_number"></block></value>' +
+      '</block></category>' +
+      '<category name="B" custom="VARIABLE"></category>' +
+      '<category name="C" hidden="true"><block type="search_hidden">' +
+      '</block></category>' +
+      '<category name="D" disabled="true"><block type="search_disabled">' +
+      '</block></category></xml>');
+  try {
+    var search = new Blockly.BlockSearch(null, null);
+    var types = function(query) {
+      var found = search.search(query);
+      for (var i = 0; i < found.length; i++) {
+        found[i] = found[i].getAttribute('type');
+      }
+      return found.join(',');
+    };
+    assertEquals('Type', 'search_move', types('move'));
+    assertEquals('Field, any case', 'search_say', types('hello'));
+    assertEquals('All words', 'search_say', types('search hello'));
+    assertEquals('Prefix of many', 'search_move,search_say', types('search'));
+    assertEquals('Nested blocks are not results', '', types('number'));
+    assertEquals('Hidden category', '', types('hidden'));
+    assertEquals('Disabled category', '', types('disabled'));
+    assertEquals('Empty query', '', types('  '));
+  } finally {
+    Blockly.languageTree = savedTree;
+  }
+}
+
+function test_themes() {
+  var savedTheme = Blockly.theme;
+  try {
+    var theme = new Blockly.Theme('test', {
+      'categoryColours': {'logic': '#123456', 'loops': 0},
+      'value': 0.5,
+      'workspaceColour': '#000'
+    });
+    assertEquals('Category colour', '#123456',
+        theme.getColour(Blockly.Theme.CATEGORY_HUES['logic']));
+    assertEquals('Category hue', '#804646',
+        theme.getColour(Blockly.Theme.CATEGORY_HUES['loops']));
+    assertEquals('RGB unchanged', '#abcdef', theme.getColour('#abcdef'));
+    assertEquals('Only options given',
+        '.blocklySvg {\n  background-color: #000;\n}', theme.getCss());
+    Blockly.Theme.register(theme);
+    Blockly.setTheme('test');
+    assertEquals('Current theme', theme, Blockly.theme);
+    assertEquals('makeColour', '#123456',
+        Blockly.makeColour(Blockly.Theme.CATEGORY_HUES['logic']));
+    Blockly.setTheme(Blockly.Theme.CLASSIC);
+    assertEquals('Classic', goog.color.hsvToHex(210, Blockly.HSV_SATURATION,
+        Blockly.HSV_VALUE * 256), Blockly.makeColour(210));
+    assertEquals('Renderer by name', Blockly.Renderer.CLASSIC,
+        Blockly.Renderer.get('classic'));
+    try {
+      Blockly.Theme.get('no such theme');
+      fail('Unknown theme');
+    } catch (e) {
+      // Expected.
+    }
+  } finally {
+    Blockly.theme = savedTheme;
+  }
+}
+
+function test_selectionRoots() {
+  Blockly.Blocks['test_selection'] = {
+    init: function() {
+      this.appendStatementInput('DO');
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  };
+  var savedSelected = Blockly.selected;
+  try {
+    var workspace = Blockly.Workspace.createHeadless();
+    Blockly.Xml.domToWorkspace(workspace, Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_selection" id="a"><statement name="DO">' +
+        '<block type="test_selection" id="b"></block></statement><next>' +
+        '<block type="test_selection" id="c"></block></next></block>' +
+        '<block type="test_selection" id="d" deletable="false"></block>' +
+        '</xml>'));
+    var ids = function(blocks) {
+      for (var i = 0; i < blocks.length; i++) {
+        blocks[i] = blocks[i].id;
+      }
+      return blocks.join(',');
+    };
+    Blockly.selected = workspace.getBlockById('a');
+    Blockly.Selection.others_ = [workspace.getBlockById('b'),
+        workspace.getBlockById('c'), workspace.getBlockById('d')];
+    assertEquals('Selected first', 'a,b,c,d',
+        ids(Blockly.Selection.getBlocks()));
+    assertEquals('Inner block goes with its parent, next block does not',
+        'a,c', ids(Blockly.Selection.getDeletable()));
+    Blockly.Selection.forget_(workspace.getBlockById('c'));
+    Blockly.selected = null;
+    Blockly.Selection.forget_(workspace.getBlockById('a'));
+    assertEquals('Last selected takes over', 'd', Blockly.selected.id);
+    assertEquals('Rest of selection', 'b',
+        ids(Blockly.Selection.others_.slice()));
+  } finally {
+    Blockly.selected = savedSelected;
+    Blockly.Selection.others_ = [];
+    delete Blockly.Blocks['test_selection'];
+  }
+}
+
+function test_createDeleteEvents() {
+  Blockly.Blocks['test_event'] = {
+    init: function() {
+      this.appendDummyInput()
+          .appendField(new Blockly.FieldTextInput('default'), 'NAME');
+      this.appendStatementInput('DO');
+      this.setPreviousStatement(true);
+    }
+  };
+  try {
+    var workspace = Blockly.Workspace.createHeadless();
+    workspace.undoable = true;
+    Blockly.Xml.domToBlock(workspace, Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_event" id="a"><field name="NAME">saved</field>' +
+        '<statement name="DO"><block type="test_event" id="b"></block>' +
+        '</statement></block></xml>').firstChild);
+    var events = workspace.undoGroup_;
+    assertEquals('One event for the tree', 1, events.length);
+    var create = events[0];
+    assertEquals('Create', Blockly.Events.CREATE, create.type);
+    assertEquals('Type', 'test_event', create.blockType);
+    assertEquals('Ids', 'a,b', create.ids.join(','));
+    var fields = create.xml.getElementsByTagName('field');
+    assertEquals('Built before reporting', 'saved,default',
+        fields[0].textContent + ',' + fields[1].textContent);
+    workspace.getBlockById('a').dispose(false);
+    var remove = events[events.length - 1];
+    assertEquals('Delete', Blockly.Events.DELETE, remove.type);
+    assertEquals('Deleted ids', 'a,b', remove.ids.join(','));
+    assertEquals('String ids', 'string', typeof remove.ids[0]);
+
+    var flyout = Blockly.Workspace.createHeadless();
+    flyout.isFlyout = true;
+    flyout.undoable = true;
+    flyout.addChangeListener(function() {});
+    Blockly.Xml.domToBlock(flyout, create.xml).dispose(false);
+    assertEquals('Flyouts report nothing', 0, flyout.undoStack_.length);
+  } finally {
+    delete Blockly.Blocks['test_event'];
+  }
+}
+
+function defineUndoBlock_() {
+  Blockly.Blocks['test_undo'] = {
+    init: function() {
+      this.setColour(120);
+      this.appendDummyInput()
+          .appendField(new Blockly.FieldTextInput('default'), 'NAME');
+      this.appendStatementInput('DO');
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+      this.extra_ = false;
+    },
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('extra', this.extra_);
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.setExtra_(xmlElement.getAttribute('extra') == 'true');
+    },
+    setExtra_: function(extra) {
+      if (extra && !this.extra_) {
+        this.appendStatementInput('EXTRA');
+      } else if (!extra && this.extra_) {
+        this.removeInput('EXTRA');
+      }
+      this.extra_ = extra;
+    }
+  };
+}
+
+function createUndoWorkspace_() {
+  var workspace = new Blockly.Workspace(function() {return null;},
+                                        function() {});
+  workspace.createDom();
+  workspace.undoable = true;
+  return workspace;
+}
+
+function createUndoBlock_(workspace, id) {
+  var block = Blockly.Block.obtain(workspace, 'test_undo', id);
+  block.initSvg();
+  block.render();
+  return block;
+}
+
+function closeUndoGroup_(workspace) {
+  // As if the timeout started by endUndoGroup_ had run.
+  window.clearTimeout(workspace.undoGroupPid_);
+  workspace.undoGroupPid_ = null;
+  workspace.undoGroup_ = null;
+}
+
+function test_undoCreateDelete() {
+  defineUndoBlock_();
+  try {
+    var workspace = createUndoWorkspace_();
+    var block = createUndoBlock_(workspace, 'a');
+    block.setFieldValue('saved', 'NAME');
+    block.moveBy(10, 20);
+    closeUndoGroup_(workspace);
+    block.dispose(false);
+    assertEquals('Deleted', 0, workspace.getAllBlocks().length);
+
+    workspace.undo(false);
+    block = workspace.getBlockById('a');
+    assertNotNull('Delete undone', block);
+    assertEquals('Field restored', 'saved', block.getFieldValue('NAME'));
+    assertEquals('Position restored', 20, block.getRelativeToSurfaceXY().y);
+    workspace.undo(true);
+    assertNull('Delete redone', workspace.getBlockById('a'));
+
+    workspace.undo(false);
+    workspace.undo(false);
+    assertEquals('Create undone', 0, workspace.getAllBlocks().length);
+    assertFalse('Nothing more to undo', workspace.canUndo(false));
+    workspace.undo(true);
+    block = workspace.getBlockById('a');
+    assertEquals('Create redone', 'saved', block.getFieldValue('NAME'));
+    assertEquals('Redone in place', '10,20', block.getRelativeToSurfaceXY().x +
+                 ',' + block.getRelativeToSurfaceXY().y);
+  } finally {
+    delete Blockly.Blocks['test_undo'];
+  }
+}
+
+function test_undoMoveAndField() {
+  defineUndoBlock_();
+  try {
+    var workspace = createUndoWorkspace_();
+    var parent = createUndoBlock_(workspace, 'parent');
+    var child = createUndoBlock_(workspace, 'child');
+    closeUndoGroup_(workspace);
+    parent.getInput('DO').connection.connect(child.previousConnection);
+    closeUndoGroup_(workspace);
+    child.setFieldValue('new', 'NAME');
+    closeUndoGroup_(workspace);
+
+    workspace.undo(false);
+    assertEquals('Field undone', 'default', child.getFieldValue('NAME'));
+    workspace.undo(false);
+    assertNull('Move undone', child.getParent());
+    workspace.undo(true);
+    assertEquals('Move redone', parent, child.getParent());
+    workspace.undo(true);
+    assertEquals('Field redone', 'new', child.getFieldValue('NAME'));
+    assertFalse('Nothing more to redo', workspace.canUndo(true));
+  } finally {
+    delete Blockly.Blocks['test_undo'];
+  }
+}
+
+function test_undoMutation() {
+  defineUndoBlock_();
+  try {
+    var workspace = createUndoWorkspace_();
+    var block = createUndoBlock_(workspace, 'a');
+    var child = createUndoBlock_(workspace, 'b');
+    block.getInput('DO').connection.connect(child.previousConnection);
+    closeUndoGroup_(workspace);
+    // Rebuild the block as the mutator does, moving the child to the new
+    // input without recording each step.
+    var oldMutation = Blockly.Xml.domToText(block.mutationToDom());
+    var oldTargets = workspace.getInputTargets_(block);
+    workspace.pauseUndo_(true);
+    child.unplug(false);
+    block.setExtra_(true);
+    block.getInput('EXTRA').connection.connect(child.previousConnection);
+    workspace.pauseUndo_(false);
+    var event = new Blockly.Events.Change(block, 'mutation', null,
+        oldMutation, Blockly.Xml.domToText(block.mutationToDom()));
+    event.oldTargets_ = oldTargets;
+    event.newTargets_ = workspace.getInputTargets_(block);
+    workspace.fireEvent(event);
+    closeUndoGroup_(workspace);
+
+    workspace.undo(false);
+    assertNull('Input removed', block.getInput('EXTRA'));
+    assertEquals('Child restored', child, block.getInputTargetBlock('DO'));
+    workspace.undo(true);
+    assertEquals('Child moved again', child,
+                 block.getInputTargetBlock('EXTRA'));
+    assertNull('Old input empty', block.getInputTargetBlock('DO'));
+  } finally {
+    delete Blockly.Blocks['test_undo'];
+  }
+}
+
+function test_undoGroup() {
+  defineUndoBlock_();
+  var savedSetTimeout = window.setTimeout;
+  var pending = [null];
+  window.setTimeout = function(func) {
+    pending.push(func);
+    return pending.length - 1;
+  };
+  try {
+    var workspace = createUndoWorkspace_();
+    var block = createUndoBlock_(workspace, 'a');
+    block.setFieldValue('one', 'NAME');
+    block.setFieldValue('two', 'NAME');
+    assertEquals('One group', 1, workspace.undoStack_.length);
+    assertEquals('Three events', 3, workspace.undoStack_[0].length);
+
+    // A drag keeps the group open past the end of the current operation.
+    Blockly.Block.dragMode_ = 2;
+    try {
+      pending[workspace.undoGroupPid_]();
+      block.setFieldValue('three', 'NAME');
+    } finally {
+      Blockly.Block.dragMode_ = 0;
+    }
+    assertEquals('Still one group', 1, workspace.undoStack_.length);
+    // The end of the drag closes the group.
+    workspace.endUndoGroup_();
+    pending[workspace.undoGroupPid_]();
+    block.setFieldValue('four', 'NAME');
+    assertEquals('New group', 2, workspace.undoStack_.length);
+
+    workspace.undo(false);
+    assertEquals('Last group undone', 'three', block.getFieldValue('NAME'));
+    assertTrue('Can redo', workspace.canUndo(true));
+    block.setFieldValue('five', 'NAME');
+    assertFalse('A change drops the redo history', workspace.canUndo(true));
+    workspace.undo(false);
+    workspace.undo(false);
+    assertEquals('Whole group undone', 0, workspace.getAllBlocks().length);
+  } finally {
+    window.setTimeout = savedSetTimeout;
+    delete Blockly.Blocks['test_undo'];
+  }
+}
+
+function test_undoLimitAndClear() {
+  defineUndoBlock_();
+  var savedMax = Blockly.Workspace.MAX_UNDO;
+  Blockly.Workspace.MAX_UNDO = 3;
+  try {
+    var workspace = createUndoWorkspace_();
+    var block = createUndoBlock_(workspace, 'a');
+    for (var x = 1; x <= 5; x++) {
+      closeUndoGroup_(workspace);
+      block.setFieldValue('v' + x, 'NAME');
+    }
+    assertEquals('Oldest groups dropped', 3, workspace.undoStack_.length);
+    workspace.undo(false);
+    workspace.undo(false);
+    workspace.undo(false);
+    workspace.undo(false);
+    assertEquals('Stops at the limit', 'v2', block.getFieldValue('NAME'));
+    assertNotNull('Create was dropped', workspace.getBlockById('a'));
+
+    workspace.undo(true);
+    assertTrue('Can undo', workspace.canUndo(false));
+    assertTrue('Can redo', workspace.canUndo(true));
+    workspace.clearUndo();
+    assertFalse('Undo cleared', workspace.canUndo(false));
+    assertFalse('Redo cleared', workspace.canUndo(true));
+    block.setFieldValue('v6', 'NAME');
+    assertEquals('Records again', 1, workspace.undoStack_.length);
+  } finally {
+    Blockly.Workspace.MAX_UNDO = savedMax;
+    delete Blockly.Blocks['test_undo'];
+  }
+}
+
+function test_zoomOption() {
+  var options = Blockly.parseOptions_({}).zoomOptions;
+  assertFalse('Off by default', options.controls || options.wheel);
+  options = Blockly.parseOptions_({zoom: {}}).zoomOptions;
+  assertTrue('Controls', options.controls);
+  assertTrue('Wheel', options.wheel);
+  options = Blockly.parseOptions_({zoom: {controls: false}}).zoomOptions;
+  assertFalse('No controls', options.controls);
+  assertTrue('Wheel only', options.wheel);
+}
+
+function test_undoAfterLoad() {
+  defineUndoBlock_();
+  try {
+    var workspace = Blockly.Workspace.createHeadless();
+    workspace.undoable = true;
+    Blockly.Xml.domToWorkspace(workspace, Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_undo" id="a" x="10" y="20">' +
+        '<statement name="DO"><block type="test_undo" id="b"></block>' +
+        '</statement></block></xml>'));
+    // As the apps do once a program is loaded.
+    workspace.clearUndo();
+    workspace.undo(false);
+    assertEquals('Program kept', 2, workspace.getAllBlocks().length);
+    assertFalse('Nothing to redo', workspace.canUndo(true));
+  } finally {
+    delete Blockly.Blocks['test_undo'];
+  }
+}
+
+function test_pasteCapacity() {
+  defineUndoBlock_();
+  try {
+    var workspace = createUndoWorkspace_();
+    workspace.maxBlocks = 3;
+    createUndoBlock_(workspace, 'a');
+    var stack = Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_undo"><next><block type="test_undo"></block>' +
+        '</next></block></xml>').firstChild;
+    var group = Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_undo"></block><block type="test_undo"></block>' +
+        '</xml>');
+    workspace.maxBlocks = 2;
+    workspace.paste(stack);
+    assertEquals('Stack beyond capacity', 1, workspace.getAllBlocks().length);
+    workspace.paste(group);
+    assertEquals('Group beyond capacity', 1, workspace.getAllBlocks().length);
+    workspace.maxBlocks = 3;
+    workspace.paste(stack);
+    assertEquals('Stack at capacity', 3, workspace.getAllBlocks().length);
+    workspace.maxBlocks = 5;
+    workspace.paste(group);
+    assertEquals('Group at capacity', 5, workspace.getAllBlocks().length);
+  } finally {
+    Blockly.selected = null;
+    delete Blockly.Blocks['test_undo'];
+  }
+}
@@ -25,3 +25,46 @@ function test_prefix() {
   assertEquals('Prefix one line.', '12Hello\n', generator.prefixLines('Hello\n', '12'));
   assertEquals('Prefix two lines.', '***Hello\n***World\n', generator.prefixLines('Hello\nWorld\n', '***'));
 }
+
+function test_headlessWorkspaceToCode() {
+  Blockly.Blocks['test_statement'] = {
+    init: function() {
+      this.appendDummyInput()
+          .appendField(new Blockly.FieldTextInput(''), 'NAME');
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  };
+  var generator = new Blockly.Generator('INTERCAL');
+  generator.init = function() {};
+  generator.finish = function(code) {return code;};
+  generator.scrub_ = function(block, code) {
+    var nextBlock = block.nextConnection && block.nextConnection.targetBlock();
+    return code + generator.blockToCode(nextBlock);
+  };
+  generator['test_statement'] = function(block) {
+    return 'PLEASE ' + block.getFieldValue('NAME') + '\n';
+  };
+  try {
+    var workspace = Blockly.Workspace.createHeadless();
+    var xml = Blockly.Xml.textToDom('<xml>' +
+        '<block type="test_statement" id="b" x="0" y="90">' +
+        '<field name="NAME">GIVE UP</field></block>' +
+        '<block type="test_statement" id="a" x="0" y="10">' +
+        '<field name="NAME">READ OUT</field><next>' +
+        '<block type="test_statement"><field name="NAME">FORGET</field>' +
+        '</block></next></block></xml>');
+    Blockly.Xml.domToWorkspace(workspace, xml);
+    assertNull('No SVG', workspace.getBlockById('a').getSvgRoot());
+    assertEquals('Position', 90, workspace.getBlockById('b')
+        .getRelativeToSurfaceXY().y);
+    assertEquals('Generated', 'PLEASE READ OUT\nPLEASE FORGET\n\n' +
+        'PLEASE GIVE UP\n', generator.workspaceToCode(workspace));
+    workspace.getBlockById('b').setFieldValue('COME FROM', 'NAME');
+    workspace.getBlockById('a').dispose(true);
+    assertEquals('Edited', 'PLEASE FORGET\n\nPLEASE COME FROM\n',
+        generator.workspaceToCode(workspace));
+  } finally {
+    delete Blockly.Blocks['test_statement'];
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Blockly Apps: Interpreter
+ *
+ * Copyright 2013 Google Inc.
+ * https://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function runProgram_(code, opt_options) {
+  var output = [];
+  var interpreter = new BlocklyApps.Interpreter(code, opt_options);
+  interpreter.addFunction('print', function(value) {
+    output.push(value);
+  });
+  var error = interpreter.runToEnd();
+  if (error !== null) {
+    output.push('error: ' + (error.message || error));
+  }
+  return output.join(',');
+}
+
+function test_interpreterRun() {
+  assertEquals('Loops', '0,1,2',
+      runProgram_('for (var i = 0; i < 5; i++) {\n' +
+                  '  if (i == 3) break;\n' +
+                  '  print(i);\n' +
+                  '}'));
+  assertEquals('Recursion', '55',
+      runProgram_('function fib(n) {\n' +
+                  '  return n < 2 ? n : fib(n - 1) + fib(n - 2);\n' +
+                  '}\n' +
+                  'print(fib(10));'));
+  assertEquals('Natives', 'a|b,ABC',
+      runProgram_('print(["a", "b"].join("|"));\n' +
+                  'print("abc".toUpperCase());'));
+  assertEquals('Thrown', 'error: oops', runProgram_('throw "oops";'));
+}
+
+function test_interpreterSandbox() {
+  assertEquals('Constructor',
+      'error: Property "constructor" is not available.',
+      runProgram_('print("".constructor);'));
+  assertEquals('Globals', 'undefined',
+      runProgram_('print(typeof window);'));
+  assertEquals('Timeout', 'error: ' + BlocklyApps.Interpreter.TIMEOUT.message,
+      runProgram_('while (true) {}', {maxSteps: 100}));
+}
+
+function test_interpreterAsync() {
+  var interpreter = new BlocklyApps.Interpreter('print(wait(2) + 1);');
+  var output = [];
+  var callback = null;
+  interpreter.addFunction('print', function(value) {
+    output.push(value);
+  });
+  interpreter.addAsyncFunction('wait', function(value, done) {
+    callback = function() {
+      done(value);
+    };
+  });
+  while (!callback && interpreter.step()) {}
+  assertTrue('Waiting', interpreter.step());
+  assertEquals('Nothing printed yet', 0, output.length);
+  callback();
+  while (interpreter.step()) {}
+  assertEquals('Resumed', '3', output.join(','));
+}
+
+function test_interpreterStop() {
+  var interpreter = new BlocklyApps.Interpreter('while (true) {}');
+  var ended = false;
+  interpreter.run(function() {
+    ended = true;
+  });
+  assertTrue('Running', interpreter.isRunning());
+  interpreter.stop();
+  assertTrue('Done', interpreter.isDone());
+  assertFalse('Not running', interpreter.isRunning());
+  assertFalse('Stopping is not ending', ended);
+  interpreter.run();
+  assertFalse('Stays stopped', interpreter.isRunning());
+}